@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A page a user bookmarked on purpose, with an optional label. Where the user
+// last was is kept in CourseProgress, not here
+const BookmarkSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Courses',
+    required: true,
+  },
+  topicId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  imageIndex: { type: Number, required: true, min: 0 }, // page index
+  label: { type: String, default: '', maxlength: 100 },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+BookmarkSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+// One bookmark per page; bookmarking it again relabels it
+BookmarkSchema.index(
+  { userId: 1, courseId: 1, topicId: 1, imageIndex: 1 },
+  { unique: true }
+);
+BookmarkSchema.index({ userId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', BookmarkSchema);
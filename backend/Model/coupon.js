@@ -13,7 +13,14 @@ const CouponSchema = new mongoose.Schema({
     validFrom: { type: Date, required: true },
     validTill: { type: Date, required: true },
     usageLimit: { type: Number, default: null, min: 0 }, // null means unlimited
-    usedCount: { type: Number, default: 0, min: 0 }, // Track how many times it's been used
+    // Redemptions held by open checkouts plus paid ones (see CouponRedemption)
+    usedCount: { type: Number, default: 0, min: 0 },
+    // Redemption rules (services/coupons)
+    perUserLimit: { type: Number, default: null, min: 1 }, // null means unlimited
+    courseIds: [{ type: mongoose.Schema.Types.ObjectId, ref: 'Courses' }], // empty means every course
+    minOrderAmount: { type: Number, default: 0, min: 0 },
+    maxDiscountAmount: { type: Number, default: null, min: 0 }, // cap for percentage coupons
+    firstPurchaseOnly: { type: Boolean, default: false },
     isActive: { type: Boolean, default: true },
     createdAt: { type: Date, default: Date.now },
     updatedAt: { type: Date, default: Date.now }
@@ -59,14 +66,14 @@ CouponSchema.methods.canBeUsed = function() {
     return this.isValid();
 };
 
-// Instance method to use coupon (increment usage count)
-CouponSchema.methods.use = async function() {
-    if (!this.canBeUsed()) {
+// Instance method to use coupon (increment usage count). The limit is
+// checked by the update itself, so concurrent uses cannot exceed it
+CouponSchema.methods.use = async function(session = null) {
+    const updated = await this.constructor.takeUse(this.id, session);
+    if (!updated) {
         throw new Error('Coupon cannot be used');
     }
-    
-    this.usedCount += 1;
-    return await this.save();
+    return updated;
 };
 
 // Instance method to calculate discount amount
@@ -75,8 +82,15 @@ CouponSchema.methods.calculateDiscount = function(totalAmount) {
         return 0;
     }
     
+    if (totalAmount < (this.minOrderAmount || 0)) {
+        return 0;
+    }
+    
     if (this.discountType === 'percentage') {
-        return Math.round((totalAmount * this.discountValue) / 100);
+        const discount = Math.round((totalAmount * this.discountValue) / 100);
+        return this.maxDiscountAmount === null || this.maxDiscountAmount === undefined
+            ? discount
+            : Math.min(discount, this.maxDiscountAmount);
     } else if (this.discountType === 'fixed') {
         return Math.min(this.discountValue, totalAmount);
     }
@@ -99,5 +113,35 @@ CouponSchema.statics.findValidCoupon = function(code) {
     });
 };
 
+// Count one use of a valid coupon if it is under its usage limit, in a
+// single conditional update. Resolves to the updated coupon, or null when
+// the coupon is no longer valid or fully used
+CouponSchema.statics.takeUse = function(id, session = null) {
+    const now = new Date();
+    return this.findOneAndUpdate(
+        {
+            id,
+            isActive: true,
+            validFrom: { $lte: now },
+            validTill: { $gte: now },
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 }, $set: { updatedAt: new Date() } },
+        { new: true, session }
+    );
+};
+
+// Give back a use taken by takeUse
+CouponSchema.statics.returnUse = function(id, session = null) {
+    return this.updateOne(
+        { id, usedCount: { $gt: 0 } },
+        { $inc: { usedCount: -1 }, $set: { updatedAt: new Date() } },
+        { session }
+    );
+};
+
 const Coupon = mongoose.model('Coupon', CouponSchema);
 module.exports = Coupon;
\ No newline at end of file
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+// One coupon use by one order. "reserved" holds a use of the coupon while
+// the order waits for payment, "redeemed" once it is paid and "released"
+// when the payment failed, a newer checkout of the same buyer took over or
+// the checkout was left unpaid for too long
+const CouponRedemptionSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        unique: true,
+        // Custom auto-increment id field similar to Prisma's autoincrement
+    },
+    couponId: {
+        type: Number,
+        required: true
+    },
+    userId: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null // Orders placed before accounts were required have none
+    },
+    orderId: {
+        type: Number,
+        required: true
+    },
+    discountAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    status: {
+        type: String,
+        required: true,
+        enum: ['reserved', 'redeemed', 'released'],
+        default: 'reserved'
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Auto-increment for custom id field (similar to Prisma's autoincrement)
+CouponRedemptionSchema.pre('save', async function(next) {
+    if (this.isNew && !this.id) {
+        try {
+            const lastRedemption = await this.constructor.findOne().sort({ id: -1 }).session(this.$session());
+            this.id = lastRedemption ? lastRedemption.id + 1 : 1;
+        } catch (error) {
+            return next(error);
+        }
+    }
+    this.updatedAt = Date.now();
+    next();
+});
+
+CouponRedemptionSchema.index({ orderId: 1 }, { unique: true }); // One coupon per order
+CouponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 }); // Per-user limit
+CouponRedemptionSchema.index({ couponId: 1, createdAt: -1 });
+
+const CouponRedemption = mongoose.model('CouponRedemption', CouponRedemptionSchema);
+module.exports = CouponRedemption;
@@ -3,7 +3,9 @@ const mongoose = require('mongoose');
 // Each topic contains multiple images (pages)
 const TopicSchema = new mongoose.Schema({
   title: { type: String, required: true },
-  images: [{ type: String, required: true }], // image URLs (Cloudinary/S3)
+  // Storage keys (e.g. "course/2.jpeg"), never public URLs; the API signs
+  // them per request for enrolled users
+  images: [{ type: String, required: true }],
 });
 
 // Main Course Schema
@@ -22,6 +24,9 @@ const CourseSchema = new mongoose.Schema({
 
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
+}, {
+  // Topic/page edits come from the authoring UI; reject stale saves
+  optimisticConcurrency: true,
 });
 
 // Update updatedAt time before saving
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+
+// A user's reading progress in one topic of a course. Written with atomic
+// upserts (services/readingProgress) rather than through the User document
+const CourseProgressSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Courses',
+    required: true,
+  },
+  topicId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  percent: { type: Number, default: 0 }, // 0–100; 100 once marked complete
+  viewedPages: { type: Buffer, default: null }, // bit n set once page n was viewed
+  timeSpentSeconds: { type: Number, default: 0 },
+  lastImageIndex: { type: Number, default: 0 }, // bookmark for page
+  lastSeenAt: { type: Date, default: null },
+  batchIds: { type: [String], default: [] }, // recent batches already counted
+  revision: { type: Number, default: 0 }, // bumped by every bitmap write
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+CourseProgressSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+CourseProgressSchema.index({ userId: 1, courseId: 1, topicId: 1 }, { unique: true });
+CourseProgressSchema.index({ userId: 1, lastSeenAt: -1 });
+
+module.exports = mongoose.model('CourseProgress', CourseProgressSchema);
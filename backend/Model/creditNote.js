@@ -0,0 +1,115 @@
+const mongoose = require('mongoose');
+
+const PartySchema = new mongoose.Schema({
+    name: { type: String, default: '' },
+    email: { type: String, default: '' },
+    address: { type: String, default: '' },
+    state: { type: String, default: '' },
+    gstin: { type: String, default: '' }
+}, { _id: false });
+
+const TaxSchema = new mongoose.Schema({
+    rate: { type: Number, required: true },
+    intraState: { type: Boolean, required: true },
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 }
+}, { _id: false });
+
+// Issued by services/invoices for every processed refund. Numbered in its
+// own gap-free series per financial year, like invoices, and never edited
+const CreditNoteSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        unique: true,
+        // Auto-increment custom id field (similar to Prisma's autoincrement)
+    },
+    number: {
+        type: String,
+        required: true,
+        trim: true // "CN/26-27/000001"
+    },
+    financialYear: {
+        type: String,
+        required: true
+    },
+    sequence: {
+        type: Number,
+        required: true
+    },
+    issuedAt: {
+        type: Date,
+        default: Date.now
+    },
+    invoiceId: {
+        type: Number,
+        required: true
+    },
+    invoiceNumber: {
+        type: String,
+        default: null // Invoices uploaded before numbering have none
+    },
+    orderId: {
+        type: Number,
+        required: true
+    },
+    refundId: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        required: true
+    },
+    seller: {
+        type: PartySchema,
+        required: true
+    },
+    buyer: {
+        type: PartySchema,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0 // Refunded amount, GST included
+    },
+    taxableAmount: {
+        type: Number,
+        required: true,
+        min: 0
+    },
+    tax: {
+        type: TaxSchema,
+        required: true
+    },
+    fileKey: {
+        type: String,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Auto-increment for custom id field (similar to Prisma's autoincrement)
+CreditNoteSchema.pre('save', async function(next) {
+    if (this.isNew && !this.id) {
+        try {
+            const lastNote = await this.constructor.findOne().sort({ id: -1 }).session(this.$session());
+            this.id = lastNote ? lastNote.id + 1 : 1;
+        } catch (error) {
+            return next(error);
+        }
+    }
+    next();
+});
+
+CreditNoteSchema.index({ number: 1 }, { unique: true });
+CreditNoteSchema.index({ invoiceId: 1 });
+CreditNoteSchema.index({ orderId: 1 });
+CreditNoteSchema.index({ refundId: 1 }, { unique: true });
+
+const CreditNote = mongoose.model('CreditNote', CreditNoteSchema);
+module.exports = CreditNote;
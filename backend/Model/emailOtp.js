@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One-time codes proving a user controls an email address. `email` is the
+// address being verified: the account's own for signup, the new one for an
+// email change. Codes are stored as HMACs, never in plain text.
+const EmailOtpSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  email: { type: String, required: true, lowercase: true, trim: true },
+  purpose: {
+    type: String,
+    enum: ['verify_email', 'change_email'],
+    required: true,
+  },
+  codeHash: { type: String, required: true },
+  attempts: { type: Number, default: 0 },
+  expiresAt: { type: Date, required: true },
+  consumedAt: { type: Date, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+EmailOtpSchema.index({ userId: 1, createdAt: -1 });
+// MongoDB deletes codes once they expire
+EmailOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailOtp', EmailOtpSchema);
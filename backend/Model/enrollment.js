@@ -0,0 +1,57 @@
+const mongoose = require('mongoose');
+
+// A user's access to one course. Granted by a paid order or by an admin;
+// revoking keeps the document so the history stays auditable.
+const EnrollmentSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Courses',
+    required: true,
+  },
+  source: { type: String, enum: ['order', 'admin'], required: true },
+  orderId: { type: Number, default: null }, // Order that paid for it, if any
+  grantedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+  grantedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, default: null }, // null = lifetime access
+  revokedAt: { type: Date, default: null },
+  revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+EnrollmentSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+EnrollmentSchema.index({ userId: 1, courseId: 1 }, { unique: true });
+EnrollmentSchema.index({ courseId: 1 });
+EnrollmentSchema.index({ orderId: 1 });
+
+// Query filter for enrollments that currently grant access
+const activeFilter = (now = new Date()) => ({
+  revokedAt: null,
+  $or: [{ expiresAt: null }, { expiresAt: { $gt: now } }],
+});
+
+EnrollmentSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && (!this.expiresAt || this.expiresAt > now);
+};
+
+EnrollmentSchema.statics.activeFilter = activeFilter;
+
+EnrollmentSchema.statics.findActive = function (userId, courseId) {
+  return this.findOne({ userId, courseId, ...activeFilter() });
+};
+
+EnrollmentSchema.statics.findActiveByUser = function (userId) {
+  return this.find({ userId, ...activeFilter() }).sort({ grantedAt: -1 });
+};
+
+module.exports = mongoose.model('Enrollment', EnrollmentSchema);
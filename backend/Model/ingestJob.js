@@ -0,0 +1,61 @@
+const mongoose = require('mongoose');
+
+// One PDF import into a course. Jobs run in the background worker
+// (services/ingestJobs.js); admins poll the document for progress.
+const IngestJobSchema = new mongoose.Schema({
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Courses',
+    required: true,
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'failed'],
+    default: 'queued',
+  },
+
+  // Uploaded PDF on local disk; removed once the job finishes
+  sourcePath: { type: String, required: true },
+  fileName: { type: String, default: null },
+  pageCount: { type: Number, required: true },
+
+  // Manual split, used only when the PDF has no bookmarks
+  sections: [
+    {
+      _id: false,
+      title: { type: String, required: true },
+      startPage: { type: Number, required: true },
+    },
+  ],
+  pagesPerTopic: { type: Number, default: null },
+  replaceExisting: { type: Boolean, default: false },
+
+  progress: {
+    phase: {
+      type: String,
+      enum: ['queued', 'rendering', 'saving', 'done'],
+      default: 'queued',
+    },
+    pagesDone: { type: Number, default: 0 },
+  },
+  // How topics were built and what was added to the course
+  result: {
+    split: { type: String, enum: ['outline', 'manual', 'single'] },
+    topics: [{ _id: false, title: String, pages: Number }],
+  },
+  error: { type: String, default: null },
+
+  startedAt: { type: Date, default: null },
+  finishedAt: { type: Date, default: null },
+  createdAt: { type: Date, default: Date.now },
+});
+
+IngestJobSchema.index({ status: 1, createdAt: 1 });
+IngestJobSchema.index({ courseId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('IngestJob', IngestJobSchema);
@@ -1,5 +1,29 @@
 const mongoose = require('mongoose');
 
+const PartySchema = new mongoose.Schema({
+    name: { type: String, default: '' },
+    email: { type: String, default: '' },
+    address: { type: String, default: '' },
+    state: { type: String, default: '' },
+    gstin: { type: String, default: '' }
+}, { _id: false });
+
+const LineSchema = new mongoose.Schema({
+    courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Courses' },
+    description: { type: String, required: true },
+    unitPrice: { type: Number, required: true, min: 0 },
+    quantity: { type: Number, default: 1, min: 1 },
+    amount: { type: Number, required: true, min: 0 }
+}, { _id: false });
+
+const TaxSchema = new mongoose.Schema({
+    rate: { type: Number, required: true }, // Percent, e.g. 18
+    intraState: { type: Boolean, required: true }, // CGST + SGST, otherwise IGST
+    cgst: { type: Number, default: 0 },
+    sgst: { type: Number, default: 0 },
+    igst: { type: Number, default: 0 }
+}, { _id: false });
+
 const InvoiceSchema = new mongoose.Schema({
     id: {
         type: Number,
@@ -11,11 +35,73 @@ const InvoiceSchema = new mongoose.Schema({
         required: true,
         ref: 'Order' // Reference to Order model
     },
+    // Storage key of the PDF (services/storage); older invoices only have
+    // an external fileUrl
+    fileKey: {
+        type: String,
+        default: null
+    },
     fileUrl: {
         type: String,
-        required: true,
+        required: function() {
+            return !this.fileKey && !this.number;
+        },
         trim: true
     },
+    // Invoices issued by services/invoices when an order is paid. The
+    // number is gap-free within its financial year (see InvoiceCounter) and
+    // everything printed on the PDF is copied here, so later profile or
+    // course edits never change an issued invoice
+    number: {
+        type: String,
+        trim: true
+    },
+    financialYear: {
+        type: String // "2026-27"
+    },
+    sequence: {
+        type: Number
+    },
+    issuedAt: {
+        type: Date
+    },
+    seller: {
+        type: PartySchema,
+        default: undefined
+    },
+    buyer: {
+        type: PartySchema,
+        default: undefined
+    },
+    lines: {
+        type: [LineSchema],
+        default: undefined
+    },
+    couponCode: {
+        type: String,
+        default: null
+    },
+    subtotalAmount: {
+        type: Number,
+        min: 0 // Sum of the lines, GST included
+    },
+    discountAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    totalAmount: {
+        type: Number,
+        min: 0 // Amount paid, GST included
+    },
+    taxableAmount: {
+        type: Number,
+        min: 0 // totalAmount without GST
+    },
+    tax: {
+        type: TaxSchema,
+        default: undefined
+    },
     createdAt: {
         type: Date,
         default: Date.now
@@ -26,7 +112,7 @@ const InvoiceSchema = new mongoose.Schema({
 InvoiceSchema.pre('save', async function(next) {
     if (this.isNew && !this.id) {
         try {
-            const lastInvoice = await this.constructor.findOne().sort({ id: -1 });
+            const lastInvoice = await this.constructor.findOne().sort({ id: -1 }).session(this.$session());
             this.id = lastInvoice ? lastInvoice.id + 1 : 1;
         } catch (error) {
             return next(error);
@@ -38,6 +124,7 @@ InvoiceSchema.pre('save', async function(next) {
 // Create indexes for better performance
 InvoiceSchema.index({ orderId: 1 }, { unique: true }); // Unique index for orderId (one invoice per order)
 InvoiceSchema.index({ createdAt: -1 }); // For recent invoices query
+InvoiceSchema.index({ number: 1 }, { unique: true, sparse: true });
 
 // Virtual populate for order details
 InvoiceSchema.virtual('order', {
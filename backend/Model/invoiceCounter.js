@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One document per numbering series; seq is the last number issued. Invoices
+// count per financial year ("2026-27"), credit notes per "CN/2026-27"
+const InvoiceCounterSchema = new mongoose.Schema({
+    _id: {
+        type: String
+    },
+    seq: {
+        type: Number,
+        default: 0
+    }
+});
+
+/**
+ * Take the next number of a series. Call it inside the transaction that
+ * saves the numbered document: if that transaction aborts, the increment is
+ * rolled back with it, so no number is ever skipped.
+ */
+InvoiceCounterSchema.statics.next = async function(series, session = null) {
+    const counter = await this.findOneAndUpdate(
+        { _id: series },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true, session }
+    );
+    return counter.seq;
+};
+
+const InvoiceCounter = mongoose.model('InvoiceCounter', InvoiceCounterSchema);
+module.exports = InvoiceCounter;
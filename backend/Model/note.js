@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// Highlighted area of the page image, as fractions (0–1) of its width and
+// height so it lines up at any zoom
+const RectSchema = new mongoose.Schema(
+  {
+    x: { type: Number, required: true, min: 0, max: 1 },
+    y: { type: Number, required: true, min: 0, max: 1 },
+    width: { type: Number, required: true, min: 0, max: 1 },
+    height: { type: Number, required: true, min: 0, max: 1 },
+  },
+  { _id: false }
+);
+
+// A note a user wrote on one page of a course topic; a page can have many
+const NoteSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  courseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Courses',
+    required: true,
+  },
+  topicId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  imageIndex: { type: Number, required: true, min: 0 }, // page index
+  note: { type: String, default: '' }, // text user saved
+  rect: { type: RectSchema, default: null },
+  tags: { type: [String], default: [] },
+  color: {
+    type: String,
+    enum: ['yellow', 'green', 'blue', 'pink', 'purple'], // highlight colours
+    default: 'yellow',
+  },
+
+  createdAt: { type: Date, default: Date.now },
+  updatedAt: { type: Date, default: Date.now },
+});
+
+NoteSchema.pre('save', function (next) {
+  this.updatedAt = Date.now();
+  next();
+});
+
+NoteSchema.index({ userId: 1, courseId: 1, topicId: 1, imageIndex: 1 });
+NoteSchema.index({ userId: 1, tags: 1 });
+NoteSchema.index({ userId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('Note', NoteSchema);
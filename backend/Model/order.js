@@ -22,11 +22,26 @@ const OrderSchema = new mongoose.Schema({
         required: false,
         trim: true
     },
+    subtotalAmount: {
+        type: Number,
+        default: 0,
+        min: 0 // Sum of order items before any coupon discount
+    },
+    discountAmount: {
+        type: Number,
+        default: 0,
+        min: 0 // Coupon discount applied at checkout
+    },
     totalAmount: {
         type: Number,
         required: true,
         min: 0 // Amount in paise, must be non-negative
     },
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0 // Sum of processed refunds (services/refunds)
+    },
     currency: {
         type: String,
         default: 'INR',
@@ -35,7 +50,7 @@ const OrderSchema = new mongoose.Schema({
     status: {
         type: String,
         required: true,
-        enum: ['created', 'pending_payment', 'paid', 'failed', 'refunded'],
+        enum: ['created', 'pending_payment', 'paid', 'partially_refunded', 'failed', 'refunded'],
         default: 'created'
     },
     couponId: {
@@ -60,7 +75,7 @@ const OrderSchema = new mongoose.Schema({
 OrderSchema.pre('save', async function(next) {
     if (this.isNew && !this.id) {
         try {
-            const lastOrder = await this.constructor.findOne().sort({ id: -1 });
+            const lastOrder = await this.constructor.findOne().sort({ id: -1 }).session(this.$session());
             this.id = lastOrder ? lastOrder.id + 1 : 1;
         } catch (error) {
             return next(error);
@@ -83,6 +98,21 @@ OrderSchema.virtual('orderItems', {
     foreignField: 'orderId'
 });
 
+// Virtual populate for the invoice issued when the order was paid
+OrderSchema.virtual('invoice', {
+    ref: 'Invoice',
+    localField: 'id',
+    foreignField: 'orderId',
+    justOne: true
+});
+
+// Virtual populate for the credit notes of its refunds
+OrderSchema.virtual('creditNotes', {
+    ref: 'CreditNote',
+    localField: 'id',
+    foreignField: 'orderId'
+});
+
 // Ensure virtual fields are included when converting to JSON
 OrderSchema.set('toJSON', { virtuals: true });
 OrderSchema.set('toObject', { virtuals: true });
@@ -0,0 +1,23 @@
+const mongoose = require('mongoose');
+
+// Single-use password reset tokens. Only a SHA-256 hash of the token is
+// stored; the token itself exists only in the emailed link.
+const PasswordResetTokenSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  expiresAt: { type: Date, required: true },
+  usedAt: { type: Date, default: null },
+  requestedIp: { type: String, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+});
+
+PasswordResetTokenSchema.index({ userId: 1 });
+// MongoDB deletes tokens once they expire
+PasswordResetTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('PasswordResetToken', PasswordResetTokenSchema);
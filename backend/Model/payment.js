@@ -9,11 +9,17 @@ const PaymentSchema = new mongoose.Schema({
     gateway: {
         type: String,
         required: true,
+        trim: true,
+        enum: ['razorpay', 'mock', 'free'] // Adapters in services/gateways, plus zero-amount orders
+    },
+    gatewayOrderId: {
+        type: String,
+        required: false, // Set once the gateway intent has been created
         trim: true
     },
     gatewayPaymentId: {
         type: String,
-        required: true,
+        required: false, // Only known after the customer has paid
         trim: true
     },
     orderId: {
@@ -25,10 +31,17 @@ const PaymentSchema = new mongoose.Schema({
         required: true,
         min: 0 // Amount in paise, must be non-negative
     },
+    // Refunds that are processed or still pending at the gateway; reserved
+    // before the gateway is called so that refunds can never exceed amount
+    refundedAmount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
     status: {
         type: String,
         required: true,
-        enum: ['initiated', 'captured', 'failed', 'refunded'],
+        enum: ['initiated', 'captured', 'failed', 'refunded'], // refunded = in full
         default: 'initiated'
     },
     method: {
@@ -51,7 +64,7 @@ const PaymentSchema = new mongoose.Schema({
 PaymentSchema.pre('save', async function(next) {
     if (this.isNew && !this.id) {
         try {
-            const lastPayment = await this.constructor.findOne().sort({ id: -1 });
+            const lastPayment = await this.constructor.findOne().sort({ id: -1 }).session(this.$session());
             this.id = lastPayment ? lastPayment.id + 1 : 1;
         } catch (error) {
             return next(error);
@@ -63,7 +76,11 @@ PaymentSchema.pre('save', async function(next) {
 
 // Create indexes for better performance
 PaymentSchema.index({ orderId: 1 });
-PaymentSchema.index({ gatewayPaymentId: 1 }, { unique: true }); // Unique index for gateway payment ID
+PaymentSchema.index(
+    { gatewayPaymentId: 1 },
+    { unique: true, partialFilterExpression: { gatewayPaymentId: { $type: 'string' } } }
+); // Unique gateway payment ID, ignoring payments that haven't been paid yet
+PaymentSchema.index({ gatewayOrderId: 1 });
 PaymentSchema.index({ status: 1 });
 PaymentSchema.index({ gateway: 1 });
 PaymentSchema.index({ createdAt: -1 }); // For recent payments query
@@ -106,6 +123,10 @@ PaymentSchema.statics.findByGatewayPaymentId = function(gatewayPaymentId) {
     return this.findOne({ gatewayPaymentId });
 };
 
+PaymentSchema.statics.findByGatewayOrderId = function(gatewayOrderId) {
+    return this.findOne({ gatewayOrderId });
+};
+
 PaymentSchema.statics.findSuccessfulPayments = function() {
     return this.find({ status: 'captured' }).sort({ createdAt: -1 });
 };
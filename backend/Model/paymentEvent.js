@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+const PaymentEventSchema = new mongoose.Schema({
+    gateway: {
+        type: String,
+        required: true,
+        trim: true
+    },
+    eventId: {
+        type: String,
+        required: true,
+        trim: true // The gateway's own event id, reused on delivery retries
+    },
+    type: {
+        type: String,
+        required: true,
+        trim: true // e.g. payment.captured, payment.failed, refund.processed
+    },
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true // Raw event body exactly as the gateway sent it
+    },
+    status: {
+        type: String,
+        required: true,
+        // mismatch: a capture whose amount or currency differs from the payment
+        enum: ['received', 'processed', 'ignored', 'failed', 'mismatch'],
+        default: 'received'
+    },
+    paymentId: {
+        type: Number,
+        required: false,
+        default: null // Payment the event was applied to, if any
+    },
+    error: {
+        type: String,
+        required: false,
+        default: null
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+PaymentEventSchema.pre('save', function(next) {
+    this.updatedAt = Date.now();
+    next();
+});
+
+// One document per gateway event; a duplicate insert means a replayed delivery
+PaymentEventSchema.index({ gateway: 1, eventId: 1 }, { unique: true });
+PaymentEventSchema.index({ paymentId: 1 });
+PaymentEventSchema.index({ status: 1 });
+PaymentEventSchema.index({ createdAt: -1 });
+
+// Instance methods
+PaymentEventSchema.methods.isSettled = function() {
+    return ['processed', 'ignored', 'mismatch'].includes(this.status);
+};
+
+const PaymentEvent = mongoose.model('PaymentEvent', PaymentEventSchema);
+module.exports = PaymentEvent;
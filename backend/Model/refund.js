@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const RefundSchema = new mongoose.Schema({
+    id: {
+        type: Number,
+        unique: true,
+        // Custom auto-increment id field similar to Prisma's autoincrement
+    },
+    paymentId: {
+        type: Number,
+        required: true
+    },
+    orderId: {
+        type: Number,
+        required: true
+    },
+    amount: {
+        type: Number,
+        required: true,
+        min: 0.01 // Same unit as Payment.amount
+    },
+    reason: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 500
+    },
+    // Admin who asked for the refund; null when it was started at the gateway
+    requestedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+    },
+    // pending: sent to the gateway; processed: accepted by it and applied to
+    // the order; failed: rejected, nothing was refunded
+    status: {
+        type: String,
+        required: true,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    gateway: {
+        type: String,
+        required: true
+    },
+    gatewayRefundId: {
+        type: String,
+        trim: true
+    },
+    error: {
+        type: String,
+        default: null
+    },
+    creditNoteId: {
+        type: Number,
+        default: null
+    },
+    processedAt: {
+        type: Date,
+        default: null
+    },
+    createdAt: {
+        type: Date,
+        default: Date.now
+    },
+    updatedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+// Auto-increment for custom id field (similar to Prisma's autoincrement)
+RefundSchema.pre('save', async function(next) {
+    if (this.isNew && !this.id) {
+        try {
+            const lastRefund = await this.constructor.findOne().sort({ id: -1 }).session(this.$session());
+            this.id = lastRefund ? lastRefund.id + 1 : 1;
+        } catch (error) {
+            return next(error);
+        }
+    }
+    this.updatedAt = Date.now();
+    next();
+});
+
+RefundSchema.index({ paymentId: 1 });
+RefundSchema.index({ orderId: 1 });
+RefundSchema.index(
+    { gateway: 1, gatewayRefundId: 1 },
+    { unique: true, partialFilterExpression: { gatewayRefundId: { $type: 'string' } } }
+); // A gateway refund is applied once, whether from the API response or a webhook
+RefundSchema.index({ createdAt: -1 });
+
+RefundSchema.virtual('creditNote', {
+    ref: 'CreditNote',
+    localField: 'creditNoteId',
+    foreignField: 'id',
+    justOne: true
+});
+
+RefundSchema.set('toJSON', { virtuals: true });
+RefundSchema.set('toObject', { virtuals: true });
+
+const Refund = mongoose.model('Refund', RefundSchema);
+module.exports = Refund;
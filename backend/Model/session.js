@@ -0,0 +1,51 @@
+const mongoose = require('mongoose');
+
+// One signed-in device. The refresh token rotates on every use; only SHA-256
+// hashes are stored, and recently rotated-out hashes are kept so a replayed
+// refresh token can be recognised as reuse.
+const SessionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+  },
+  tokenHash: { type: String, required: true, unique: true },
+  previousTokenHashes: { type: [String], default: [] },
+
+  device: { type: String, default: 'Unknown device' },
+  userAgent: { type: String, default: null },
+  ip: { type: String, default: null },
+
+  createdAt: { type: Date, default: Date.now },
+  lastUsedAt: { type: Date, default: Date.now },
+  expiresAt: { type: Date, required: true },
+  revokedAt: { type: Date, default: null },
+  revokedReason: {
+    type: String,
+    enum: ['logout', 'logout_all', 'revoked', 'reuse_detected', 'password_reset', 'account_linked'],
+    default: null,
+  },
+});
+
+SessionSchema.index({ userId: 1, revokedAt: 1 });
+SessionSchema.index({ previousTokenHashes: 1 });
+// MongoDB deletes sessions once the refresh token has expired
+SessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Query filter for sessions that can still be refreshed
+const activeFilter = (now = new Date()) => ({
+  revokedAt: null,
+  expiresAt: { $gt: now },
+});
+
+SessionSchema.methods.isActive = function (now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+SessionSchema.statics.activeFilter = activeFilter;
+
+SessionSchema.statics.findActiveByUser = function (userId) {
+  return this.find({ userId, ...activeFilter() }).sort({ lastUsedAt: -1 });
+};
+
+module.exports = mongoose.model('Session', SessionSchema);
@@ -4,10 +4,13 @@ const UserSchema = new mongoose.Schema({
   // BASIC USER DATA
   name: { type: String },
   email: { type: String, required: true, unique: true },
+  emailVerified: { type: Boolean, default: false }, // set by the email OTP flow
+  emailVerifiedAt: { type: Date, default: null },
 
   // AUTH FIELDS
   passwordHash: { type: String, default: null }, // for normal signup
   provider: { type: String, enum: ['local', 'google'], default: 'local' },
+  googleId: { type: String, unique: true, sparse: true }, // Google `sub`; set once linked
 
   // GOOGLE PROFILE Picture
   picture: { type: String, default: null },
@@ -21,48 +24,19 @@ const UserSchema = new mongoose.Schema({
   gender: { type: String, default: '' },
   city: { type: String, default: '' },
   state: { type: String, default: '' },
-  profileImage: { type: String, default: '' },
+  profileImage: { type: String, default: '' }, // set by POST /user/avatar
+  avatarKeys: { type: [String], default: [] }, // storage keys of every size
 
   // MARK IF PROFILE IS COMPLETED
   profileCompleted: { type: Boolean, default: false },
 
   // PURCHASE HISTORY (used for access control)
-  orders: { type: Array, default: [] },
+  orders: { type: Array, default: [] }, // Legacy: course access lives in Enrollment
   testimonials: { type: Array, default: [] },
 
-  // COURSE PROGRESS (NEW)
-  coursesProgress: {
-    type: [
-      {
-        courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Courses' },
-        topics: [
-          {
-            topicId: { type: mongoose.Schema.Types.ObjectId },
-            percent: { type: Number, default: 0 }, // 0–100
-            lastSeenAt: { type: Date },
-            lastImageIndex: { type: Number, default: 0 }, // bookmark for page
-          },
-        ],
-        updatedAt: { type: Date, default: Date.now },
-      },
-    ],
-    default: [],
-  },
-
-  // NOTES TAKEN BY USER (NEW)
-  notes: {
-    type: [
-      {
-        courseId: { type: mongoose.Schema.Types.ObjectId, ref: 'Courses' },
-        topicId: { type: mongoose.Schema.Types.ObjectId },
-        imageIndex: { type: Number }, // page index
-        note: { type: String }, // text user saved
-        createdAt: { type: Date, default: Date.now },
-        updatedAt: { type: Date, default: Date.now },
-      },
-    ],
-    default: [],
-  },
+  // Reading progress and notes live in CourseProgress and Note; older
+  // documents may still carry them embedded until
+  // scripts/migrateProgressAndNotes.js has run
 
   createdAt: { type: Date, default: Date.now },
   updatedAt: { type: Date, default: Date.now },
@@ -1,5 +1,6 @@
 const express = require('express');
 const cors = require('cors');
+const cookieParser = require('cookie-parser');
 const connectMongo = require('./DB');
 require('dotenv').config();
 
@@ -10,15 +11,29 @@ const Courses = require('./Model/course');
 // Routes
 const profileRoutes = require('./routes/profile');
 const courseRoutes = require('./routes/courses');
+const noteRoutes = require('./routes/notes');
+const bookmarkRoutes = require('./routes/bookmarks');
 const googleAuthRoutes = require('./routes/auth/googleAuth');
 const authRoutes = require('./routes/auth'); // YOUR LOGIN / REGISTER ROUTES
+const apiV1Routes = require('./routes.js'); // Orders, payments, coupons, etc.
+const mediaRoutes = require('./routes/media'); // Signed course page images
+const { startIngestWorker } = require('./services/ingestJobs');
+const { checkGatewayConfig } = require('./services/gateways');
+const { checkMailConfig } = require('./services/mailer');
 
 const app = express();
 
 /* -----------------------------------------------------
    1️⃣  CORS CONFIGURATION (Render Backend <-> Netlify Frontend)
 ----------------------------------------------------- */
-app.use(express.json());
+// Keep the raw body around: payment webhooks are signed over the exact bytes
+app.use(
+  express.json({
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
+  })
+);
 
 const allowedOrigins = [
   'http://localhost:5173',
@@ -51,6 +66,7 @@ app.options('/', cors());
 
 app.use(express.json());
 app.use(express.urlencoded({ extended: true }));
+app.use(cookieParser());
 
 /* -----------------------------------------------------
    3️⃣  HEALTH CHECK ROUTES
@@ -84,6 +100,18 @@ app.use('/user', profileRoutes);
 // Courses
 app.use('/courses', courseRoutes);
 
+// Notes across all courses
+app.use('/notes', noteRoutes);
+
+// Bookmarks and resume points across all courses
+app.use('/bookmarks', bookmarkRoutes);
+
+// Commerce & catalog (admin-gated mutations)
+app.use('/api/v1', apiV1Routes);
+
+// Course page images (signed URLs only)
+app.use('/media', mediaRoutes);
+
 /* -----------------------------------------------------
    5️⃣  DEFAULT ROOT (OPTIONAL)
 ----------------------------------------------------- */
@@ -92,7 +120,16 @@ app.get('/', (req, res) => {
   res.json({
     success: true,
     message: 'Backend Root Running',
-    routes: ['/api/auth', '/auth/google', '/user', '/courses'],
+    routes: [
+      '/api/auth',
+      '/auth/google',
+      '/user',
+      '/courses',
+      '/notes',
+      '/bookmarks',
+      '/api/v1',
+      '/media',
+    ],
   });
 });
 
@@ -102,9 +139,17 @@ app.get('/', (req, res) => {
 
 async function startServer() {
   try {
+    console.log(`💳 Payment gateway: ${checkGatewayConfig()}`);
+    console.log(`📧 Mail transport: ${checkMailConfig()}`);
+
     await connectMongo();
     console.log('✅ MongoDB Connected');
 
+    // Background PDF imports (course authoring)
+    startIngestWorker().catch((err) =>
+      console.error('❌ Could not start PDF import worker:', err)
+    );
+
     const PORT = process.env.PORT || 3000;
 
     app.listen(PORT, '0.0.0.0', () => {
@@ -117,6 +162,9 @@ async function startServer() {
   }
 }
 
-startServer();
+// Tests require the app without starting the server
+if (require.main === module) {
+  startServer();
+}
 
 module.exports = app;
@@ -1,20 +1,73 @@
+const crypto = require('crypto');
 const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
 const Users = require('../Model/user');
+const Session = require('../Model/session');
 
-// Generate JWT token
-const generateToken = (userId, role = 'user') => {
+const CSRF_HEADER = 'x-csrf-token';
+const SAFE_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+// Generate a short-lived access token; `sid` ties it to its refresh Session
+const generateToken = (userId, role = 'user', sessionId = null) => {
     return jwt.sign(
-        { userId, role },
+        { userId, role, sid: sessionId ? String(sessionId) : null },
         process.env.JWT_SECRET,
-        { expiresIn: process.env.JWT_EXPIRES_IN || '24h' }
+        { expiresIn: process.env.JWT_EXPIRES_IN || '15m' }
+    );
+};
+
+// CSRF token for a session. The frontend is on another site and can't read
+// our cookies, so it gets this from the login/refresh/verify responses and
+// echoes it in the X-CSRF-Token header.
+const generateCsrfToken = (sessionId) => {
+    return crypto
+        .createHmac('sha256', process.env.CSRF_SECRET || process.env.JWT_SECRET)
+        .update(`csrf:${sessionId}`)
+        .digest('hex');
+};
+
+// Bearer header first, then the httpOnly `token` cookie set at login
+const readAccessToken = (req) => {
+    const authHeader = req.headers.authorization;
+    const bearer = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+    if (bearer) return { token: bearer, fromCookie: false };
+
+    const cookie = req.cookies && req.cookies.token;
+    return { token: cookie || null, fromCookie: !!cookie };
+};
+
+// Cookies are sent automatically, so a cookie-authenticated write must also
+// prove it came from our frontend. Header tokens can't be forged cross-site.
+const passesCsrfCheck = (req, decoded, fromCookie) => {
+    if (!fromCookie || SAFE_METHODS.includes(req.method)) return true;
+
+    const provided = req.get(CSRF_HEADER);
+    if (!provided || !decoded.sid) return false;
+
+    // Lengths in bytes: timingSafeEqual throws when they differ
+    const providedBytes = Buffer.from(provided);
+    const expectedBytes = Buffer.from(generateCsrfToken(decoded.sid));
+    return (
+        providedBytes.length === expectedBytes.length &&
+        crypto.timingSafeEqual(providedBytes, expectedBytes)
     );
 };
 
+// An access token outlives a logout or revocation, so the Session it was
+// issued for must still be live for it to be accepted
+const hasLiveSession = (decoded) =>
+    mongoose.isValidObjectId(decoded.sid) &&
+    Session.exists({
+        _id: decoded.sid,
+        userId: decoded.userId,
+        revokedAt: null,
+        expiresAt: { $gt: new Date() }
+    }).then(Boolean);
+
 // Verify JWT token middleware
 const authenticateToken = async (req, res, next) => {
     try {
-        const authHeader = req.headers.authorization;
-        const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+        const { token, fromCookie } = readAccessToken(req);
 
         if (!token) {
             return res.status(401).json({
@@ -24,7 +77,21 @@ const authenticateToken = async (req, res, next) => {
         }
 
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        if (!passesCsrfCheck(req, decoded, fromCookie)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Invalid CSRF token'
+            });
+        }
         
+        if (!(await hasLiveSession(decoded))) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session expired or signed out'
+            });
+        }
+
         // Get user from database to ensure they still exist
         const user = await Users.findById(decoded.userId).select('-passwordHash');
         
@@ -36,6 +103,7 @@ const authenticateToken = async (req, res, next) => {
         }
 
         req.user = user;
+        req.sessionId = decoded.sid || null;
         next();
     } catch (error) {
         if (error.name === 'TokenExpiredError') {
@@ -63,14 +131,17 @@ const authenticateToken = async (req, res, next) => {
 // Optional authentication - doesn't fail if no token provided
 const optionalAuth = async (req, res, next) => {
     try {
-        const authHeader = req.headers.authorization;
-        const token = authHeader && authHeader.split(' ')[1];
+        const { token, fromCookie } = readAccessToken(req);
 
         if (token) {
             const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            const user = await Users.findById(decoded.userId).select('-passwordHash');
+            const user =
+                passesCsrfCheck(req, decoded, fromCookie) && (await hasLiveSession(decoded))
+                    ? await Users.findById(decoded.userId).select('-passwordHash')
+                    : null;
             if (user) {
                 req.user = user;
+                req.sessionId = decoded.sid || null;
             }
         }
         
@@ -127,6 +198,7 @@ const requireOwnershipOrAdmin = (resourceIdParam = 'id') => {
 
 module.exports = {
     generateToken,
+    generateCsrfToken,
     authenticateToken,
     optionalAuth,
     requireAdmin,
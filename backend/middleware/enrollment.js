@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const Enrollment = require('../Model/enrollment');
+
+// Look up the caller's enrollment for req.params[courseIdParam]. Sets
+// req.enrollment (or null) and req.hasCourseAccess; admins always have access.
+// Must run after authenticateToken.
+const loadEnrollment = (courseIdParam = 'courseId') => {
+    return async (req, res, next) => {
+        try {
+            const courseId = req.params[courseIdParam];
+            if (!mongoose.isValidObjectId(courseId)) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Course not found'
+                });
+            }
+
+            req.enrollment = await Enrollment.findActive(req.user._id, courseId);
+            req.hasCourseAccess = !!req.enrollment || req.user.role === 'admin';
+            next();
+        } catch (error) {
+            console.error('Enrollment check error:', error);
+            return res.status(500).json({
+                success: false,
+                message: 'Server error'
+            });
+        }
+    };
+};
+
+// Reject callers who aren't enrolled in the course
+const requireEnrollment = (courseIdParam = 'courseId') => {
+    const load = loadEnrollment(courseIdParam);
+    return (req, res, next) => {
+        load(req, res, () => {
+            if (!req.hasCourseAccess) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'You are not enrolled in this course'
+                });
+            }
+            next();
+        });
+    };
+};
+
+module.exports = {
+    loadEnrollment,
+    requireEnrollment
+};
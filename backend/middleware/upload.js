@@ -0,0 +1,106 @@
+const fs = require('fs');
+const multer = require('multer');
+
+const IMAGE_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const PDF_TYPES = ['application/pdf'];
+
+// The declared MIME type is whatever the client says, so each accepted type
+// is also checked against the file's first bytes
+const SIGNATURES = {
+    'image/jpeg': (head) => head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff,
+    'image/png': (head) =>
+        head.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])),
+    'image/webp': (head) =>
+        head.toString('latin1', 0, 4) === 'RIFF' && head.toString('latin1', 8, 12) === 'WEBP',
+    'application/pdf': (head) => head.toString('latin1', 0, 5) === '%PDF-'
+};
+
+const HEAD_BYTES = 16;
+
+const readHead = (file) => {
+    if (file.buffer) return file.buffer.subarray(0, HEAD_BYTES);
+    const head = Buffer.alloc(HEAD_BYTES);
+    const fd = fs.openSync(file.path, 'r');
+    try {
+        fs.readSync(fd, head, 0, HEAD_BYTES, 0);
+    } finally {
+        fs.closeSync(fd);
+    }
+    return head;
+};
+
+const uploadedFiles = (req) => (req.file ? [req.file] : req.files || []);
+
+const reject = (res, status, message) =>
+    res.status(status).json({ success: false, message });
+
+const formatSize = (bytes) => `${Math.round(bytes / 1024 / 1024)} MB`;
+
+/**
+ * Accept multipart file uploads on `field`. Files whose type is not in
+ * `types` (by MIME type and content) get a 415, oversized ones a 413.
+ *
+ * Files are kept in memory (`req.file.buffer`) unless `dest` is given, in
+ * which case they are written there (`req.file.path`) and deleted again if
+ * the request ends in an error.
+ */
+const acceptUpload = ({ field, types, maxBytes, maxFiles = 1, dest }) => {
+    const names = types.map((type) => type.split('/')[1].toUpperCase());
+    const allowed = names.length > 1
+        ? `${names.slice(0, -1).join(', ')} or ${names[names.length - 1]}`
+        : names[0];
+    const handler = multer({
+        storage: dest
+            ? multer.diskStorage({
+                destination: (req, file, cb) =>
+                    fs.mkdir(dest, { recursive: true }, (err) => cb(err, dest))
+            })
+            : multer.memoryStorage(),
+        limits: { fileSize: maxBytes, files: maxFiles },
+        fileFilter: (req, file, cb) => {
+            if (types.includes(file.mimetype)) return cb(null, true);
+            const err = new Error(`${file.originalname} is not a ${allowed} file`);
+            err.code = 'UNSUPPORTED_TYPE';
+            cb(err);
+        }
+    });
+    const parse = maxFiles > 1 ? handler.array(field, maxFiles) : handler.single(field);
+
+    return (req, res, next) => {
+        if (dest) {
+            res.on('finish', () => {
+                if (res.statusCode < 400) return;
+                uploadedFiles(req).forEach((file) => fs.rm(file.path, { force: true }, () => {}));
+            });
+        }
+
+        parse(req, res, (err) => {
+            if (err) {
+                if (err.code === 'UNSUPPORTED_TYPE') return reject(res, 415, err.message);
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return reject(res, 413, `Files must be ${formatSize(maxBytes)} or smaller`);
+                }
+                if (err.code === 'LIMIT_FILE_COUNT' || err.code === 'LIMIT_UNEXPECTED_FILE') {
+                    return reject(res, 400, `Upload at most ${maxFiles} file(s) in "${field}"`);
+                }
+                return reject(res, 400, err.message);
+            }
+
+            try {
+                const mismatch = uploadedFiles(req).find((file) => !SIGNATURES[file.mimetype](readHead(file)));
+                if (mismatch) {
+                    return reject(res, 415, `${mismatch.originalname} is not a valid ${allowed} file`);
+                }
+            } catch (readErr) {
+                return next(readErr);
+            }
+            next();
+        });
+    };
+};
+
+module.exports = {
+    IMAGE_TYPES,
+    PDF_TYPES,
+    acceptUpload
+};
@@ -1,5 +1,21 @@
 const Joi = require('joi');
 
+// Multipart forms can only carry text, so array fields arrive as JSON
+const JsonJoi = Joi.extend((joi) => ({
+    type: 'array',
+    base: joi.array(),
+    coerce: {
+        from: 'string',
+        method(value) {
+            try {
+                return { value: JSON.parse(value) };
+            } catch {
+                return { value };
+            }
+        }
+    }
+}));
+
 // User validation schemas
 const userRegistrationSchema = Joi.object({
     name: Joi.string().min(2).max(50).required().trim(),
@@ -8,8 +24,8 @@ const userRegistrationSchema = Joi.object({
         .messages({
             'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
         }),
-    phone: Joi.string().pattern(/^[0-9]{10}$/).optional(),
-    role: Joi.string().valid('user', 'admin').default('user')
+    phone: Joi.string().pattern(/^[0-9]{10}$/).optional()
+    // No role: everyone signs up as a user; admin is only ever set in the database
 });
 
 const userLoginSchema = Joi.object({
@@ -28,6 +44,29 @@ const userUpdateSchema = Joi.object({
     role: Joi.string().valid('user', 'admin').optional()
 });
 
+const forgotPasswordSchema = Joi.object({
+    email: Joi.string().email().required().lowercase().trim()
+});
+
+const resetPasswordSchema = Joi.object({
+    token: Joi.string().hex().length(64).required()
+        .messages({ 'string.length': 'Invalid reset token', 'string.hex': 'Invalid reset token' }),
+    password: Joi.string().min(8).pattern(new RegExp('^(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#\$%\^&\*])')).required()
+        .messages({
+            'string.pattern.base': 'Password must contain at least one lowercase letter, one uppercase letter, one number, and one special character'
+        })
+});
+
+const sendOtpSchema = Joi.object({
+    email: Joi.string().email().optional().lowercase().trim()
+});
+
+const verifyOtpSchema = Joi.object({
+    otp: Joi.string().pattern(/^[0-9]{6}$/).required()
+        .messages({ 'string.pattern.base': 'OTP must be 6 digits' }),
+    email: Joi.string().email().optional().lowercase().trim()
+});
+
 // Course validation schemas
 const courseSchema = Joi.object({
     title: Joi.string().min(3).max(200).required().trim(),
@@ -47,12 +86,114 @@ const orderSchema = Joi.object({
     phone: Joi.string().pattern(/^[0-9]{10}$/).optional(),
     totalAmount: Joi.number().positive().required(),
     currency: Joi.string().valid('INR', 'USD').default('INR'),
-    status: Joi.string().valid('created', 'pending_payment', 'paid', 'failed', 'refunded').default('created'),
+    status: Joi.string().valid('created', 'pending_payment', 'paid', 'partially_refunded', 'failed', 'refunded').default('created'),
     couponId: Joi.string().optional(),
     paymentId: Joi.string().optional(),
     userId: Joi.string().optional()
 });
 
+// Checkout validation schemas
+const checkoutSchema = Joi.object({
+    courseId: Joi.string().required().trim(),
+    couponCode: Joi.string().trim().uppercase().allow('').optional()
+});
+
+const paymentVerificationSchema = Joi.object({
+    gatewayOrderId: Joi.string().required().trim(),
+    gatewayPaymentId: Joi.string().required().trim(),
+    signature: Joi.string().required().trim()
+});
+
+// Leaving out amount refunds everything not refunded yet
+const refundSchema = Joi.object({
+    amount: Joi.number().positive().precision(2).optional(),
+    reason: Joi.string().trim().min(3).max(500).required()
+});
+
+const enrollmentGrantSchema = Joi.object({
+    userId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    courseId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    expiresAt: Joi.date().iso().allow(null).optional()
+});
+
+// Course authoring
+const topicSchema = Joi.object({
+    title: Joi.string().trim().min(1).max(200).required(),
+    position: Joi.number().integer().min(0).optional()
+});
+
+const topicOrderSchema = Joi.object({
+    topicIds: Joi.array().items(Joi.string().pattern(/^[0-9a-fA-F]{24}$/)).required()
+});
+
+const imageOrderSchema = Joi.object({
+    keys: Joi.array().items(Joi.string().trim()).required()
+});
+
+// Reading progress: page views queued by the reader, sent in batches. A
+// resent batch carries the same batchId so its time isn't counted twice
+const progressBatchSchema = Joi.object({
+    batchId: Joi.string().trim().max(64).optional(),
+    topics: Joi.array().items(Joi.object({
+        topicId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+        pages: Joi.array().items(Joi.number().integer().min(0)).max(5000).default([]),
+        timeSpentSeconds: Joi.number().min(0).default(0),
+        completed: Joi.boolean().default(false)
+    })).min(1).max(500).required()
+});
+
+// Notes on course pages. rect is the highlighted area as fractions of the
+// page image; a note needs text, a highlight or both (checked in services/notes)
+const noteRectSchema = Joi.object({
+    x: Joi.number().min(0).max(1).required(),
+    y: Joi.number().min(0).max(1).required(),
+    width: Joi.number().greater(0).max(1).required(),
+    height: Joi.number().greater(0).max(1).required()
+});
+
+const noteFields = {
+    note: Joi.string().trim().max(5000).allow(''),
+    rect: noteRectSchema.allow(null),
+    tags: Joi.array().items(Joi.string().trim().lowercase().min(1).max(30)).max(10).unique(),
+    color: Joi.string().valid('yellow', 'green', 'blue', 'pink', 'purple')
+};
+
+const noteSchema = Joi.object(noteFields);
+
+const noteUpdateSchema = Joi.object(noteFields).min(1);
+
+const noteSearchSchema = Joi.object({
+    q: Joi.string().trim().max(200).allow('').optional(),
+    tag: Joi.string().trim().lowercase().max(30).optional(),
+    courseId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional(),
+    limit: Joi.number().integer().min(1).max(200).default(50)
+});
+
+const noteExportSchema = Joi.object({
+    format: Joi.string().valid('md', 'pdf', 'csv').default('md')
+});
+
+const bookmarkSchema = Joi.object({
+    topicId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required(),
+    imageIndex: Joi.number().integer().min(0).required(),
+    label: Joi.string().trim().max(100).allow('').default('')
+});
+
+const bookmarkListSchema = Joi.object({
+    courseId: Joi.string().pattern(/^[0-9a-fA-F]{24}$/).optional()
+});
+
+// PDF import options (multipart fields alongside the uploaded file). The
+// manual split is only used when the PDF has no bookmarks.
+const pdfIngestSchema = Joi.object({
+    sections: JsonJoi.array().items(Joi.object({
+        title: Joi.string().min(1).max(200).required().trim(),
+        startPage: Joi.number().integer().min(1).required()
+    })).min(1).optional(),
+    pagesPerTopic: Joi.number().integer().min(1).optional(),
+    replaceExisting: Joi.boolean().default(false)
+});
+
 // MongoDB ObjectId validation
 const objectIdSchema = Joi.string().pattern(/^[0-9a-fA-F]{24}$/).required().messages({
     'string.pattern.base': 'Invalid ID format'
@@ -96,7 +237,8 @@ const validateParams = (schema) => {
     };
 };
 
-// Validate query parameters
+// Validate query parameters. Express 5's req.query is a read-only getter, so
+// the validated (trimmed, defaulted, converted) values go on req.validatedQuery
 const validateQuery = (schema) => {
     return (req, res, next) => {
         const { error, value } = schema.validate(req.query);
@@ -110,7 +252,7 @@ const validateQuery = (schema) => {
             });
         }
         
-        req.query = value;
+        req.validatedQuery = value;
         next();
     };
 };
@@ -122,7 +264,26 @@ module.exports = {
     userRegistrationSchema,
     userLoginSchema,
     userUpdateSchema,
+    forgotPasswordSchema,
+    resetPasswordSchema,
+    sendOtpSchema,
+    verifyOtpSchema,
     courseSchema,
     orderSchema,
+    checkoutSchema,
+    paymentVerificationSchema,
+    refundSchema,
+    enrollmentGrantSchema,
+    topicSchema,
+    topicOrderSchema,
+    imageOrderSchema,
+    progressBatchSchema,
+    noteSchema,
+    noteUpdateSchema,
+    noteSearchSchema,
+    noteExportSchema,
+    bookmarkSchema,
+    bookmarkListSchema,
+    pdfIngestSchema,
     objectIdSchema
 };
\ No newline at end of file
@@ -2,12 +2,28 @@ const express = require('express');
 const bcrypt = require('bcryptjs');
 const rateLimit = require('express-rate-limit');
 const Users = require('../Model/user');
-const { generateToken } = require('../middleware/auth');
+const {
+  authenticateToken,
+  generateCsrfToken,
+} = require('../middleware/auth');
 const {
   validate,
   userRegistrationSchema,
   userLoginSchema,
+  forgotPasswordSchema,
+  resetPasswordSchema,
+  sendOtpSchema,
+  verifyOtpSchema,
 } = require('../middleware/validation');
+const passwordReset = require('../services/passwordReset');
+const emailOtp = require('../services/emailOtp');
+const sessions = require('../services/sessions');
+const {
+  readRefreshToken,
+  clearAuthCookies,
+  sendAuthSuccess,
+  sendRefreshed,
+} = require('../services/authSession');
 
 const router = express.Router();
 
@@ -21,6 +37,21 @@ const authLimiter = rateLimit({
   },
   standardHeaders: true,
   legacyHeaders: false,
+  skip: () => process.env.NODE_ENV === 'test',
+});
+
+// OTP endpoints are limited per account rather than per IP
+const otpLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 10, // sends + verification attempts per window
+  keyGenerator: (req) => String(req.user._id),
+  message: {
+    success: false,
+    message: 'Too many verification attempts, please try again later',
+  },
+  standardHeaders: true,
+  legacyHeaders: false,
+  skip: () => process.env.NODE_ENV === 'test',
 });
 
 // Register endpoint
@@ -30,7 +61,7 @@ router.post(
   validate(userRegistrationSchema),
   async (req, res) => {
     try {
-      const { name, email, password, phone, role } = req.body;
+      const { name, email, password, phone } = req.body;
 
       // Check if user already exists
       const existingUser = await Users.findOne({ email });
@@ -51,7 +82,7 @@ router.post(
         email,
         passwordHash,
         phone,
-        role: role || 'user',
+        role: 'user',
         createdAt: new Date(),
         updatedAt: new Date(),
         orders: [],
@@ -61,26 +92,9 @@ router.post(
       const user = new Users(userData);
       await user.save();
 
-      // Generate token
-      const token = generateToken(user._id, user.role);
-
-      // Remove sensitive data from response
-      const userResponse = user.toObject();
-      delete userResponse.passwordHash;
-
-      res.cookie('token', token, {
-        httpOnly: true,
-        secure: true,
-        sameSite: 'none',
-      });
-
-      res.status(201).json({
-        success: true,
+      await sendAuthSuccess(req, res, user, {
+        status: 201,
         message: 'User registered successfully',
-        data: {
-          user: userResponse,
-          token,
-        },
       });
     } catch (error) {
       console.error('Registration error:', error);
@@ -123,8 +137,10 @@ router.post(
         });
       }
 
-      // Verify password
-      const isPasswordValid = await bcrypt.compare(password, user.passwordHash);
+      // Verify password (Google-only accounts have none)
+      const isPasswordValid =
+        !!user.passwordHash &&
+        (await bcrypt.compare(password, user.passwordHash));
       if (!isPasswordValid) {
         return res.status(401).json({
           success: false,
@@ -132,27 +148,7 @@ router.post(
         });
       }
 
-      // Generate token
-      const token = generateToken(user._id, user.role);
-
-      // Remove sensitive data from response
-      const userResponse = user.toObject();
-      delete userResponse.passwordHash;
-
-      res.cookie('token', token, {
-        httpOnly: true,
-        secure: true,
-        sameSite: 'none',
-      });
-
-      res.json({
-        success: true,
-        message: 'Login successful',
-        data: {
-          user: userResponse,
-          token,
-        },
-      });
+      await sendAuthSuccess(req, res, user, { message: 'Login successful' });
     } catch (error) {
       console.error('Login error:', error);
       res.status(500).json({
@@ -167,58 +163,69 @@ router.post(
   }
 );
 
-// Logout endpoint (client-side token removal, but server can blacklist if needed)
-router.post('/logout', (req, res) => {
-  res.json({
-    success: true,
-    message: 'Logout successful. Please remove the token from client storage.',
-  });
-});
-
-// Forgot password endpoint
-router.post('/forgot-password', authLimiter, async (req, res) => {
+// Exchange the refresh cookie for a new access token (rotates the refresh token)
+router.post('/refresh', async (req, res) => {
   try {
-    const { email } = req.body;
-
-    if (!email) {
-      return res.status(400).json({
+    await sendRefreshed(req, res);
+  } catch (error) {
+    if (error.status) {
+      clearAuthCookies(res);
+      return res.status(error.status).json({
         success: false,
-        message: 'Email is required',
+        message: error.message,
       });
     }
 
-    // Check if user exists
-    const user = await Users.findOne({ email });
-    if (!user) {
-      // For security reasons, don't reveal that the email doesn't exist
-      return res.json({
-        success: true,
-        message:
-          'If an account with that email exists, a password reset link has been sent.',
-      });
-    }
+    console.error('Refresh error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to refresh session',
+      error:
+        process.env.NODE_ENV === 'development'
+          ? error.message
+          : 'Internal server error',
+    });
+  }
+});
 
-    // In a real application, you would:
-    // 1. Generate a reset token
-    // 2. Save it to the database with expiration
-    // 3. Send email with reset link
+// Logout endpoint: revokes this device's session and clears the cookies
+router.post('/logout', async (req, res) => {
+  try {
+    await sessions.endSession(readRefreshToken(req));
+    clearAuthCookies(res);
 
-    // For now, we'll just simulate the process
-    console.log(`Password reset requested for: ${email}`);
+    res.json({
+      success: true,
+      message: 'Logout successful',
+    });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Logout failed',
+      error:
+        process.env.NODE_ENV === 'development'
+          ? error.message
+          : 'Internal server error',
+    });
+  }
+});
 
-    // TODO: Implement actual email sending logic here
-    // You can use nodemailer, SendGrid, or similar service
+// Sign out of all devices, including this one
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    await sessions.revokeAllForUser(req.user._id);
+    clearAuthCookies(res);
 
     res.json({
       success: true,
-      message:
-        'If an account with that email exists, a password reset link has been sent.',
+      message: 'Signed out of all devices',
     });
   } catch (error) {
-    console.error('Forgot password error:', error);
+    console.error('Logout all error:', error);
     res.status(500).json({
       success: false,
-      message: 'Failed to process password reset request',
+      message: 'Failed to sign out of all devices',
       error:
         process.env.NODE_ENV === 'development'
           ? error.message
@@ -227,16 +234,207 @@ router.post('/forgot-password', authLimiter, async (req, res) => {
   }
 });
 
-// Verify token endpoint
+// Active sessions (devices) for the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const list = await sessions.listSessions(req.user._id, req.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Sessions retrieved successfully',
+      data: { sessions: list },
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to load sessions',
+      error:
+        process.env.NODE_ENV === 'development'
+          ? error.message
+          : 'Internal server error',
+    });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:sessionId', authenticateToken, async (req, res) => {
+  try {
+    await sessions.revokeUserSession(req.user._id, req.params.sessionId);
+
+    res.json({
+      success: true,
+      message: 'Session revoked',
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message,
+      });
+    }
+
+    console.error('Revoke session error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session',
+      error:
+        process.env.NODE_ENV === 'development'
+          ? error.message
+          : 'Internal server error',
+    });
+  }
+});
+
+const RESET_REQUESTED_MESSAGE =
+  'If an account with that email exists, a password reset link has been sent.';
+
+// Forgot password endpoint
+router.post(
+  '/forgot-password',
+  authLimiter,
+  validate(forgotPasswordSchema),
+  async (req, res) => {
+    try {
+      // Same response whether or not the email exists, so it can't be probed
+      await passwordReset.requestReset(req.body.email, { ip: req.ip });
+
+      res.json({
+        success: true,
+        message: RESET_REQUESTED_MESSAGE,
+      });
+    } catch (error) {
+      console.error('Forgot password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to process password reset request',
+        error:
+          process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Internal server error',
+      });
+    }
+  }
+);
+
+// Reset password endpoint (consumes the emailed link)
+router.post(
+  '/reset-password',
+  authLimiter,
+  validate(resetPasswordSchema),
+  async (req, res) => {
+    try {
+      const { token, password } = req.body;
+      await passwordReset.resetPassword(token, password);
+
+      res.json({
+        success: true,
+        message: 'Password has been reset. You can now log in.',
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Reset password error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to reset password',
+        error:
+          process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Internal server error',
+      });
+    }
+  }
+);
+
+// Send an email OTP: verifies the current address, or a new one to change to
+router.post(
+  '/send-otp',
+  authenticateToken,
+  otpLimiter,
+  validate(sendOtpSchema),
+  async (req, res) => {
+    try {
+      const { email, expiresAt } = await emailOtp.sendOtp(req.user, req.body);
+
+      res.json({
+        success: true,
+        message: `A verification code has been sent to ${email}`,
+        data: { email, expiresAt },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Send OTP error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to send verification code',
+        error:
+          process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Internal server error',
+      });
+    }
+  }
+);
+
+// Confirm an email OTP; applies a pending email change
+router.post(
+  '/verify-otp',
+  authenticateToken,
+  otpLimiter,
+  validate(verifyOtpSchema),
+  async (req, res) => {
+    try {
+      const user = await emailOtp.verifyOtp(req.user, req.body);
+
+      res.json({
+        success: true,
+        message: 'Email verified successfully',
+        data: { user },
+      });
+    } catch (error) {
+      if (error.status) {
+        return res.status(error.status).json({
+          success: false,
+          message: error.message,
+        });
+      }
+
+      console.error('Verify OTP error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Failed to verify code',
+        error:
+          process.env.NODE_ENV === 'development'
+            ? error.message
+            : 'Internal server error',
+      });
+    }
+  }
+);
+
+// Verify token endpoint; also hands a reloaded frontend its CSRF token
 router.get(
   '/verify',
-  require('../middleware/auth').authenticateToken,
+  authenticateToken,
   (req, res) => {
     res.json({
       success: true,
       message: 'Token is valid',
       data: {
         user: req.user,
+        csrfToken: req.sessionId ? generateCsrfToken(req.sessionId) : null,
       },
     });
   }
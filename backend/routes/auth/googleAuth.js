@@ -1,89 +1,116 @@
 const express = require('express');
 const { OAuth2Client } = require('google-auth-library');
-const jwt = require('jsonwebtoken');
 const User = require('../../Model/user.js');
+const { sendAuthSuccess } = require('../../services/authSession');
+const sessions = require('../../services/sessions');
+const { httpError } = require('../../utils/httpError');
 
 const router = express.Router();
 const client = new OAuth2Client(process.env.GOOGLE_CLIENT_ID);
 
-// POST /auth/google
-router.post('/', async (req, res) => {
+// Verify a Google Identity Services ID token; the signature, issuer, expiry
+// and audience are all checked against Google's published keys
+const verifyCredential = async (credential) => {
+  let payload;
   try {
-    console.log('🔐 Google auth endpoint hit!');
-    const { token, userInfo } = req.body;
-
-    if (!token) {
-      return res.status(400).json({ error: 'Token is required' });
-    }
+    const ticket = await client.verifyIdToken({
+      idToken: credential,
+      audience: process.env.GOOGLE_CLIENT_ID,
+    });
+    payload = ticket.getPayload();
+  } catch (err) {
+    throw httpError(401, 'Invalid Google credential');
+  }
 
-    let userData;
+  if (!payload || !payload.email || !payload.email_verified) {
+    throw httpError(401, 'Google account email is not verified');
+  }
+  return payload;
+};
 
-    if (userInfo) {
-      // If user info is sent from frontend, use it directly
-      userData = userInfo;
-    } else {
-      // Otherwise, fetch user info using the access token
-      const userInfoResponse = await fetch(
-        'https://www.googleapis.com/oauth2/v3/userinfo',
-        {
-          headers: { Authorization: `Bearer ${token}` },
-        }
-      );
+/**
+ * Find the account for a verified Google profile, linking it to an existing
+ * account with the same email (Google has verified the address) or creating
+ * a new one.
+ *
+ * An existing account whose email was never verified may have been signed up
+ * by someone else with this address, so linking it drops its password and
+ * signs out its sessions: only the Google account can get in afterwards.
+ */
+const findOrLinkUser = async ({ sub, email, name, picture }) => {
+  const normalizedEmail = email.toLowerCase().trim();
 
-      if (!userInfoResponse.ok) {
-        throw new Error('Failed to fetch user info from Google');
-      }
+  let user = await User.findOne({ googleId: sub });
+  if (!user) user = await User.findOne({ email: normalizedEmail });
 
-      userData = await userInfoResponse.json();
-    }
+  if (!user) {
+    const created = await User.create({
+      email: normalizedEmail,
+      name,
+      picture,
+      provider: 'google',
+      googleId: sub,
+      emailVerified: true,
+      emailVerifiedAt: new Date(),
+    });
+    console.log('✅ New Google user created:', created._id);
+    return created;
+  }
 
-    const { email, name, picture, sub } = userData;
+  if (user.googleId && user.googleId !== sub) {
+    throw httpError(409, 'This email is linked to a different Google account');
+  }
 
-    console.log('👤 Google user:', { email, name });
+  user.googleId = sub;
+  if (!user.picture && picture) user.picture = picture;
+  if (!user.name && name) user.name = name;
+  const unverified = !user.emailVerified;
+  if (unverified) {
+    user.emailVerified = true;
+    user.emailVerifiedAt = new Date();
+    user.passwordHash = null;
+    user.provider = 'google';
+  }
+  user.updatedAt = new Date();
+  await user.save();
+  if (unverified) await sessions.revokeAllForUser(user._id, 'account_linked');
+  console.log('✅ Google account linked to user:', user._id);
+  return user;
+};
 
-    // Check if user exists → if not, create
-    let user = await User.findOne({ email });
+// POST /auth/google
+router.post('/', async (req, res) => {
+  try {
+    console.log('🔐 Google auth endpoint hit!');
+    const { credential } = req.body;
 
-    if (!user) {
-      user = await User.create({
-        email,
-        name,
-        picture,
-        provider: 'google',
-        googleId: sub, // Store Google ID
+    if (!credential) {
+      return res.status(400).json({
+        success: false,
+        message: 'Google credential is required',
       });
-      console.log('✅ New user created:', user._id);
-    } else {
-      console.log('✅ Existing user found:', user._id);
     }
 
-    res.cookie('token', token, {
-      httpOnly: true,
-      secure: true,
-      sameSite: 'none',
-      domain: 'abdashboard.onrender.com',
-    });
+    const profile = await verifyCredential(credential);
+    console.log('👤 Google user:', { email: profile.email });
 
-    // Generate JWT for your app
-    const jwtToken = jwt.sign(
-      { id: user._id, email: user.email },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const user = await findOrLinkUser(profile);
 
-    res.json({
-      message: 'Login successful',
-      token: jwtToken,
-      user: {
-        id: user._id,
-        email: user.email,
-        name: user.name,
-        picture: user.picture,
-      },
+    // Same token, cookie and body as POST /api/auth/login
+    await sendAuthSuccess(req, res, user, { message: 'Login successful' });
+  } catch (error) {
+    console.error('❌ Google auth error:', error.message);
+    if (error.status) {
+      return res
+        .status(error.status)
+        .json({ success: false, message: error.message });
+    }
+    res.status(500).json({
+      success: false,
+      message: 'Google sign-in failed',
+      error:
+        process.env.NODE_ENV === 'development' ? error.message : undefined,
     });
-  } catch (err) {
-    console.error('❌ Google auth error:', err);
-    res.status(400).json({ error: 'Authentication failed' });
   }
 });
 
@@ -0,0 +1,30 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateQuery, bookmarkListSchema } = require('../middleware/validation');
+const bookmarks = require('../services/bookmarks');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// The caller's bookmarks across all courses, newest first
+router.get('/', authenticateToken, validateQuery(bookmarkListSchema), async (req, res) => {
+  try {
+    const list = await bookmarks.listBookmarks(req.user._id, req.validatedQuery);
+    res.json({ success: true, data: { bookmarks: list } });
+  } catch (err) {
+    sendError(res, err, 'List bookmarks error');
+  }
+});
+
+// The page to resume each course at, most recently read first (the
+// dashboard's "Continue learning" cards)
+router.get('/resume', authenticateToken, async (req, res) => {
+  try {
+    const resume = await bookmarks.continueLearning(req.user._id);
+    res.json({ success: true, data: { resume } });
+  } catch (err) {
+    sendError(res, err, 'List resume points error');
+  }
+});
+
+module.exports = router;
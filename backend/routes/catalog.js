@@ -0,0 +1,212 @@
+const express = require('express');
+const Courses = require('../Model/course');
+const {
+  authenticateToken,
+  requireAdmin,
+  optionalAuth,
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+// Page images are paid content: served only through signed URLs from
+// GET /courses/:courseId, never in the public catalog
+const PUBLIC_COURSE_FIELDS = '-topics.images';
+
+// Helper function to generate slug from title
+const generateSlug = (title) => {
+  return title
+    .toLowerCase()
+    .trim()
+    .replace(/[^\w\s-]/g, '') // Remove special characters
+    .replace(/[\s_-]+/g, '-') // Replace spaces and underscores with hyphens
+    .replace(/^-+|-+$/g, ''); // Remove leading/trailing hyphens
+};
+
+// Get all courses (admins can pass ?includeInactive=true)
+router.get('/', optionalAuth, async (req, res) => {
+  try {
+    console.log('🚀 Get all courses request');
+    const includeInactive =
+      req.query.includeInactive === 'true' && req.user?.role === 'admin';
+    const courses = await Courses.find(includeInactive ? {} : { isActive: true })
+      .select(PUBLIC_COURSE_FIELDS)
+      .sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${courses.length} active courses`);
+    res.status(200).json({
+      success: true,
+      message: 'Courses fetched successfully',
+      data: courses
+    });
+  } catch (err) {
+    console.error('❌ Get courses error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get course by slug
+router.get('/:slug', async (req, res) => {
+  try {
+    console.log('🚀 Get course by slug request:', req.params.slug);
+    const course = await Courses.findOne({ slug: req.params.slug, isActive: true })
+      .select(PUBLIC_COURSE_FIELDS);
+    
+    if (!course) {
+      console.log('❌ Course not found:', req.params.slug);
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+    
+    console.log('✅ Course found:', course._id);
+    res.status(200).json({
+      success: true,
+      message: 'Course fetched successfully',
+      data: course
+    });
+  } catch (err) {
+    console.error('❌ Get course error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Create new course
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Create course request:', req.body);
+    const { title, description, price, originalPrice } = req.body;
+
+    // Input validation
+    if (!title || !description || !price) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({
+        success: false,
+        message: 'Title, description, and price are required'
+      });
+    }
+
+    // Generate slug
+    const slug = generateSlug(title);
+    
+    // Check if slug already exists
+    const existingCourse = await Courses.findOne({ slug });
+    if (existingCourse) {
+      console.log('❌ Course with this slug already exists:', slug);
+      return res.status(409).json({
+        success: false,
+        message: 'Course with similar title already exists'
+      });
+    }
+
+    // Create new course
+    const newCourse = new Courses({
+      title,
+      slug,
+      description,
+      price: parseInt(price), // Ensure it's an integer
+      originalPrice: originalPrice ? parseInt(originalPrice) : null
+    });
+
+    const savedCourse = await newCourse.save();
+    console.log('✅ Course created successfully:', savedCourse._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Course created successfully',
+      data: savedCourse
+    });
+  } catch (err) {
+    console.error('❌ Create course error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Update course
+router.put('/:slug', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Update course request:', req.params.slug, req.body);
+    const { title, description, price, originalPrice, isActive } = req.body;
+
+    const course = await Courses.findOne({ slug: req.params.slug });
+    if (!course) {
+      console.log('❌ Course not found:', req.params.slug);
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Update fields
+    if (title) {
+      course.title = title;
+      course.slug = generateSlug(title);
+    }
+    if (description) course.description = description;
+    if (price) course.price = parseInt(price);
+    if (originalPrice !== undefined) course.originalPrice = originalPrice ? parseInt(originalPrice) : null;
+    if (isActive !== undefined) course.isActive = isActive;
+
+    const updatedCourse = await course.save();
+    console.log('✅ Course updated successfully:', updatedCourse._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Course updated successfully',
+      data: updatedCourse
+    });
+  } catch (err) {
+    console.error('❌ Update course error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Delete course (soft delete by setting isActive to false)
+router.delete('/:slug', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Delete course request:', req.params.slug);
+    
+    const course = await Courses.findOne({ slug: req.params.slug });
+    if (!course) {
+      console.log('❌ Course not found:', req.params.slug);
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    course.isActive = false;
+    await course.save();
+    
+    console.log('✅ Course deactivated successfully:', course._id);
+    res.status(200).json({
+      success: true,
+      message: 'Course deleted successfully'
+    });
+  } catch (err) {
+    console.error('❌ Delete course error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
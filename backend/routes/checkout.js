@@ -0,0 +1,117 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const {
+  validate,
+  checkoutSchema,
+  paymentVerificationSchema,
+} = require('../middleware/validation');
+const checkout = require('../services/checkout');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// Price a course (with an optional coupon) without creating anything
+router.post(
+  '/quote',
+  authenticateToken,
+  validate(checkoutSchema),
+  async (req, res) => {
+    try {
+      const quote = await checkout.quoteCourse({ ...req.body, user: req.user });
+      res.status(200).json({
+        success: true,
+        message: 'Quote calculated successfully',
+        data: {
+          course: {
+            _id: quote.course._id,
+            title: quote.course.title,
+            slug: quote.course.slug,
+          },
+          couponCode: quote.coupon ? quote.coupon.code : null,
+          subtotalAmount: quote.subtotalAmount,
+          discountAmount: quote.discountAmount,
+          totalAmount: quote.totalAmount,
+        },
+      });
+    } catch (err) {
+      sendError(res, err, 'Checkout quote error');
+    }
+  }
+);
+
+// Buy a course: creates Order + OrderItem + initiated Payment
+router.post('/', authenticateToken, validate(checkoutSchema), async (req, res) => {
+  try {
+    const { order, payment, course, checkout: gatewayCheckout } =
+      await checkout.buyCourse(
+      req.user,
+      req.body
+    );
+    console.log('✅ Checkout created order:', order.id);
+
+    res.status(201).json({
+      success: true,
+      message:
+        order.status === 'paid'
+          ? 'Order completed successfully'
+          : 'Order created successfully',
+      data: {
+        order,
+        payment,
+        course: { _id: course._id, title: course.title, slug: course.slug },
+        checkout: gatewayCheckout,
+      },
+    });
+  } catch (err) {
+    sendError(res, err, 'Checkout error');
+  }
+});
+
+// Gateway callback from the browser: verify the signature, then capture
+router.post(
+  '/verify',
+  authenticateToken,
+  validate(paymentVerificationSchema),
+  async (req, res) => {
+    try {
+      const { payment, order } = await checkout.verifyAndCapture({
+        user: req.user,
+        ...req.body,
+      });
+      console.log('✅ Payment verified and captured:', payment.id);
+
+      res.status(200).json({
+        success: true,
+        message: 'Payment verified successfully',
+        data: { order, payment },
+      });
+    } catch (err) {
+      sendError(res, err, 'Payment verification error');
+    }
+  }
+);
+
+// Offline stand-in for the gateway popup; never available in production
+if (process.env.NODE_ENV !== 'production') {
+  router.post(
+    '/mock/:gatewayOrderId/pay',
+    authenticateToken,
+    async (req, res) => {
+      try {
+        const data = await checkout.simulateMockPayment(
+          req.user,
+          req.params.gatewayOrderId
+        );
+        res.status(200).json({
+          success: true,
+          message: 'Mock payment completed',
+          data,
+        });
+      } catch (err) {
+        sendError(res, err, 'Mock payment error');
+      }
+    }
+  );
+}
+
+module.exports = router;
@@ -0,0 +1,549 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Coupon = require('../Model/coupon');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Read the redemption rules sent with a create or update. Only the rules
+// present in the body are returned; an empty value clears a limit
+const parseCouponRules = (body) => {
+  const rules = {};
+  const optionalAmount = (value) => (value === null || value === '' ? null : Number(value));
+
+  if (body.perUserLimit !== undefined) {
+    rules.perUserLimit = optionalAmount(body.perUserLimit);
+    if (rules.perUserLimit !== null && !(Number.isInteger(rules.perUserLimit) && rules.perUserLimit > 0)) {
+      return { error: 'Per-user limit must be a whole number greater than 0' };
+    }
+  }
+
+  if (body.courseIds !== undefined) {
+    if (!Array.isArray(body.courseIds) || !body.courseIds.every((id) => mongoose.isValidObjectId(id))) {
+      return { error: 'Course IDs must be a list of valid course IDs' };
+    }
+    rules.courseIds = body.courseIds;
+  }
+
+  if (body.minOrderAmount !== undefined) {
+    rules.minOrderAmount = optionalAmount(body.minOrderAmount) || 0;
+    if (!(rules.minOrderAmount >= 0)) {
+      return { error: 'Minimum order amount must be non-negative' };
+    }
+  }
+
+  if (body.maxDiscountAmount !== undefined) {
+    rules.maxDiscountAmount = optionalAmount(body.maxDiscountAmount);
+    if (rules.maxDiscountAmount !== null && !(rules.maxDiscountAmount > 0)) {
+      return { error: 'Maximum discount must be greater than 0' };
+    }
+  }
+
+  if (body.firstPurchaseOnly !== undefined) {
+    rules.firstPurchaseOnly = Boolean(body.firstPurchaseOnly);
+  }
+
+  return { rules };
+};
+
+// Get all coupons
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get all coupons request');
+    const coupons = await Coupon.find().sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${coupons.length} coupons`);
+    res.status(200).json({
+      success: true,
+      message: 'Coupons fetched successfully',
+      data: coupons
+    });
+  } catch (err) {
+    console.error('❌ Get coupons error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get active/valid coupons only
+router.get('/active', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get active coupons request');
+    const now = new Date();
+    const coupons = await Coupon.find({
+      isActive: true,
+      validFrom: { $lte: now },
+      validTill: { $gte: now },
+      $or: [
+        { usageLimit: null },
+        { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+      ]
+    }).sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${coupons.length} active coupons`);
+    res.status(200).json({
+      success: true,
+      message: 'Active coupons fetched successfully',
+      data: coupons
+    });
+  } catch (err) {
+    console.error('❌ Get active coupons error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get coupon by ID
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get coupon by ID request:', req.params.id);
+    const coupon = await Coupon.findOne({ id: req.params.id });
+    
+    if (!coupon) {
+      console.log('❌ Coupon not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+    
+    console.log('✅ Coupon found:', coupon.id);
+    res.status(200).json({
+      success: true,
+      message: 'Coupon fetched successfully',
+      data: coupon
+    });
+  } catch (err) {
+    console.error('❌ Get coupon error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Validate coupon by code
+router.get('/validate/:code', authenticateToken, async (req, res) => {
+  try {
+    console.log('🚀 Validate coupon request:', req.params.code);
+    const coupon = await Coupon.findValidCoupon(req.params.code);
+    
+    if (!coupon) {
+      console.log('❌ Invalid or expired coupon:', req.params.code);
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid or expired coupon code'
+      });
+    }
+    
+    console.log('✅ Valid coupon found:', coupon.code);
+    res.status(200).json({
+      success: true,
+      message: 'Coupon is valid',
+      data: {
+        id: coupon.id,
+        code: coupon.code,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue,
+        isValid: coupon.isValid(),
+        remainingUses: coupon.usageLimit ? coupon.usageLimit - coupon.usedCount : null,
+        perUserLimit: coupon.perUserLimit,
+        courseIds: coupon.courseIds,
+        minOrderAmount: coupon.minOrderAmount,
+        maxDiscountAmount: coupon.maxDiscountAmount,
+        firstPurchaseOnly: coupon.firstPurchaseOnly
+      }
+    });
+  } catch (err) {
+    console.error('❌ Validate coupon error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Calculate discount for a coupon and amount
+router.post('/calculate-discount', authenticateToken, async (req, res) => {
+  try {
+    console.log('🚀 Calculate discount request:', req.body);
+    const { couponCode, totalAmount } = req.body;
+
+    if (!couponCode || totalAmount === undefined) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon code and total amount are required'
+      });
+    }
+
+    if (totalAmount < 0) {
+      console.log('❌ Invalid total amount');
+      return res.status(400).json({
+        success: false,
+        message: 'Total amount must be non-negative'
+      });
+    }
+
+    const coupon = await Coupon.findValidCoupon(couponCode);
+    
+    if (!coupon) {
+      console.log('❌ Invalid or expired coupon:', couponCode);
+      return res.status(404).json({
+        success: false,
+        message: 'Invalid or expired coupon code'
+      });
+    }
+
+    const discountAmount = coupon.calculateDiscount(totalAmount);
+    const finalAmount = totalAmount - discountAmount;
+    
+    console.log('✅ Discount calculated successfully:', { discountAmount, finalAmount });
+    res.status(200).json({
+      success: true,
+      message: 'Discount calculated successfully',
+      data: {
+        couponCode: coupon.code,
+        originalAmount: totalAmount,
+        discountAmount,
+        finalAmount,
+        discountType: coupon.discountType,
+        discountValue: coupon.discountValue
+      }
+    });
+  } catch (err) {
+    console.error('❌ Calculate discount error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Create new coupon
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Create coupon request:', req.body);
+    const { 
+      code, 
+      discountType, 
+      discountValue, 
+      validFrom, 
+      validTill, 
+      usageLimit 
+    } = req.body;
+
+    // Input validation
+    if (!code || !discountType || discountValue === undefined || !validFrom || !validTill) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({
+        success: false,
+        message: 'Code, discount type, discount value, valid from, and valid till are required'
+      });
+    }
+
+    // Validate discount type
+    if (!['percentage', 'fixed'].includes(discountType.toLowerCase())) {
+      console.log('❌ Invalid discount type');
+      return res.status(400).json({
+        success: false,
+        message: 'Discount type must be either "percentage" or "fixed"'
+      });
+    }
+
+    // Validate discount value
+    if (discountValue <= 0) {
+      console.log('❌ Invalid discount value');
+      return res.status(400).json({
+        success: false,
+        message: 'Discount value must be greater than 0'
+      });
+    }
+
+    if (discountType.toLowerCase() === 'percentage' && discountValue > 100) {
+      console.log('❌ Invalid percentage value');
+      return res.status(400).json({
+        success: false,
+        message: 'Percentage discount cannot be more than 100'
+      });
+    }
+
+    // Validate dates
+    const fromDate = new Date(validFrom);
+    const tillDate = new Date(validTill);
+    
+    if (fromDate >= tillDate) {
+      console.log('❌ Invalid date range');
+      return res.status(400).json({
+        success: false,
+        message: 'Valid till date must be after valid from date'
+      });
+    }
+
+    const { rules, error } = parseCouponRules(req.body);
+    if (error) {
+      console.log('❌ Invalid coupon rules:', error);
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Check if coupon code already exists
+    const existingCoupon = await Coupon.findOne({ code: code.toUpperCase() });
+    if (existingCoupon) {
+      console.log('❌ Coupon code already exists:', code);
+      return res.status(409).json({
+        success: false,
+        message: 'Coupon code already exists'
+      });
+    }
+
+    // Create new coupon
+    const newCoupon = new Coupon({
+      code: code.toUpperCase().trim(),
+      discountType: discountType.toLowerCase(),
+      discountValue: parseInt(discountValue),
+      validFrom: fromDate,
+      validTill: tillDate,
+      usageLimit: usageLimit ? parseInt(usageLimit) : null,
+      ...rules
+    });
+
+    const savedCoupon = await newCoupon.save();
+    console.log('✅ Coupon created successfully:', savedCoupon.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Coupon created successfully',
+      data: savedCoupon
+    });
+  } catch (err) {
+    console.error('❌ Create coupon error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Update coupon
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Update coupon request:', req.params.id, req.body);
+    const { 
+      code, 
+      discountType, 
+      discountValue, 
+      validFrom, 
+      validTill, 
+      usageLimit,
+      isActive 
+    } = req.body;
+
+    const coupon = await Coupon.findOne({ id: req.params.id });
+    if (!coupon) {
+      console.log('❌ Coupon not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    // Update fields if provided
+    if (code) {
+      // Check if new code already exists (excluding current coupon)
+      const existingCoupon = await Coupon.findOne({ 
+        code: code.toUpperCase(), 
+        id: { $ne: req.params.id } 
+      });
+      if (existingCoupon) {
+        return res.status(409).json({
+          success: false,
+          message: 'Coupon code already exists'
+        });
+      }
+      coupon.code = code.toUpperCase().trim();
+    }
+
+    if (discountType) {
+      if (!['percentage', 'fixed'].includes(discountType.toLowerCase())) {
+        return res.status(400).json({
+          success: false,
+          message: 'Discount type must be either "percentage" or "fixed"'
+        });
+      }
+      coupon.discountType = discountType.toLowerCase();
+    }
+
+    if (discountValue !== undefined) {
+      if (discountValue <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Discount value must be greater than 0'
+        });
+      }
+      
+      if (coupon.discountType === 'percentage' && discountValue > 100) {
+        return res.status(400).json({
+          success: false,
+          message: 'Percentage discount cannot be more than 100'
+        });
+      }
+      
+      coupon.discountValue = parseInt(discountValue);
+    }
+
+    if (validFrom) {
+      const fromDate = new Date(validFrom);
+      if (coupon.validTill && fromDate >= coupon.validTill) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid from date must be before valid till date'
+        });
+      }
+      coupon.validFrom = fromDate;
+    }
+
+    if (validTill) {
+      const tillDate = new Date(validTill);
+      if (tillDate <= coupon.validFrom) {
+        return res.status(400).json({
+          success: false,
+          message: 'Valid till date must be after valid from date'
+        });
+      }
+      coupon.validTill = tillDate;
+    }
+
+    if (usageLimit !== undefined) {
+      coupon.usageLimit = usageLimit ? parseInt(usageLimit) : null;
+    }
+
+    if (isActive !== undefined) {
+      coupon.isActive = isActive;
+    }
+
+    const { rules, error } = parseCouponRules(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+    coupon.set(rules);
+
+    const updatedCoupon = await coupon.save();
+    console.log('✅ Coupon updated successfully:', updatedCoupon.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon updated successfully',
+      data: updatedCoupon
+    });
+  } catch (err) {
+    console.error('❌ Update coupon error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Delete coupon (soft delete by setting isActive to false)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Delete coupon request:', req.params.id);
+    
+    const coupon = await Coupon.findOne({ id: req.params.id });
+    if (!coupon) {
+      console.log('❌ Coupon not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    coupon.isActive = false;
+    await coupon.save();
+    
+    console.log('✅ Coupon deactivated successfully:', coupon.id);
+    res.status(200).json({
+      success: true,
+      message: 'Coupon deleted successfully'
+    });
+  } catch (err) {
+    console.error('❌ Delete coupon error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Use/Apply coupon (increment usage count)
+router.post('/:id/use', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Use coupon request:', req.params.id);
+    
+    const coupon = await Coupon.findOne({ id: req.params.id });
+    if (!coupon) {
+      console.log('❌ Coupon not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Coupon not found'
+      });
+    }
+
+    if (!coupon.canBeUsed()) {
+      console.log('❌ Coupon cannot be used:', req.params.id);
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon is expired, inactive, or usage limit exceeded'
+      });
+    }
+
+    // Checked again by the update itself in case another use got there first
+    const updatedCoupon = await Coupon.takeUse(coupon.id);
+    if (!updatedCoupon) {
+      console.log('❌ Coupon usage limit reached:', req.params.id);
+      return res.status(400).json({
+        success: false,
+        message: 'Coupon is expired, inactive, or usage limit exceeded'
+      });
+    }
+    console.log('✅ Coupon used successfully:', updatedCoupon.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Coupon used successfully',
+      data: {
+        id: updatedCoupon.id,
+        code: updatedCoupon.code,
+        usedCount: updatedCoupon.usedCount,
+        remainingUses: updatedCoupon.usageLimit ? updatedCoupon.usageLimit - updatedCoupon.usedCount : null
+      }
+    });
+  } catch (err) {
+    console.error('❌ Use coupon error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
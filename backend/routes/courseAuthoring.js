@@ -0,0 +1,239 @@
+const express = require('express');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { acceptUpload, IMAGE_TYPES, PDF_TYPES } = require('../middleware/upload');
+const {
+  validate,
+  topicSchema,
+  topicOrderSchema,
+  imageOrderSchema,
+  pdfIngestSchema,
+} = require('../middleware/validation');
+const authoring = require('../services/courseAuthoring');
+const ingestJobs = require('../services/ingestJobs');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+const MAX_IMAGE_BYTES = 15 * 1024 * 1024;
+const MAX_IMAGES_PER_UPLOAD = 50;
+const MAX_PDF_BYTES = (Number(process.env.INGEST_MAX_PDF_MB) || 200) * 1024 * 1024;
+
+const acceptPages = acceptUpload({
+  field: 'images',
+  types: IMAGE_TYPES,
+  maxBytes: MAX_IMAGE_BYTES,
+  maxFiles: MAX_IMAGES_PER_UPLOAD,
+});
+const acceptPage = acceptUpload({
+  field: 'image',
+  types: IMAGE_TYPES,
+  maxBytes: MAX_IMAGE_BYTES,
+});
+// PDFs can be large, so they go to disk and wait there for the import job
+const acceptPdf = acceptUpload({
+  field: 'pdf',
+  types: PDF_TYPES,
+  maxBytes: MAX_PDF_BYTES,
+  dest: ingestJobs.INGEST_DIR,
+});
+
+const adminOnly = [authenticateToken, requireAdmin];
+
+// Every authoring call answers with the updated course
+const sendCourse = (req, res, course, message, status = 200) =>
+  res.status(status).json({
+    success: true,
+    message,
+    data: authoring.authoringView(course, req.user._id),
+  });
+
+// Course with topics and signed page URLs, for the editor
+router.get('/:courseId/authoring', adminOnly, async (req, res) => {
+  try {
+    const course = await authoring.getCourse(req.params.courseId);
+    sendCourse(req, res, course, 'Course retrieved successfully');
+  } catch (err) {
+    sendError(res, err, 'Get course for authoring error');
+  }
+});
+
+// Topics
+router.post(
+  '/:courseId/topics',
+  adminOnly,
+  validate(topicSchema),
+  async (req, res) => {
+    try {
+      const course = await authoring.addTopic(req.params.courseId, req.body);
+      sendCourse(req, res, course, 'Topic added', 201);
+    } catch (err) {
+      sendError(res, err, 'Add topic error');
+    }
+  }
+);
+
+router.put(
+  '/:courseId/topics/order',
+  adminOnly,
+  validate(topicOrderSchema),
+  async (req, res) => {
+    try {
+      const course = await authoring.reorderTopics(
+        req.params.courseId,
+        req.body.topicIds
+      );
+      sendCourse(req, res, course, 'Topics reordered');
+    } catch (err) {
+      sendError(res, err, 'Reorder topics error');
+    }
+  }
+);
+
+router.patch(
+  '/:courseId/topics/:topicId',
+  adminOnly,
+  validate(topicSchema),
+  async (req, res) => {
+    try {
+      const course = await authoring.renameTopic(
+        req.params.courseId,
+        req.params.topicId,
+        req.body
+      );
+      sendCourse(req, res, course, 'Topic renamed');
+    } catch (err) {
+      sendError(res, err, 'Rename topic error');
+    }
+  }
+);
+
+router.delete('/:courseId/topics/:topicId', adminOnly, async (req, res) => {
+  try {
+    const course = await authoring.deleteTopic(
+      req.params.courseId,
+      req.params.topicId
+    );
+    sendCourse(req, res, course, 'Topic deleted');
+  } catch (err) {
+    sendError(res, err, 'Delete topic error');
+  }
+});
+
+// Page images: multipart field "images" (several) or "image" (replace one).
+// ?position=N inserts new pages at N instead of appending.
+router.post(
+  '/:courseId/topics/:topicId/images',
+  adminOnly,
+  acceptPages,
+  async (req, res) => {
+    try {
+      const position =
+        req.query.position !== undefined ? Number(req.query.position) : undefined;
+      const course = await authoring.addImages(
+        req.params.courseId,
+        req.params.topicId,
+        req.files,
+        { position: Number.isInteger(position) ? position : undefined }
+      );
+      sendCourse(req, res, course, 'Pages uploaded', 201);
+    } catch (err) {
+      sendError(res, err, 'Upload pages error');
+    }
+  }
+);
+
+router.put(
+  '/:courseId/topics/:topicId/images/order',
+  adminOnly,
+  validate(imageOrderSchema),
+  async (req, res) => {
+    try {
+      const course = await authoring.reorderImages(
+        req.params.courseId,
+        req.params.topicId,
+        req.body.keys
+      );
+      sendCourse(req, res, course, 'Pages reordered');
+    } catch (err) {
+      sendError(res, err, 'Reorder pages error');
+    }
+  }
+);
+
+router.put(
+  '/:courseId/topics/:topicId/images/:index',
+  adminOnly,
+  acceptPage,
+  async (req, res) => {
+    try {
+      const course = await authoring.replaceImage(
+        req.params.courseId,
+        req.params.topicId,
+        req.params.index,
+        req.file
+      );
+      sendCourse(req, res, course, 'Page replaced');
+    } catch (err) {
+      sendError(res, err, 'Replace page error');
+    }
+  }
+);
+
+router.delete(
+  '/:courseId/topics/:topicId/images/:index',
+  adminOnly,
+  async (req, res) => {
+    try {
+      const course = await authoring.deleteImage(
+        req.params.courseId,
+        req.params.topicId,
+        req.params.index
+      );
+      sendCourse(req, res, course, 'Page deleted');
+    } catch (err) {
+      sendError(res, err, 'Delete page error');
+    }
+  }
+);
+
+// PDF import: multipart field "pdf" plus pdfIngestSchema options. Answers
+// 202 with the queued job; poll the job for progress.
+router.post(
+  '/:courseId/ingest',
+  adminOnly,
+  acceptPdf,
+  validate(pdfIngestSchema),
+  async (req, res) => {
+    try {
+      const job = await ingestJobs.enqueueIngest({
+        courseId: req.params.courseId,
+        userId: req.user._id,
+        file: req.file,
+        options: req.body,
+      });
+      res.status(202).json({ success: true, message: 'PDF import queued', data: job });
+    } catch (err) {
+      sendError(res, err, 'Queue PDF import error');
+    }
+  }
+);
+
+router.get('/:courseId/ingest', adminOnly, async (req, res) => {
+  try {
+    const jobs = await ingestJobs.listJobs(req.params.courseId);
+    res.json({ success: true, message: 'Import jobs retrieved successfully', data: jobs });
+  } catch (err) {
+    sendError(res, err, 'List PDF imports error');
+  }
+});
+
+router.get('/:courseId/ingest/:jobId', adminOnly, async (req, res) => {
+  try {
+    const job = await ingestJobs.getJob(req.params.courseId, req.params.jobId);
+    res.json({ success: true, message: 'Import job retrieved successfully', data: job });
+  } catch (err) {
+    sendError(res, err, 'Get PDF import error');
+  }
+});
+
+module.exports = router;
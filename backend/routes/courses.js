@@ -1,13 +1,38 @@
 const express = require('express');
 const Course = require('../Model/course');
-const Users = require('../Model/user');
 const { authenticateToken } = require('../middleware/auth');
+const {
+  loadEnrollment,
+  requireEnrollment,
+} = require('../middleware/enrollment');
+const {
+  validate,
+  validateQuery,
+  progressBatchSchema,
+  noteSchema,
+  noteUpdateSchema,
+  noteExportSchema,
+  bookmarkSchema,
+} = require('../middleware/validation');
+const {
+  signCourseTopics,
+  outlineCourseTopics,
+} = require('../services/mediaUrls');
+const readingProgress = require('../services/readingProgress');
+const notes = require('../services/notes');
+const bookmarks = require('../services/bookmarks');
+const { exportCourseNotes } = require('../services/notesExport');
+const { httpError, sendError } = require('../utils/httpError');
 const mongoose = require('mongoose');
 
 const router = express.Router();
 
+// Course details only report access; everything else requires enrollment
+const withEnrollment = [authenticateToken, loadEnrollment()];
+const enrolledOnly = [authenticateToken, requireEnrollment()];
+
 // GET course and whether user has access (enrollment check)
-router.get('/:courseId', authenticateToken, async (req, res) => {
+router.get('/:courseId', withEnrollment, async (req, res) => {
   try {
     const { courseId } = req.params;
     const course = await Course.findById(courseId).lean();
@@ -16,14 +41,14 @@ router.get('/:courseId', authenticateToken, async (req, res) => {
         .status(404)
         .json({ success: false, message: 'Course not found' });
 
-    const user = await Users.findById(req.user.id).lean();
-    // simple access check: user.orders array contains courseId (update per your orders schema)
-    const userHasAccess =
-      Array.isArray(user.orders) &&
-      user.orders.some((o) => String(o) === String(courseId));
+    // Enrolled users get freshly signed page URLs; everyone else an outline
+    const userHasAccess = req.hasCourseAccess;
+    const topics = userHasAccess
+      ? signCourseTopics(course.topics, req.user._id)
+      : outlineCourseTopics(course.topics);
     return res.json({
       success: true,
-      data: { course: { ...course, userHasAccess } },
+      data: { course: { ...course, topics, userHasAccess } },
     });
   } catch (err) {
     console.error(err);
@@ -31,192 +56,231 @@ router.get('/:courseId', authenticateToken, async (req, res) => {
   }
 });
 
-// GET progress map for course for this user
-router.get('/:courseId/progress', authenticateToken, async (req, res) => {
+// Topics and their page lists, all progress is computed from
+const loadCourseTopics = async (courseId) => {
+  const course = await Course.findById(courseId).select('topics').lean();
+  if (!course) throw httpError(404, 'Course not found');
+  return course;
+};
+
+// GET progress for course for this user: percent per topic, viewed pages
+// per topic and the weighted course percent
+router.get('/:courseId/progress', enrolledOnly, async (req, res) => {
   try {
-    const { courseId } = req.params;
-    const user = await Users.findById(req.user.id).lean();
-    const cp = (user.coursesProgress || []).find(
-      (c) => String(c.courseId) === String(courseId)
-    );
-    const progressMap = {};
-    if (cp) {
-      cp.topics.forEach((t) => {
-        progressMap[String(t.topicId)] = t.percent || 0;
-      });
-    }
-    res.json({ success: true, data: { progress: progressMap } });
+    const course = await loadCourseTopics(req.params.courseId);
+    const progress = await readingProgress.getProgress(req.user._id, course);
+    res.json({ success: true, data: progress });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    sendError(res, err, 'Get progress error');
   }
 });
 
+// merge a batch of page views queued by the reader
+router.post(
+  '/:courseId/progress',
+  enrolledOnly,
+  validate(progressBatchSchema),
+  async (req, res) => {
+    try {
+      const course = await loadCourseTopics(req.params.courseId);
+      const progress = await readingProgress.recordProgress(
+        req.user._id,
+        course,
+        req.body
+      );
+      res.json({ success: true, message: 'Progress saved', data: progress });
+    } catch (err) {
+      sendError(res, err, 'Save progress error');
+    }
+  }
+);
+
 // mark topic complete
 router.post(
   '/:courseId/topics/:topicId/complete',
-  authenticateToken,
+  enrolledOnly,
   async (req, res) => {
     try {
       const { courseId, topicId } = req.params;
-      const user = await Users.findById(req.user.id);
-      if (!user)
-        return res
-          .status(404)
-          .json({ success: false, message: 'User not found' });
-
-      // find or create course progress entry
-      let cp = user.coursesProgress.find(
-        (c) => String(c.courseId) === String(courseId)
-      );
-      if (!cp) {
-        cp = { courseId: mongoose.Types.ObjectId(courseId), topics: [] };
-        user.coursesProgress.push(cp);
-      }
-      let t = cp.topics.find((x) => String(x.topicId) === String(topicId));
-      if (!t) {
-        t = {
-          topicId: mongoose.Types.ObjectId(topicId),
-          percent: 100,
-          lastSeenAt: new Date(),
-          lastImageIndex: 0,
-        };
-        cp.topics.push(t);
-      } else {
-        t.percent = 100;
-        t.lastSeenAt = new Date();
+      const course = await loadCourseTopics(courseId);
+      if (!course.topics.some((t) => String(t._id) === String(topicId))) {
+        throw httpError(404, 'Topic not found');
       }
-      await user.save();
-      res.json({ success: true, message: 'Topic marked complete' });
+      const progress = await readingProgress.completeTopic(
+        req.user._id,
+        course,
+        topicId
+      );
+      res.json({
+        success: true,
+        message: 'Topic marked complete',
+        data: progress,
+      });
     } catch (err) {
-      console.error(err);
-      res.status(500).json({ success: false, message: 'Server error' });
+      sendError(res, err, 'Complete topic error');
     }
   }
 );
 
-// save bookmark (topic page)
-router.post('/:courseId/bookmark', authenticateToken, async (req, res) => {
+// Topic ids arrive in the body or the URL; reject anything that isn't one
+const requireTopicId = (topicId) => {
+  if (!mongoose.isValidObjectId(topicId)) throw httpError(400, 'Invalid topic ID');
+  return new mongoose.Types.ObjectId(String(topicId));
+};
+
+// save the reader's position (topic page); the reader calls it on every
+// page turn, so this only moves the resume point, it adds no bookmark
+router.post('/:courseId/bookmark', enrolledOnly, async (req, res) => {
   try {
     const { courseId } = req.params;
     const { topicId, imageIndex } = req.body;
-    const user = await Users.findById(req.user.id);
-    if (!user)
-      return res
-        .status(404)
-        .json({ success: false, message: 'User not found' });
+    await readingProgress.savePosition(req.user._id, courseId, {
+      topicId: requireTopicId(topicId),
+      imageIndex: Math.max(0, Number(imageIndex) || 0),
+    });
+    res.json({ success: true, message: 'Position saved' });
+  } catch (err) {
+    sendError(res, err, 'Save position error');
+  }
+});
 
-    // update lastImageIndex for the topic in coursesProgress
-    let cp = user.coursesProgress.find(
-      (c) => String(c.courseId) === String(courseId)
+// where to resume: the page the user saw last in this course
+router.get('/:courseId/resume', enrolledOnly, async (req, res) => {
+  try {
+    const resume = await readingProgress.getResumePoint(
+      req.user._id,
+      req.params.courseId
     );
-    if (!cp) {
-      cp = { courseId: mongoose.Types.ObjectId(courseId), topics: [] };
-      user.coursesProgress.push(cp);
-    }
-    let t = cp.topics.find((x) => String(x.topicId) === String(topicId));
-    if (!t) {
-      t = {
-        topicId: mongoose.Types.ObjectId(topicId),
-        percent: 0,
-        lastSeenAt: new Date(),
-        lastImageIndex: imageIndex || 0,
-      };
-      cp.topics.push(t);
-    } else {
-      t.lastImageIndex = imageIndex || 0;
-      t.lastSeenAt = new Date();
-    }
-    await user.save();
-    res.json({ success: true, message: 'Bookmark saved' });
+    res.json({ success: true, data: { resume } });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    sendError(res, err, 'Get resume point error');
   }
 });
 
-// get bookmark
-router.get('/:courseId/bookmark', authenticateToken, async (req, res) => {
+// same as /resume, for readers that still ask for the bookmark
+router.get('/:courseId/bookmark', enrolledOnly, async (req, res) => {
   try {
-    const { courseId } = req.params;
-    const user = await Users.findById(req.user.id).lean();
-    const cp = (user.coursesProgress || []).find(
-      (c) => String(c.courseId) === String(courseId)
+    const bookmark = await readingProgress.getResumePoint(
+      req.user._id,
+      req.params.courseId
+    );
+    res.json({ success: true, data: { bookmark } });
+  } catch (err) {
+    sendError(res, err, 'Get bookmark error');
+  }
+});
+
+// bookmarks: labelled pages the user saved on purpose
+router.get('/:courseId/bookmarks', enrolledOnly, async (req, res) => {
+  try {
+    const list = await bookmarks.listCourseBookmarks(
+      req.user._id,
+      req.params.courseId
     );
-    let result = null;
-    if (cp) {
-      // pick the most recent topic that has lastImageIndex (or first)
-      const t = cp.topics.find((x) => x.lastImageIndex !== undefined);
-      if (t) result = { topicId: t.topicId, imageIndex: t.lastImageIndex || 0 };
+    res.json({ success: true, data: { bookmarks: list } });
+  } catch (err) {
+    sendError(res, err, 'Get bookmarks error');
+  }
+});
+
+router.post(
+  '/:courseId/bookmarks',
+  enrolledOnly,
+  validate(bookmarkSchema),
+  async (req, res) => {
+    try {
+      const { topicId, imageIndex, label } = req.body;
+      const bookmark = await bookmarks.saveBookmark(
+        req.user._id,
+        { courseId: req.params.courseId, topicId, imageIndex },
+        { label }
+      );
+      res.status(201).json({ success: true, message: 'Bookmark saved', data: { bookmark } });
+    } catch (err) {
+      sendError(res, err, 'Save bookmark error');
     }
-    res.json({ success: true, data: { bookmark: result } });
+  }
+);
+
+router.delete('/:courseId/bookmarks/:bookmarkId', enrolledOnly, async (req, res) => {
+  try {
+    await bookmarks.deleteBookmark(req.user._id, req.params);
+    res.json({ success: true, message: 'Bookmark deleted' });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    sendError(res, err, 'Delete bookmark error');
   }
 });
 
-// notes: post note for a specific image
+// notes: add a note (text, highlight or both) to a specific image
 router.post(
-  '/:courseId/topics/:topicId/images/:imageIndex/note',
-  authenticateToken,
+  '/:courseId/topics/:topicId/images/:imageIndex/notes',
+  enrolledOnly,
+  validate(noteSchema),
   async (req, res) => {
     try {
       const { courseId, topicId, imageIndex } = req.params;
-      const { note } = req.body;
-      const user = await Users.findById(req.user.id);
-      if (!user)
-        return res
-          .status(404)
-          .json({ success: false, message: 'User not found' });
-
-      // Remove existing note for same (course,topic,imageIndex)
-      user.notes = (user.notes || []).filter(
-        (n) =>
-          !(
-            String(n.courseId) === String(courseId) &&
-            String(n.topicId) === String(topicId) &&
-            Number(n.imageIndex) === Number(imageIndex)
-          )
+      const note = await notes.createNote(
+        req.user._id,
+        { courseId, topicId, imageIndex: Number(imageIndex) },
+        req.body
       );
+      res.status(201).json({ success: true, message: 'Note saved', data: { note } });
+    } catch (err) {
+      sendError(res, err, 'Save note error');
+    }
+  }
+);
 
-      user.notes.push({
-        courseId: mongoose.Types.ObjectId(courseId),
-        topicId: mongoose.Types.ObjectId(topicId),
-        imageIndex: Number(imageIndex),
-        note: note || '',
-        createdAt: new Date(),
-        updatedAt: new Date(),
-      });
+// get all notes for a course for current user
+router.get('/:courseId/notes', enrolledOnly, async (req, res) => {
+  try {
+    const list = await notes.listCourseNotes(req.user._id, req.params.courseId);
+    res.json({ success: true, data: { notes: list } });
+  } catch (err) {
+    sendError(res, err, 'Get notes error');
+  }
+});
 
-      await user.save();
-      res.json({ success: true, message: 'Note saved' });
+// download the user's notes as a study sheet (?format=md|pdf|csv)
+router.get(
+  '/:courseId/notes/export',
+  enrolledOnly,
+  validateQuery(noteExportSchema),
+  async (req, res) => {
+    try {
+      const file = await exportCourseNotes(
+        req.user._id,
+        req.params.courseId,
+        req.validatedQuery.format
+      );
+      res.attachment(file.fileName);
+      res.type(file.contentType).send(file.body);
     } catch (err) {
-      console.error('Save note error', err);
-      res.status(500).json({ success: false, message: 'Server error' });
+      sendError(res, err, 'Export notes error');
     }
   }
 );
 
-// get all notes for a course for current user
-router.get('/:courseId/notes', authenticateToken, async (req, res) => {
+router.put(
+  '/:courseId/notes/:noteId',
+  enrolledOnly,
+  validate(noteUpdateSchema),
+  async (req, res) => {
+    try {
+      const note = await notes.updateNote(req.user._id, req.params, req.body);
+      res.json({ success: true, message: 'Note updated', data: { note } });
+    } catch (err) {
+      sendError(res, err, 'Update note error');
+    }
+  }
+);
+
+router.delete('/:courseId/notes/:noteId', enrolledOnly, async (req, res) => {
   try {
-    const { courseId } = req.params;
-    const user = await Users.findById(req.user.id).lean();
-    const notes = (user.notes || []).filter(
-      (n) => String(n.courseId) === String(courseId)
-    );
-    // convert to { topicId: { imageIndex: note } }
-    const out = {};
-    notes.forEach((n) => {
-      const t = String(n.topicId);
-      out[t] = out[t] || {};
-      out[t][Number(n.imageIndex)] = n.note;
-    });
-    res.json({ success: true, data: { notes: out } });
+    await notes.deleteNote(req.user._id, req.params);
+    res.json({ success: true, message: 'Note deleted' });
   } catch (err) {
-    console.error(err);
-    res.status(500).json({ success: false, message: 'Server error' });
+    sendError(res, err, 'Delete note error');
   }
 });
 
@@ -0,0 +1,109 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Enrollment = require('../Model/enrollment');
+const {
+  authenticateToken,
+  requireAdmin,
+  requireOwnershipOrAdmin,
+} = require('../middleware/auth');
+const { validate, enrollmentGrantSchema } = require('../middleware/validation');
+const enrollments = require('../services/enrollments');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+const COURSE_FIELDS = 'title slug price isActive';
+
+// List enrollments, optionally filtered by ?userId, ?courseId, ?active=true
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { userId, courseId, active } = req.query;
+    const filter = {};
+    if (mongoose.isValidObjectId(userId)) filter.userId = userId;
+    if (mongoose.isValidObjectId(courseId)) filter.courseId = courseId;
+    if (active === 'true') Object.assign(filter, Enrollment.activeFilter());
+
+    const list = await Enrollment.find(filter)
+      .populate('userId', 'name email')
+      .populate('courseId', COURSE_FIELDS)
+      .sort({ grantedAt: -1 });
+
+    res.status(200).json({
+      success: true,
+      message: 'Enrollments retrieved successfully',
+      data: list,
+    });
+  } catch (err) {
+    sendError(res, err, 'Get enrollments error');
+  }
+});
+
+// A user's active enrollments ("my courses")
+router.get(
+  '/user/:userId',
+  authenticateToken,
+  requireOwnershipOrAdmin('userId'),
+  async (req, res) => {
+    try {
+      const list = await Enrollment.findActiveByUser(
+        req.params.userId
+      ).populate('courseId', COURSE_FIELDS);
+
+      res.status(200).json({
+        success: true,
+        message: 'Enrollments retrieved successfully',
+        data: list,
+      });
+    } catch (err) {
+      sendError(res, err, 'Get user enrollments error');
+    }
+  }
+);
+
+// Grant access manually (comps, support fixes, offline payments)
+router.post(
+  '/',
+  authenticateToken,
+  requireAdmin,
+  validate(enrollmentGrantSchema),
+  async (req, res) => {
+    try {
+      console.log('🚀 Grant enrollment:', req.body);
+      const enrollment = await enrollments.grantManually(req.user, req.body);
+      console.log('✅ Enrollment granted:', enrollment._id);
+
+      res.status(201).json({
+        success: true,
+        message: 'Enrollment granted successfully',
+        data: enrollment,
+      });
+    } catch (err) {
+      sendError(res, err, 'Grant enrollment error');
+    }
+  }
+);
+
+router.post('/:id/revoke', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Enrollment not found',
+      });
+    }
+
+    console.log('🚀 Revoke enrollment:', req.params.id);
+    const enrollment = await enrollments.revokeById(req.user, req.params.id);
+    console.log('✅ Enrollment revoked:', enrollment._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Enrollment revoked successfully',
+      data: enrollment,
+    });
+  } catch (err) {
+    sendError(res, err, 'Revoke enrollment error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,365 @@
+const express = require('express');
+const Invoice = require('../Model/invoice');
+const Order = require('../Model/order');
+const CreditNote = require('../Model/creditNote');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { acceptUpload, PDF_TYPES } = require('../middleware/upload');
+const storage = require('../services/storage');
+const invoices = require('../services/invoices');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+const MAX_INVOICE_BYTES = 10 * 1024 * 1024;
+
+// Issued invoices are numbered documents: they are never edited or deleted
+const rejectIssued = (res) =>
+  res.status(409).json({
+    success: false,
+    message: 'Issued invoices cannot be changed or deleted'
+  });
+
+// Get all invoices
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get all invoices request');
+    const invoices = await Invoice.find()
+      .populate('order')
+      .sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${invoices.length} invoices`);
+    res.status(200).json({
+      success: true,
+      message: 'Invoices fetched successfully',
+      data: invoices
+    });
+  } catch (err) {
+    console.error('❌ Get invoices error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get invoice by ID
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get invoice by ID request:', req.params.id);
+    const invoice = await Invoice.findOne({ id: req.params.id })
+      .populate('order');
+    
+    if (!invoice) {
+      console.log('❌ Invoice not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+    
+    console.log('✅ Invoice found:', invoice.id);
+    res.status(200).json({
+      success: true,
+      message: 'Invoice fetched successfully',
+      data: invoice
+    });
+  } catch (err) {
+    console.error('❌ Get invoice error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get invoice by order ID
+router.get('/order/:orderId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get invoice by order ID request:', req.params.orderId);
+    const invoice = await Invoice.findOne({ orderId: req.params.orderId })
+      .populate('order');
+    
+    if (!invoice) {
+      console.log('❌ Invoice not found for order:', req.params.orderId);
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found for this order'
+      });
+    }
+    
+    console.log('✅ Invoice found for order:', req.params.orderId);
+    res.status(200).json({
+      success: true,
+      message: 'Invoice fetched successfully',
+      data: invoice
+    });
+  } catch (err) {
+    console.error('❌ Get invoice by order error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Issue the invoice of a paid order (orders paid before invoices were
+// generated automatically)
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Create invoice request:', req.body);
+    const { orderId } = req.body;
+
+    if (!orderId) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({
+        success: false,
+        message: 'Order ID is required'
+      });
+    }
+
+    // Check if invoice already exists for this order
+    const existingInvoice = await Invoice.findOne({ orderId });
+    if (existingInvoice) {
+      console.log('❌ Invoice already exists for order:', orderId);
+      return res.status(409).json({
+        success: false,
+        message: 'Invoice already exists for this order'
+      });
+    }
+
+    const invoice = await invoices.issueInvoiceForOrder(parseInt(orderId));
+    const savedInvoice = await invoices.generateInvoiceFile(invoice);
+    
+    // Populate order info for response
+    await savedInvoice.populate('order');
+    
+    console.log('✅ Invoice created successfully:', savedInvoice.number);
+
+    res.status(201).json({
+      success: true,
+      message: 'Invoice created successfully',
+      data: savedInvoice
+    });
+  } catch (err) {
+    sendError(res, err, 'Create invoice error');
+  }
+});
+
+// Update invoice
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Update invoice request:', req.params.id, req.body);
+    const { fileUrl } = req.body;
+
+    const invoice = await Invoice.findOne({ id: req.params.id });
+    if (!invoice) {
+      console.log('❌ Invoice not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.number) return rejectIssued(res);
+
+    // Update file URL if provided
+    if (fileUrl) {
+      // Validate file URL format
+      const urlRegex = /^(https?:\/\/)?([\da-z\.-]+)\.([a-z\.]{2,6})([\/\w \.-]*)*\/?$/;
+      if (!urlRegex.test(fileUrl)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid file URL format'
+        });
+      }
+      invoice.fileUrl = fileUrl.trim();
+    }
+
+    const updatedInvoice = await invoice.save();
+    await updatedInvoice.populate('order');
+    
+    console.log('✅ Invoice updated successfully:', updatedInvoice.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Invoice updated successfully',
+      data: updatedInvoice
+    });
+  } catch (err) {
+    console.error('❌ Update invoice error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Delete invoice
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Delete invoice request:', req.params.id);
+    
+    const invoice = await Invoice.findOne({ id: req.params.id });
+    if (!invoice) {
+      console.log('❌ Invoice not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    if (invoice.number) return rejectIssued(res);
+
+    await Invoice.deleteOne({ id: req.params.id });
+    if (invoice.fileKey) await storage.deleteFile(invoice.fileKey);
+    
+    console.log('✅ Invoice deleted successfully:', req.params.id);
+    res.status(200).json({
+      success: true,
+      message: 'Invoice deleted successfully'
+    });
+  } catch (err) {
+    console.error('❌ Delete invoice error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Upload (or replace) the invoice PDF
+router.put(
+  '/:id/file',
+  authenticateToken,
+  requireAdmin,
+  acceptUpload({ field: 'file', types: PDF_TYPES, maxBytes: MAX_INVOICE_BYTES }),
+  async (req, res) => {
+    try {
+      console.log('🚀 Upload invoice file request:', req.params.id);
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No PDF uploaded'
+        });
+      }
+
+      const invoice = await Invoice.findOne({ id: req.params.id });
+      if (!invoice) {
+        console.log('❌ Invoice not found:', req.params.id);
+        return res.status(404).json({
+          success: false,
+          message: 'Invoice not found'
+        });
+      }
+
+      if (invoice.number) return rejectIssued(res);
+
+      const key = invoices.invoiceKey(invoice);
+      await storage.putFile(key, req.file.buffer);
+      invoice.fileKey = key;
+      const updatedInvoice = await invoice.save();
+
+      console.log('✅ Invoice file stored:', key);
+      res.status(200).json({
+        success: true,
+        message: 'Invoice file uploaded successfully',
+        data: updatedInvoice
+      });
+    } catch (err) {
+      console.error('❌ Upload invoice file error:', err);
+      res.status(500).json({
+        success: false,
+        message: 'Server Error',
+        error: err.message
+      });
+    }
+  }
+);
+
+// Download the invoice PDF (the buyer or an admin)
+router.get('/:id/file', authenticateToken, async (req, res) => {
+  try {
+    const invoice = await Invoice.findOne({ id: req.params.id });
+    const order = invoice && (await Order.findOne({ id: invoice.orderId }));
+    const isOwner = order && order.userId && order.userId.equals(req.user._id);
+    if (!invoice || (!isOwner && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice not found'
+      });
+    }
+
+    // The PDF of an issued invoice is rendered after the payment commits;
+    // render it now if that did not happen
+    if (!invoice.fileKey && invoice.number) await invoices.generateInvoiceFile(invoice);
+    if (!invoice.fileKey) {
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice file not available'
+      });
+    }
+
+    const file = await storage.getFile(invoice.fileKey);
+    if (!file) {
+      console.log('❌ Invoice file missing from storage:', invoice.fileKey);
+      return res.status(404).json({
+        success: false,
+        message: 'Invoice file not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(`invoice-${(invoice.number || String(invoice.id)).replace(/\//g, '-')}.pdf`);
+    res.type(file.contentType).send(file.body);
+  } catch (err) {
+    console.error('❌ Download invoice error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Download a credit note PDF (the buyer or an admin)
+router.get('/credit-notes/:id/file', authenticateToken, async (req, res) => {
+  try {
+    const note = await CreditNote.findOne({ id: req.params.id });
+    const order = note && (await Order.findOne({ id: note.orderId }));
+    const isOwner = order && order.userId && order.userId.equals(req.user._id);
+    if (!note || (!isOwner && req.user.role !== 'admin')) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    if (!note.fileKey) await invoices.generateCreditNoteFile(note);
+    const file = await storage.getFile(note.fileKey);
+    if (!file) {
+      console.log('❌ Credit note file missing from storage:', note.fileKey);
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note file not found'
+      });
+    }
+
+    res.set('Cache-Control', 'private, no-store');
+    res.attachment(`credit-note-${note.number.replace(/\//g, '-')}.pdf`);
+    res.type(file.contentType).send(file.body);
+  } catch (err) {
+    console.error('❌ Download credit note error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,80 @@
+const express = require('express');
+const Users = require('../Model/user');
+const { verifyMediaSignature } = require('../services/mediaUrls');
+const { canWatermark, watermarkedPath } = require('../services/watermark');
+const { PAGE_WIDTHS, FULL_WIDTH, variantKey } = require('../services/pageVariants');
+const storage = require('../services/storage');
+const { httpError } = require('../utils/httpError');
+
+const router = express.Router();
+
+const notFound = (res) =>
+  res.status(404).json({ success: false, message: 'File not found' });
+
+// Viewer details stamped onto their copy of each page
+const loadViewer = async (userId) => {
+  const user = await Users.findById(userId).select('email phone').lean();
+  return { email: user?.email || `user ${userId}`, phone: user?.phone };
+};
+
+// ?w=<width> picks a smaller stored copy of the page when there is one
+// (PDF imports store several); anything else gets the full-size file
+const pickRendition = async (key, width) => {
+  const target = Number(width);
+  if (PAGE_WIDTHS.includes(target) && target !== FULL_WIDTH) {
+    const variant = variantKey(key, target);
+    const stats = await storage.statFile(variant);
+    if (stats) return { key: variant, stats };
+  }
+  return { key, stats: await storage.statFile(key) };
+};
+
+// Serve a stored file to whoever holds a valid, unexpired signed URL. The
+// signature is the credential: <img> tags can't send an Authorization header.
+// Images are watermarked with the viewer the URL was issued to.
+router.get('/*key', async (req, res) => {
+  const key = req.params.key.join('/');
+  const { uid, exp, sig } = req.query;
+
+  if (!verifyMediaSignature({ key, uid, exp, sig })) {
+    return res.status(403).json({
+      success: false,
+      message: 'Link is invalid or has expired',
+    });
+  }
+  if (!storage.isValidKey(key)) return notFound(res);
+
+  const maxAge = Math.max(0, Number(exp) - Math.floor(Date.now() / 1000));
+  try {
+    const rendition = await pickRendition(key, req.query.w);
+    if (!rendition.stats) return notFound(res);
+
+    res.set('Cache-Control', `private, max-age=${maxAge}`);
+    if (canWatermark(rendition.key)) {
+      const filePath = await watermarkedPath({
+        key: rendition.key,
+        version: rendition.stats.lastModified.getTime(),
+        userId: uid,
+        loadSource: async () => {
+          const file = await storage.getFile(rendition.key);
+          if (!file) throw httpError(404, 'File not found');
+          return file.body;
+        },
+        getViewer: () => loadViewer(uid),
+      });
+      return res.sendFile(filePath, (err) => {
+        if (err && !res.headersSent) notFound(res);
+      });
+    }
+
+    const file = await storage.getFile(rendition.key);
+    if (!file) return notFound(res);
+    res.type(file.contentType).send(file.body);
+  } catch (err) {
+    if (err.status === 404) return notFound(res);
+    console.error('❌ Media error:', err);
+    res.status(500).json({ success: false, message: 'Server Error' });
+  }
+});
+
+module.exports = router;
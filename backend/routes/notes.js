@@ -0,0 +1,29 @@
+const express = require('express');
+const { authenticateToken } = require('../middleware/auth');
+const { validateQuery, noteSearchSchema } = require('../middleware/validation');
+const notes = require('../services/notes');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// Search the caller's notes across all courses (the "My Notes" page)
+router.get('/', authenticateToken, validateQuery(noteSearchSchema), async (req, res) => {
+  try {
+    const results = await notes.searchNotes(req.user._id, req.validatedQuery);
+    res.json({ success: true, data: { notes: results } });
+  } catch (err) {
+    sendError(res, err, 'Search notes error');
+  }
+});
+
+// Tags the caller has used, for filtering
+router.get('/tags', authenticateToken, async (req, res) => {
+  try {
+    const tags = await notes.listTags(req.user._id);
+    res.json({ success: true, data: { tags } });
+  } catch (err) {
+    sendError(res, err, 'List note tags error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,256 @@
+const express = require('express');
+const Courses = require('../Model/course');
+const OrderItem = require('../Model/orderItem');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get all order items
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get all order items request');
+    const orderItems = await OrderItem.find()
+      .populate('courseId', 'title slug price description')
+      .sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${orderItems.length} order items`);
+    res.status(200).json({
+      success: true,
+      message: 'Order items fetched successfully',
+      data: orderItems
+    });
+  } catch (err) {
+    console.error('❌ Get order items error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get order items by order ID
+router.get('/order/:orderId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get order items by order ID request:', req.params.orderId);
+    const orderItems = await OrderItem.find({ orderId: req.params.orderId })
+      .populate('courseId', 'title slug price description')
+      .sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${orderItems.length} order items for order ${req.params.orderId}`);
+    res.status(200).json({
+      success: true,
+      message: 'Order items fetched successfully',
+      data: orderItems
+    });
+  } catch (err) {
+    console.error('❌ Get order items error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get order item by ID
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get order item by ID request:', req.params.id);
+    const orderItem = await OrderItem.findById(req.params.id)
+      .populate('courseId', 'title slug price description');
+    
+    if (!orderItem) {
+      console.log('❌ Order item not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Order item not found'
+      });
+    }
+    
+    console.log('✅ Order item found:', orderItem._id);
+    res.status(200).json({
+      success: true,
+      message: 'Order item fetched successfully',
+      data: orderItem
+    });
+  } catch (err) {
+    console.error('❌ Get order item error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Create new order item
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Create order item request:', req.body);
+    const { orderId, courseId, unitPrice, quantity } = req.body;
+
+    // Input validation
+    if (!orderId || !courseId || !unitPrice) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({
+        success: false,
+        message: 'Order ID, Course ID, and Unit Price are required'
+      });
+    }
+
+    // Validate that course exists
+    const course = await Courses.findById(courseId);
+    if (!course) {
+      console.log('❌ Course not found:', courseId);
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Validate unitPrice and quantity
+    if (unitPrice < 0) {
+      console.log('❌ Invalid unit price');
+      return res.status(400).json({
+        success: false,
+        message: 'Unit price must be non-negative'
+      });
+    }
+
+    if (quantity && quantity < 1) {
+      console.log('❌ Invalid quantity');
+      return res.status(400).json({
+        success: false,
+        message: 'Quantity must be at least 1'
+      });
+    }
+
+    // Check if order item already exists for this order and course
+    const existingOrderItem = await OrderItem.findOne({ orderId, courseId });
+    if (existingOrderItem) {
+      console.log('❌ Order item already exists for this order and course');
+      return res.status(409).json({
+        success: false,
+        message: 'Order item already exists for this order and course'
+      });
+    }
+
+    // Create new order item
+    const newOrderItem = new OrderItem({
+      orderId: parseInt(orderId),
+      courseId,
+      unitPrice: parseInt(unitPrice),
+      quantity: quantity ? parseInt(quantity) : 1
+    });
+
+    const savedOrderItem = await newOrderItem.save();
+    
+    // Populate course info for response
+    await savedOrderItem.populate('courseId', 'title slug price description');
+    
+    console.log('✅ Order item created successfully:', savedOrderItem._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Order item created successfully',
+      data: savedOrderItem
+    });
+  } catch (err) {
+    console.error('❌ Create order item error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Update order item
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Update order item request:', req.params.id, req.body);
+    const { unitPrice, quantity } = req.body;
+
+    const orderItem = await OrderItem.findById(req.params.id);
+    if (!orderItem) {
+      console.log('❌ Order item not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Order item not found'
+      });
+    }
+
+    // Update fields
+    if (unitPrice !== undefined) {
+      if (unitPrice < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Unit price must be non-negative'
+        });
+      }
+      orderItem.unitPrice = parseInt(unitPrice);
+    }
+    
+    if (quantity !== undefined) {
+      if (quantity < 1) {
+        return res.status(400).json({
+          success: false,
+          message: 'Quantity must be at least 1'
+        });
+      }
+      orderItem.quantity = parseInt(quantity);
+    }
+
+    const updatedOrderItem = await orderItem.save();
+    await updatedOrderItem.populate('courseId', 'title slug price description');
+    
+    console.log('✅ Order item updated successfully:', updatedOrderItem._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Order item updated successfully',
+      data: updatedOrderItem
+    });
+  } catch (err) {
+    console.error('❌ Update order item error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Delete order item
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Delete order item request:', req.params.id);
+    
+    const orderItem = await OrderItem.findById(req.params.id);
+    if (!orderItem) {
+      console.log('❌ Order item not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Order item not found'
+      });
+    }
+
+    await OrderItem.findByIdAndDelete(req.params.id);
+    
+    console.log('✅ Order item deleted successfully:', req.params.id);
+    res.status(200).json({
+      success: true,
+      message: 'Order item deleted successfully'
+    });
+  } catch (err) {
+    console.error('❌ Delete order item error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,353 @@
+const express = require('express');
+const Users = require('../Model/user');
+const Order = require('../Model/order');
+const OrderItem = require('../Model/orderItem');
+const {
+  authenticateToken,
+  requireAdmin,
+  requireOwnershipOrAdmin,
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+// Orders are keyed by a numeric id, so requireOwnershipOrAdmin cannot be used;
+// check the order's userId against the caller instead
+const canAccessOrder = (user, order) => {
+  if (user.role === 'admin') return true;
+  const ownerId = order.userId && (order.userId._id || order.userId);
+  return !!ownerId && ownerId.toString() === user._id.toString();
+};
+
+const denyOrderAccess = (res) =>
+  res.status(403).json({
+    success: false,
+    message: 'Access denied: You can only access your own resources'
+  });
+
+// Get order summary (total items and total price) by order ID
+router.get('/:orderId/summary', authenticateToken, async (req, res) => {
+  try {
+    console.log('🚀 Get order summary request:', req.params.orderId);
+
+    const order = await Order.findOne({ id: req.params.orderId });
+    if (!order) {
+      console.log('❌ Order not found:', req.params.orderId);
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    if (!canAccessOrder(req.user, order)) return denyOrderAccess(res);
+    
+    const orderItems = await OrderItem.find({ orderId: req.params.orderId })
+      .populate('courseId', 'title slug price');
+    
+    if (orderItems.length === 0) {
+      console.log('❌ No order items found for order:', req.params.orderId);
+      return res.status(404).json({
+        success: false,
+        message: 'No order items found for this order'
+      });
+    }
+
+    // Calculate summary
+    const totalItems = orderItems.reduce((sum, item) => sum + item.quantity, 0);
+    const totalPrice = orderItems.reduce((sum, item) => sum + item.totalPrice, 0);
+    
+    const summary = {
+      orderId: parseInt(req.params.orderId),
+      totalItems,
+      totalPrice,
+      itemCount: orderItems.length,
+      orderItems: orderItems.map(item => ({
+        id: item._id,
+        courseId: item.courseId._id,
+        courseTitle: item.courseId.title,
+        courseSlug: item.courseId.slug,
+        unitPrice: item.unitPrice,
+        quantity: item.quantity,
+        totalPrice: item.totalPrice
+      }))
+    };
+    
+    console.log('✅ Order summary calculated successfully:', req.params.orderId);
+    res.status(200).json({
+      success: true,
+      message: 'Order summary fetched successfully',
+      data: summary
+    });
+  } catch (err) {
+    console.error('❌ Get order summary error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get all orders
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get all orders request');
+    const orders = await Order.find()
+      .populate('userId', 'name email')
+      .populate('orderItems')
+      .sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${orders.length} orders`);
+    res.status(200).json({
+      success: true,
+      message: 'Orders fetched successfully',
+      data: orders
+    });
+  } catch (err) {
+    console.error('❌ Get orders error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get order by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    console.log('🚀 Get order by ID request:', req.params.id);
+    const order = await Order.findOne({ id: req.params.id })
+      .populate('userId', 'name email')
+      .populate('orderItems');
+    
+    if (!order) {
+      console.log('❌ Order not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+    if (!canAccessOrder(req.user, order)) return denyOrderAccess(res);
+    
+    console.log('✅ Order found:', order.id);
+    res.status(200).json({
+      success: true,
+      message: 'Order fetched successfully',
+      data: order
+    });
+  } catch (err) {
+    console.error('❌ Get order error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get orders by user ID
+router.get('/user/:userId', authenticateToken, requireOwnershipOrAdmin('userId'), async (req, res) => {
+  try {
+    console.log('🚀 Get orders by user ID request:', req.params.userId);
+    const orders = await Order.find({ userId: req.params.userId })
+      .populate('userId', 'name email')
+      .populate({ path: 'orderItems', populate: { path: 'courseId', select: 'title slug' } })
+      .populate('invoice', 'id number issuedAt')
+      .populate('creditNotes', 'id number amount issuedAt')
+      .sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${orders.length} orders for user ${req.params.userId}`);
+    res.status(200).json({
+      success: true,
+      message: 'User orders fetched successfully',
+      data: orders
+    });
+  } catch (err) {
+    console.error('❌ Get user orders error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Create new order
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Create order request:', req.body);
+    const { userId, email, phone, totalAmount, currency, status, couponId, paymentId } = req.body;
+
+    // Input validation
+    if (!email || totalAmount === undefined) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({
+        success: false,
+        message: 'Email and Total Amount are required'
+      });
+    }
+
+    // Validate email format
+    const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+    if (!emailRegex.test(email)) {
+      console.log('❌ Invalid email format');
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid email format'
+      });
+    }
+
+    // Validate total amount
+    if (totalAmount < 0) {
+      console.log('❌ Invalid total amount');
+      return res.status(400).json({
+        success: false,
+        message: 'Total amount must be non-negative'
+      });
+    }
+
+    // Validate user exists if userId is provided
+    if (userId) {
+      const user = await Users.findById(userId);
+      if (!user) {
+        console.log('❌ User not found:', userId);
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+    }
+
+    // Create new order
+    const newOrder = new Order({
+      userId: userId || null,
+      email: email.toLowerCase().trim(),
+      phone: phone || null,
+      totalAmount: parseInt(totalAmount),
+      currency: currency || 'INR',
+      status: status || 'created',
+      couponId: couponId || null,
+      paymentId: paymentId || null
+    });
+
+    const savedOrder = await newOrder.save();
+    
+    // Populate user info for response
+    if (savedOrder.userId) {
+      await savedOrder.populate('userId', 'name email');
+    }
+    
+    console.log('✅ Order created successfully:', savedOrder.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Order created successfully',
+      data: savedOrder
+    });
+  } catch (err) {
+    console.error('❌ Create order error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Update order
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Update order request:', req.params.id, req.body);
+    const { phone, totalAmount, currency, status, couponId, paymentId } = req.body;
+
+    const order = await Order.findOne({ id: req.params.id });
+    if (!order) {
+      console.log('❌ Order not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Update fields
+    if (phone !== undefined) order.phone = phone;
+    if (totalAmount !== undefined) {
+      if (totalAmount < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Total amount must be non-negative'
+        });
+      }
+      order.totalAmount = parseInt(totalAmount);
+    }
+    if (currency) order.currency = currency;
+    if (status) {
+      const validStatuses = ['created', 'pending_payment', 'paid', 'partially_refunded', 'failed', 'refunded'];
+      if (!validStatuses.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid status. Must be one of: ' + validStatuses.join(', ')
+        });
+      }
+      order.status = status;
+    }
+    if (couponId !== undefined) order.couponId = couponId;
+    if (paymentId !== undefined) order.paymentId = paymentId;
+
+    const updatedOrder = await order.save();
+    
+    // Populate user info for response
+    if (updatedOrder.userId) {
+      await updatedOrder.populate('userId', 'name email');
+    }
+    
+    console.log('✅ Order updated successfully:', updatedOrder.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Order updated successfully',
+      data: updatedOrder
+    });
+  } catch (err) {
+    console.error('❌ Update order error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Delete order (soft delete by changing status)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Delete order request:', req.params.id);
+    
+    const order = await Order.findOne({ id: req.params.id });
+    if (!order) {
+      console.log('❌ Order not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Instead of hard delete, we'll set status to 'cancelled' or actually delete
+    // For this implementation, let's do hard delete but you can change to soft delete
+    await Order.deleteOne({ id: req.params.id });
+    
+    console.log('✅ Order deleted successfully:', req.params.id);
+    res.status(200).json({
+      success: true,
+      message: 'Order deleted successfully'
+    });
+  } catch (err) {
+    console.error('❌ Delete order error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,543 @@
+const express = require('express');
+const Payment = require('../Model/payment');
+const Order = require('../Model/order');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const checkout = require('../services/checkout');
+const refunds = require('../services/refunds');
+const { validate, refundSchema } = require('../middleware/validation');
+const { GATEWAY_NAMES } = require('../services/gateways');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// Captures must go through signature verification, never a plain status write
+const CAPTURE_ONLY_MESSAGE =
+  'Payments can only be captured through POST /payments/:id/capture';
+
+// Get all payments
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get all payments request');
+    const payments = await Payment.find()
+      .populate('order')
+      .sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${payments.length} payments`);
+    res.status(200).json({
+      success: true,
+      message: 'Payments fetched successfully',
+      data: payments
+    });
+  } catch (err) {
+    console.error('❌ Get payments error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get payment by ID
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get payment by ID request:', req.params.id);
+    const payment = await Payment.findOne({ id: req.params.id })
+      .populate('order');
+    
+    if (!payment) {
+      console.log('❌ Payment not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+    
+    console.log('✅ Payment found:', payment.id);
+    res.status(200).json({
+      success: true,
+      message: 'Payment fetched successfully',
+      data: payment
+    });
+  } catch (err) {
+    console.error('❌ Get payment error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get payment by gateway payment ID
+router.get('/gateway/:gatewayPaymentId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get payment by gateway payment ID request:', req.params.gatewayPaymentId);
+    const payment = await Payment.findByGatewayPaymentId(req.params.gatewayPaymentId)
+      .populate('order');
+    
+    if (!payment) {
+      console.log('❌ Payment not found with gateway payment ID:', req.params.gatewayPaymentId);
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found with this gateway payment ID'
+      });
+    }
+    
+    console.log('✅ Payment found by gateway payment ID:', payment.id);
+    res.status(200).json({
+      success: true,
+      message: 'Payment fetched successfully',
+      data: payment
+    });
+  } catch (err) {
+    console.error('❌ Get payment by gateway payment ID error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get payments by order ID
+router.get('/order/:orderId', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get payments by order ID request:', req.params.orderId);
+    const payments = await Payment.findByOrderId(req.params.orderId)
+      .populate('order');
+    
+    console.log(`✅ Found ${payments.length} payments for order ${req.params.orderId}`);
+    res.status(200).json({
+      success: true,
+      message: 'Order payments fetched successfully',
+      data: payments
+    });
+  } catch (err) {
+    console.error('❌ Get payments by order ID error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get successful payments
+router.get('/status/successful', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get successful payments request');
+    const payments = await Payment.findSuccessfulPayments()
+      .populate('order');
+    
+    console.log(`✅ Found ${payments.length} successful payments`);
+    res.status(200).json({
+      success: true,
+      message: 'Successful payments fetched successfully',
+      data: payments
+    });
+  } catch (err) {
+    console.error('❌ Get successful payments error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get failed payments
+router.get('/status/failed', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Get failed payments request');
+    const payments = await Payment.findFailedPayments()
+      .populate('order');
+    
+    console.log(`✅ Found ${payments.length} failed payments`);
+    res.status(200).json({
+      success: true,
+      message: 'Failed payments fetched successfully',
+      data: payments
+    });
+  } catch (err) {
+    console.error('❌ Get failed payments error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Create new payment
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Create payment request:', req.body);
+    const { gateway, gatewayPaymentId, orderId, amount, status, method } = req.body;
+
+    // Input validation
+    if (!gateway || !gatewayPaymentId || !orderId || amount === undefined) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({
+        success: false,
+        message: 'Gateway, Gateway Payment ID, Order ID, and Amount are required'
+      });
+    }
+
+    // Validate gateway
+    if (!GATEWAY_NAMES.includes(gateway.trim())) {
+      console.log('❌ Invalid gateway');
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid gateway. Must be one of: ' + GATEWAY_NAMES.join(', ')
+      });
+    }
+
+    // Validate amount
+    if (amount < 0) {
+      console.log('❌ Invalid amount');
+      return res.status(400).json({
+        success: false,
+        message: 'Amount must be non-negative'
+      });
+    }
+
+    // Check if Order exists
+    const orderExists = await Order.findOne({ id: orderId });
+    if (!orderExists) {
+      console.log('❌ Order not found:', orderId);
+      return res.status(404).json({
+        success: false,
+        message: 'Order not found'
+      });
+    }
+
+    // Check if payment with same gateway payment ID already exists
+    const existingPayment = await Payment.findByGatewayPaymentId(gatewayPaymentId);
+    if (existingPayment) {
+      console.log('❌ Payment with this gateway payment ID already exists:', gatewayPaymentId);
+      return res.status(409).json({
+        success: false,
+        message: 'Payment with this gateway payment ID already exists'
+      });
+    }
+
+    // Validate status if provided
+    if (status && !['initiated', 'captured', 'failed', 'refunded'].includes(status)) {
+      console.log('❌ Invalid status');
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be one of: initiated, captured, failed, refunded'
+      });
+    }
+
+    if (status === 'captured') {
+      return res.status(400).json({
+        success: false,
+        message: CAPTURE_ONLY_MESSAGE
+      });
+    }
+
+    // Validate method if provided
+    if (method && !['UPI', 'CARD', 'NETBANKING', 'WALLET', 'EMI'].includes(method)) {
+      console.log('❌ Invalid method');
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid method. Must be one of: UPI, CARD, NETBANKING, WALLET, EMI'
+      });
+    }
+
+    // Create new payment
+    const newPayment = new Payment({
+      gateway: gateway.trim(),
+      gatewayPaymentId: gatewayPaymentId.trim(),
+      orderId: parseInt(orderId),
+      amount: parseInt(amount),
+      status: status || 'initiated',
+      method: method || null
+    });
+
+    const savedPayment = await newPayment.save();
+    
+    // Populate order info for response
+    await savedPayment.populate('order');
+    
+    console.log('✅ Payment created successfully:', savedPayment.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Payment created successfully',
+      data: savedPayment
+    });
+  } catch (err) {
+    console.error('❌ Create payment error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Update payment
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Update payment request:', req.params.id, req.body);
+    const { status, method, amount } = req.body;
+
+    const payment = await Payment.findOne({ id: req.params.id });
+    if (!payment) {
+      console.log('❌ Payment not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    // Update fields if provided
+    if (status) {
+      if (!['initiated', 'captured', 'failed', 'refunded'].includes(status)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid status. Must be one of: initiated, captured, failed, refunded'
+        });
+      }
+      if (status === 'captured' && payment.status !== 'captured') {
+        return res.status(400).json({
+          success: false,
+          message: CAPTURE_ONLY_MESSAGE
+        });
+      }
+      payment.status = status;
+    }
+
+    if (method !== undefined) {
+      if (method && !['UPI', 'CARD', 'NETBANKING', 'WALLET', 'EMI'].includes(method)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid method. Must be one of: UPI, CARD, NETBANKING, WALLET, EMI'
+        });
+      }
+      payment.method = method;
+    }
+
+    if (amount !== undefined) {
+      if (amount < 0) {
+        return res.status(400).json({
+          success: false,
+          message: 'Amount must be non-negative'
+        });
+      }
+      payment.amount = parseInt(amount);
+    }
+
+    const updatedPayment = await payment.save();
+    await updatedPayment.populate('order');
+    
+    console.log('✅ Payment updated successfully:', updatedPayment.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment updated successfully',
+      data: updatedPayment
+    });
+  } catch (err) {
+    console.error('❌ Update payment error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Update payment status (common operation)
+router.patch('/:id/status', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Update payment status request:', req.params.id, req.body);
+    const { status } = req.body;
+
+    if (!status) {
+      console.log('❌ Status is required');
+      return res.status(400).json({
+        success: false,
+        message: 'Status is required'
+      });
+    }
+
+    if (!['initiated', 'captured', 'failed', 'refunded'].includes(status)) {
+      console.log('❌ Invalid status');
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid status. Must be one of: initiated, captured, failed, refunded'
+      });
+    }
+
+    if (status === 'captured') {
+      return res.status(400).json({
+        success: false,
+        message: CAPTURE_ONLY_MESSAGE
+      });
+    }
+
+    const payment = await Payment.findOne({ id: req.params.id });
+    if (!payment) {
+      console.log('❌ Payment not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    payment.status = status;
+    const updatedPayment = await payment.save();
+    await updatedPayment.populate('order');
+    
+    console.log('✅ Payment status updated successfully:', updatedPayment.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment status updated successfully',
+      data: updatedPayment
+    });
+  } catch (err) {
+    console.error('❌ Update payment status error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Capture payment (verify the gateway signature, flip the order to paid and grant access)
+router.post('/:id/capture', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Capture payment request:', req.params.id);
+    const { gatewayPaymentId, signature } = req.body;
+
+    if (!gatewayPaymentId || !signature) {
+      return res.status(400).json({
+        success: false,
+        message: 'Gateway payment ID and signature are required'
+      });
+    }
+
+    const existing = await Payment.findOne({ id: req.params.id });
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    const { payment } = await checkout.verifyAndCapture({
+      gatewayOrderId: existing.gatewayOrderId,
+      gatewayPaymentId,
+      signature
+    });
+    await payment.populate('order');
+
+    console.log('✅ Payment captured successfully:', payment.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment captured successfully',
+      data: payment
+    });
+  } catch (err) {
+    sendError(res, err, 'Capture payment error');
+  }
+});
+
+// Fail payment
+router.post('/:id/fail', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Fail payment request:', req.params.id);
+
+    const { payment } = await checkout.failPayment(req.params.id);
+    await payment.populate('order');
+
+    console.log('✅ Payment marked as failed:', payment.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Payment marked as failed',
+      data: payment
+    });
+  } catch (err) {
+    sendError(res, err, 'Fail payment error');
+  }
+});
+
+// Refund all or part of a captured payment through its gateway
+router.post('/:id/refund', authenticateToken, requireAdmin, validate(refundSchema), async (req, res) => {
+  try {
+    console.log('🚀 Refund payment request:', req.params.id, req.body);
+
+    const { refund, payment, creditNote } = await refunds.requestRefund({
+      paymentId: req.params.id,
+      amount: req.body.amount,
+      reason: req.body.reason,
+      admin: req.user
+    });
+    await payment.populate('order');
+
+    console.log('✅ Payment refunded successfully:', payment.id, refund.amount);
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund processed successfully',
+      data: { refund, payment, creditNote }
+    });
+  } catch (err) {
+    sendError(res, err, 'Refund payment error');
+  }
+});
+
+// Refunds of a payment, newest first, with their credit notes
+router.get('/:id/refunds', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const refundList = await refunds.listRefunds(req.params.id);
+    res.status(200).json({
+      success: true,
+      message: 'Refunds fetched successfully',
+      data: refundList
+    });
+  } catch (err) {
+    sendError(res, err, 'Get refunds error');
+  }
+});
+
+// Delete payment (hard delete - use with caution)
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Delete payment request:', req.params.id);
+    
+    const payment = await Payment.findOne({ id: req.params.id });
+    if (!payment) {
+      console.log('❌ Payment not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Payment not found'
+      });
+    }
+
+    await Payment.deleteOne({ id: req.params.id });
+    
+    console.log('✅ Payment deleted successfully:', req.params.id);
+    res.status(200).json({
+      success: true,
+      message: 'Payment deleted successfully'
+    });
+  } catch (err) {
+    console.error('❌ Delete payment error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,9 +1,15 @@
 const express = require('express');
 const Users = require('../Model/user');
 const { authenticateToken } = require('../middleware/auth');
+const { acceptUpload, IMAGE_TYPES } = require('../middleware/upload');
+const { saveAvatar, removeAvatar } = require('../services/avatars');
+const storage = require('../services/storage');
+const { sendError } = require('../utils/httpError');
 
 const router = express.Router();
 
+const MAX_AVATAR_BYTES = 5 * 1024 * 1024;
+
 /**
  * @route   POST /user/profile
  * @desc    Complete or update user profile
@@ -17,7 +23,6 @@ router.post('/profile', authenticateToken, async (req, res) => {
       gender,
       city,
       state,
-      image, // Cloudinary URL from frontend
     } = req.body;
 
     // Basic validation
@@ -38,7 +43,6 @@ router.post('/profile', authenticateToken, async (req, res) => {
         gender,
         city,
         state,
-        profileImage: image || '',
         profileCompleted: true,
         updatedAt: new Date(),
       },
@@ -66,4 +70,75 @@ router.post('/profile', authenticateToken, async (req, res) => {
   }
 });
 
+/**
+ * @route   POST /user/avatar
+ * @desc    Upload a profile picture (multipart field "avatar"); it is
+ *          cropped square, resized and stored without its metadata
+ * @access  Private (JWT required)
+ */
+router.post(
+  '/avatar',
+  authenticateToken,
+  acceptUpload({ field: 'avatar', types: IMAGE_TYPES, maxBytes: MAX_AVATAR_BYTES }),
+  async (req, res) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({
+          success: false,
+          message: 'No image uploaded',
+        });
+      }
+      const user = await saveAvatar(req.user, req.file.buffer);
+      return res.json({
+        success: true,
+        message: 'Profile picture updated',
+        data: { profileImage: user.profileImage },
+      });
+    } catch (err) {
+      return sendError(res, err, 'Avatar upload error');
+    }
+  }
+);
+
+/**
+ * @route   DELETE /user/avatar
+ * @desc    Remove the uploaded profile picture
+ * @access  Private (JWT required)
+ */
+router.delete('/avatar', authenticateToken, async (req, res) => {
+  try {
+    await removeAvatar(req.user);
+    return res.json({
+      success: true,
+      message: 'Profile picture removed',
+      data: { profileImage: '' },
+    });
+  } catch (err) {
+    return sendError(res, err, 'Avatar delete error');
+  }
+});
+
+/**
+ * @route   GET /user/avatar/:userId/:file
+ * @desc    Serve a stored avatar. Keys change on every upload, so the
+ *          response can be cached indefinitely.
+ * @access  Public
+ */
+router.get('/avatar/:userId/:file', async (req, res) => {
+  try {
+    const key = `avatars/${req.params.userId}/${req.params.file}`;
+    const file = storage.isValidKey(key) ? await storage.getFile(key) : null;
+    if (!file) {
+      return res.status(404).json({
+        success: false,
+        message: 'Avatar not found',
+      });
+    }
+    res.set('Cache-Control', 'public, max-age=31536000, immutable');
+    return res.type(file.contentType).send(file.body);
+  } catch (err) {
+    return sendError(res, err, 'Avatar fetch error');
+  }
+});
+
 module.exports = router;
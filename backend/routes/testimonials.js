@@ -0,0 +1,353 @@
+const express = require('express');
+const Users = require('../Model/user');
+const Testimonial = require('../Model/testimonial');
+const {
+  authenticateToken,
+  requireAdmin,
+  requireOwnershipOrAdmin,
+} = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get all testimonials
+router.get('/', async (req, res) => {
+  try {
+    console.log('🚀 Get all testimonials request');
+    const testimonials = await Testimonial.find()
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${testimonials.length} testimonials`);
+    res.status(200).json({
+      success: true,
+      message: 'Testimonials fetched successfully',
+      data: testimonials
+    });
+  } catch (err) {
+    console.error('❌ Get testimonials error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get recent testimonials (for display on homepage)
+router.get('/recent', async (req, res) => {
+  try {
+    console.log('🚀 Get recent testimonials request');
+    const limit = parseInt(req.query.limit) || 6;
+    const testimonials = await Testimonial.getRecentTestimonials(limit);
+    
+    console.log(`✅ Found ${testimonials.length} recent testimonials`);
+    res.status(200).json({
+      success: true,
+      message: 'Recent testimonials fetched successfully',
+      data: testimonials
+    });
+  } catch (err) {
+    console.error('❌ Get recent testimonials error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get testimonials by rating
+router.get('/rating/:rating', async (req, res) => {
+  try {
+    console.log('🚀 Get testimonials by rating request:', req.params.rating);
+    const rating = parseInt(req.params.rating);
+    
+    if (rating < 1 || rating > 5) {
+      console.log('❌ Invalid rating value');
+      return res.status(400).json({
+        success: false,
+        message: 'Rating must be between 1 and 5'
+      });
+    }
+
+    const testimonials = await Testimonial.findByRating(rating)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${testimonials.length} testimonials with rating ${rating}`);
+    res.status(200).json({
+      success: true,
+      message: `Testimonials with rating ${rating} fetched successfully`,
+      data: testimonials
+    });
+  } catch (err) {
+    console.error('❌ Get testimonials by rating error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get testimonials by user ID
+router.get('/user/:userId', authenticateToken, requireOwnershipOrAdmin('userId'), async (req, res) => {
+  try {
+    console.log('🚀 Get testimonials by user ID request:', req.params.userId);
+    
+    // Validate user exists
+    const user = await Users.findById(req.params.userId);
+    if (!user) {
+      console.log('❌ User not found:', req.params.userId);
+      return res.status(404).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    const testimonials = await Testimonial.findByUser(req.params.userId)
+      .populate('userId', 'name email')
+      .sort({ createdAt: -1 });
+    
+    console.log(`✅ Found ${testimonials.length} testimonials for user ${req.params.userId}`);
+    res.status(200).json({
+      success: true,
+      message: 'User testimonials fetched successfully',
+      data: testimonials
+    });
+  } catch (err) {
+    console.error('❌ Get testimonials by user error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get testimonial by ID
+router.get('/:id', async (req, res) => {
+  try {
+    console.log('🚀 Get testimonial by ID request:', req.params.id);
+    const testimonial = await Testimonial.findOne({ id: req.params.id })
+      .populate('userId', 'name email');
+    
+    if (!testimonial) {
+      console.log('❌ Testimonial not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Testimonial not found'
+      });
+    }
+    
+    console.log('✅ Testimonial found:', testimonial.id);
+    res.status(200).json({
+      success: true,
+      message: 'Testimonial fetched successfully',
+      data: testimonial
+    });
+  } catch (err) {
+    console.error('❌ Get testimonial error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Create new testimonial
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Create testimonial request:', req.body);
+    const { userId, name, city, content, rating } = req.body;
+
+    // Input validation
+    if (!name || !content) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({
+        success: false,
+        message: 'Name and content are required'
+      });
+    }
+
+    // Validate name length
+    if (name.trim().length < 2) {
+      console.log('❌ Name too short');
+      return res.status(400).json({
+        success: false,
+        message: 'Name must be at least 2 characters long'
+      });
+    }
+
+    // Validate content length
+    if (content.trim().length < 10) {
+      console.log('❌ Content too short');
+      return res.status(400).json({
+        success: false,
+        message: 'Content must be at least 10 characters long'
+      });
+    }
+
+    // Validate user exists if userId is provided
+    if (userId) {
+      const user = await Users.findById(userId);
+      if (!user) {
+        console.log('❌ User not found:', userId);
+        return res.status(404).json({
+          success: false,
+          message: 'User not found'
+        });
+      }
+    }
+
+    // Validate rating if provided
+    if (rating !== undefined && rating !== null) {
+      if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+        console.log('❌ Invalid rating value');
+        return res.status(400).json({
+          success: false,
+          message: 'Rating must be an integer between 1 and 5'
+        });
+      }
+    }
+
+    // Create new testimonial
+    const newTestimonial = new Testimonial({
+      userId: userId || null,
+      name: name.trim(),
+      city: city ? city.trim() : null,
+      content: content.trim(),
+      rating: rating || null
+    });
+
+    const savedTestimonial = await newTestimonial.save();
+    
+    // Populate user info for response
+    if (savedTestimonial.userId) {
+      await savedTestimonial.populate('userId', 'name email');
+    }
+    
+    console.log('✅ Testimonial created successfully:', savedTestimonial.id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Testimonial created successfully',
+      data: savedTestimonial
+    });
+  } catch (err) {
+    console.error('❌ Create testimonial error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Update testimonial
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Update testimonial request:', req.params.id, req.body);
+    const { name, city, content, rating } = req.body;
+
+    const testimonial = await Testimonial.findOne({ id: req.params.id });
+    if (!testimonial) {
+      console.log('❌ Testimonial not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Testimonial not found'
+      });
+    }
+
+    // Update fields if provided
+    if (name !== undefined) {
+      if (name.trim().length < 2) {
+        return res.status(400).json({
+          success: false,
+          message: 'Name must be at least 2 characters long'
+        });
+      }
+      testimonial.name = name.trim();
+    }
+
+    if (city !== undefined) {
+      testimonial.city = city ? city.trim() : null;
+    }
+
+    if (content !== undefined) {
+      if (content.trim().length < 10) {
+        return res.status(400).json({
+          success: false,
+          message: 'Content must be at least 10 characters long'
+        });
+      }
+      testimonial.content = content.trim();
+    }
+
+    if (rating !== undefined) {
+      if (rating !== null && (!Number.isInteger(rating) || rating < 1 || rating > 5)) {
+        return res.status(400).json({
+          success: false,
+          message: 'Rating must be an integer between 1 and 5'
+        });
+      }
+      testimonial.rating = rating;
+    }
+
+    const updatedTestimonial = await testimonial.save();
+    
+    // Populate user info for response
+    if (updatedTestimonial.userId) {
+      await updatedTestimonial.populate('userId', 'name email');
+    }
+    
+    console.log('✅ Testimonial updated successfully:', updatedTestimonial.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Testimonial updated successfully',
+      data: updatedTestimonial
+    });
+  } catch (err) {
+    console.error('❌ Update testimonial error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Delete testimonial
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Delete testimonial request:', req.params.id);
+    
+    const testimonial = await Testimonial.findOne({ id: req.params.id });
+    if (!testimonial) {
+      console.log('❌ Testimonial not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Testimonial not found'
+      });
+    }
+
+    await Testimonial.deleteOne({ id: req.params.id });
+    
+    console.log('✅ Testimonial deleted successfully:', req.params.id);
+    res.status(200).json({
+      success: true,
+      message: 'Testimonial deleted successfully'
+    });
+  } catch (err) {
+    console.error('❌ Delete testimonial error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
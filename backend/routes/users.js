@@ -0,0 +1,71 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Users = require('../Model/user');
+const Enrollment = require('../Model/enrollment');
+const Order = require('../Model/order');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+const USER_FIELDS = '-passwordHash -orders -coursesProgress -notes -avatarKeys';
+const MAX_RESULTS = 200;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// List users for the admin area: ?q matches name/email/phone, ?role filters
+router.get('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    const { q, role } = req.query;
+    const filter = {};
+    if (['user', 'admin'].includes(role)) filter.role = role;
+    if (q && String(q).trim()) {
+      const pattern = new RegExp(escapeRegex(String(q).trim()), 'i');
+      filter.$or = [{ name: pattern }, { email: pattern }, { phone: pattern }];
+    }
+
+    const users = await Users.find(filter)
+      .select(USER_FIELDS)
+      .sort({ createdAt: -1 })
+      .limit(MAX_RESULTS);
+
+    res.status(200).json({
+      success: true,
+      message: 'Users retrieved successfully',
+      data: users,
+    });
+  } catch (err) {
+    sendError(res, err, 'Get users error');
+  }
+});
+
+// One user with their enrollments (active and revoked) and orders
+router.get('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id)) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const user = await Users.findById(req.params.id).select(USER_FIELDS);
+    if (!user) {
+      return res.status(404).json({ success: false, message: 'User not found' });
+    }
+
+    const [enrollments, orders] = await Promise.all([
+      Enrollment.find({ userId: user._id })
+        .populate('courseId', 'title slug price isActive')
+        .sort({ grantedAt: -1 }),
+      Order.find({ userId: user._id }).sort({ createdAt: -1 }),
+    ]);
+
+    res.status(200).json({
+      success: true,
+      message: 'User retrieved successfully',
+      data: { user, enrollments, orders },
+    });
+  } catch (err) {
+    sendError(res, err, 'Get user error');
+  }
+});
+
+module.exports = router;
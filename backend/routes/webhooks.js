@@ -0,0 +1,33 @@
+const express = require('express');
+const { handleWebhook } = require('../services/paymentWebhooks');
+const { sendError } = require('../utils/httpError');
+
+const router = express.Router();
+
+// Gateway-to-server events; authenticated by the gateway's signature, not a JWT
+router.post('/payments/:gateway', async (req, res) => {
+  try {
+    console.log('🚀 Payment webhook:', req.params.gateway, req.body?.event);
+    const { event, duplicate } = await handleWebhook(req.params.gateway, {
+      rawBody: req.rawBody,
+      headers: req.headers,
+      body: req.body,
+    });
+
+    if (duplicate) {
+      console.log('✅ Duplicate webhook ignored:', event.eventId);
+    } else {
+      console.log('✅ Webhook', event.eventId, event.status);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: duplicate ? 'Event already received' : 'Event received',
+      data: { eventId: event.eventId, status: event.status, duplicate },
+    });
+  } catch (err) {
+    sendError(res, err, 'Payment webhook error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,298 @@
+const express = require('express');
+const Courses = require('../Model/course');
+const Webinar = require('../Model/webinar');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Get all webinars
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    console.log('🚀 Get all webinars request');
+    const webinars = await Webinar.find()
+      .populate('courseId', 'title slug description')
+      .sort({ scheduledAt: 1 }); // Sort by scheduled time
+    
+    console.log(`✅ Found ${webinars.length} webinars`);
+    res.status(200).json({
+      success: true,
+      message: 'Webinars fetched successfully',
+      data: webinars
+    });
+  } catch (err) {
+    console.error('❌ Get webinars error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get webinars by course ID
+router.get('/course/:courseId', authenticateToken, async (req, res) => {
+  try {
+    console.log('🚀 Get webinars by course ID request:', req.params.courseId);
+    const webinars = await Webinar.find({ courseId: req.params.courseId })
+      .populate('courseId', 'title slug description')
+      .sort({ scheduledAt: 1 });
+    
+    console.log(`✅ Found ${webinars.length} webinars for course ${req.params.courseId}`);
+    res.status(200).json({
+      success: true,
+      message: 'Course webinars fetched successfully',
+      data: webinars
+    });
+  } catch (err) {
+    console.error('❌ Get course webinars error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get upcoming webinars
+router.get('/upcoming', authenticateToken, async (req, res) => {
+  try {
+    console.log('🚀 Get upcoming webinars request');
+    const now = new Date();
+    const webinars = await Webinar.find({ 
+      scheduledAt: { $gte: now } 
+    })
+      .populate('courseId', 'title slug description')
+      .sort({ scheduledAt: 1 })
+      .limit(10); // Limit to next 10 upcoming webinars
+    
+    console.log(`✅ Found ${webinars.length} upcoming webinars`);
+    res.status(200).json({
+      success: true,
+      message: 'Upcoming webinars fetched successfully',
+      data: webinars
+    });
+  } catch (err) {
+    console.error('❌ Get upcoming webinars error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Get webinar by ID
+router.get('/:id', authenticateToken, async (req, res) => {
+  try {
+    console.log('🚀 Get webinar by ID request:', req.params.id);
+    const webinar = await Webinar.findById(req.params.id)
+      .populate('courseId', 'title slug description');
+    
+    if (!webinar) {
+      console.log('❌ Webinar not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+    
+    console.log('✅ Webinar found:', webinar._id);
+    res.status(200).json({
+      success: true,
+      message: 'Webinar fetched successfully',
+      data: webinar
+    });
+  } catch (err) {
+    console.error('❌ Get webinar error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Create new webinar
+router.post('/', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Create webinar request:', req.body);
+    const { 
+      courseId, 
+      zoomWebinarId, 
+      title, 
+      scheduledAt, 
+      durationMins, 
+      joinUrl, 
+      recordingUrl 
+    } = req.body;
+
+    // Input validation
+    if (!courseId || !title || !scheduledAt || !durationMins) {
+      console.log('❌ Missing required fields');
+      return res.status(400).json({
+        success: false,
+        message: 'Course ID, title, scheduled time, and duration are required'
+      });
+    }
+
+    // Validate that course exists
+    const course = await Courses.findById(courseId);
+    if (!course) {
+      console.log('❌ Course not found:', courseId);
+      return res.status(404).json({
+        success: false,
+        message: 'Course not found'
+      });
+    }
+
+    // Validate scheduled time is in the future
+    const scheduledDate = new Date(scheduledAt);
+    if (scheduledDate <= new Date()) {
+      console.log('❌ Invalid scheduled time - must be in future');
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled time must be in the future'
+      });
+    }
+
+    // Validate duration
+    if (durationMins < 1 || durationMins > 480) { // Max 8 hours
+      console.log('❌ Invalid duration');
+      return res.status(400).json({
+        success: false,
+        message: 'Duration must be between 1 and 480 minutes'
+      });
+    }
+
+    // Create new webinar
+    const newWebinar = new Webinar({
+      courseId,
+      zoomWebinarId: zoomWebinarId || null,
+      title,
+      scheduledAt: scheduledDate,
+      durationMins: parseInt(durationMins),
+      joinUrl: joinUrl || null,
+      recordingUrl: recordingUrl || null
+    });
+
+    const savedWebinar = await newWebinar.save();
+    
+    // Populate course info for response
+    await savedWebinar.populate('courseId', 'title slug description');
+    
+    console.log('✅ Webinar created successfully:', savedWebinar._id);
+
+    res.status(201).json({
+      success: true,
+      message: 'Webinar created successfully',
+      data: savedWebinar
+    });
+  } catch (err) {
+    console.error('❌ Create webinar error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Update webinar
+router.put('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Update webinar request:', req.params.id, req.body);
+    const { 
+      zoomWebinarId, 
+      title, 
+      scheduledAt, 
+      durationMins, 
+      joinUrl, 
+      recordingUrl 
+    } = req.body;
+
+    const webinar = await Webinar.findById(req.params.id);
+    if (!webinar) {
+      console.log('❌ Webinar not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    // Update fields
+    if (zoomWebinarId !== undefined) webinar.zoomWebinarId = zoomWebinarId;
+    if (title) webinar.title = title;
+    if (scheduledAt) {
+      const scheduledDate = new Date(scheduledAt);
+      if (scheduledDate <= new Date()) {
+        return res.status(400).json({
+          success: false,
+          message: 'Scheduled time must be in the future'
+        });
+      }
+      webinar.scheduledAt = scheduledDate;
+    }
+    if (durationMins) {
+      if (durationMins < 1 || durationMins > 480) {
+        return res.status(400).json({
+          success: false,
+          message: 'Duration must be between 1 and 480 minutes'
+        });
+      }
+      webinar.durationMins = parseInt(durationMins);
+    }
+    if (joinUrl !== undefined) webinar.joinUrl = joinUrl;
+    if (recordingUrl !== undefined) webinar.recordingUrl = recordingUrl;
+
+    const updatedWebinar = await webinar.save();
+    await updatedWebinar.populate('courseId', 'title slug description');
+    
+    console.log('✅ Webinar updated successfully:', updatedWebinar._id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Webinar updated successfully',
+      data: updatedWebinar
+    });
+  } catch (err) {
+    console.error('❌ Update webinar error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+// Delete webinar
+router.delete('/:id', authenticateToken, requireAdmin, async (req, res) => {
+  try {
+    console.log('🚀 Delete webinar request:', req.params.id);
+    
+    const webinar = await Webinar.findById(req.params.id);
+    if (!webinar) {
+      console.log('❌ Webinar not found:', req.params.id);
+      return res.status(404).json({
+        success: false,
+        message: 'Webinar not found'
+      });
+    }
+
+    await Webinar.findByIdAndDelete(req.params.id);
+    
+    console.log('✅ Webinar deleted successfully:', req.params.id);
+    res.status(200).json({
+      success: true,
+      message: 'Webinar deleted successfully'
+    });
+  } catch (err) {
+    console.error('❌ Delete webinar error:', err);
+    res.status(500).json({
+      success: false,
+      message: 'Server Error',
+      error: err.message
+    });
+  }
+});
+
+module.exports = router;
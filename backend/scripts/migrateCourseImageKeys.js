@@ -0,0 +1,72 @@
+/**
+ * One-off migration: topic images become storage keys.
+ *
+ * - Rewrites public paths like "/course/2.jpeg" to the key "course/2.jpeg"
+ *   (the files now live under backend/storage/course).
+ * - Gives the Option Analysis course the topic outline the reader used to
+ *   hardcode, if it has no topics yet.
+ *
+ * Usage: node scripts/migrateCourseImageKeys.js
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectMongo = require('../DB');
+const Courses = require('../Model/course');
+
+const REAL_COURSE_SLUG = 'option-analysis-strategy';
+
+// [title, first page, last page] — page N is storage key course/N.jpeg
+const REAL_COURSE_OUTLINE = [
+  ['Introduction', 2, 18],
+  ['Understanding Doji Candles', 19, 22],
+  ['The "Dicy Reversal" Setup', 23, 29],
+  ['Entry & Exit Rules', 30, 34],
+  ['Risk Management', 35, 47],
+  ['Practical Examples', 48, 52],
+  ['Final Thoughts', 53, 56],
+  ["Author's Message", 57, 58],
+];
+
+// "/course/2.jpeg" or "https://host/course/2.jpeg" -> "course/2.jpeg"
+const toStorageKey = (image) =>
+  image.replace(/^https?:\/\/[^/]+/, '').replace(/^\/+/, '');
+
+const pageRange = (from, to) =>
+  Array.from({ length: to - from + 1 }, (_, i) => `course/${from + i}.jpeg`);
+
+async function migrate() {
+  await connectMongo();
+
+  const courses = await Courses.find();
+  for (const course of courses) {
+    let changed = false;
+
+    course.topics.forEach((topic) => {
+      const keys = topic.images.map(toStorageKey);
+      if (keys.some((key, i) => key !== topic.images[i])) {
+        topic.images = keys;
+        changed = true;
+      }
+    });
+
+    if (course.slug === REAL_COURSE_SLUG && course.topics.length === 0) {
+      course.topics = REAL_COURSE_OUTLINE.map(([title, from, to]) => ({
+        title,
+        images: pageRange(from, to),
+      }));
+      changed = true;
+    }
+
+    if (changed) {
+      await course.save();
+      console.log('✅ Migrated course:', course.slug);
+    }
+  }
+
+  await mongoose.disconnect();
+}
+
+migrate().catch((err) => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
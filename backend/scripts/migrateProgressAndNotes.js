@@ -0,0 +1,132 @@
+/**
+ * One-off migration: reading progress and notes leave the User document.
+ *
+ * - Copies every User.coursesProgress topic entry into CourseProgress and
+ *   every User.notes entry into Note.
+ * - Progress the reader has written to CourseProgress since is kept: viewed
+ *   pages are merged, percent, time spent and last seen take the larger
+ *   value. Notes already in Note with the same text are not copied again.
+ * - Brings the CourseProgress and Note indexes up to date (notes used to be
+ *   unique per page).
+ * - With --drop-embedded, removes the embedded arrays once copied.
+ *
+ * Safe to run again. Usage:
+ *   node scripts/migrateProgressAndNotes.js [--drop-embedded]
+ */
+require('dotenv').config();
+const mongoose = require('mongoose');
+const connectMongo = require('../DB');
+const Users = require('../Model/user');
+const CourseProgress = require('../Model/courseProgress');
+const Note = require('../Model/note');
+
+const dropEmbedded = process.argv.includes('--drop-embedded');
+
+// Raw documents hand bitmaps over as BSON Binary
+const toBuffer = (bitmap) =>
+  bitmap ? Buffer.from(bitmap.buffer ?? bitmap) : null;
+
+const orBitmaps = (a, b) => {
+  if (!a) return b;
+  if (!b) return a;
+  const merged = Buffer.alloc(Math.max(a.length, b.length));
+  for (let i = 0; i < merged.length; i++) merged[i] = (a[i] || 0) | (b[i] || 0);
+  return merged;
+};
+
+const isId = (id) => id && mongoose.isValidObjectId(id);
+
+async function migrateProgress(user) {
+  let copied = 0;
+  for (const cp of user.coursesProgress || []) {
+    if (!isId(cp.courseId)) continue;
+    for (const t of cp.topics || []) {
+      if (!isId(t.topicId)) continue;
+      const key = { userId: user._id, courseId: cp.courseId, topicId: t.topicId };
+      const existing = await CourseProgress.findOne(key).lean();
+      await CourseProgress.updateOne(
+        key,
+        {
+          $set: {
+            viewedPages: orBitmaps(
+              toBuffer(existing?.viewedPages),
+              toBuffer(t.viewedPages)
+            ),
+            ...(existing ? {} : { lastImageIndex: t.lastImageIndex || 0 }),
+          },
+          $max: {
+            percent: t.percent || 0,
+            timeSpentSeconds: t.timeSpentSeconds || 0,
+            ...(t.lastSeenAt ? { lastSeenAt: t.lastSeenAt } : {}),
+          },
+          $inc: { revision: 1 },
+          $setOnInsert: { createdAt: t.lastSeenAt || cp.updatedAt || new Date() },
+        },
+        { upsert: true }
+      );
+      copied++;
+    }
+  }
+  return copied;
+}
+
+async function migrateNotes(user) {
+  let copied = 0;
+  for (const n of user.notes || []) {
+    if (!isId(n.courseId) || !isId(n.topicId) || !(n.imageIndex >= 0)) continue;
+    // Matched on the text too, since a page can now hold several notes
+    await Note.updateOne(
+      {
+        userId: user._id,
+        courseId: n.courseId,
+        topicId: n.topicId,
+        imageIndex: Number(n.imageIndex),
+        note: n.note || '',
+      },
+      {
+        $setOnInsert: {
+          createdAt: n.createdAt || new Date(),
+          updatedAt: n.updatedAt || new Date(),
+        },
+      },
+      { upsert: true }
+    );
+    copied++;
+  }
+  return copied;
+}
+
+async function migrate() {
+  await connectMongo();
+  await Promise.all([CourseProgress.syncIndexes(), Note.syncIndexes()]);
+
+  // The fields are no longer in the User schema, so read the raw documents
+  const cursor = Users.collection.find(
+    {
+      $or: [
+        { 'coursesProgress.0': { $exists: true } },
+        { 'notes.0': { $exists: true } },
+      ],
+    },
+    { projection: { coursesProgress: 1, notes: 1 } }
+  );
+
+  for await (const user of cursor) {
+    const progress = await migrateProgress(user);
+    const notes = await migrateNotes(user);
+    if (dropEmbedded) {
+      await Users.collection.updateOne(
+        { _id: user._id },
+        { $unset: { coursesProgress: '', notes: '' } }
+      );
+    }
+    console.log(`✅ Migrated user ${user._id}: ${progress} topics, ${notes} notes`);
+  }
+
+  await mongoose.disconnect();
+}
+
+migrate().catch((err) => {
+  console.error('❌ Migration failed:', err);
+  process.exit(1);
+});
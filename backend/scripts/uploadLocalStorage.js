@@ -0,0 +1,51 @@
+/**
+ * One-off copy of everything under MEDIA_ROOT (the local storage driver's
+ * folder) into the configured storage driver, for moving to S3.
+ *
+ * Usage: STORAGE_DRIVER=s3 node scripts/uploadLocalStorage.js [prefix]
+ *   prefix  only copy keys under it, e.g. "course"
+ */
+require('dotenv').config();
+const fs = require('fs/promises');
+const path = require('path');
+const storage = require('../services/storage');
+const local = require('../services/storage/local');
+
+// Storage keys of every file below `dir`, relative to the local root
+async function* walk(root, dir) {
+  const entries = await fs.readdir(dir, { withFileTypes: true }).catch(() => []);
+  for (const entry of entries) {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      yield* walk(root, fullPath);
+    } else if (entry.isFile() && !entry.name.endsWith('.tmp')) {
+      yield path.relative(root, fullPath).split(path.sep).join('/');
+    }
+  }
+}
+
+async function upload() {
+  const target = storage.getDriver();
+  if (target.name === local.name) {
+    throw new Error('The configured driver is the local disk; set STORAGE_DRIVER=s3');
+  }
+
+  const root = local.getRoot();
+  const prefix = process.argv[2];
+  let copied = 0;
+  for await (const key of walk(root, prefix ? path.join(root, prefix) : root)) {
+    if (!storage.isValidKey(key)) {
+      console.log('❌ Skipping file with an invalid key:', key);
+      continue;
+    }
+    const file = await local.get(key);
+    await storage.putFile(key, file.body);
+    copied++;
+  }
+  console.log(`✅ Copied ${copied} file(s) to ${target.name} storage`);
+}
+
+upload().catch((err) => {
+  console.error('❌ Upload failed:', err);
+  process.exit(1);
+});
@@ -0,0 +1,89 @@
+const { generateToken, generateCsrfToken } = require('../middleware/auth');
+const sessions = require('./sessions');
+
+// Same cookie for every sign-in method; the frontend and API are on
+// different sites, hence SameSite=None
+const AUTH_COOKIE_OPTIONS = {
+  httpOnly: true,
+  secure: true,
+  sameSite: 'none',
+};
+
+// The refresh token is only ever sent to the auth routes
+const REFRESH_COOKIE = 'refreshToken';
+const REFRESH_COOKIE_OPTIONS = { ...AUTH_COOKIE_OPTIONS, path: '/api/auth' };
+
+const clientInfo = (req) => ({
+  userAgent: req.get('user-agent') || null,
+  ip: req.ip || null,
+});
+
+const readRefreshToken = (req) =>
+  (req.cookies && req.cookies[REFRESH_COOKIE]) || null;
+
+const setAuthCookies = (res, { token, refreshToken, session }) => {
+  res.cookie('token', token, AUTH_COOKIE_OPTIONS);
+  res.cookie(REFRESH_COOKIE, refreshToken, {
+    ...REFRESH_COOKIE_OPTIONS,
+    expires: session.expiresAt,
+  });
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie('token', AUTH_COOKIE_OPTIONS);
+  res.clearCookie(REFRESH_COOKIE, REFRESH_COOKIE_OPTIONS);
+};
+
+const sendUser = (res, user, token, session, { status = 200, message }) => {
+  // Remove sensitive data from response
+  const userResponse = user.toObject();
+  delete userResponse.passwordHash;
+
+  res.status(status).json({
+    success: true,
+    message,
+    data: {
+      user: userResponse,
+      token,
+      csrfToken: generateCsrfToken(session._id),
+    },
+  });
+};
+
+/**
+ * Sign the user in: open a Session for this device, set the access and
+ * refresh cookies and send the standard
+ * `{ success, message, data: { user, token, csrfToken } }` body. Used by
+ * password login, registration and Google sign-in so all three produce the
+ * same session.
+ */
+const sendAuthSuccess = async (req, res, user, options) => {
+  const { session, refreshToken } = await sessions.createSession(
+    user,
+    clientInfo(req)
+  );
+  const token = generateToken(user._id, user.role, session._id);
+
+  setAuthCookies(res, { token, refreshToken, session });
+  sendUser(res, user, token, session, options);
+};
+
+// Rotate the refresh cookie and issue a new access token
+const sendRefreshed = async (req, res) => {
+  const { session, user, refreshToken } = await sessions.rotateSession(
+    readRefreshToken(req),
+    clientInfo(req)
+  );
+  const token = generateToken(user._id, user.role, session._id);
+
+  setAuthCookies(res, { token, refreshToken, session });
+  sendUser(res, user, token, session, { message: 'Session refreshed' });
+};
+
+module.exports = {
+  AUTH_COOKIE_OPTIONS,
+  readRefreshToken,
+  clearAuthCookies,
+  sendAuthSuccess,
+  sendRefreshed,
+};
@@ -0,0 +1,82 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const storage = require('./storage');
+const { httpError } = require('../utils/httpError');
+
+// Square sizes stored per upload; profileImage points at DISPLAY_SIZE
+const AVATAR_SIZES = [64, 256, 512];
+const DISPLAY_SIZE = 256;
+// Refuse decompression bombs long before they fill memory
+const MAX_INPUT_PIXELS = 50 * 1000 * 1000;
+
+const avatarKey = (userId, version, size) => `avatars/${userId}/${version}-${size}.webp`;
+
+// Public path the API serves avatars from (routes/profile.js)
+const avatarPath = (key) => `/user/${key.replace(/^avatars\//, 'avatar/')}`;
+
+// Orient by EXIF, then centre-crop to a square. sharp drops all metadata
+// (EXIF, GPS, ICC comments) from its output unless asked to keep it.
+const renderSize = (buffer, size) =>
+  sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS })
+    .rotate()
+    .resize(size, size, { fit: 'cover', position: 'centre' })
+    .webp({ quality: 85 })
+    .toBuffer();
+
+const deleteKeys = (keys) =>
+  Promise.all(
+    keys.map((key) =>
+      storage.deleteFile(key).catch((err) =>
+        console.error('❌ Could not delete avatar file:', key, err.message)
+      )
+    )
+  );
+
+/**
+ * Store a new avatar for `user` in every size and point profileImage at it.
+ * Each upload gets fresh keys, so avatars can be cached forever; the
+ * previous files are deleted once the user is saved.
+ */
+const saveAvatar = async (user, buffer) => {
+  try {
+    await sharp(buffer, { limitInputPixels: MAX_INPUT_PIXELS }).metadata();
+  } catch {
+    throw httpError(400, 'The file is not a valid image');
+  }
+
+  const version = crypto.randomBytes(8).toString('hex');
+  const keys = [];
+  try {
+    for (const size of AVATAR_SIZES) {
+      const key = avatarKey(user._id, version, size);
+      await storage.putFile(key, await renderSize(buffer, size));
+      keys.push(key);
+    }
+  } catch (err) {
+    await deleteKeys(keys);
+    if (err.message?.includes('pixel limit')) {
+      throw httpError(400, 'The image is too large');
+    }
+    throw err;
+  }
+
+  const previous = user.avatarKeys || [];
+  user.avatarKeys = keys;
+  user.profileImage = avatarPath(avatarKey(user._id, version, DISPLAY_SIZE));
+  user.updatedAt = new Date();
+  await user.save();
+  await deleteKeys(previous);
+  return user;
+};
+
+const removeAvatar = async (user) => {
+  const previous = user.avatarKeys || [];
+  user.avatarKeys = [];
+  user.profileImage = '';
+  user.updatedAt = new Date();
+  await user.save();
+  await deleteKeys(previous);
+  return user;
+};
+
+module.exports = { AVATAR_SIZES, saveAvatar, removeAvatar };
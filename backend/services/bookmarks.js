@@ -0,0 +1,82 @@
+const mongoose = require('mongoose');
+const Bookmark = require('../Model/bookmark');
+const Course = require('../Model/course');
+const { findPage } = require('./notes');
+const { listResumePoints } = require('./readingProgress');
+const { httpError } = require('../utils/httpError');
+
+// Fields a client may see
+const BOOKMARK_FIELDS = 'courseId topicId imageIndex label createdAt updatedAt';
+
+// Most bookmarks returned across courses
+const MAX_BOOKMARKS = 200;
+
+// Add course and topic titles so an entry can be shown and linked on its own
+const withTitles = async (entries) => {
+  const courses = await Course.find({
+    _id: { $in: [...new Set(entries.map((e) => String(e.courseId)))] },
+  })
+    .select('title slug topics._id topics.title')
+    .lean();
+  const courseById = new Map(courses.map((c) => [String(c._id), c]));
+
+  return entries.map((e) => {
+    const course = courseById.get(String(e.courseId));
+    const topic = course?.topics.find((t) => String(t._id) === String(e.topicId));
+    return {
+      ...e,
+      course: course ? { _id: course._id, title: course.title, slug: course.slug } : null,
+      topicTitle: topic?.title ?? null,
+    };
+  });
+};
+
+// A user's bookmarks in one course, newest first
+const listCourseBookmarks = (userId, courseId) =>
+  Bookmark.find({ userId, courseId }).select(BOOKMARK_FIELDS).sort({ createdAt: -1 }).lean();
+
+// Every bookmark of a user, newest first, with course and topic titles
+const listBookmarks = async (userId, { courseId } = {}) => {
+  const filter = { userId };
+  if (courseId) filter.courseId = courseId;
+  const bookmarks = await Bookmark.find(filter)
+    .select(BOOKMARK_FIELDS)
+    .sort({ createdAt: -1 })
+    .limit(MAX_BOOKMARKS)
+    .lean();
+  return withTitles(bookmarks);
+};
+
+/**
+ * Bookmark a page. A page holds one bookmark, so bookmarking it again only
+ * changes the label.
+ */
+const saveBookmark = async (userId, { courseId, topicId, imageIndex }, { label = '' }) => {
+  const topic = await findPage(courseId, topicId, imageIndex);
+  return Bookmark.findOneAndUpdate(
+    { userId, courseId, topicId: topic._id, imageIndex },
+    {
+      $set: { label, updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() },
+    },
+    { upsert: true, new: true, lean: true, projection: BOOKMARK_FIELDS }
+  );
+};
+
+const deleteBookmark = async (userId, { courseId, bookmarkId }) => {
+  const deleted = mongoose.isValidObjectId(bookmarkId)
+    ? await Bookmark.findOneAndDelete({ _id: bookmarkId, userId, courseId })
+    : null;
+  if (!deleted) throw httpError(404, 'Bookmark not found');
+};
+
+// Where to pick each course up again, most recently read first
+const continueLearning = async (userId) => withTitles(await listResumePoints(userId));
+
+module.exports = {
+  listCourseBookmarks,
+  listBookmarks,
+  saveBookmark,
+  deleteBookmark,
+  continueLearning,
+};
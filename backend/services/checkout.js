@@ -0,0 +1,352 @@
+const mongoose = require('mongoose');
+const Courses = require('../Model/course');
+const Order = require('../Model/order');
+const OrderItem = require('../Model/orderItem');
+const Payment = require('../Model/payment');
+const Coupon = require('../Model/coupon');
+const enrollments = require('./enrollments');
+const coupons = require('./coupons');
+const invoices = require('./invoices');
+const { getGateway, getDefaultGateway } = require('./gateways');
+const { httpError } = require('../utils/httpError');
+
+// The frontend addresses the course by slug in some places and by _id in others
+const findActiveCourse = async (courseIdOrSlug, session = null) => {
+  const query = mongoose.isValidObjectId(courseIdOrSlug)
+    ? { _id: courseIdOrSlug }
+    : { slug: courseIdOrSlug };
+  const course = await Courses.findOne({ ...query, isActive: true }).session(
+    session
+  );
+  if (!course) throw httpError(404, 'Course not found');
+  return course;
+};
+
+/**
+ * Price a single-course purchase. Amounts are in the same unit as
+ * Courses.price; an invalid coupon code is rejected rather than ignored so
+ * the buyer is never charged more than the price they were shown. Pass the
+ * buying `user` to check the coupon's per-buyer rules too.
+ */
+const quoteCourse = async (
+  { courseId, couponCode, user = null },
+  session = null
+) => {
+  const course = await findActiveCourse(courseId, session);
+  const subtotalAmount = course.price;
+
+  let coupon = null;
+  let discountAmount = 0;
+  if (couponCode) {
+    coupon = await Coupon.findValidCoupon(couponCode).session(session);
+    if (!coupon) throw httpError(400, 'Invalid or expired coupon code');
+    discountAmount = await coupons.checkEligibility(
+      coupon,
+      { user, course, subtotalAmount },
+      session
+    );
+  }
+
+  return {
+    course,
+    coupon,
+    subtotalAmount,
+    discountAmount,
+    totalAmount: Math.max(0, subtotalAmount - discountAmount),
+  };
+};
+
+// Enroll the buyer in every course on a paid order
+const grantOrderAccess = async (order, session = null) => {
+  if (!order.userId) return;
+  const items = await OrderItem.find({ orderId: order.id }).session(session);
+  for (const item of items) {
+    await enrollments.grant(
+      {
+        userId: order.userId,
+        courseId: item.courseId,
+        source: 'order',
+        orderId: order.id,
+      },
+      session
+    );
+  }
+};
+
+// Revoke the enrollments a refunded order paid for
+const revokeOrderAccess = (order, session = null) =>
+  enrollments.revoke({ orderId: order.id }, {}, session);
+
+const COUPON_REJECTED_REASON =
+  'The coupon on this order was used up before the payment arrived';
+
+// Give the money back for a capture whose coupon no longer applied. Failing
+// here leaves a paid order without access, for an admin to refund by hand
+const refundRejectedCapture = async (payment) => {
+  // Required here: services/refunds requires this module
+  const refunds = require('./refunds');
+  try {
+    const { refund } = await refunds.requestRefund({
+      paymentId: payment.id,
+      reason: COUPON_REJECTED_REASON,
+    });
+    return refund;
+  } catch (err) {
+    console.error('❌ Refund of rejected coupon payment failed:', payment.id, err.message);
+    return null;
+  }
+};
+
+/**
+ * Mark a payment captured, flip its order to paid, grant access and issue
+ * the invoice, all in one transaction; the invoice PDF is rendered once that
+ * has committed. Capturing an already-captured payment is a no-op. A failed
+ * payment can still be captured, since gateways report a failed attempt
+ * before the buyer's successful retry on the same order. If its coupon no
+ * longer fits by then, no access is granted and the payment is refunded in
+ * full; the result then has `couponRejected` set. Callers must have verified
+ * the gateway's signature first.
+ */
+const capturePayment = async (paymentId, { method, gatewayPaymentId } = {}) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const payment = await Payment.findOne({ id: paymentId }).session(session);
+      if (!payment) throw httpError(404, 'Payment not found');
+
+      const order = await Order.findOne({ id: payment.orderId }).session(
+        session
+      );
+      if (!order) throw httpError(404, 'Order not found');
+
+      if (payment.status === 'captured') {
+        result = { payment, order };
+        return;
+      }
+      if (!['initiated', 'failed'].includes(payment.status)) {
+        throw httpError(
+          400,
+          'Payment cannot be captured. Current status: ' + payment.status
+        );
+      }
+
+      payment.status = 'captured';
+      if (method) payment.method = method;
+      if (gatewayPaymentId) payment.gatewayPaymentId = gatewayPaymentId;
+      await payment.save({ session });
+
+      order.status = 'paid';
+      order.paymentId = payment.id;
+      await order.save({ session });
+
+      const couponRejected = (await coupons.confirmRedemption(order, session)) === false;
+      if (!couponRejected) await grantOrderAccess(order, session);
+      const invoice = await invoices.issueInvoice(order, session);
+      result = { payment, order, invoice, couponRejected };
+    });
+    // The payment stands even if rendering fails; the download endpoint
+    // renders missing PDFs on demand
+    if (result.invoice && !result.invoice.fileKey) {
+      await invoices.generateInvoiceFile(result.invoice).catch((err) =>
+        console.error('❌ Invoice PDF error:', result.invoice.number, err)
+      );
+    }
+    if (result.couponRejected && result.payment.amount > 0) {
+      result.refund = await refundRejectedCapture(result.payment);
+    }
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Mark an initiated payment failed and its order failed with it, giving its
+ * coupon use back.
+ */
+const failPayment = async (paymentId) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      const payment = await Payment.findOne({ id: paymentId }).session(session);
+      if (!payment) throw httpError(404, 'Payment not found');
+      if (payment.status !== 'initiated') {
+        throw httpError(
+          400,
+          'Payment cannot be failed. Current status: ' + payment.status
+        );
+      }
+
+      payment.status = 'failed';
+      await payment.save({ session });
+
+      const order = await Order.findOne({ id: payment.orderId }).session(
+        session
+      );
+      if (order && order.status !== 'paid') {
+        order.status = 'failed';
+        await order.save({ session });
+        await coupons.releaseOrderCoupon(order, session);
+      }
+      result = { payment, order };
+    });
+    return result;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Check the gateway's signature for a completed payment and only then capture
+ * it. Pass `user` to also require that the order belongs to them.
+ */
+const verifyAndCapture = async ({
+  user = null,
+  gatewayOrderId,
+  gatewayPaymentId,
+  signature,
+}) => {
+  if (!gatewayOrderId) throw httpError(400, 'Gateway order ID is required');
+  const payment = await Payment.findByGatewayOrderId(gatewayOrderId);
+  if (!payment) throw httpError(404, 'Payment not found');
+
+  if (user && user.role !== 'admin') {
+    const order = await Order.findOne({ id: payment.orderId });
+    if (!order || String(order.userId) !== String(user._id)) {
+      throw httpError(403, 'Access denied: You can only access your own resources');
+    }
+  }
+
+  const gateway = getGateway(payment.gateway);
+  const valid = gateway.verifyPaymentSignature({
+    gatewayOrderId,
+    gatewayPaymentId,
+    signature,
+  });
+  if (!valid) throw httpError(400, 'Payment signature verification failed');
+
+  const result = await capturePayment(payment.id, { gatewayPaymentId });
+  if (result.couponRejected) {
+    throw httpError(
+      409,
+      result.refund
+        ? 'The coupon on this order is no longer available, so your payment has been refunded. Please check out again.'
+        : 'The coupon on this order is no longer available. Your payment will be refunded.'
+    );
+  }
+  return result;
+};
+
+/**
+ * Buy a course: create the Order, its OrderItem and an initiated Payment and
+ * reserve the coupon in a single transaction, then open a payment intent
+ * with the gateway. Free orders (100% coupons) are captured immediately.
+ */
+const buyCourse = async (user, { courseId, couponCode }) => {
+  const gateway = getDefaultGateway();
+  const session = await mongoose.startSession();
+  let created;
+  try {
+    await session.withTransaction(async () => {
+      const quote = await quoteCourse({ courseId, couponCode, user }, session);
+      if (await enrollments.hasAccess(user._id, quote.course._id, session)) {
+        throw httpError(409, 'You already have access to this course');
+      }
+
+      const order = new Order({
+        userId: user._id,
+        email: user.email,
+        phone: user.phone || null,
+        subtotalAmount: quote.subtotalAmount,
+        discountAmount: quote.discountAmount,
+        totalAmount: quote.totalAmount,
+        currency: 'INR',
+        status: 'pending_payment',
+        couponId: quote.coupon ? quote.coupon.id : null,
+      });
+      await order.save({ session });
+      if (quote.coupon) {
+        await coupons.reserveCoupon({ coupon: quote.coupon, user, order }, session);
+      }
+
+      const item = new OrderItem({
+        orderId: order.id,
+        courseId: quote.course._id,
+        unitPrice: quote.subtotalAmount,
+        quantity: 1,
+      });
+      await item.save({ session });
+
+      const payment = new Payment({
+        gateway: quote.totalAmount === 0 ? 'free' : gateway.name,
+        orderId: order.id,
+        amount: quote.totalAmount,
+        status: 'initiated',
+      });
+      await payment.save({ session });
+
+      created = { order, payment, course: quote.course };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (created.payment.amount === 0) {
+    const { payment, order } = await capturePayment(created.payment.id);
+    return { ...created, order, payment, checkout: null };
+  }
+
+  let intent;
+  try {
+    intent = await gateway.createIntent({
+      amount: created.payment.amount,
+      currency: created.order.currency,
+      receipt: `order_${created.order.id}`,
+      notes: { orderId: String(created.order.id), courseId: String(courseId) },
+    });
+  } catch (err) {
+    console.error('❌ Payment intent error:', err.message);
+    await failPayment(created.payment.id);
+    throw httpError(502, 'Could not reach the payment gateway');
+  }
+
+  created.payment.gatewayOrderId = intent.gatewayOrderId;
+  await created.payment.save();
+
+  return {
+    ...created,
+    checkout: {
+      gateway: gateway.name,
+      ...intent.checkout,
+      name: created.course.title,
+      prefill: { email: user.email, contact: user.phone || '' },
+    },
+  };
+};
+
+// Stand in for the customer paying in the mock gateway's popup
+const simulateMockPayment = async (user, gatewayOrderId) => {
+  const payment = await Payment.findByGatewayOrderId(gatewayOrderId);
+  if (!payment || payment.gateway !== 'mock') {
+    throw httpError(404, 'Payment not found');
+  }
+  const order = await Order.findOne({ id: payment.orderId });
+  if (!order || String(order.userId) !== String(user._id)) {
+    throw httpError(403, 'Access denied: You can only access your own resources');
+  }
+  return getGateway('mock').simulatePayment(gatewayOrderId);
+};
+
+module.exports = {
+  findActiveCourse,
+  quoteCourse,
+  buyCourse,
+  capturePayment,
+  verifyAndCapture,
+  failPayment,
+  simulateMockPayment,
+  grantOrderAccess,
+  revokeOrderAccess,
+};
@@ -0,0 +1,206 @@
+const Coupon = require('../Model/coupon');
+const CouponRedemption = require('../Model/couponRedemption');
+const Order = require('../Model/order');
+const Payment = require('../Model/payment');
+const { httpError } = require('../utils/httpError');
+
+// Orders that count as an earlier purchase for first-purchase-only coupons
+const PURCHASED_STATUSES = ['paid', 'partially_refunded', 'refunded'];
+
+// How long an unpaid checkout holds its coupon use before others may take it
+const RESERVATION_TTL_MS = 30 * 60 * 1000;
+
+/**
+ * Check a coupon's rules for one buyer and course and resolve to the
+ * discount. Throws a 400 naming the rule that was not met, so the buyer is
+ * told why rather than silently charged full price.
+ */
+const checkEligibility = async (
+  coupon,
+  { user = null, course, subtotalAmount },
+  session = null
+) => {
+  if (
+    coupon.courseIds?.length &&
+    !coupon.courseIds.some((id) => String(id) === String(course._id))
+  ) {
+    throw httpError(400, 'This coupon does not apply to this course');
+  }
+
+  if (subtotalAmount < (coupon.minOrderAmount || 0)) {
+    throw httpError(
+      400,
+      `This coupon needs an order of at least ${coupon.minOrderAmount}`
+    );
+  }
+
+  if (user && coupon.firstPurchaseOnly) {
+    const purchased = await Order.exists({
+      userId: user._id,
+      status: { $in: PURCHASED_STATUSES },
+    }).session(session);
+    if (purchased) {
+      throw httpError(400, 'This coupon is only valid on your first purchase');
+    }
+  }
+
+  if (user && coupon.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({
+      couponId: coupon.id,
+      userId: user._id,
+      // Open checkouts are released when the buyer checks out again
+      status: 'redeemed',
+    }).session(session);
+    if (used >= coupon.perUserLimit) {
+      throw httpError(400, 'You have already used this coupon');
+    }
+  }
+
+  return coupon.calculateDiscount(subtotalAmount);
+};
+
+/**
+ * Release a reserved redemption and give its use back to the coupon.
+ * Releasing anything that is not reserved is a no-op.
+ */
+const releaseRedemption = async (redemption, session = null) => {
+  const released = await CouponRedemption.findOneAndUpdate(
+    { id: redemption.id, status: 'reserved' },
+    { $set: { status: 'released', updatedAt: new Date() } },
+    { new: true, session }
+  );
+  if (released) await Coupon.returnUse(released.couponId, session);
+  return released;
+};
+
+// Cancel the unpaid order of a superseded checkout. Its gateway intent may
+// still be paid; confirmRedemption then checks the coupon's limits again
+const cancelSupersededOrder = async (orderId, session = null) => {
+  const order = await Order.findOneAndUpdate(
+    { id: orderId, status: 'pending_payment' },
+    { $set: { status: 'failed', updatedAt: new Date() } },
+    { new: true, session }
+  );
+  if (!order) return;
+  await Payment.updateMany(
+    { orderId, status: 'initiated' },
+    { $set: { status: 'failed', updatedAt: new Date() } },
+    { session }
+  );
+};
+
+// Free the uses held by checkouts left unpaid past RESERVATION_TTL_MS,
+// cancelling their orders as if superseded
+const releaseStaleReservations = async (couponId, session = null) => {
+  const stale = await CouponRedemption.find({
+    couponId,
+    status: 'reserved',
+    createdAt: { $lt: new Date(Date.now() - RESERVATION_TTL_MS) },
+  }).session(session);
+  for (const redemption of stale) {
+    await releaseRedemption(redemption, session);
+    await cancelSupersededOrder(redemption.orderId, session);
+  }
+  return stale.length;
+};
+
+/**
+ * Hold one use of a coupon for an unpaid order. The buyer's earlier open
+ * checkouts with the same coupon are released and their orders cancelled
+ * first, then the use is taken with a conditional update on the coupon, so
+ * concurrent checkouts can never go past its usage limit. A coupon at its
+ * limit gets back the uses of abandoned checkouts first. Call it inside the
+ * transaction that saves the order.
+ */
+const reserveCoupon = async ({ coupon, user, order }, session = null) => {
+  const open = await CouponRedemption.find({
+    couponId: coupon.id,
+    userId: user._id,
+    status: 'reserved',
+  }).session(session);
+  for (const redemption of open) {
+    await releaseRedemption(redemption, session);
+    await cancelSupersededOrder(redemption.orderId, session);
+  }
+
+  const taken =
+    (await Coupon.takeUse(coupon.id, session)) ||
+    ((await releaseStaleReservations(coupon.id, session)) > 0 &&
+      (await Coupon.takeUse(coupon.id, session)));
+  if (!taken) {
+    throw httpError(409, 'This coupon has reached its usage limit');
+  }
+
+  const redemption = new CouponRedemption({
+    couponId: coupon.id,
+    userId: user._id,
+    orderId: order.id,
+    discountAmount: order.discountAmount,
+  });
+  await redemption.save({ session });
+  return redemption;
+};
+
+/**
+ * Turn an order's reservation into a redemption once it is paid. Every
+ * payment is checked against the per-buyer limit, since another of the
+ * buyer's orders may have been paid with the coupon meanwhile. A payment
+ * that succeeds after its reservation was released (a retry after a failed
+ * attempt, or a checkout superseded by a newer one) also has to take the use
+ * again within the usage limit. Resolves to false when the coupon no longer
+ * fits: the caller must then refund the payment rather than honour the
+ * discount. Resolves to null for orders without a coupon.
+ */
+const confirmRedemption = async (order, session = null) => {
+  if (!order.couponId) return null;
+
+  const redemption = await CouponRedemption.findOne({ orderId: order.id }).session(
+    session
+  );
+  if (redemption?.status === 'redeemed') return redemption;
+
+  const coupon = await Coupon.findOne({ id: order.couponId }).session(session);
+  if (order.userId && coupon?.perUserLimit) {
+    const used = await CouponRedemption.countDocuments({
+      couponId: coupon.id,
+      userId: order.userId,
+      status: 'redeemed',
+    }).session(session);
+    if (used >= coupon.perUserLimit) {
+      if (redemption?.status === 'reserved') await releaseRedemption(redemption, session);
+      return false;
+    }
+  }
+
+  if (redemption?.status !== 'reserved') {
+    if (!coupon || !(await Coupon.takeUse(coupon.id, session))) return false;
+  }
+
+  const confirmed =
+    redemption ||
+    new CouponRedemption({
+      couponId: order.couponId,
+      userId: order.userId,
+      orderId: order.id,
+      discountAmount: order.discountAmount,
+    });
+  confirmed.status = 'redeemed';
+  await confirmed.save({ session });
+  return confirmed;
+};
+
+// Give back the coupon use of an order whose payment failed
+const releaseOrderCoupon = async (order, session = null) => {
+  if (!order.couponId) return null;
+  const redemption = await CouponRedemption.findOne({ orderId: order.id }).session(
+    session
+  );
+  return redemption ? releaseRedemption(redemption, session) : null;
+};
+
+module.exports = {
+  checkEligibility,
+  reserveCoupon,
+  confirmRedemption,
+  releaseOrderCoupon,
+};
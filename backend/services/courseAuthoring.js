@@ -0,0 +1,363 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const sharp = require('sharp');
+const Courses = require('../Model/course');
+const Note = require('../Model/note');
+const Bookmark = require('../Model/bookmark');
+const { movePagesForAll } = require('./readingProgress');
+const { putFile, deleteFile } = require('./storage');
+const { signMediaUrl } = require('./mediaUrls');
+const { variantKeys } = require('./pageVariants');
+const { httpError } = require('../utils/httpError');
+
+// Page formats the reader and watermarker handle, by sharp's format name
+const IMAGE_EXTENSIONS = { jpeg: '.jpeg', png: '.png', webp: '.webp' };
+
+const loadCourse = async (courseId) => {
+  const course = mongoose.isValidObjectId(courseId)
+    ? await Courses.findById(courseId)
+    : null;
+  if (!course) throw httpError(404, 'Course not found');
+  return course;
+};
+
+const findTopic = (course, topicId) => {
+  const topic = mongoose.isValidObjectId(topicId)
+    ? course.topics.id(topicId)
+    : null;
+  if (!topic) throw httpError(404, 'Topic not found');
+  return topic;
+};
+
+const imageIndex = (topic, index) => {
+  const i = Number(index);
+  if (!Number.isInteger(i) || i < 0 || i >= topic.images.length) {
+    throw httpError(404, 'Page not found');
+  }
+  return i;
+};
+
+// Clamp an optional insert position to the array; default is the end
+const insertAt = (length, position) =>
+  position === undefined ? length : Math.min(Math.max(0, position), length);
+
+// Same items, each exactly once, in any order
+const isPermutation = (next, current) =>
+  next.length === current.length &&
+  new Set(next).size === next.length &&
+  next.every((item) => current.includes(item));
+
+// Saves are version-checked, so two admins editing the same course can't
+// silently overwrite each other's changes
+const saveCourse = async (course, session = null) => {
+  try {
+    return await course.save({ session });
+  } catch (err) {
+    if (err.name === 'VersionError') {
+      throw httpError(
+        409,
+        'This course was changed elsewhere. Reload and try again.'
+      );
+    }
+    throw err;
+  }
+};
+
+// Validate an upload by decoding it, then store it under a fresh key
+const storeImage = async (courseId, file) => {
+  let format;
+  try {
+    ({ format } = await sharp(file.buffer).metadata());
+  } catch {
+    throw httpError(400, `${file.originalname} is not a valid image`);
+  }
+  const ext = IMAGE_EXTENSIONS[format];
+  if (!ext) {
+    throw httpError(
+      400,
+      `${file.originalname}: only JPEG, PNG and WebP images are supported`
+    );
+  }
+
+  const key = `course/${courseId}/${crypto.randomBytes(12).toString('hex')}${ext}`;
+  await putFile(key, file.buffer);
+  return key;
+};
+
+const storeImages = async (courseId, files) => {
+  const keys = [];
+  try {
+    for (const file of files) keys.push(await storeImage(courseId, file));
+    return keys;
+  } catch (err) {
+    await Promise.all(keys.map((key) => deleteFile(key)));
+    throw err;
+  }
+};
+
+// Delete files no course points at any more (keys may be shared by courses
+// seeded from the same folder), along with any resized copies
+const deleteUnreferenced = async (keys) => {
+  for (const key of keys) {
+    if (!(await Courses.exists({ 'topics.images': key }))) {
+      await Promise.all(
+        [key, ...variantKeys(key)].map((file) =>
+          deleteFile(file).catch((err) =>
+            console.error('❌ Could not delete media file:', file, err.message)
+          )
+        )
+      );
+    }
+  }
+};
+
+// Where each page of a topic went after an edit: moved[old] = new, -1 if
+// the page was deleted. A key used twice is matched up in order
+const movedPages = (before, after) => {
+  const positions = new Map();
+  after.forEach((key, i) => positions.set(key, [...(positions.get(key) || []), i]));
+  return before.map((key) => {
+    const left = positions.get(key);
+    return left?.length ? left.shift() : -1;
+  });
+};
+
+/**
+ * Notes and bookmarks address pages by index: move them with their page, and
+ * delete those on deleted pages. Done in two steps through negative indexes
+ * so the unique bookmark index never sees two bookmarks on one page.
+ */
+const movePageRecords = async (Model, course, topicId, moved, session) => {
+  const scope = { courseId: course._id, topicId };
+  const deleted = [];
+  const shifted = [];
+  moved.forEach((to, from) => {
+    if (to < 0) deleted.push(from);
+    else if (to !== from) shifted.push(from);
+  });
+  if (deleted.length) {
+    await Model.deleteMany({ ...scope, imageIndex: { $in: deleted } }, { session });
+  }
+  if (!shifted.length) return;
+  await Model.updateMany(
+    { ...scope, imageIndex: { $in: shifted } },
+    [{ $set: { imageIndex: { $subtract: [-1, { $arrayElemAt: [moved, '$imageIndex'] }] } } }],
+    { session }
+  );
+  await Model.updateMany(
+    { ...scope, imageIndex: { $lt: 0 } },
+    [{ $set: { imageIndex: { $subtract: [-1, '$imageIndex'] } } }],
+    { session }
+  );
+};
+
+// Save a page edit together with every reader's notes, bookmarks and
+// progress on that topic, so none of them end up on the wrong page
+const savePageEdit = async (course, { topicId, moved, pageCount }) => {
+  const session = await mongoose.startSession();
+  try {
+    await session.withTransaction(async () => {
+      await saveCourse(course, session);
+      await movePageRecords(Note, course, topicId, moved, session);
+      await movePageRecords(Bookmark, course, topicId, moved, session);
+      await movePagesForAll(course._id, topicId, moved, pageCount, session);
+    });
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Apply `mutate` to the course and save; uploaded keys are removed again if
+ * the save fails, and keys that dropped out of the course are deleted after.
+ * An edit that moves pages of a topic passes `pages` (the topic id and its
+ * keys before the edit) so dependent per-page records move with them.
+ */
+const updateCourse = async (
+  course,
+  mutate,
+  { added = [], removed = [], pages = null } = {}
+) => {
+  mutate(course);
+  try {
+    if (pages) {
+      const after = [...course.topics.id(pages.topicId).images];
+      await savePageEdit(course, {
+        topicId: pages.topicId,
+        moved: movedPages(pages.before, after),
+        pageCount: after.length,
+      });
+    } else {
+      await saveCourse(course);
+    }
+  } catch (err) {
+    await Promise.all(added.map((key) => deleteFile(key)));
+    throw err;
+  }
+  await deleteUnreferenced(removed);
+  return course;
+};
+
+/**
+ * Full course for the authoring screen. Page images come back as
+ * `{ key, url }` so the editor can show them and still address them by key.
+ */
+const authoringView = (course, userId) => ({
+  _id: course._id,
+  title: course.title,
+  slug: course.slug,
+  description: course.description,
+  price: course.price,
+  originalPrice: course.originalPrice,
+  isActive: course.isActive,
+  updatedAt: course.updatedAt,
+  topics: course.topics.map((topic) => ({
+    _id: topic._id,
+    title: topic.title,
+    images: topic.images.map((key) => ({
+      key,
+      url: signMediaUrl(key, userId),
+    })),
+  })),
+});
+
+const getCourse = async (courseId) => loadCourse(courseId);
+
+const addTopic = async (courseId, { title, position }) => {
+  const course = await loadCourse(courseId);
+  return updateCourse(course, (c) => {
+    c.topics.splice(insertAt(c.topics.length, position), 0, {
+      title,
+      images: [],
+    });
+  });
+};
+
+const renameTopic = async (courseId, topicId, { title }) => {
+  const course = await loadCourse(courseId);
+  const topic = findTopic(course, topicId);
+  return updateCourse(course, () => {
+    topic.title = title;
+  });
+};
+
+const deleteTopic = async (courseId, topicId) => {
+  const course = await loadCourse(courseId);
+  const topic = findTopic(course, topicId);
+  const removed = [...topic.images];
+  return updateCourse(
+    course,
+    (c) => {
+      c.topics.pull(topic._id);
+    },
+    { removed }
+  );
+};
+
+const reorderTopics = async (courseId, topicIds) => {
+  const course = await loadCourse(courseId);
+  const current = course.topics.map((t) => String(t._id));
+  if (!isPermutation(topicIds, current)) {
+    throw httpError(400, 'topicIds must list every topic of the course exactly once');
+  }
+  return updateCourse(course, (c) => {
+    const byId = new Map(c.topics.map((t) => [String(t._id), t.toObject()]));
+    c.topics = topicIds.map((id) => byId.get(id));
+  });
+};
+
+const addImages = async (courseId, topicId, files, { position } = {}) => {
+  if (!files || files.length === 0) throw httpError(400, 'No images uploaded');
+  const course = await loadCourse(courseId);
+  const topic = findTopic(course, topicId);
+  const before = [...topic.images];
+  const added = await storeImages(course._id, files);
+  return updateCourse(
+    course,
+    () => {
+      topic.images.splice(insertAt(topic.images.length, position), 0, ...added);
+    },
+    { added, pages: { topicId: topic._id, before } }
+  );
+};
+
+const replaceImage = async (courseId, topicId, index, file) => {
+  if (!file) throw httpError(400, 'No image uploaded');
+  const course = await loadCourse(courseId);
+  const topic = findTopic(course, topicId);
+  const i = imageIndex(topic, index);
+  const previous = topic.images[i];
+  // A new key (not an overwrite) so signed URLs and watermark caches for
+  // the old page can't serve stale content
+  const [key] = await storeImages(course._id, [file]);
+  return updateCourse(
+    course,
+    () => {
+      topic.images.set(i, key);
+    },
+    { added: [key], removed: [previous] }
+  );
+};
+
+const reorderImages = async (courseId, topicId, keys) => {
+  const course = await loadCourse(courseId);
+  const topic = findTopic(course, topicId);
+  if (!isPermutation(keys, [...topic.images])) {
+    throw httpError(400, 'keys must list every page of the topic exactly once');
+  }
+  const before = [...topic.images];
+  return updateCourse(
+    course,
+    () => {
+      topic.images = keys;
+    },
+    { pages: { topicId: topic._id, before } }
+  );
+};
+
+const deleteImage = async (courseId, topicId, index) => {
+  const course = await loadCourse(courseId);
+  const topic = findTopic(course, topicId);
+  const i = imageIndex(topic, index);
+  const before = [...topic.images];
+  const removed = [before[i]];
+  return updateCourse(
+    course,
+    () => {
+      topic.images.splice(i, 1);
+    },
+    { removed, pages: { topicId: topic._id, before } }
+  );
+};
+
+/**
+ * Add topics built elsewhere (the PDF importer) whose page files are already
+ * stored. With `replace`, the course's current topics are dropped and their
+ * pages deleted.
+ */
+const importTopics = async (courseId, topics, { replace = false } = {}) => {
+  const course = await loadCourse(courseId);
+  const removed = replace ? course.topics.flatMap((t) => [...t.images]) : [];
+  await updateCourse(
+    course,
+    (c) => {
+      c.topics = [...(replace ? [] : c.topics.map((t) => t.toObject())), ...topics];
+    },
+    { removed }
+  );
+  return course;
+};
+
+module.exports = {
+  authoringView,
+  getCourse,
+  addTopic,
+  renameTopic,
+  deleteTopic,
+  reorderTopics,
+  addImages,
+  replaceImage,
+  reorderImages,
+  deleteImage,
+  importTopics,
+};
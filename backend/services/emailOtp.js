@@ -0,0 +1,150 @@
+const crypto = require('crypto');
+const Users = require('../Model/user');
+const EmailOtp = require('../Model/emailOtp');
+const { sendMail } = require('./mailer');
+const { httpError } = require('../utils/httpError');
+
+const CODE_LENGTH = 6;
+const DEFAULT_TTL_MINUTES = 10;
+const RESEND_COOLDOWN_SECONDS = 60;
+const MAX_ATTEMPTS = 5;
+
+const getTtlMinutes = () =>
+  Number(process.env.EMAIL_OTP_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+
+// Keyed hash: a leaked collection can't be brute-forced offline in a second
+const hashCode = (userId, code) =>
+  crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${userId}:${code}`)
+    .digest('hex');
+
+const codesMatch = (expected, actual) =>
+  crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(actual));
+
+const normalizeEmail = (email) => String(email).toLowerCase().trim();
+
+/**
+ * Email a one-time code. Without `email` (or with the account's own address)
+ * it verifies the current address; any other address starts an email change
+ * that only applies once verifyOtp succeeds. Sending a new code invalidates
+ * the previous one.
+ */
+const sendOtp = async (user, { email } = {}) => {
+  const target = normalizeEmail(email || user.email);
+  const purpose =
+    target === normalizeEmail(user.email) ? 'verify_email' : 'change_email';
+
+  if (purpose === 'verify_email' && user.emailVerified) {
+    throw httpError(400, 'Email is already verified');
+  }
+  if (
+    purpose === 'change_email' &&
+    (await Users.exists({ email: target, _id: { $ne: user._id } }))
+  ) {
+    throw httpError(409, 'Email is already in use');
+  }
+
+  const last = await EmailOtp.findOne({ userId: user._id }).sort({
+    createdAt: -1,
+  });
+  const waitSeconds = last
+    ? Math.ceil(
+        RESEND_COOLDOWN_SECONDS - (Date.now() - last.createdAt) / 1000
+      )
+    : 0;
+  if (waitSeconds > 0) {
+    throw httpError(
+      429,
+      `Please wait ${waitSeconds} seconds before requesting another code`
+    );
+  }
+
+  await EmailOtp.updateMany(
+    { userId: user._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+
+  const code = crypto
+    .randomInt(0, 10 ** CODE_LENGTH)
+    .toString()
+    .padStart(CODE_LENGTH, '0');
+  const ttlMinutes = getTtlMinutes();
+  const expiresAt = new Date(Date.now() + ttlMinutes * 60 * 1000);
+  await EmailOtp.create({
+    userId: user._id,
+    email: target,
+    purpose,
+    codeHash: hashCode(user._id, code),
+    expiresAt,
+  });
+
+  await sendMail({
+    to: target,
+    subject: `${code} is your AB Institute verification code`,
+    text:
+      `Your verification code is ${code}.\n\n` +
+      `It expires in ${ttlMinutes} minutes. If you didn't request it, you can ignore this email.`,
+    html:
+      `<p>Your verification code is <b style="font-size:20px;letter-spacing:4px">${code}</b>.</p>` +
+      `<p>It expires in ${ttlMinutes} minutes. If you didn't request it, you can ignore this email.</p>`,
+  });
+
+  return { email: target, purpose, expiresAt };
+};
+
+/**
+ * Check a code from sendOtp and apply it: mark the address verified and, for
+ * an email change, switch the account to the new address. Each code allows
+ * MAX_ATTEMPTS guesses.
+ */
+const verifyOtp = async (user, { otp, email }) => {
+  const record = await EmailOtp.findOne({
+    userId: user._id,
+    consumedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ createdAt: -1 });
+
+  if (!record || (email && record.email !== normalizeEmail(email))) {
+    throw httpError(400, 'Code is invalid or has expired');
+  }
+  // Count the guess before checking it so parallel guesses can't exceed
+  // MAX_ATTEMPTS
+  const counted = await EmailOtp.findOneAndUpdate(
+    { _id: record._id, attempts: { $lt: MAX_ATTEMPTS } },
+    { $inc: { attempts: 1 } }
+  );
+  if (!counted) {
+    throw httpError(429, 'Too many incorrect attempts. Request a new code.');
+  }
+  if (!codesMatch(record.codeHash, hashCode(user._id, otp))) {
+    throw httpError(400, 'Incorrect code');
+  }
+
+  // Claim the code so a concurrent request with the same code fails
+  const claimed = await EmailOtp.findOneAndUpdate(
+    { _id: record._id, consumedAt: null },
+    { $set: { consumedAt: new Date() } }
+  );
+  if (!claimed) throw httpError(400, 'Code is invalid or has expired');
+
+  const update = {
+    emailVerified: true,
+    emailVerifiedAt: new Date(),
+    updatedAt: new Date(),
+  };
+  if (record.purpose === 'change_email') update.email = record.email;
+
+  try {
+    return await Users.findByIdAndUpdate(
+      user._id,
+      { $set: update },
+      { new: true }
+    ).select('-passwordHash');
+  } catch (err) {
+    if (err.code === 11000) throw httpError(409, 'Email is already in use');
+    throw err;
+  }
+};
+
+module.exports = { sendOtp, verifyOtp };
@@ -0,0 +1,88 @@
+const mongoose = require('mongoose');
+const Enrollment = require('../Model/enrollment');
+const Courses = require('../Model/course');
+const Users = require('../Model/user');
+const { httpError } = require('../utils/httpError');
+
+const hasAccess = async (userId, courseId, session = null) => {
+  if (!mongoose.isValidObjectId(courseId)) return false;
+  const enrollment = await Enrollment.findActive(userId, courseId).session(
+    session
+  );
+  return !!enrollment;
+};
+
+/**
+ * Give a user access to a course. Re-granting an existing enrollment
+ * reactivates it and replaces its source, order and expiry.
+ */
+const grant = (
+  {
+    userId,
+    courseId,
+    source,
+    orderId = null,
+    grantedBy = null,
+    expiresAt = null,
+  },
+  session = null
+) =>
+  Enrollment.findOneAndUpdate(
+    { userId, courseId },
+    {
+      $set: {
+        source,
+        orderId,
+        grantedBy,
+        grantedAt: new Date(),
+        expiresAt,
+        revokedAt: null,
+        revokedBy: null,
+        updatedAt: new Date(),
+      },
+      $setOnInsert: { createdAt: new Date() },
+    },
+    { upsert: true, new: true, session }
+  );
+
+const revoke = async (filter, { revokedBy = null } = {}, session = null) =>
+  Enrollment.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedBy, updatedAt: new Date() } },
+    { session }
+  );
+
+// Admin grant: checks both ends exist so typos don't create orphans
+const grantManually = async (admin, { userId, courseId, expiresAt = null }) => {
+  const [user, course] = await Promise.all([
+    Users.exists({ _id: userId }),
+    Courses.exists({ _id: courseId }),
+  ]);
+  if (!user) throw httpError(404, 'User not found');
+  if (!course) throw httpError(404, 'Course not found');
+  if (expiresAt && new Date(expiresAt) <= new Date()) {
+    throw httpError(400, 'Expiry date must be in the future');
+  }
+
+  return grant({
+    userId,
+    courseId,
+    source: 'admin',
+    grantedBy: admin._id,
+    expiresAt,
+  });
+};
+
+const revokeById = async (admin, enrollmentId) => {
+  const enrollment = await Enrollment.findById(enrollmentId);
+  if (!enrollment) throw httpError(404, 'Enrollment not found');
+  if (enrollment.revokedAt) {
+    throw httpError(400, 'Enrollment is already revoked');
+  }
+
+  enrollment.revokedAt = new Date();
+  enrollment.revokedBy = admin._id;
+  return enrollment.save();
+};
+
+module.exports = { hasAccess, grant, revoke, grantManually, revokeById };
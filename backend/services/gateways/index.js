@@ -0,0 +1,52 @@
+const razorpay = require('./razorpay');
+const mock = require('./mock');
+const { httpError } = require('../../utils/httpError');
+
+/**
+ * Payment gateway adapters. Each adapter implements:
+ *   checkConfig() -> throws when its keys or secrets are missing
+ *   createIntent({ amount, currency, receipt, notes }) -> { gatewayOrderId, checkout }
+ *   verifyPaymentSignature({ gatewayOrderId, gatewayPaymentId, signature }) -> boolean
+ *   refund({ gatewayPaymentId, amount, notes }) -> { refundId, status }
+ *   verifyWebhookSignature({ rawBody, headers }) -> boolean
+ *   parseWebhookEvent({ body, headers }) ->
+ *     { eventId, type, gatewayOrderId, gatewayPaymentId, method, amount,
+ *       currency, refundId, refundAmount }
+ */
+const adapters = {
+  [razorpay.name]: razorpay,
+  [mock.name]: mock,
+};
+
+const GATEWAY_NAMES = Object.keys(adapters);
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// The mock gateway's signatures can be made by anyone who has the code, so
+// it never verifies payments or webhooks in production
+const getGateway = (name) => {
+  const adapter = adapters[name];
+  if (!adapter) throw httpError(400, `Unsupported payment gateway: ${name}`);
+  if (adapter === mock && isProduction()) {
+    throw httpError(400, 'The mock payment gateway is disabled in production');
+  }
+  return adapter;
+};
+
+// PAYMENT_GATEWAY wins; otherwise use Razorpay when it is configured, and
+// the mock gateway outside production
+const getDefaultGateway = () => {
+  const name =
+    process.env.PAYMENT_GATEWAY ||
+    (process.env.RAZORPAY_KEY_ID || isProduction() ? razorpay.name : mock.name);
+  return getGateway(name);
+};
+
+// Called at startup, so a server without a usable gateway never starts
+const checkGatewayConfig = () => {
+  const gateway = getDefaultGateway();
+  gateway.checkConfig();
+  return gateway.name;
+};
+
+module.exports = { GATEWAY_NAMES, getGateway, getDefaultGateway, checkGatewayConfig };
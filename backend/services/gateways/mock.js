@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const { hmacHex, signaturesMatch } = require('./signature');
+
+// In-process stand-in for a real gateway so checkout can run offline. It signs
+// payments exactly the way Razorpay does, with MOCK_GATEWAY_SECRET as the key.
+// It is refused in production (see ./index.js).
+const getSecret = () => {
+  const secret = process.env.MOCK_GATEWAY_SECRET;
+  if (!secret) throw new Error('MOCK_GATEWAY_SECRET must be set');
+  return secret;
+};
+
+const hmac = (payload) => hmacHex(payload, getSecret());
+
+const randomId = (prefix) => `${prefix}_${crypto.randomBytes(10).toString('hex')}`;
+
+module.exports = {
+  name: 'mock',
+
+  checkConfig() {
+    getSecret();
+  },
+
+  async createIntent({ amount, currency }) {
+    const gatewayOrderId = randomId('mock_order');
+    return {
+      gatewayOrderId,
+      // Amount in minor units, matching what Razorpay hands the browser
+      checkout: { gatewayOrderId, amount: Math.round(amount * 100), currency },
+    };
+  },
+
+  verifyPaymentSignature({ gatewayOrderId, gatewayPaymentId, signature }) {
+    const expected = hmac(`${gatewayOrderId}|${gatewayPaymentId}`);
+    return signaturesMatch(expected, signature);
+  },
+
+  // Events use Razorpay's body shape, signed with the same secret
+  verifyWebhookSignature({ rawBody, headers }) {
+    return signaturesMatch(hmac(rawBody), headers['x-mock-signature']);
+  },
+
+  parseWebhookEvent({ body }) {
+    const payment = body.payload?.payment?.entity || {};
+    const refund = body.payload?.refund?.entity || {};
+    return {
+      eventId: body.id || null,
+      type: body.event,
+      gatewayOrderId: payment.order_id || null,
+      gatewayPaymentId: payment.id || refund.payment_id || null,
+      method: payment.method ? String(payment.method).toUpperCase() : null,
+      amount: payment.amount != null ? payment.amount / 100 : null,
+      currency: payment.currency || null,
+      refundId: refund.id || null,
+      refundAmount: refund.amount ? refund.amount / 100 : null,
+    };
+  },
+
+  async refund() {
+    return { refundId: randomId('mock_rfnd'), status: 'processed' };
+  },
+
+  // Simulates the customer completing payment in the gateway's popup
+  simulatePayment(gatewayOrderId) {
+    const gatewayPaymentId = randomId('mock_pay');
+    return {
+      gatewayOrderId,
+      gatewayPaymentId,
+      signature: hmac(`${gatewayOrderId}|${gatewayPaymentId}`),
+    };
+  },
+};
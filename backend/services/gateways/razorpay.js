@@ -0,0 +1,99 @@
+const axios = require('axios');
+const { hmacHex, signaturesMatch } = require('./signature');
+
+const API_BASE_URL = 'https://api.razorpay.com/v1';
+
+// Razorpay works in the currency's minor unit (paise); our amounts follow
+// Courses.price, which is in rupees
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+const getCredentials = () => {
+  const keyId = process.env.RAZORPAY_KEY_ID;
+  const keySecret = process.env.RAZORPAY_KEY_SECRET;
+  if (!keyId || !keySecret) {
+    throw new Error('RAZORPAY_KEY_ID and RAZORPAY_KEY_SECRET must be set');
+  }
+  return { keyId, keySecret };
+};
+
+// Webhooks are signed with a separate secret set in the Razorpay dashboard
+const getWebhookSecret = () => {
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+  if (!secret) throw new Error('RAZORPAY_WEBHOOK_SECRET must be set');
+  return secret;
+};
+
+const client = () => {
+  const { keyId, keySecret } = getCredentials();
+  return axios.create({
+    baseURL: API_BASE_URL,
+    auth: { username: keyId, password: keySecret },
+    timeout: 10000,
+  });
+};
+
+module.exports = {
+  name: 'razorpay',
+
+  checkConfig() {
+    getCredentials();
+    getWebhookSecret();
+  },
+
+  async createIntent({ amount, currency, receipt, notes }) {
+    const { data } = await client().post('/orders', {
+      amount: toMinorUnits(amount),
+      currency,
+      receipt: String(receipt).slice(0, 40),
+      notes,
+    });
+    return {
+      gatewayOrderId: data.id,
+      // Parameters the browser needs to open Razorpay Checkout
+      checkout: {
+        keyId: getCredentials().keyId,
+        gatewayOrderId: data.id,
+        amount: data.amount,
+        currency: data.currency,
+      },
+    };
+  },
+
+  // Razorpay signs `${order_id}|${payment_id}` with the key secret
+  verifyPaymentSignature({ gatewayOrderId, gatewayPaymentId, signature }) {
+    const { keySecret } = getCredentials();
+    const expected = hmacHex(`${gatewayOrderId}|${gatewayPaymentId}`, keySecret);
+    return signaturesMatch(expected, signature);
+  },
+
+  // Signature is the HMAC of the raw request body, sent as X-Razorpay-Signature
+  verifyWebhookSignature({ rawBody, headers }) {
+    const expected = hmacHex(rawBody, getWebhookSecret());
+    return signaturesMatch(expected, headers['x-razorpay-signature']);
+  },
+
+  parseWebhookEvent({ body, headers }) {
+    const payment = body.payload?.payment?.entity || {};
+    const refund = body.payload?.refund?.entity || {};
+    return {
+      // Retries of the same event reuse X-Razorpay-Event-Id
+      eventId: headers['x-razorpay-event-id'] || body.id || null,
+      type: body.event,
+      gatewayOrderId: payment.order_id || null,
+      gatewayPaymentId: payment.id || refund.payment_id || null,
+      method: payment.method ? String(payment.method).toUpperCase() : null,
+      amount: payment.amount != null ? payment.amount / 100 : null,
+      currency: payment.currency || null,
+      refundId: refund.id || null,
+      refundAmount: refund.amount ? refund.amount / 100 : null,
+    };
+  },
+
+  async refund({ gatewayPaymentId, amount, notes }) {
+    const { data } = await client().post(
+      `/payments/${gatewayPaymentId}/refund`,
+      { amount: toMinorUnits(amount), notes }
+    );
+    return { refundId: data.id, status: data.status };
+  },
+};
@@ -0,0 +1,19 @@
+const crypto = require('crypto');
+
+// HMAC-SHA256 hex digest, the scheme Razorpay uses for payment signatures
+const hmacHex = (payload, secret) =>
+  crypto.createHmac('sha256', secret).update(payload).digest('hex');
+
+// Constant-time comparison of an expected signature with a caller-supplied
+// one. Lengths are compared in bytes: timingSafeEqual throws on a mismatch
+const signaturesMatch = (expected, actual) => {
+  if (typeof actual !== 'string') return false;
+  const expectedBytes = Buffer.from(expected);
+  const actualBytes = Buffer.from(actual);
+  return (
+    actualBytes.length === expectedBytes.length &&
+    crypto.timingSafeEqual(expectedBytes, actualBytes)
+  );
+};
+
+module.exports = { hmacHex, signaturesMatch };
@@ -0,0 +1,204 @@
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const IngestJob = require('../Model/ingestJob');
+const Courses = require('../Model/course');
+const { putFile, deleteFile } = require('./storage');
+const { variantKey, variantKeys } = require('./pageVariants');
+const { openPdf, readOutline, planTopics, renderPage } = require('./pdfIngest');
+const { importTopics } = require('./courseAuthoring');
+const { httpError } = require('../utils/httpError');
+
+// Uploaded PDFs wait here until their job has run
+const INGEST_DIR = path.resolve(
+  process.env.INGEST_TMP_DIR || path.join(os.tmpdir(), 'ab-ingest')
+);
+
+const RECENT_JOBS_LIMIT = 20;
+
+// Fields admins see; sourcePath is a server detail
+const JOB_FIELDS = '-sourcePath';
+
+// Keys are derived from the job and page number, so a job re-run after a
+// crash overwrites its own partial output instead of leaking files
+const pageKey = (job, pageNumber) =>
+  `course/${job.courseId}/${job._id}-${String(pageNumber).padStart(4, '0')}.webp`;
+
+const removeSource = (job) =>
+  fs.rm(job.sourcePath, { force: true }).catch((err) =>
+    console.error('❌ Could not remove uploaded PDF:', job.sourcePath, err.message)
+  );
+
+const removePages = (keys) =>
+  Promise.all(
+    keys.flatMap((key) => [key, ...variantKeys(key)]).map((file) => deleteFile(file))
+  );
+
+const setProgress = (job, fields) =>
+  IngestJob.updateOne({ _id: job._id }, { $set: fields });
+
+const runJob = async (job) => {
+  console.log('🚀 PDF import started:', job._id.toString());
+  const keys = [];
+  let doc;
+  try {
+    const course = await Courses.findById(job.courseId).select('title');
+    if (!course) throw httpError(404, 'Course not found');
+
+    doc = await openPdf(await fs.readFile(job.sourcePath));
+    const plan = planTopics({
+      pageCount: doc.numPages,
+      outline: await readOutline(doc),
+      sections: job.sections,
+      pagesPerTopic: job.pagesPerTopic,
+      fallbackTitle: course.title,
+    });
+
+    await setProgress(job, { 'progress.phase': 'rendering', 'progress.pagesDone': 0 });
+    for (let pageNumber = 1; pageNumber <= doc.numPages; pageNumber++) {
+      const key = pageKey(job, pageNumber);
+      const renditions = await renderPage(doc, pageNumber);
+      for (const { width, buffer } of renditions) {
+        await putFile(variantKey(key, width), buffer);
+      }
+      keys.push(key);
+      await setProgress(job, { 'progress.pagesDone': pageNumber });
+    }
+
+    await setProgress(job, { 'progress.phase': 'saving' });
+    const topics = plan.topics.map(({ title, from, to }) => ({
+      title,
+      images: keys.slice(from - 1, to),
+    }));
+    await importTopics(job.courseId, topics, { replace: job.replaceExisting });
+
+    await IngestJob.updateOne(
+      { _id: job._id },
+      {
+        status: 'completed',
+        'progress.phase': 'done',
+        result: {
+          split: plan.split,
+          topics: topics.map((t) => ({ title: t.title, pages: t.images.length })),
+        },
+        finishedAt: new Date(),
+      }
+    );
+    console.log('✅ PDF import completed:', job._id.toString());
+  } catch (err) {
+    console.error('❌ PDF import failed:', job._id.toString(), err);
+    await removePages(keys).catch(() => {});
+    await IngestJob.updateOne(
+      { _id: job._id },
+      {
+        status: 'failed',
+        error: err.status ? err.message : 'Import failed. Check that the PDF opens correctly.',
+        finishedAt: new Date(),
+      }
+    );
+  } finally {
+    if (doc) await doc.destroy();
+    await removeSource(job);
+  }
+};
+
+// One job at a time per process: rendering is CPU- and memory-heavy, and
+// claiming with findOneAndUpdate keeps several servers from taking the same job
+let draining = false;
+
+const claimNext = () =>
+  IngestJob.findOneAndUpdate(
+    { status: 'queued' },
+    { status: 'running', startedAt: new Date() },
+    { sort: { createdAt: 1 }, new: true }
+  );
+
+const drain = async () => {
+  if (draining) return;
+  draining = true;
+  try {
+    let job;
+    while ((job = await claimNext())) await runJob(job);
+  } catch (err) {
+    console.error('❌ PDF import worker error:', err);
+  } finally {
+    draining = false;
+  }
+};
+
+/**
+ * Called once the database is connected. Jobs that were running when the
+ * process stopped are queued again, then the queue is worked off.
+ */
+const startIngestWorker = async () => {
+  await IngestJob.updateMany(
+    { status: 'running' },
+    { status: 'queued', progress: { phase: 'queued', pagesDone: 0 } }
+  );
+  drain();
+};
+
+/**
+ * Queue an uploaded PDF for import into a course. The file is opened first
+ * so that broken PDFs and impossible manual splits fail the request rather
+ * than the job; the caller removes the upload if this throws.
+ */
+const enqueueIngest = async ({ courseId, userId, file, options }) => {
+  if (!file) throw httpError(400, 'No PDF uploaded');
+  const courseExists =
+    mongoose.isValidObjectId(courseId) && (await Courses.exists({ _id: courseId }));
+  if (!courseExists) throw httpError(404, 'Course not found');
+
+  const doc = await openPdf(await fs.readFile(file.path));
+  let pageCount;
+  try {
+    pageCount = doc.numPages;
+    planTopics({
+      pageCount,
+      outline: await readOutline(doc),
+      sections: options.sections,
+      pagesPerTopic: options.pagesPerTopic,
+    });
+  } finally {
+    await doc.destroy();
+  }
+
+  const job = await IngestJob.create({
+    courseId,
+    createdBy: userId,
+    sourcePath: file.path,
+    fileName: file.originalname,
+    pageCount,
+    sections: options.sections || [],
+    pagesPerTopic: options.pagesPerTopic || null,
+    replaceExisting: options.replaceExisting,
+  });
+  drain();
+  return getJob(courseId, job._id);
+};
+
+const getJob = async (courseId, jobId) => {
+  const job =
+    mongoose.isValidObjectId(jobId) && mongoose.isValidObjectId(courseId)
+      ? await IngestJob.findOne({ _id: jobId, courseId }).select(JOB_FIELDS)
+      : null;
+  if (!job) throw httpError(404, 'Import job not found');
+  return job;
+};
+
+const listJobs = async (courseId) => {
+  if (!mongoose.isValidObjectId(courseId)) throw httpError(404, 'Course not found');
+  return IngestJob.find({ courseId })
+    .select(JOB_FIELDS)
+    .sort({ createdAt: -1 })
+    .limit(RECENT_JOBS_LIMIT);
+};
+
+module.exports = {
+  INGEST_DIR,
+  startIngestWorker,
+  enqueueIngest,
+  getJob,
+  listJobs,
+};
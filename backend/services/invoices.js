@@ -0,0 +1,375 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Invoice = require('../Model/invoice');
+const InvoiceCounter = require('../Model/invoiceCounter');
+const CreditNote = require('../Model/creditNote');
+const Order = require('../Model/order');
+const OrderItem = require('../Model/orderItem');
+const Coupon = require('../Model/coupon');
+const Users = require('../Model/user');
+const storage = require('./storage');
+const { httpError } = require('../utils/httpError');
+
+const DEFAULT_GST_RATE = 18;
+
+// Indian Standard Time, which decides the date (and so the financial year)
+// printed on an invoice
+const IST_OFFSET_MS = 330 * 60 * 1000;
+
+const getSeller = () => ({
+  name: process.env.INVOICE_SELLER_NAME || 'AB Institute',
+  email: process.env.INVOICE_SELLER_EMAIL || '',
+  address: process.env.INVOICE_SELLER_ADDRESS || '',
+  state: process.env.INVOICE_SELLER_STATE || '',
+  gstin: process.env.INVOICE_SELLER_GSTIN || '',
+});
+
+const getGstRate = () => {
+  const rate = Number(process.env.INVOICE_GST_RATE);
+  return process.env.INVOICE_GST_RATE && rate >= 0 ? rate : DEFAULT_GST_RATE;
+};
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+// April to March: 15 January 2027 belongs to "2026-27"
+const financialYearOf = (date) => {
+  const ist = new Date(date.getTime() + IST_OFFSET_MS);
+  const start = ist.getUTCMonth() >= 3 ? ist.getUTCFullYear() : ist.getUTCFullYear() - 1;
+  return `${start}-${String((start + 1) % 100).padStart(2, '0')}`;
+};
+
+// GST allows at most 16 characters: "INV/26-27/000042"
+const formatNumber = (
+  financialYear,
+  sequence,
+  prefix = process.env.INVOICE_NUMBER_PREFIX || 'INV'
+) => `${prefix}/${financialYear.slice(2)}/${String(sequence).padStart(6, '0')}`;
+
+const CREDIT_NOTE_PREFIX = 'CN';
+
+// "Tamil Nadu", "tamil nadu " and "TamilNadu" are the same state
+const normaliseState = (state) => String(state || '').toLowerCase().replace(/[^a-z]/g, '');
+
+/**
+ * Back the GST out of a GST-inclusive total. A buyer in the seller's state
+ * pays CGST and SGST (half the rate each), anyone else IGST. A buyer without
+ * a state on file is billed as local, since the place of supply then falls
+ * back to the seller's location.
+ */
+const computeTax = ({ totalAmount, buyerState, sellerState, rate }) => {
+  const taxableAmount = round2((totalAmount * 100) / (100 + rate));
+  const taxAmount = round2(totalAmount - taxableAmount);
+  const buyer = normaliseState(buyerState);
+  const intraState = !buyer || buyer === normaliseState(sellerState);
+
+  if (!intraState) {
+    return { taxableAmount, tax: { rate, intraState, cgst: 0, sgst: 0, igst: taxAmount } };
+  }
+  const cgst = round2(taxAmount / 2);
+  return {
+    taxableAmount,
+    tax: { rate, intraState, cgst, sgst: round2(taxAmount - cgst), igst: 0 },
+  };
+};
+
+// Billing details of the order's buyer as their profile has them now
+const buyerOf = async (order, session = null) => {
+  const user = order.userId
+    ? await Users.findById(order.userId).select('name fullName email state').session(session)
+    : null;
+  return {
+    name: (user && (user.fullName || user.name)) || order.email,
+    email: order.email,
+    state: (user && user.state) || '',
+  };
+};
+
+/**
+ * Issue the invoice of a paid order: take the next number of the current
+ * financial year and copy the seller, buyer, lines and tax onto it. Run it
+ * in the transaction that marks the order paid, so that the order, the
+ * invoice and the counter are committed (or rolled back) together. An order
+ * that already has an invoice keeps it.
+ */
+const issueInvoice = async (order, session = null) => {
+  const existing = await Invoice.findOne({ orderId: order.id }).session(session);
+  if (existing) return existing;
+
+  const items = await OrderItem.find({ orderId: order.id })
+    .populate('courseId', 'title')
+    .session(session);
+  const coupon = order.couponId
+    ? await Coupon.findOne({ id: order.couponId }).select('code').session(session)
+    : null;
+
+  const seller = getSeller();
+  const buyer = await buyerOf(order, session);
+  const issuedAt = new Date();
+  const financialYear = financialYearOf(issuedAt);
+  const sequence = await InvoiceCounter.next(financialYear, session);
+
+  const invoice = new Invoice({
+    orderId: order.id,
+    number: formatNumber(financialYear, sequence),
+    financialYear,
+    sequence,
+    issuedAt,
+    seller,
+    buyer,
+    lines: items.map((item) => ({
+      courseId: item.courseId && item.courseId._id,
+      description: item.courseId ? item.courseId.title : 'Course',
+      unitPrice: item.unitPrice,
+      quantity: item.quantity,
+      amount: item.totalPrice,
+    })),
+    couponCode: coupon ? coupon.code : null,
+    subtotalAmount: order.subtotalAmount,
+    discountAmount: order.discountAmount,
+    totalAmount: order.totalAmount,
+    ...computeTax({
+      totalAmount: order.totalAmount,
+      buyerState: buyer.state,
+      sellerState: seller.state,
+      rate: getGstRate(),
+    }),
+  });
+  await invoice.save({ session });
+  return invoice;
+};
+
+// Issue the invoice of an order paid before invoices were generated
+const issueInvoiceForOrder = async (orderId) => {
+  const session = await mongoose.startSession();
+  try {
+    let invoice;
+    await session.withTransaction(async () => {
+      const order = await Order.findOne({ id: orderId }).session(session);
+      if (!order) throw httpError(404, 'Order not found');
+      if (order.status !== 'paid') {
+        throw httpError(400, 'Only paid orders can be invoiced. Current status: ' + order.status);
+      }
+      invoice = await issueInvoice(order, session);
+    });
+    return invoice;
+  } finally {
+    await session.endSession();
+  }
+};
+
+/**
+ * Issue a credit note for a refund against the order's invoice, in the
+ * transaction that applies the refund. The parties and tax treatment are
+ * those of the invoice; invoices from before numbering fall back to the
+ * current seller details and the buyer's profile.
+ */
+const issueCreditNote = async ({ invoice, order, refund }, session = null) => {
+  const seller = invoice.seller || getSeller();
+  const buyer = invoice.buyer || (await buyerOf(order, session));
+  const issuedAt = new Date();
+  const financialYear = financialYearOf(issuedAt);
+  const sequence = await InvoiceCounter.next(`${CREDIT_NOTE_PREFIX}/${financialYear}`, session);
+
+  const note = new CreditNote({
+    number: formatNumber(financialYear, sequence, CREDIT_NOTE_PREFIX),
+    financialYear,
+    sequence,
+    issuedAt,
+    invoiceId: invoice.id,
+    invoiceNumber: invoice.number || null,
+    orderId: order.id,
+    refundId: refund.id,
+    reason: refund.reason,
+    seller,
+    buyer,
+    amount: refund.amount,
+    ...computeTax({
+      totalAmount: refund.amount,
+      buyerState: buyer.state,
+      sellerState: seller.state,
+      rate: invoice.tax ? invoice.tax.rate : getGstRate(),
+    }),
+  });
+  await note.save({ session });
+  return note;
+};
+
+// Standard PDF fonts have no rupee sign
+const formatAmount = (amount) =>
+  (amount < 0 ? '- INR ' : 'INR ') +
+  Math.abs(amount || 0).toLocaleString('en-IN', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+
+const formatDate = (date) =>
+  new Date(date).toLocaleDateString('en-IN', {
+    day: '2-digit',
+    month: 'short',
+    year: 'numeric',
+    timeZone: 'Asia/Kolkata',
+  });
+
+const partyLines = (party) =>
+  [
+    party.address,
+    party.state && `State: ${party.state}`,
+    party.gstin && `GSTIN: ${party.gstin}`,
+    party.email,
+  ].filter(Boolean);
+
+/**
+ * Lay out an A4 invoice-style document: header, the two parties, a table of
+ * lines and the totals under it.
+ */
+const renderDocument = ({ title, meta, seller, buyer, lines, totals, grandTotal, footer }) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: meta[0] } });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const columns = { item: left, qty: left + width - 220, rate: left + width - 170, amount: left + width - 90 };
+
+    doc.font('Helvetica-Bold').fontSize(18).text(title, { align: 'right' });
+    doc.font('Helvetica').fontSize(10);
+    for (const line of meta) doc.text(line, { align: 'right' });
+
+    const partiesTop = doc.y + 20;
+    doc.font('Helvetica-Bold').text('From', left, partiesTop);
+    doc.font('Helvetica').text(seller.name).text(partyLines(seller).join('\n'));
+    const sellerBottom = doc.y;
+    doc.font('Helvetica-Bold').text('Bill to', left + width / 2, partiesTop);
+    doc.font('Helvetica').text(buyer.name).text(partyLines(buyer).join('\n'));
+
+    let y = Math.max(sellerBottom, doc.y) + 25;
+    doc.font('Helvetica-Bold');
+    doc.text('Item', columns.item, y);
+    doc.text('Qty', columns.qty, y, { width: 40, align: 'right' });
+    doc.text('Rate', columns.rate, y, { width: 70, align: 'right' });
+    doc.text('Amount', columns.amount, y, { width: 90, align: 'right' });
+    y += 15;
+    doc.moveTo(left, y).lineTo(left + width, y).stroke();
+    y += 8;
+
+    doc.font('Helvetica');
+    for (const line of lines) {
+      doc.text(line.description, columns.item, y, { width: columns.qty - left - 10 });
+      const rowBottom = doc.y;
+      doc.text(String(line.quantity), columns.qty, y, { width: 40, align: 'right' });
+      doc.text(formatAmount(line.unitPrice), columns.rate, y, { width: 70, align: 'right' });
+      doc.text(formatAmount(line.amount), columns.amount, y, { width: 90, align: 'right' });
+      y = rowBottom + 8;
+    }
+    doc.moveTo(left, y).lineTo(left + width, y).stroke();
+    y += 10;
+
+    for (const [label, amount] of totals) {
+      doc.text(label, columns.qty - 120, y, { width: 230 });
+      doc.text(formatAmount(amount), columns.amount, y, { width: 90, align: 'right' });
+      y += 16;
+    }
+    doc.font('Helvetica-Bold');
+    doc.text(grandTotal[0], columns.qty - 120, y + 4, { width: 230 });
+    doc.text(formatAmount(grandTotal[1]), columns.amount, y + 4, { width: 90, align: 'right' });
+
+    doc.font('Helvetica').fontSize(8).fillColor('#666666').text(footer, left, y + 40, { width });
+    doc.end();
+  });
+
+const taxLines = (taxableAmount, tax) => [
+  ['Taxable value', taxableAmount],
+  ...(tax.intraState
+    ? [
+        [`CGST @ ${tax.rate / 2}%`, tax.cgst],
+        [`SGST @ ${tax.rate / 2}%`, tax.sgst],
+      ]
+    : [[`IGST @ ${tax.rate}%`, tax.igst]]),
+];
+
+// Render an issued invoice as an A4 PDF
+const renderInvoicePdf = (invoice) =>
+  renderDocument({
+    title: 'TAX INVOICE',
+    meta: [
+      `Invoice no: ${invoice.number}`,
+      `Date: ${formatDate(invoice.issuedAt)}`,
+      `Order: #${invoice.orderId}`,
+    ],
+    seller: invoice.seller,
+    buyer: invoice.buyer,
+    lines: invoice.lines,
+    totals: [
+      ['Subtotal', invoice.subtotalAmount],
+      invoice.discountAmount > 0 && [
+        invoice.couponCode ? `Discount (coupon ${invoice.couponCode})` : 'Discount',
+        -invoice.discountAmount,
+      ],
+      ...taxLines(invoice.taxableAmount, invoice.tax),
+    ].filter(Boolean),
+    grandTotal: ['Total (GST included)', invoice.totalAmount],
+    footer: 'Prices include GST. This is a computer-generated invoice and needs no signature.',
+  });
+
+const renderCreditNotePdf = (note) =>
+  renderDocument({
+    title: 'CREDIT NOTE',
+    meta: [
+      `Credit note no: ${note.number}`,
+      `Date: ${formatDate(note.issuedAt)}`,
+      `Against invoice: ${note.invoiceNumber || `#${note.invoiceId}`}`,
+      `Order: #${note.orderId}`,
+    ],
+    seller: note.seller,
+    buyer: note.buyer,
+    lines: [
+      { description: `Refund: ${note.reason}`, quantity: 1, unitPrice: note.amount, amount: note.amount },
+    ],
+    totals: taxLines(note.taxableAmount, note.tax),
+    grandTotal: ['Total refunded (GST included)', note.amount],
+    footer: 'This is a computer-generated credit note and needs no signature.',
+  });
+
+const invoiceKey = (invoice) => `invoices/${invoice.id}.pdf`;
+
+/**
+ * Render an issued invoice and store the PDF. Safe to repeat: the key only
+ * depends on the invoice, so a second run overwrites the first.
+ */
+const generateInvoiceFile = async (invoice) => {
+  const key = invoiceKey(invoice);
+  await storage.putFile(key, await renderInvoicePdf(invoice));
+  await Invoice.updateOne({ _id: invoice._id }, { $set: { fileKey: key } });
+  invoice.fileKey = key;
+  console.log('✅ Invoice PDF stored:', invoice.number);
+  return invoice;
+};
+
+const creditNoteKey = (note) => `invoices/credit-notes/${note.id}.pdf`;
+
+// Render a credit note and store the PDF; safe to repeat like invoices
+const generateCreditNoteFile = async (note) => {
+  const key = creditNoteKey(note);
+  await storage.putFile(key, await renderCreditNotePdf(note));
+  await CreditNote.updateOne({ _id: note._id }, { $set: { fileKey: key } });
+  note.fileKey = key;
+  console.log('✅ Credit note PDF stored:', note.number);
+  return note;
+};
+
+module.exports = {
+  financialYearOf,
+  formatNumber,
+  computeTax,
+  issueInvoice,
+  issueInvoiceForOrder,
+  renderInvoicePdf,
+  invoiceKey,
+  generateInvoiceFile,
+  issueCreditNote,
+  renderCreditNotePdf,
+  generateCreditNoteFile,
+};
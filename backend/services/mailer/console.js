@@ -0,0 +1,10 @@
+// Prints messages instead of sending them; the default when SMTP isn't set up
+module.exports = {
+  name: 'console',
+
+  async send({ from, to, subject, text }) {
+    const messageId = `console-${Date.now()}`;
+    console.log(`📧 Mail to ${to} from ${from}: ${subject}\n${text}`);
+    return { messageId };
+  },
+};
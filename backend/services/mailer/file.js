@@ -0,0 +1,27 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+
+// Writes each message as JSON into MAIL_OUTBOX_DIR, for local testing and
+// automated tests that need to read the mail back
+const getOutboxDir = () =>
+  process.env.MAIL_OUTBOX_DIR || path.join(os.tmpdir(), 'ab-mail-outbox');
+
+module.exports = {
+  name: 'file',
+
+  getOutboxDir,
+
+  async send(message) {
+    const dir = getOutboxDir();
+    await fs.mkdir(dir, { recursive: true });
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}`;
+    const filePath = path.join(dir, `${messageId}.json`);
+    await fs.writeFile(
+      filePath,
+      JSON.stringify({ messageId, ...message, sentAt: new Date() }, null, 2)
+    );
+    return { messageId, filePath };
+  },
+};
@@ -0,0 +1,51 @@
+const smtp = require('./smtp');
+const file = require('./file');
+const consoleTransport = require('./console');
+
+/**
+ * Mail transports. Each transport implements:
+ *   send({ from, to, subject, text, html }) -> { messageId }
+ *
+ * MAIL_TRANSPORT picks one (smtp | file | console); without it, SMTP is used
+ * when SMTP_HOST is set or in production, and the console otherwise.
+ */
+const transports = {
+  [smtp.name]: smtp,
+  [file.name]: file,
+  [consoleTransport.name]: consoleTransport,
+};
+
+const DEFAULT_FROM = 'AB Institute <no-reply@localhost>';
+
+const isProduction = () => process.env.NODE_ENV === 'production';
+
+// These write whole messages, reset links and sign-in codes included, to the
+// logs or the disk, so they are for development and tests only
+const LOCAL_TRANSPORTS = [file.name, consoleTransport.name];
+
+const getTransport = () => {
+  const name =
+    process.env.MAIL_TRANSPORT ||
+    (process.env.SMTP_HOST || isProduction() ? smtp.name : consoleTransport.name);
+  const transport = transports[name];
+  if (!transport) throw new Error(`Unsupported mail transport: ${name}`);
+  if (isProduction() && LOCAL_TRANSPORTS.includes(name)) {
+    throw new Error(`The ${name} mail transport is disabled in production`);
+  }
+  return transport;
+};
+
+// Called at startup, so a server that can't send mail never starts
+const checkMailConfig = () => {
+  const transport = getTransport();
+  if (transport.checkConfig) transport.checkConfig();
+  return transport.name;
+};
+
+const sendMail = (message) =>
+  getTransport().send({
+    from: process.env.MAIL_FROM || DEFAULT_FROM,
+    ...message,
+  });
+
+module.exports = { sendMail, getTransport, checkMailConfig };
@@ -0,0 +1,32 @@
+const nodemailer = require('nodemailer');
+
+let transporter = null;
+
+// Created lazily so the app boots without SMTP settings in local dev
+const getTransporter = () => {
+  if (!transporter) {
+    const port = Number(process.env.SMTP_PORT) || 587;
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port,
+      secure: port === 465,
+      auth: process.env.SMTP_USER
+        ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+        : undefined,
+    });
+  }
+  return transporter;
+};
+
+module.exports = {
+  name: 'smtp',
+
+  checkConfig() {
+    if (!process.env.SMTP_HOST) throw new Error('SMTP_HOST must be set');
+  },
+
+  async send(message) {
+    const info = await getTransporter().sendMail(message);
+    return { messageId: info.messageId };
+  },
+};
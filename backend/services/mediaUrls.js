@@ -0,0 +1,60 @@
+const { hmacHex, signaturesMatch } = require('./gateways/signature');
+
+// Course page images live in private storage (services/storage) and are
+// only reachable through GET /media/<key> with a signature minted for one user.
+
+const DEFAULT_TTL_SECONDS = 10 * 60;
+
+const getTtlSeconds = () =>
+  Number(process.env.MEDIA_URL_TTL_SECONDS) || DEFAULT_TTL_SECONDS;
+
+const getSecret = () => {
+  const secret = process.env.MEDIA_URL_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new Error('MEDIA_URL_SECRET or JWT_SECRET must be set');
+  return secret;
+};
+
+const signaturePayload = (key, userId, expires) =>
+  `${key}|${userId}|${expires}`;
+
+/**
+ * Short-lived URL for one storage key, bound to the user it was issued to.
+ * Returned as a path; the client prefixes it with the API base URL.
+ */
+const signMediaUrl = (key, userId, ttlSeconds = getTtlSeconds()) => {
+  const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+  const sig = hmacHex(signaturePayload(key, userId, expires), getSecret());
+  const encodedKey = key.split('/').map(encodeURIComponent).join('/');
+  return `/media/${encodedKey}?uid=${userId}&exp=${expires}&sig=${sig}`;
+};
+
+const verifyMediaSignature = ({ key, uid, exp, sig }) => {
+  const expires = Number(exp);
+  if (!uid || !Number.isInteger(expires)) return false;
+  if (expires < Math.floor(Date.now() / 1000)) return false;
+  const expected = hmacHex(signaturePayload(key, uid, expires), getSecret());
+  return signaturesMatch(expected, sig);
+};
+
+// Replace each topic's image keys with signed URLs for this user
+const signCourseTopics = (topics, userId) =>
+  (topics || []).map((topic) => ({
+    ...topic,
+    images: (topic.images || []).map((key) => signMediaUrl(key, userId)),
+  }));
+
+// Topic outline without any page content, for users without access
+const outlineCourseTopics = (topics) =>
+  (topics || []).map(({ images, ...topic }) => ({
+    ...topic,
+    images: [],
+    pageCount: (images || []).length,
+  }));
+
+module.exports = {
+  getTtlSeconds,
+  signMediaUrl,
+  verifyMediaSignature,
+  signCourseTopics,
+  outlineCourseTopics,
+};
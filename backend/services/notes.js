@@ -0,0 +1,161 @@
+const mongoose = require('mongoose');
+const Note = require('../Model/note');
+const Course = require('../Model/course');
+const { httpError } = require('../utils/httpError');
+
+// Fields a client may see and set
+const NOTE_FIELDS = 'courseId topicId imageIndex note rect tags color createdAt updatedAt';
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Keep a highlight inside the page it was drawn on
+const clampRect = (rect) => {
+  if (!rect) return rect;
+  const x = Math.min(rect.x, 1);
+  const y = Math.min(rect.y, 1);
+  return {
+    x,
+    y,
+    width: Math.min(rect.width, 1 - x),
+    height: Math.min(rect.height, 1 - y),
+  };
+};
+
+const requireContent = ({ note, rect }) => {
+  if (!note && !rect) {
+    throw httpError(400, 'Write a note or highlight part of the page');
+  }
+};
+
+// The topic must belong to the course and the page must exist in it
+const findPage = async (courseId, topicId, imageIndex) => {
+  if (!mongoose.isValidObjectId(topicId)) throw httpError(400, 'Invalid topic ID');
+  const course = await Course.findById(courseId).select('topics._id topics.images').lean();
+  if (!course) throw httpError(404, 'Course not found');
+  const topic = course.topics.find((t) => String(t._id) === String(topicId));
+  if (!topic) throw httpError(404, 'Topic not found');
+  if (!Number.isInteger(imageIndex) || imageIndex < 0 || imageIndex >= topic.images.length) {
+    throw httpError(400, 'Invalid page');
+  }
+  return topic;
+};
+
+// Every note of one course, in reading order: by the course's topic order,
+// then page. Notes on topics removed from the course come last
+const listCourseNotes = async (userId, courseId) => {
+  const [course, notes] = await Promise.all([
+    Course.findById(courseId).select('topics._id').lean(),
+    Note.find({ userId, courseId })
+      .select(NOTE_FIELDS)
+      .sort({ imageIndex: 1, createdAt: 1 })
+      .lean(),
+  ]);
+  const topics = course ? course.topics.map((t) => String(t._id)) : [];
+  const position = (note) => {
+    const i = topics.indexOf(String(note.topicId));
+    return i < 0 ? topics.length : i;
+  };
+  // Array sort is stable, so page and creation order hold within a topic
+  return notes.sort(
+    (a, b) =>
+      position(a) - position(b) || String(a.topicId).localeCompare(String(b.topicId))
+  );
+};
+
+const createNote = async (userId, { courseId, topicId, imageIndex }, fields) => {
+  const topic = await findPage(courseId, topicId, imageIndex);
+  const rect = clampRect(fields.rect || null);
+  requireContent({ note: fields.note, rect });
+  const note = await Note.create({
+    userId,
+    courseId,
+    topicId: topic._id,
+    imageIndex,
+    note: fields.note || '',
+    rect,
+    tags: fields.tags || [],
+    color: fields.color,
+  });
+  return Note.findById(note._id).select(NOTE_FIELDS).lean();
+};
+
+const findOwnNote = async (userId, { courseId, noteId }) => {
+  const note = mongoose.isValidObjectId(noteId)
+    ? await Note.findOne({ _id: noteId, userId, courseId })
+    : null;
+  if (!note) throw httpError(404, 'Note not found');
+  return note;
+};
+
+const updateNote = async (userId, { courseId, noteId }, fields) => {
+  const note = await findOwnNote(userId, { courseId, noteId });
+  if (fields.rect !== undefined) fields.rect = clampRect(fields.rect);
+  note.set(fields);
+  requireContent(note);
+  await note.save();
+  return Note.findById(note._id).select(NOTE_FIELDS).lean();
+};
+
+const deleteNote = async (userId, { courseId, noteId }) => {
+  const note = await findOwnNote(userId, { courseId, noteId });
+  await note.deleteOne();
+};
+
+/**
+ * Search a user's notes across every course. `q` matches note text and
+ * tags, `tag` filters on one tag. Each note comes back with its course and
+ * topic titles so a result can link straight to the page.
+ */
+const searchNotes = async (userId, { q, tag, courseId, limit = 50 }) => {
+  const filter = { userId };
+  if (courseId) filter.courseId = courseId;
+  if (tag) filter.tags = tag;
+  if (q) {
+    const pattern = new RegExp(escapeRegExp(q), 'i');
+    filter.$or = [{ note: pattern }, { tags: pattern }];
+  }
+
+  const notes = await Note.find(filter)
+    .select(NOTE_FIELDS)
+    .sort({ updatedAt: -1 })
+    .limit(limit)
+    .lean();
+
+  const courses = await Course.find({
+    _id: { $in: [...new Set(notes.map((n) => String(n.courseId)))] },
+  })
+    .select('title slug topics._id topics.title')
+    .lean();
+  const courseById = new Map(courses.map((c) => [String(c._id), c]));
+
+  return notes.map((n) => {
+    const course = courseById.get(String(n.courseId));
+    const topic = course?.topics.find((t) => String(t._id) === String(n.topicId));
+    return {
+      ...n,
+      course: course ? { _id: course._id, title: course.title, slug: course.slug } : null,
+      topicTitle: topic?.title ?? null,
+    };
+  });
+};
+
+// Every tag the user has used, most used first
+const listTags = async (userId) => {
+  const tags = await Note.aggregate([
+    { $match: { userId: new mongoose.Types.ObjectId(String(userId)) } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+  ]);
+  return tags.map((t) => ({ tag: t._id, count: t.count }));
+};
+
+module.exports = {
+  findPage,
+  listCourseNotes,
+  createNote,
+  updateNote,
+  deleteNote,
+  searchNotes,
+  listTags,
+};
@@ -0,0 +1,264 @@
+const PDFDocument = require('pdfkit');
+const sharp = require('sharp');
+const Course = require('../Model/course');
+const storage = require('./storage');
+const { listCourseNotes } = require('./notes');
+const { httpError } = require('../utils/httpError');
+
+const FORMATS = {
+  md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' },
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  pdf: { contentType: 'application/pdf', extension: 'pdf' },
+};
+
+// Largest highlight thumbnail in pixels; it is drawn at half size in the PDF
+// so it stays sharp when printed
+const THUMBNAIL_SIZE = { width: 360, height: 240 };
+
+const HIGHLIGHT_COLORS = {
+  yellow: '#facc15',
+  green: '#4ade80',
+  blue: '#60a5fa',
+  pink: '#f472b6',
+  purple: '#c084fc',
+};
+
+const formatDate = (date) => new Date(date).toISOString().slice(0, 10);
+
+/**
+ * Group a course's notes by topic (in course order), then by page. Notes on
+ * topics that have since been removed from the course come last, under one
+ * group with no topic, rather than being dropped from the export.
+ */
+const studySheet = (course, notes) => {
+  const groups = course.topics.map((topic) => ({ topic, pages: new Map() }));
+  const orphaned = { topic: null, pages: new Map() };
+  const byTopic = new Map(groups.map((g) => [String(g.topic._id), g]));
+
+  const sorted = [...notes].sort(
+    (a, b) => a.imageIndex - b.imageIndex || new Date(a.createdAt) - new Date(b.createdAt)
+  );
+  for (const note of sorted) {
+    const group = byTopic.get(String(note.topicId)) || orphaned;
+    if (!group.pages.has(note.imageIndex)) group.pages.set(note.imageIndex, []);
+    group.pages.get(note.imageIndex).push(note);
+  }
+
+  return [...groups, orphaned]
+    .filter((g) => g.pages.size > 0)
+    .map((g) => ({
+      topic: g.topic,
+      title: g.topic ? g.topic.title : 'Removed topics',
+      pages: [...g.pages].map(([imageIndex, pageNotes]) => ({
+        imageIndex,
+        page: imageIndex + 1,
+        notes: pageNotes,
+      })),
+    }));
+};
+
+const noteDetails = (note) =>
+  [
+    note.tags?.length ? `Tags: ${note.tags.join(', ')}` : null,
+    note.rect ? `Highlight: ${note.color}` : null,
+  ].filter(Boolean);
+
+const toMarkdown = (course, sheet, exportedAt = new Date()) => {
+  const lines = [`# ${course.title}: study notes`, '', `Exported ${formatDate(exportedAt)}`];
+  for (const group of sheet) {
+    lines.push('', `## ${group.title}`);
+    for (const { page, notes } of group.pages) {
+      lines.push('', `### Page ${page}`, '');
+      for (const note of notes) {
+        const [first, ...rest] = (note.note || '_(highlight only)_').split(/\r?\n/);
+        lines.push(`- ${first}`, ...rest.map((line) => `  ${line}`));
+        const details = noteDetails(note);
+        if (details.length) lines.push(`  _${details.join(' · ')}_`);
+      }
+    }
+  }
+  return `${lines.join('\n')}\n`;
+};
+
+// Quote fields that need it, and keep spreadsheet apps from reading a note
+// that starts with = + - or @ as a formula
+const csvField = (value) => {
+  let text = value == null ? '' : String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (sheet) => {
+  const rows = [['Topic', 'Page', 'Note', 'Tags', 'Colour', 'Highlighted', 'Created', 'Updated']];
+  for (const group of sheet) {
+    for (const { page, notes } of group.pages) {
+      for (const note of notes) {
+        rows.push([
+          group.title,
+          page,
+          note.note,
+          (note.tags || []).join(', '),
+          note.color,
+          note.rect ? 'yes' : 'no',
+          formatDate(note.createdAt),
+          formatDate(note.updatedAt),
+        ]);
+      }
+    }
+  }
+  // The byte order mark tells Excel the file is UTF-8
+  return `\uFEFF${rows.map((row) => row.map(csvField).join(',')).join('\r\n')}\r\n`;
+};
+
+/**
+ * Crop the highlighted region out of a page image. Resolves to a PNG and its
+ * size, or null when the page can't be read; the note is still exported,
+ * just without its thumbnail.
+ */
+const cropHighlight = async (image, rect) => {
+  try {
+    const { width, height } = await sharp(image).metadata();
+    const left = Math.min(Math.floor(rect.x * width), width - 1);
+    const top = Math.min(Math.floor(rect.y * height), height - 1);
+    const { data, info } = await sharp(image)
+      .extract({
+        left,
+        top,
+        width: Math.max(1, Math.min(Math.round(rect.width * width), width - left)),
+        height: Math.max(1, Math.min(Math.round(rect.height * height), height - top)),
+      })
+      .resize({ ...THUMBNAIL_SIZE, fit: 'inside', withoutEnlargement: true })
+      .png()
+      .toBuffer({ resolveWithObject: true });
+    return { data, width: info.width, height: info.height };
+  } catch (err) {
+    console.warn('Highlight thumbnail failed:', err.message);
+    return null;
+  }
+};
+
+// Highlight thumbnails keyed by note id, reading each page image only once
+const loadThumbnails = async (sheet) => {
+  const thumbnails = new Map();
+  for (const group of sheet) {
+    if (!group.topic) continue;
+    for (const { imageIndex, notes } of group.pages) {
+      const highlighted = notes.filter((n) => n.rect);
+      const key = group.topic.images?.[imageIndex];
+      if (!highlighted.length || !key) continue;
+      const file = await storage.getFile(key).catch(() => null);
+      if (!file) continue;
+      for (const note of highlighted) {
+        const thumbnail = await cropHighlight(file.body, note.rect);
+        if (thumbnail) thumbnails.set(String(note._id), thumbnail);
+      }
+    }
+  }
+  return thumbnails;
+};
+
+const renderPdf = (course, sheet, thumbnails, exportedAt = new Date()) =>
+  new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: `${course.title}: study notes` },
+    });
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const left = doc.page.margins.left;
+    const width = doc.page.width - left - doc.page.margins.right;
+    const bottom = doc.page.height - doc.page.margins.bottom;
+    const indent = left + 12;
+    // Start a new page unless `height` more points fit on this one
+    const keepTogether = (height) => {
+      if (doc.y + height > bottom) doc.addPage();
+    };
+
+    doc.font('Helvetica-Bold').fontSize(18).text(course.title, left, doc.y, { width });
+    doc.font('Helvetica').fontSize(10).fillColor('#666666');
+    doc.text(`Study notes, exported ${formatDate(exportedAt)}`);
+    doc.fillColor('#000000');
+    if (!sheet.length) doc.moveDown().text('No notes in this course yet.');
+
+    for (const group of sheet) {
+      keepTogether(60);
+      doc.moveDown(1.5).font('Helvetica-Bold').fontSize(14).text(group.title, left, doc.y, { width });
+      for (const { page, notes } of group.pages) {
+        keepTogether(40);
+        doc.moveDown(0.6).font('Helvetica-Bold').fontSize(11).text(`Page ${page}`, left, doc.y);
+        for (const note of notes) {
+          const thumbnail = thumbnails.get(String(note._id));
+          keepTogether(thumbnail ? thumbnail.height / 2 + 30 : 30);
+          const top = doc.y + 4;
+          doc.y = top;
+          if (thumbnail) {
+            doc.image(thumbnail.data, indent, top, {
+              width: thumbnail.width / 2,
+              height: thumbnail.height / 2,
+            });
+            doc.y = top + thumbnail.height / 2 + 4;
+          }
+          doc.font('Helvetica').fontSize(10).fillColor('#000000');
+          doc.text(note.note || '(highlight only)', indent, doc.y, { width: width - 12 });
+          const details = noteDetails(note);
+          if (details.length) {
+            doc.fontSize(8).fillColor('#666666').text(details.join('  ·  '), indent, doc.y, {
+              width: width - 12,
+            });
+          }
+          // A bar in the highlight colour down the side of the note, unless
+          // the note ran onto the next page
+          if (doc.y > top) {
+            doc
+              .rect(left, top, 3, doc.y - top)
+              .fill(HIGHLIGHT_COLORS[note.color] || HIGHLIGHT_COLORS.yellow);
+          }
+          doc.fillColor('#000000');
+        }
+      }
+    }
+    doc.end();
+  });
+
+/**
+ * Export one user's notes on a course as a study sheet: Markdown, CSV, or a
+ * PDF with a thumbnail of each highlighted region. Resolves to the file body
+ * with its content type and a download name.
+ */
+const exportCourseNotes = async (userId, courseId, format = 'md') => {
+  const type = FORMATS[format];
+  if (!type) throw httpError(400, 'Unknown export format');
+
+  const course = await Course.findById(courseId)
+    .select('title slug topics._id topics.title topics.images')
+    .lean();
+  if (!course) throw httpError(404, 'Course not found');
+
+  const sheet = studySheet(course, await listCourseNotes(userId, courseId));
+  let body;
+  if (format === 'pdf') {
+    body = await renderPdf(course, sheet, await loadThumbnails(sheet));
+  } else if (format === 'csv') {
+    body = toCsv(sheet);
+  } else {
+    body = toMarkdown(course, sheet);
+  }
+
+  return {
+    body,
+    contentType: type.contentType,
+    fileName: `${course.slug || 'course'}-notes.${type.extension}`,
+  };
+};
+
+module.exports = {
+  studySheet,
+  toMarkdown,
+  toCsv,
+  renderPdf,
+  exportCourseNotes,
+};
@@ -0,0 +1,20 @@
+const path = require('path');
+
+// Widths rendered for imported pages. The widest is the page's own storage
+// key; narrower copies sit next to it as "<name>@<width>w<ext>".
+const PAGE_WIDTHS = [480, 960, 1600];
+const FULL_WIDTH = PAGE_WIDTHS[PAGE_WIDTHS.length - 1];
+
+const variantKey = (key, width) => {
+  if (width === FULL_WIDTH) return key;
+  const ext = path.posix.extname(key);
+  return `${key.slice(0, -ext.length || undefined)}@${width}w${ext}`;
+};
+
+// Every stored copy of a page other than the key itself
+const variantKeys = (key) =>
+  PAGE_WIDTHS.filter((width) => width !== FULL_WIDTH).map((width) =>
+    variantKey(key, width)
+  );
+
+module.exports = { PAGE_WIDTHS, FULL_WIDTH, variantKey, variantKeys };
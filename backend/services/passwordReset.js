@@ -0,0 +1,100 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const Users = require('../Model/user');
+const PasswordResetToken = require('../Model/passwordResetToken');
+const { sendMail } = require('./mailer');
+const sessions = require('./sessions');
+const { httpError } = require('../utils/httpError');
+
+const DEFAULT_TTL_MINUTES = 30;
+const SALT_ROUNDS = 12;
+
+const getTtlMinutes = () =>
+  Number(process.env.PASSWORD_RESET_TTL_MINUTES) || DEFAULT_TTL_MINUTES;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(token).digest('hex');
+
+const escapeHtml = (text) =>
+  String(text).replace(
+    /[<>&"]/g,
+    (c) => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' })[c]
+  );
+
+const resetLink = (token) => {
+  const base = (process.env.FRONTEND_URL || 'http://localhost:8080').replace(
+    /\/+$/,
+    ''
+  );
+  return `${base}/reset-password?token=${token}`;
+};
+
+/**
+ * Email a reset link if the address belongs to an account. Callers respond
+ * the same way either way so the endpoint can't be used to probe emails.
+ * Earlier unused tokens for the user stop working.
+ */
+const requestReset = async (email, { ip = null } = {}) => {
+  const user = await Users.findOne({ email });
+  if (!user) return;
+
+  await PasswordResetToken.updateMany(
+    { userId: user._id, usedAt: null },
+    { $set: { usedAt: new Date() } }
+  );
+
+  const token = crypto.randomBytes(32).toString('hex');
+  const ttlMinutes = getTtlMinutes();
+  await PasswordResetToken.create({
+    userId: user._id,
+    tokenHash: hashToken(token),
+    expiresAt: new Date(Date.now() + ttlMinutes * 60 * 1000),
+    requestedIp: ip,
+  });
+
+  const link = resetLink(token);
+  const name = user.name || 'there';
+  await sendMail({
+    to: user.email,
+    subject: 'Reset your AB Institute password',
+    text:
+      `Hi ${name},\n\n` +
+      `Use the link below to choose a new password. It expires in ${ttlMinutes} minutes and can only be used once.\n\n` +
+      `${link}\n\n` +
+      "If you didn't ask for this, you can ignore this email.",
+    html:
+      `<p>Hi ${escapeHtml(name)},</p>` +
+      `<p>Use the link below to choose a new password. It expires in ${ttlMinutes} minutes and can only be used once.</p>` +
+      `<p><a href="${link}">Reset password</a></p>` +
+      "<p>If you didn't ask for this, you can ignore this email.</p>",
+  });
+};
+
+/**
+ * Set a new password with a token from requestReset. The token is claimed
+ * atomically, so two requests racing with the same link can't both succeed.
+ * Every existing session is signed out.
+ */
+const resetPassword = async (token, password) => {
+  const claimed = await PasswordResetToken.findOneAndUpdate(
+    {
+      tokenHash: hashToken(token),
+      usedAt: null,
+      expiresAt: { $gt: new Date() },
+    },
+    { $set: { usedAt: new Date() } },
+    { new: true }
+  );
+  if (!claimed) throw httpError(400, 'Reset link is invalid or has expired');
+
+  const user = await Users.findById(claimed.userId);
+  if (!user) throw httpError(400, 'Reset link is invalid or has expired');
+
+  user.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+  user.updatedAt = new Date();
+  await user.save();
+  await sessions.revokeAllForUser(user._id, 'password_reset');
+  return user;
+};
+
+module.exports = { requestReset, resetPassword, hashToken };
@@ -0,0 +1,151 @@
+const crypto = require('crypto');
+const Payment = require('../Model/payment');
+const Order = require('../Model/order');
+const PaymentEvent = require('../Model/paymentEvent');
+const checkout = require('./checkout');
+const refunds = require('./refunds');
+const { getGateway } = require('./gateways');
+const { httpError } = require('../utils/httpError');
+
+const PAYMENT_METHODS = Payment.schema.path('method').enumValues;
+
+const isDuplicateKeyError = (err) => err && err.code === 11000;
+
+// Record the event, or return the stored copy if this delivery is a replay
+const recordEvent = async (gatewayName, event, body, rawBody) => {
+  // Without a gateway event id, identical bodies are treated as the same event
+  const eventId =
+    event.eventId ||
+    crypto.createHash('sha256').update(rawBody).digest('hex');
+
+  try {
+    const created = await PaymentEvent.create({
+      gateway: gatewayName,
+      eventId,
+      type: event.type || 'unknown',
+      payload: body,
+    });
+    return { record: created, duplicate: false };
+  } catch (err) {
+    if (!isDuplicateKeyError(err)) throw err;
+    const existing = await PaymentEvent.findOne({
+      gateway: gatewayName,
+      eventId,
+    });
+    // An event that failed to apply is retried; anything settled is skipped
+    return { record: existing, duplicate: existing.isSettled() };
+  }
+};
+
+// Only payments made through the gateway that signed the event: one gateway's
+// webhook must never settle another gateway's payment
+const findPayment = (gatewayName, event) => {
+  if (event.gatewayOrderId) {
+    return Payment.findOne({ gateway: gatewayName, gatewayOrderId: event.gatewayOrderId });
+  }
+  if (event.gatewayPaymentId) {
+    return Payment.findOne({
+      gateway: gatewayName,
+      gatewayPaymentId: event.gatewayPaymentId,
+    });
+  }
+  return null;
+};
+
+const toMinorUnits = (amount) => Math.round(amount * 100);
+
+// Why a capture can't be applied to the payment, or null if it matches
+const captureMismatch = async (payment, event) => {
+  const order = await Order.findOne({ id: payment.orderId }).select('currency').lean();
+  const currency = order?.currency || 'INR';
+  if (event.amount == null || toMinorUnits(event.amount) !== toMinorUnits(payment.amount)) {
+    return `Captured amount ${event.amount} does not match payment amount ${payment.amount}`;
+  }
+  if (event.currency !== currency) {
+    return `Captured currency ${event.currency} does not match order currency ${currency}`;
+  }
+  return null;
+};
+
+// Apply the event to Payment/Order; returns the payment it touched, if any
+const applyEvent = async (gatewayName, event) => {
+  const payment = await findPayment(gatewayName, event);
+  if (!payment) return { status: 'ignored', payment: null };
+
+  switch (event.type) {
+    case 'payment.captured': {
+      const mismatch = await captureMismatch(payment, event);
+      if (mismatch) {
+        console.error(`❌ Payment ${payment.id}: ${mismatch}`);
+        return { status: 'mismatch', payment, error: mismatch };
+      }
+      const method = PAYMENT_METHODS.includes(event.method)
+        ? event.method
+        : undefined;
+      const result = await checkout.capturePayment(payment.id, {
+        method,
+        gatewayPaymentId: event.gatewayPaymentId,
+      });
+      return { status: 'processed', payment: result.payment };
+    }
+    case 'payment.failed':
+      // A failure reported after capture is a stale attempt, not news
+      if (payment.status !== 'initiated') {
+        return { status: 'ignored', payment };
+      }
+      await checkout.failPayment(payment.id);
+      return { status: 'processed', payment };
+    case 'refund.processed': {
+      const result = await refunds.recordGatewayRefund(payment, {
+        refundId: event.refundId,
+        amount: event.refundAmount,
+      });
+      return { status: 'processed', payment: result.payment };
+    }
+    default:
+      return { status: 'ignored', payment };
+  }
+};
+
+/**
+ * Verify, log and apply one gateway webhook delivery. Each event is stored in
+ * PaymentEvent keyed by the gateway's event id, so replays are acknowledged
+ * without being applied twice. Unexpected errors while applying are recorded
+ * on the event and rethrown so the gateway retries the delivery.
+ */
+const handleWebhook = async (gatewayName, { rawBody, headers, body }) => {
+  const gateway = getGateway(gatewayName);
+  if (!rawBody || !gateway.verifyWebhookSignature({ rawBody, headers })) {
+    throw httpError(400, 'Invalid webhook signature');
+  }
+
+  const event = gateway.parseWebhookEvent({ body, headers });
+  const { record, duplicate } = await recordEvent(
+    gatewayName,
+    event,
+    body,
+    rawBody
+  );
+  if (duplicate) return { event: record, duplicate: true };
+
+  try {
+    const { status, payment, error = null } = await applyEvent(gatewayName, event);
+    record.status = status;
+    record.paymentId = payment ? payment.id : null;
+    record.error = error;
+    record.processedAt = new Date();
+    await record.save();
+  } catch (err) {
+    // A transition the payment can't make (e.g. capture after refund) will
+    // never succeed on retry, so it is logged and acknowledged
+    const rejected = err.status && err.status < 500;
+    record.status = rejected ? 'ignored' : 'failed';
+    record.error = err.message;
+    await record.save();
+    if (!rejected) throw err;
+  }
+
+  return { event: record, duplicate: false };
+};
+
+module.exports = { handleWebhook };
@@ -0,0 +1,174 @@
+const path = require('path');
+const sharp = require('sharp');
+const { createCanvas } = require('@napi-rs/canvas');
+const { httpError } = require('../utils/httpError');
+const { PAGE_WIDTHS, FULL_WIDTH } = require('./pageVariants');
+
+// pdf.js ships as ES modules only; load it once on first use
+let pdfjsPromise;
+const loadPdfjs = () => {
+  pdfjsPromise ??= import('pdfjs-dist/legacy/build/pdf.mjs');
+  return pdfjsPromise;
+};
+
+// Fonts and character maps bundled with pdfjs-dist, so rendering never
+// reaches out to a CDN
+const PDFJS_DIR = path.dirname(require.resolve('pdfjs-dist/package.json'));
+const STANDARD_FONTS_DIR = path.join(PDFJS_DIR, 'standard_fonts') + path.sep;
+const CMAPS_DIR = path.join(PDFJS_DIR, 'cmaps') + path.sep;
+
+// Tall pages (posters, long scans) would otherwise render into huge bitmaps
+const MAX_RENDER_HEIGHT = 6000;
+const WEBP_QUALITY = 80;
+
+/**
+ * Parse a PDF. Broken and password-protected files become 400s so the
+ * upload can be rejected before a job is queued.
+ */
+const openPdf = async (data) => {
+  const pdfjs = await loadPdfjs();
+  try {
+    return await pdfjs.getDocument({
+      data: new Uint8Array(data),
+      standardFontDataUrl: STANDARD_FONTS_DIR,
+      cMapUrl: CMAPS_DIR,
+      cMapPacked: true,
+      isEvalSupported: false,
+      verbosity: pdfjs.VerbosityLevel.ERRORS,
+    }).promise;
+  } catch (err) {
+    if (err.name === 'PasswordException') {
+      throw httpError(400, 'Password-protected PDFs are not supported');
+    }
+    if (err.name === 'InvalidPDFException') {
+      throw httpError(400, 'The file is not a valid PDF');
+    }
+    throw err;
+  }
+};
+
+// 1-based page a bookmark points at, or null for external links and
+// destinations that don't resolve
+const bookmarkPage = async (doc, dest) => {
+  try {
+    const explicit = typeof dest === 'string' ? await doc.getDestination(dest) : dest;
+    if (!Array.isArray(explicit) || explicit.length === 0) return null;
+    const [target] = explicit;
+    const index = Number.isInteger(target) ? target : await doc.getPageIndex(target);
+    return index + 1;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Top-level bookmarks as `{ title, startPage }`, in page order. Nested
+ * bookmarks stay inside their chapter; two bookmarks on the same page keep
+ * the first.
+ */
+const readOutline = async (doc) => {
+  const outline = (await doc.getOutline()) || [];
+  const entries = [];
+  for (const item of outline) {
+    const title = (item.title || '').trim();
+    const startPage = item.dest ? await bookmarkPage(doc, item.dest) : null;
+    if (title && startPage) entries.push({ title: title.slice(0, 200), startPage });
+  }
+  entries.sort((a, b) => a.startPage - b.startPage);
+  return entries.filter(
+    (entry, i) => i === 0 || entry.startPage !== entries[i - 1].startPage
+  );
+};
+
+// Turn section starts into page ranges; pages before the first section
+// (cover, contents) belong to it
+const rangesFromStarts = (starts, pageCount) =>
+  starts.map((section, i) => ({
+    title: section.title,
+    from: i === 0 ? 1 : section.startPage,
+    to: i + 1 < starts.length ? starts[i + 1].startPage - 1 : pageCount,
+  }));
+
+const checkSections = (sections, pageCount) => {
+  const sorted = [...sections].sort((a, b) => a.startPage - b.startPage);
+  sorted.forEach((section, i) => {
+    if (section.startPage > pageCount) {
+      throw httpError(
+        400,
+        `Section "${section.title}" starts on page ${section.startPage}, but the PDF has ${pageCount} pages`
+      );
+    }
+    if (i > 0 && section.startPage === sorted[i - 1].startPage) {
+      throw httpError(400, `Two sections start on page ${section.startPage}`);
+    }
+  });
+  return sorted;
+};
+
+/**
+ * Page ranges for the new topics: the PDF's bookmarks when it has any,
+ * otherwise the manual split (named sections, or fixed-size chunks),
+ * otherwise one topic for the whole document.
+ */
+const planTopics = ({ pageCount, outline, sections, pagesPerTopic, fallbackTitle }) => {
+  if (outline.length > 0) {
+    return { split: 'outline', topics: rangesFromStarts(outline, pageCount) };
+  }
+  if (sections && sections.length > 0) {
+    return {
+      split: 'manual',
+      topics: rangesFromStarts(checkSections(sections, pageCount), pageCount),
+    };
+  }
+  if (pagesPerTopic && pagesPerTopic < pageCount) {
+    const topics = [];
+    for (let from = 1; from <= pageCount; from += pagesPerTopic) {
+      const to = Math.min(from + pagesPerTopic - 1, pageCount);
+      topics.push({ title: `Pages ${from}–${to}`, from, to });
+    }
+    return { split: 'manual', topics };
+  }
+  return {
+    split: 'single',
+    topics: [{ title: fallbackTitle, from: 1, to: pageCount }],
+  };
+};
+
+/**
+ * Rasterize one page (1-based) and encode it as WebP at every width in
+ * PAGE_WIDTHS. Returns `[{ width, buffer }]`, widest last.
+ */
+const renderPage = async (doc, pageNumber) => {
+  const page = await doc.getPage(pageNumber);
+  try {
+    const base = page.getViewport({ scale: 1 });
+    const scale = Math.min(FULL_WIDTH / base.width, MAX_RENDER_HEIGHT / base.height);
+    const viewport = page.getViewport({ scale });
+    const width = Math.ceil(viewport.width);
+    const height = Math.ceil(viewport.height);
+
+    const canvas = createCanvas(width, height);
+    const context = canvas.getContext('2d');
+    // PDFs assume white paper; transparent pixels would turn black in JPEG
+    // viewers and grey under the watermark
+    context.fillStyle = '#ffffff';
+    context.fillRect(0, 0, width, height);
+    await page.render({ canvas, canvasContext: context, viewport }).promise;
+
+    const raw = sharp(canvas.data(), { raw: { width, height, channels: 4 } });
+    return Promise.all(
+      PAGE_WIDTHS.map(async (target) => ({
+        width: target,
+        buffer: await raw
+          .clone()
+          .resize({ width: target, withoutEnlargement: true })
+          .webp({ quality: WEBP_QUALITY })
+          .toBuffer(),
+      }))
+    );
+  } finally {
+    page.cleanup();
+  }
+};
+
+module.exports = { openPdf, readOutline, planTopics, renderPage };
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const CourseProgress = require('../Model/courseProgress');
+const { httpError } = require('../utils/httpError');
+
+// Batch ids remembered per topic so a resent batch doesn't add its time twice
+const RECENT_BATCHES = 50;
+
+// Bitmap writes that lost a race are retried this often before giving up
+const MAX_ATTEMPTS = 5;
+
+// Longest reading time one batch entry may report for a topic
+const MAX_SECONDS_PER_ENTRY = 60 * 60;
+
+// Page bitmaps: bit n of byte n >> 3 is set once page n has been viewed.
+// Lean reads hand them over as BSON Binary rather than Buffer
+const bytesOf = (bitmap) =>
+  Buffer.isBuffer(bitmap) ? bitmap : Buffer.from(bitmap.buffer ?? bitmap);
+
+const markPages = (bitmap, pages, pageCount) => {
+  const bytes = Buffer.alloc(Math.ceil(pageCount / 8));
+  if (bitmap) bytesOf(bitmap).copy(bytes, 0, 0, bytes.length);
+  for (const page of pages) {
+    if (Number.isInteger(page) && page >= 0 && page < pageCount) {
+      bytes[page >> 3] |= 1 << (page & 7);
+    }
+  }
+  return bytes;
+};
+
+const viewedPageList = (bitmap, pageCount) => {
+  const pages = [];
+  if (!bitmap) return pages;
+  const bytes = bytesOf(bitmap);
+  for (let page = 0; page < pageCount && page >> 3 < bytes.length; page++) {
+    if (bytes[page >> 3] & (1 << (page & 7))) pages.push(page);
+  }
+  return pages;
+};
+
+const allPages = (pageCount) => Array.from({ length: pageCount }, (_, i) => i);
+
+const pageCountOf = (topic) => topic.images?.length || 0;
+
+const findTopic = (courseProgress, topicId) =>
+  courseProgress?.topics.find((t) => String(t.topicId) === String(topicId));
+
+// A topic marked complete stays at 100 even if pages were added since
+const topicPercent = (entry, pageCount) => {
+  if (!entry) return 0;
+  if (!pageCount) return entry.percent || 0;
+  const viewed = viewedPageList(entry.viewedPages, pageCount).length;
+  return Math.max(entry.percent || 0, Math.round((viewed / pageCount) * 100));
+};
+
+/**
+ * Course percent, weighted by page count: pages viewed across every topic
+ * over the course's total pages. Topics marked complete count in full.
+ */
+const coursePercent = (course, courseProgress) => {
+  let total = 0;
+  let viewed = 0;
+  for (const topic of course.topics) {
+    const pageCount = pageCountOf(topic);
+    const entry = findTopic(courseProgress, topic._id);
+    total += pageCount;
+    if (!entry) continue;
+    viewed +=
+      entry.percent >= 100
+        ? pageCount
+        : viewedPageList(entry.viewedPages, pageCount).length;
+  }
+  return total ? Math.round((viewed / total) * 100) : 0;
+};
+
+// What the reader needs to restore its state on any device
+const summarize = (course, courseProgress) => {
+  const progress = {};
+  const viewedPages = {};
+  const timeSpentSeconds = {};
+  for (const topic of course.topics) {
+    const id = String(topic._id);
+    const entry = findTopic(courseProgress, topic._id);
+    const pageCount = pageCountOf(topic);
+    progress[id] = topicPercent(entry, pageCount);
+    viewedPages[id] =
+      progress[id] >= 100
+        ? allPages(pageCount)
+        : viewedPageList(entry?.viewedPages, pageCount);
+    timeSpentSeconds[id] = entry?.timeSpentSeconds || 0;
+  }
+  return {
+    progress,
+    viewedPages,
+    timeSpentSeconds,
+    percent: coursePercent(course, courseProgress),
+  };
+};
+
+const loadCourseProgress = async (userId, courseId) => ({
+  topics: await CourseProgress.find({ userId, courseId }).lean(),
+});
+
+const getProgress = async (userId, course) =>
+  summarize(course, await loadCourseProgress(userId, course._id));
+
+/**
+ * Merge one topic's page views. The topic document is upserted, then its
+ * bitmap is written back only if no other write got in between (compared on
+ * `revision`), retrying otherwise, so concurrent batches never drop each
+ * other's pages.
+ */
+const mergeTopic = async (key, entry, pageCount, batchId) => {
+  const { pages = [], timeSpentSeconds = 0, completed = false } = entry;
+  for (let attempt = 0; attempt < MAX_ATTEMPTS; attempt++) {
+    const current = await CourseProgress.findOneAndUpdate(
+      key,
+      { $setOnInsert: { createdAt: new Date() } },
+      { upsert: true, new: true, lean: true }
+    );
+    const viewedPages = markPages(
+      current.viewedPages,
+      completed ? allPages(pageCount) : pages,
+      pageCount
+    );
+    const update = {
+      $set: {
+        viewedPages,
+        percent: completed
+          ? 100
+          : topicPercent({ percent: current.percent, viewedPages }, pageCount),
+        // lastSeenAt is left to savePosition: batches arrive late and can
+        // cover several topics, so they would move the resume point back
+        updatedAt: new Date(),
+      },
+      $inc: { revision: 1 },
+    };
+    if (!batchId || !current.batchIds.includes(batchId)) {
+      update.$inc.timeSpentSeconds = Math.min(timeSpentSeconds, MAX_SECONDS_PER_ENTRY);
+      if (batchId) {
+        update.$push = { batchIds: { $each: [batchId], $slice: -RECENT_BATCHES } };
+      }
+    }
+
+    const written = await CourseProgress.updateOne(
+      { _id: current._id, revision: current.revision },
+      update
+    );
+    if (written.matchedCount) return;
+  }
+  throw httpError(409, 'Progress changed while saving. Try again.');
+};
+
+/**
+ * Merge a batch of page views into a user's progress. Page views are set in
+ * a bitmap, so sending the same views again changes nothing; time spent is
+ * only added the first time a `batchId` is seen. Entries for topics the
+ * course no longer has are skipped. Resolves to the new summary.
+ */
+const recordProgress = async (userId, course, { batchId, topics: entries }) => {
+  for (const entry of entries) {
+    const topic = course.topics.find((t) => String(t._id) === String(entry.topicId));
+    if (!topic) continue;
+    await mergeTopic(
+      { userId, courseId: course._id, topicId: topic._id },
+      entry,
+      pageCountOf(topic),
+      batchId
+    );
+  }
+  return getProgress(userId, course);
+};
+
+// Mark every page of a topic viewed and the topic complete
+const completeTopic = (userId, course, topicId) =>
+  recordProgress(userId, course, { topics: [{ topicId, completed: true }] });
+
+// Remember the page the user is on
+const savePosition = (userId, courseId, { topicId, imageIndex }) =>
+  CourseProgress.updateOne(
+    { userId, courseId, topicId },
+    {
+      $set: { lastImageIndex: imageIndex, lastSeenAt: new Date(), updatedAt: new Date() },
+      $setOnInsert: { createdAt: new Date() },
+    },
+    { upsert: true }
+  );
+
+// A bitmap with each viewed page moved to `moved[page]`; pages moved to -1
+// were deleted and are dropped
+const movePages = (bitmap, moved, pageCount) =>
+  markPages(
+    null,
+    viewedPageList(bitmap, moved.length).map((page) => moved[page]),
+    pageCount
+  );
+
+/**
+ * Follow a page edit in one topic for every reader: viewed pages and the
+ * saved position move with their page (`moved[old] = new`, -1 if deleted).
+ * A position on a deleted page falls to the page that took its place.
+ * Bumps `revision` so a merge that read the old bitmap retries.
+ */
+const movePagesForAll = async (courseId, topicId, moved, pageCount, session = null) => {
+  const entries = await CourseProgress.find({ courseId, topicId })
+    .select('viewedPages lastImageIndex')
+    .session(session)
+    .lean();
+  const writes = entries.map((entry) => {
+    const last = entry.lastImageIndex || 0;
+    const lastImageIndex =
+      moved[last] >= 0 ? moved[last] : Math.max(0, Math.min(last, pageCount - 1));
+    return {
+      updateOne: {
+        filter: { _id: entry._id },
+        update: {
+          $set: {
+            viewedPages: entry.viewedPages ? movePages(entry.viewedPages, moved, pageCount) : null,
+            lastImageIndex,
+            updatedAt: new Date(),
+          },
+          $inc: { revision: 1 },
+        },
+      },
+    };
+  });
+  if (writes.length) await CourseProgress.bulkWrite(writes, { session });
+};
+
+const toResumePoint = (entry) => ({
+  courseId: entry.courseId,
+  topicId: entry.topicId,
+  imageIndex: entry.lastImageIndex || 0,
+  lastSeenAt: entry.lastSeenAt,
+});
+
+// The page the user saw last in a course, or null if they never opened it
+const getResumePoint = async (userId, courseId) => {
+  const entry = await CourseProgress.findOne({ userId, courseId, lastSeenAt: { $ne: null } })
+    .sort({ lastSeenAt: -1 })
+    .lean();
+  return entry ? toResumePoint(entry) : null;
+};
+
+// The page the user saw last in each course, most recently read course first
+const listResumePoints = async (userId, { limit = 20 } = {}) => {
+  const entries = await CourseProgress.aggregate([
+    {
+      $match: {
+        userId: new mongoose.Types.ObjectId(String(userId)),
+        lastSeenAt: { $ne: null },
+      },
+    },
+    { $sort: { lastSeenAt: -1 } },
+    { $group: { _id: '$courseId', entry: { $first: '$$ROOT' } } },
+    { $replaceRoot: { newRoot: '$entry' } },
+    { $sort: { lastSeenAt: -1 } },
+    { $limit: limit },
+  ]);
+  return entries.map(toResumePoint);
+};
+
+module.exports = {
+  markPages,
+  viewedPageList,
+  movePages,
+  movePagesForAll,
+  coursePercent,
+  getProgress,
+  recordProgress,
+  completeTopic,
+  savePosition,
+  getResumePoint,
+  listResumePoints,
+};
@@ -0,0 +1,216 @@
+const mongoose = require('mongoose');
+const Payment = require('../Model/payment');
+const Order = require('../Model/order');
+const Refund = require('../Model/refund');
+const checkout = require('./checkout');
+const invoices = require('./invoices');
+const { getGateway } = require('./gateways');
+const { httpError } = require('../utils/httpError');
+
+// Reason recorded for refunds that were started in the gateway's dashboard
+const GATEWAY_REASON = 'Refunded at the payment gateway';
+
+// Amounts are rupees with paise; allow for floating point when comparing
+const EPSILON = 0.001;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const refundableAmount = (payment) => round2(payment.amount - (payment.refundedAmount || 0));
+
+/**
+ * Reserve `amount` of a captured payment for a refund. The check and the
+ * increment are one atomic update, so two admins refunding at once can never
+ * refund more than was paid. Resolves to null when the amount does not fit.
+ */
+const reserve = (payment, amount) =>
+  Payment.findOneAndUpdate(
+    {
+      id: payment.id,
+      status: 'captured',
+      $expr: {
+        $lte: [
+          { $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] },
+          { $add: ['$amount', EPSILON] },
+        ],
+      },
+    },
+    { $inc: { refundedAmount: amount }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+
+const release = (payment, amount) =>
+  Payment.updateOne({ id: payment.id }, { $inc: { refundedAmount: -amount } });
+
+// Razorpay explains rejections in error.description
+const gatewayErrorMessage = (err) =>
+  err.response?.data?.error?.description || err.message || 'Unknown gateway error';
+
+/**
+ * Apply a refund the gateway has accepted: add it to the order, mark the
+ * order refunded or partially refunded, revoke course access once the whole
+ * payment is refunded and issue a credit note against the invoice, all in
+ * one transaction. The credit note PDF is rendered once that has committed.
+ * Applying a processed refund again is a no-op.
+ */
+const applyRefund = async (refundId) => {
+  const session = await mongoose.startSession();
+  let result;
+  try {
+    await session.withTransaction(async () => {
+      const refund = await Refund.findOne({ id: refundId }).session(session);
+      if (!refund) throw httpError(404, 'Refund not found');
+      const payment = await Payment.findOne({ id: refund.paymentId }).session(session);
+      const order = await Order.findOne({ id: refund.orderId }).session(session);
+      if (refund.status === 'processed') {
+        result = { refund, payment, order, creditNote: null };
+        return;
+      }
+
+      order.refundedAmount = round2((order.refundedAmount || 0) + refund.amount);
+      const fullyRefunded = order.refundedAmount >= payment.amount - EPSILON;
+      order.status = fullyRefunded ? 'refunded' : 'partially_refunded';
+      await order.save({ session });
+
+      if (fullyRefunded) {
+        payment.status = 'refunded';
+        await payment.save({ session });
+        await checkout.revokeOrderAccess(order, session);
+      }
+
+      const invoice = await invoices.issueInvoice(order, session);
+      const creditNote = await invoices.issueCreditNote({ invoice, order, refund }, session);
+
+      refund.status = 'processed';
+      refund.creditNoteId = creditNote.id;
+      refund.processedAt = new Date();
+      await refund.save({ session });
+      result = { refund, payment, order, creditNote };
+    });
+  } finally {
+    await session.endSession();
+  }
+
+  if (result.creditNote) {
+    await invoices.generateCreditNoteFile(result.creditNote).catch((err) =>
+      console.error('❌ Credit note PDF error:', result.creditNote.number, err)
+    );
+  }
+  return result;
+};
+
+/**
+ * Refund all or part of a captured payment through its gateway. Leaving out
+ * `amount` refunds whatever has not been refunded yet. The amount is
+ * reserved before the gateway is called and released again if the gateway
+ * rejects the refund.
+ */
+const requestRefund = async ({ paymentId, amount, reason, admin }) => {
+  const payment = await Payment.findOne({ id: paymentId });
+  if (!payment) throw httpError(404, 'Payment not found');
+  if (payment.status !== 'captured') {
+    throw httpError(
+      400,
+      'Only captured payments can be refunded. Current status: ' + payment.status
+    );
+  }
+  if (!payment.gatewayPaymentId) {
+    throw httpError(400, 'This payment has nothing to refund at a gateway');
+  }
+
+  const remaining = refundableAmount(payment);
+  const refundAmount = amount === undefined ? remaining : round2(amount);
+  if (refundAmount <= 0 || refundAmount > remaining + EPSILON) {
+    throw httpError(400, `Refund amount must be more than 0 and at most ${remaining}`);
+  }
+
+  const gateway = getGateway(payment.gateway);
+  if (!(await reserve(payment, refundAmount))) {
+    throw httpError(409, 'The payment changed while refunding. Reload and try again.');
+  }
+
+  const refund = await Refund.create({
+    paymentId: payment.id,
+    orderId: payment.orderId,
+    amount: refundAmount,
+    reason,
+    requestedBy: admin ? admin._id : null,
+    gateway: payment.gateway,
+  });
+
+  let gatewayRefund;
+  try {
+    gatewayRefund = await gateway.refund({
+      gatewayPaymentId: payment.gatewayPaymentId,
+      amount: refundAmount,
+      notes: { refundId: String(refund.id), reason: reason.slice(0, 255) },
+    });
+  } catch (err) {
+    console.error('❌ Gateway refund error:', refund.id, gatewayErrorMessage(err));
+    await release(payment, refundAmount);
+    refund.status = 'failed';
+    refund.error = gatewayErrorMessage(err);
+    await refund.save();
+    throw httpError(502, 'The payment gateway did not accept the refund: ' + refund.error);
+  }
+
+  refund.gatewayRefundId = gatewayRefund.refundId;
+  await refund.save();
+  console.log('✅ Refund accepted by gateway:', refund.id, gatewayRefund.status);
+  return applyRefund(refund.id);
+};
+
+/**
+ * Apply a refund reported by a gateway webhook. Refunds requested here are
+ * matched by their gateway refund id, or, if the webhook beats the API
+ * response, by being the pending refund of the same amount. Anything else
+ * was started in the gateway's dashboard and is recorded as a new refund.
+ */
+const recordGatewayRefund = async (payment, { refundId, amount }) => {
+  let refund = refundId
+    ? await Refund.findOne({ gateway: payment.gateway, gatewayRefundId: refundId })
+    : null;
+
+  if (!refund && refundId && amount) {
+    refund = await Refund.findOneAndUpdate(
+      {
+        paymentId: payment.id,
+        status: 'pending',
+        amount: round2(amount),
+        gatewayRefundId: { $exists: false },
+      },
+      { $set: { gatewayRefundId: refundId } },
+      { sort: { createdAt: 1 }, new: true }
+    );
+  }
+
+  if (!refund) {
+    const refundAmount = amount ? round2(amount) : refundableAmount(payment);
+    if (refundAmount <= 0 || !(await reserve(payment, refundAmount))) {
+      throw httpError(409, 'Refund exceeds the refundable amount of the payment');
+    }
+    refund = await Refund.create({
+      paymentId: payment.id,
+      orderId: payment.orderId,
+      amount: refundAmount,
+      reason: GATEWAY_REASON,
+      gateway: payment.gateway,
+      gatewayRefundId: refundId || undefined,
+    });
+  }
+
+  return applyRefund(refund.id);
+};
+
+const listRefunds = (paymentId) =>
+  Refund.find({ paymentId })
+    .populate('creditNote', 'id number fileKey')
+    .populate('requestedBy', 'name email')
+    .sort({ createdAt: -1 });
+
+module.exports = {
+  refundableAmount,
+  requestRefund,
+  recordGatewayRefund,
+  applyRefund,
+  listRefunds,
+};
@@ -0,0 +1,149 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const Users = require('../Model/user');
+const Session = require('../Model/session');
+const { httpError } = require('../utils/httpError');
+
+const DEFAULT_REFRESH_TTL_DAYS = 30;
+// Rotated-out hashes remembered per session for reuse detection
+const MAX_PREVIOUS_HASHES = 20;
+
+const getRefreshTtlDays = () =>
+  Number(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TTL_DAYS;
+
+const hashToken = (token) =>
+  crypto.createHash('sha256').update(String(token)).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('hex');
+
+// "Chrome on Windows" style label for the sessions list
+const describeDevice = (userAgent = '') => {
+  const ua = String(userAgent);
+  const browser =
+    [
+      [/Edg\//, 'Edge'],
+      [/OPR\/|Opera/, 'Opera'],
+      [/Firefox\//, 'Firefox'],
+      [/Chrome\//, 'Chrome'],
+      [/Safari\//, 'Safari'],
+    ].find(([pattern]) => pattern.test(ua))?.[1] || null;
+  const os =
+    [
+      [/Android/, 'Android'],
+      [/iPhone|iPad|iPod/, 'iOS'],
+      [/Windows/, 'Windows'],
+      [/Mac OS X|Macintosh/, 'macOS'],
+      [/Linux/, 'Linux'],
+    ].find(([pattern]) => pattern.test(ua))?.[1] || null;
+
+  if (browser && os) return `${browser} on ${os}`;
+  return browser || os || 'Unknown device';
+};
+
+/**
+ * Start a session for a user who just signed in. Returns the session and the
+ * plain refresh token, which is only ever handed to the client.
+ */
+const createSession = async (user, { userAgent = null, ip = null } = {}) => {
+  const refreshToken = newRefreshToken();
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    device: describeDevice(userAgent),
+    userAgent,
+    ip,
+    expiresAt: new Date(Date.now() + getRefreshTtlDays() * 24 * 60 * 60 * 1000),
+  });
+  return { session, refreshToken };
+};
+
+const revokeWhere = (filter, reason) =>
+  Session.updateMany(
+    { ...filter, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+
+/**
+ * Exchange a refresh token for a new one. The swap is atomic, so of two
+ * requests presenting the same token only one wins. A token that was already
+ * rotated out means it has leaked (or been replayed); the whole session is
+ * revoked so neither copy can be used again.
+ */
+const rotateSession = async (refreshToken, { userAgent = null, ip = null } = {}) => {
+  if (!refreshToken) throw httpError(401, 'Refresh token required');
+
+  const tokenHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken();
+  const session = await Session.findOneAndUpdate(
+    { tokenHash, ...Session.activeFilter() },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        lastUsedAt: new Date(),
+        ip,
+        ...(userAgent ? { userAgent } : {}),
+      },
+      $push: {
+        previousTokenHashes: { $each: [tokenHash], $slice: -MAX_PREVIOUS_HASHES },
+      },
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ previousTokenHashes: tokenHash });
+    if (reused) {
+      console.warn('⚠️ Refresh token reuse detected for session:', reused._id);
+      await revokeWhere({ _id: reused._id }, 'reuse_detected');
+    }
+    throw httpError(401, 'Session expired. Please sign in again.');
+  }
+
+  const user = await Users.findById(session.userId);
+  if (!user) {
+    await revokeWhere({ _id: session._id }, 'revoked');
+    throw httpError(401, 'User not found');
+  }
+
+  return { session, user, refreshToken: nextToken };
+};
+
+// Sign out the device holding this refresh token; unknown tokens are ignored
+const endSession = async (refreshToken) => {
+  if (!refreshToken) return;
+  await revokeWhere({ tokenHash: hashToken(refreshToken) }, 'logout');
+};
+
+const revokeAllForUser = (userId, reason = 'logout_all') =>
+  revokeWhere({ userId }, reason);
+
+const revokeUserSession = async (userId, sessionId) => {
+  if (!mongoose.isValidObjectId(sessionId)) {
+    throw httpError(404, 'Session not found');
+  }
+  const result = await revokeWhere({ _id: sessionId, userId }, 'revoked');
+  if (!result.matchedCount) throw httpError(404, 'Session not found');
+};
+
+// Active sessions for the Profile page; `current` marks the caller's device
+const listSessions = async (userId, currentSessionId = null) => {
+  const sessions = await Session.findActiveByUser(userId);
+  return sessions.map((session) => ({
+    id: session._id,
+    device: session.device,
+    ip: session.ip,
+    createdAt: session.createdAt,
+    lastUsedAt: session.lastUsedAt,
+    expiresAt: session.expiresAt,
+    current: String(session._id) === String(currentSessionId),
+  }));
+};
+
+module.exports = {
+  createSession,
+  rotateSession,
+  endSession,
+  revokeAllForUser,
+  revokeUserSession,
+  listSessions,
+};
@@ -0,0 +1,16 @@
+const path = require('path');
+
+// Types of the files we store, by extension. The local disk has nowhere to
+// keep a content type, so it is always derived from the key.
+const CONTENT_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.pdf': 'application/pdf',
+};
+
+const contentTypeFor = (key) =>
+  CONTENT_TYPES[path.posix.extname(key).toLowerCase()] || 'application/octet-stream';
+
+module.exports = { contentTypeFor };
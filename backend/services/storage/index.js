@@ -0,0 +1,67 @@
+const local = require('./local');
+const s3 = require('./s3');
+const { contentTypeFor } = require('./contentType');
+
+/**
+ * File storage drivers (course pages, avatars, invoice PDFs). Each driver
+ * implements:
+ *   put(key, body, { contentType }) -> void
+ *   get(key) -> { body, contentType, size, lastModified } | null
+ *   head(key) -> { contentType, size, lastModified } | null
+ *   remove(key) -> void   (a missing key is not an error)
+ *
+ * STORAGE_DRIVER picks one (local | s3); without it, S3 is used when
+ * S3_BUCKET is set and the local disk otherwise.
+ */
+const drivers = {
+  [local.name]: local,
+  [s3.name]: s3,
+};
+
+const getDriver = () => {
+  const name =
+    process.env.STORAGE_DRIVER || (process.env.S3_BUCKET ? s3.name : local.name);
+  const driver = drivers[name];
+  if (!driver) throw new Error(`Unsupported storage driver: ${name}`);
+  return driver;
+};
+
+// Slash-separated segments that can't start with a dot, so a key can never
+// climb out of its folder or bucket prefix
+const KEY_PATTERN = /^[A-Za-z0-9_@-][A-Za-z0-9._@-]*(\/[A-Za-z0-9_@-][A-Za-z0-9._@-]*)*$/;
+
+const isValidKey = (key) => typeof key === 'string' && KEY_PATTERN.test(key);
+
+const checkKey = (key) => {
+  if (!isValidKey(key)) throw new Error(`Invalid storage key: ${key}`);
+};
+
+const putFile = async (key, body, { contentType = contentTypeFor(key) } = {}) => {
+  checkKey(key);
+  return getDriver().put(key, body, { contentType });
+};
+
+const getFile = async (key) => {
+  checkKey(key);
+  return getDriver().get(key);
+};
+
+const statFile = async (key) => {
+  checkKey(key);
+  return getDriver().head(key);
+};
+
+const deleteFile = async (key) => {
+  checkKey(key);
+  return getDriver().remove(key);
+};
+
+module.exports = {
+  getDriver,
+  isValidKey,
+  contentTypeFor,
+  putFile,
+  getFile,
+  statFile,
+  deleteFile,
+};
@@ -0,0 +1,68 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { contentTypeFor } = require('./contentType');
+
+// Files live under MEDIA_ROOT, outside any public folder; keys are paths
+// relative to it
+const getRoot = () =>
+  path.resolve(process.env.MEDIA_ROOT || path.join(__dirname, '..', '..', 'storage'));
+
+// Absolute path for a key, or null if it would escape the root
+const resolvePath = (key) => {
+  const root = getRoot();
+  const filePath = path.resolve(root, key);
+  return filePath.startsWith(root + path.sep) ? filePath : null;
+};
+
+const pathFor = (key) => {
+  const filePath = resolvePath(key);
+  if (!filePath) throw new Error(`Invalid storage key: ${key}`);
+  return filePath;
+};
+
+const missing = (err) => err.code === 'ENOENT' || err.code === 'ENOTDIR';
+
+const describe = (key, stats) => ({
+  contentType: contentTypeFor(key),
+  size: stats.size,
+  lastModified: stats.mtime,
+});
+
+module.exports = {
+  name: 'local',
+
+  getRoot,
+
+  async put(key, body) {
+    const filePath = pathFor(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    // Write then rename so a reader never sees a partial file
+    const tmpPath = `${filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tmpPath, body);
+    await fs.rename(tmpPath, filePath);
+  },
+
+  async get(key) {
+    const filePath = pathFor(key);
+    try {
+      const [body, stats] = await Promise.all([fs.readFile(filePath), fs.stat(filePath)]);
+      return { body, ...describe(key, stats) };
+    } catch (err) {
+      if (missing(err)) return null;
+      throw err;
+    }
+  },
+
+  async head(key) {
+    try {
+      return describe(key, await fs.stat(pathFor(key)));
+    } catch (err) {
+      if (missing(err)) return null;
+      throw err;
+    }
+  },
+
+  async remove(key) {
+    await fs.rm(pathFor(key), { force: true });
+  },
+};
@@ -0,0 +1,112 @@
+const {
+  S3Client,
+  PutObjectCommand,
+  GetObjectCommand,
+  HeadObjectCommand,
+  DeleteObjectCommand,
+} = require('@aws-sdk/client-s3');
+
+// Any S3-compatible service. S3_ENDPOINT points at MinIO, R2 and the like;
+// those usually need path-style URLs (bucket in the path, not the host).
+let client;
+let clientConfig;
+
+const getConfig = () => {
+  const bucket = process.env.S3_BUCKET;
+  if (!bucket) throw new Error('S3_BUCKET must be set to use S3 storage');
+  const endpoint = process.env.S3_ENDPOINT || undefined;
+  return {
+    bucket,
+    region: process.env.S3_REGION || 'us-east-1',
+    endpoint,
+    forcePathStyle: process.env.S3_FORCE_PATH_STYLE
+      ? process.env.S3_FORCE_PATH_STYLE === 'true'
+      : !!endpoint,
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    prefix: (process.env.S3_PREFIX || '').replace(/\/+$/, ''),
+  };
+};
+
+// One client per configuration; rebuilt if the environment changes (tests)
+const getClient = () => {
+  const config = getConfig();
+  const signature = JSON.stringify(config);
+  if (!client || clientConfig !== signature) {
+    client = new S3Client({
+      region: config.region,
+      endpoint: config.endpoint,
+      forcePathStyle: config.forcePathStyle,
+      // Without explicit keys the SDK's default chain applies (env, IAM role)
+      credentials: config.accessKeyId
+        ? { accessKeyId: config.accessKeyId, secretAccessKey: config.secretAccessKey }
+        : undefined,
+    });
+    clientConfig = signature;
+  }
+  return { client, config };
+};
+
+const objectKey = (config, key) => (config.prefix ? `${config.prefix}/${key}` : key);
+
+const isNotFound = (err) =>
+  err.name === 'NoSuchKey' ||
+  err.name === 'NotFound' ||
+  err.$metadata?.httpStatusCode === 404;
+
+const describe = (output) => ({
+  contentType: output.ContentType,
+  size: output.ContentLength,
+  lastModified: output.LastModified,
+});
+
+module.exports = {
+  name: 's3',
+
+  async put(key, body, { contentType }) {
+    const { client, config } = getClient();
+    await client.send(
+      new PutObjectCommand({
+        Bucket: config.bucket,
+        Key: objectKey(config, key),
+        Body: body,
+        ContentType: contentType,
+      })
+    );
+  },
+
+  async get(key) {
+    const { client, config } = getClient();
+    try {
+      const output = await client.send(
+        new GetObjectCommand({ Bucket: config.bucket, Key: objectKey(config, key) })
+      );
+      const body = Buffer.from(await output.Body.transformToByteArray());
+      return { body, ...describe(output), size: body.length };
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  },
+
+  async head(key) {
+    const { client, config } = getClient();
+    try {
+      return describe(
+        await client.send(
+          new HeadObjectCommand({ Bucket: config.bucket, Key: objectKey(config, key) })
+        )
+      );
+    } catch (err) {
+      if (isNotFound(err)) return null;
+      throw err;
+    }
+  },
+
+  async remove(key) {
+    const { client, config } = getClient();
+    await client.send(
+      new DeleteObjectCommand({ Bucket: config.bucket, Key: objectKey(config, key) })
+    );
+  },
+};
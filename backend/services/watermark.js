@@ -0,0 +1,129 @@
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+// Rendered pages are cached on disk per user + page + day, so a reader only
+// pays for the render once a day; the stamped timestamp is that first render.
+const CACHE_DIR = path.resolve(
+  process.env.WATERMARK_CACHE_DIR || path.join(os.tmpdir(), 'ab-watermarks')
+);
+const CACHE_DAYS = 2;
+
+const WATERMARK_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Concurrent requests for the same page share one render
+const inFlight = new Map();
+
+const canWatermark = (key) =>
+  WATERMARK_EXTENSIONS.includes(path.extname(key).toLowerCase());
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+const XML_ENTITIES = {
+  '<': '&lt;',
+  '>': '&gt;',
+  '&': '&amp;',
+  "'": '&apos;',
+  '"': '&quot;',
+};
+
+const escapeXml = (text) =>
+  String(text).replace(/[<>&'"]/g, (c) => XML_ENTITIES[c]);
+
+const cachePathFor = (userId, key, version) => {
+  const hash = crypto
+    .createHash('sha256')
+    .update(`${userId}|${key}|${version}`)
+    .digest('hex');
+  return path.join(CACHE_DIR, today(), `${hash}${path.extname(key)}`);
+};
+
+// Diagonal, tiled, semi-transparent text plus a solid footer line. Tiling
+// means a cropped screenshot still carries the viewer's identity.
+const overlaySvg = (width, height, label) => {
+  const text = escapeXml(label);
+  const fontSize = Math.max(14, Math.round(width / 45));
+  // Roughly one label width (sans-serif averages ~0.6em per glyph) plus a gap
+  const stepX = Math.round(label.length * fontSize * 0.6 + fontSize * 4);
+  const stepY = fontSize * 8;
+
+  const tiles = [];
+  for (let y = -height; y < height * 2; y += stepY) {
+    for (let x = -width; x < width * 2; x += stepX) {
+      tiles.push(`<text x="${x}" y="${y}">${text}</text>`);
+    }
+  }
+
+  return Buffer.from(`<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}">
+  <g transform="rotate(-30 ${width / 2} ${height / 2})" font-family="sans-serif" font-size="${fontSize}" fill="#000" fill-opacity="0.12">
+    ${tiles.join('\n    ')}
+  </g>
+  <rect x="0" y="${height - fontSize * 2}" width="${width}" height="${fontSize * 2}" fill="#000" fill-opacity="0.35"/>
+  <text x="${width / 2}" y="${height - fontSize * 0.6}" text-anchor="middle" font-family="sans-serif" font-size="${fontSize}" fill="#fff" fill-opacity="0.85">${text}</text>
+</svg>`);
+};
+
+const render = async (source, targetPath, label) => {
+  const image = sharp(source);
+  const { width, height } = await image.metadata();
+  const output = await image
+    .composite([{ input: overlaySvg(width, height, label), top: 0, left: 0 }])
+    .toBuffer();
+
+  await fs.mkdir(path.dirname(targetPath), { recursive: true });
+  // Write then rename so a concurrent reader never sees a partial file
+  const tmpPath = `${targetPath}.${process.pid}.tmp`;
+  await fs.writeFile(tmpPath, output);
+  await fs.rename(tmpPath, targetPath);
+};
+
+// Drop day folders older than CACHE_DAYS
+const pruneCache = async () => {
+  const cutoff = new Date(Date.now() - CACHE_DAYS * 24 * 60 * 60 * 1000)
+    .toISOString()
+    .slice(0, 10);
+  const days = await fs.readdir(CACHE_DIR).catch(() => []);
+  await Promise.all(
+    days
+      .filter((day) => day < cutoff)
+      .map((day) =>
+        fs.rm(path.join(CACHE_DIR, day), { recursive: true, force: true })
+      )
+  );
+};
+
+/**
+ * Local path to a copy of the stored file `key` stamped for one viewer.
+ * `version` changes whenever the file does (its last-modified time).
+ * `loadSource` (the file's bytes) and `getViewer` ({ email, phone }) are
+ * only called on a cache miss.
+ */
+const watermarkedPath = async ({ key, version, userId, loadSource, getViewer }) => {
+  const targetPath = cachePathFor(userId, key, version);
+
+  try {
+    await fs.access(targetPath);
+    return targetPath;
+  } catch {
+    // cache miss: render below
+  }
+
+  if (!inFlight.has(targetPath)) {
+    const job = (async () => {
+      const [source, viewer] = await Promise.all([loadSource(), getViewer()]);
+      const stampedAt = new Date().toISOString().slice(0, 16).replace('T', ' ');
+      const label = [viewer.email, viewer.phone, `${stampedAt} UTC`]
+        .filter(Boolean)
+        .join('  •  ');
+      await render(source, targetPath, label);
+      pruneCache().catch(() => {});
+      return targetPath;
+    })().finally(() => inFlight.delete(targetPath));
+    inFlight.set(targetPath, job);
+  }
+  return inFlight.get(targetPath);
+};
+
+module.exports = { canWatermark, watermarkedPath };
@@ -0,0 +1,43 @@
+// Access token checks that need no database. Run with: npm test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+process.env.JWT_SECRET = 'test-secret';
+
+const { generateToken, authenticateToken } = require('../middleware/auth');
+
+// Run the middleware on a cookie-authenticated write and capture the reply
+const sendWrite = async (csrfToken) => {
+  const req = {
+    method: 'POST',
+    headers: {},
+    cookies: { token: generateToken('user', 'user', '0123456789abcdef01234567') },
+    get: (name) => (name.toLowerCase() === 'x-csrf-token' ? csrfToken : undefined),
+  };
+  const reply = {};
+  const res = {
+    status(code) {
+      reply.status = code;
+      return this;
+    },
+    json(body) {
+      reply.body = body;
+      return this;
+    },
+  };
+  await authenticateToken(req, res, () => {
+    reply.next = true;
+  });
+  return reply;
+};
+
+test('a cookie-authenticated write without the CSRF token is refused', async () => {
+  const reply = await sendWrite(undefined);
+  assert.equal(reply.status, 403);
+});
+
+test('a non-ASCII CSRF token is refused rather than failing', async () => {
+  const reply = await sendWrite('é'.repeat(64));
+  assert.equal(reply.status, 403);
+  assert.equal(reply.body.message, 'Invalid CSRF token');
+});
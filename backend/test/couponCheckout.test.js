@@ -0,0 +1,117 @@
+// Coupon limits across checkout and payment, end to end against an in-memory
+// MongoDB replica set (checkout uses transactions). Run with: npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+
+process.env.NODE_ENV = 'test';
+process.env.PAYMENT_GATEWAY = 'mock';
+process.env.MOCK_GATEWAY_SECRET = 'test-mock-secret';
+
+const Users = require('../Model/user');
+const Courses = require('../Model/course');
+const Coupon = require('../Model/coupon');
+const CouponRedemption = require('../Model/couponRedemption');
+const Order = require('../Model/order');
+const Payment = require('../Model/payment');
+const enrollments = require('../services/enrollments');
+const checkout = require('../services/checkout');
+
+let mongo;
+
+before(async () => {
+  // Invoice and credit note PDFs go to a scratch directory
+  process.env.MEDIA_ROOT = await fs.mkdtemp(path.join(os.tmpdir(), 'media-'));
+  mongo = await MongoMemoryReplSet.create({ replSet: { count: 1 } });
+  await mongoose.connect(mongo.getUri());
+});
+
+after(async () => {
+  await mongoose.disconnect();
+  await mongo?.stop();
+  await fs.rm(process.env.MEDIA_ROOT, { recursive: true, force: true });
+});
+
+const createCourse = (slug) =>
+  Courses.create({ title: slug, slug, description: slug, price: 1000 });
+
+// Pay an order in the mock gateway's popup and verify it like the browser does
+const pay = async (user, bought) => {
+  const paid = await checkout.simulateMockPayment(user, bought.checkout.gatewayOrderId);
+  return checkout.verifyAndCapture({ user, ...paid });
+};
+
+test('paying two checkouts with a once-per-buyer coupon refunds the second', async () => {
+  const user = await Users.create({ name: 'Buyer', email: 'buyer@example.com' });
+  const [courseA, courseB] = await Promise.all([createCourse('a'), createCourse('b')]);
+  await Coupon.create({
+    code: 'ONCE',
+    discountType: 'percentage',
+    discountValue: 50,
+    validFrom: new Date('2020-01-01'),
+    validTill: new Date('2099-01-01'),
+    usageLimit: 5,
+    perUserLimit: 1,
+  });
+
+  // Reserve for A, then for B: B's checkout supersedes A's
+  const boughtA = await checkout.buyCourse(user, { courseId: courseA._id, couponCode: 'ONCE' });
+  const boughtB = await checkout.buyCourse(user, { courseId: courseB._id, couponCode: 'ONCE' });
+  const cancelled = await Order.findOne({ id: boughtA.order.id });
+  assert.equal(cancelled.status, 'failed');
+
+  // A's popup was still open and gets paid: the use is taken again
+  await pay(user, boughtA);
+  assert.ok(await enrollments.hasAccess(user._id, courseA._id));
+
+  // B would be a second use by the same buyer: refunded, no access
+  await assert.rejects(pay(user, boughtB), { status: 409 });
+  assert.equal(await enrollments.hasAccess(user._id, courseB._id), false);
+  const paymentB = await Payment.findOne({ id: boughtB.payment.id });
+  assert.equal(paymentB.status, 'refunded');
+
+  const coupon = await Coupon.findOne({ code: 'ONCE' });
+  assert.equal(coupon.usedCount, 1);
+  assert.equal(
+    await CouponRedemption.countDocuments({ couponId: coupon.id, status: 'redeemed' }),
+    1
+  );
+});
+
+test('a checkout left unpaid gives its coupon use back to other buyers', async () => {
+  const [first, second] = await Promise.all([
+    Users.create({ name: 'First', email: 'first@example.com' }),
+    Users.create({ name: 'Second', email: 'second@example.com' }),
+  ]);
+  const course = await createCourse('c');
+  await Coupon.create({
+    code: 'SINGLE',
+    discountType: 'fixed',
+    discountValue: 100,
+    validFrom: new Date('2020-01-01'),
+    validTill: new Date('2099-01-01'),
+    usageLimit: 1,
+  });
+
+  const abandoned = await checkout.buyCourse(first, { courseId: course._id, couponCode: 'SINGLE' });
+  await assert.rejects(
+    checkout.buyCourse(second, { courseId: course._id, couponCode: 'SINGLE' }),
+    { status: 409 }
+  );
+
+  // An hour later the first buyer still hasn't paid
+  const coupon = await Coupon.findOne({ code: 'SINGLE' });
+  await CouponRedemption.updateOne(
+    { couponId: coupon.id, orderId: abandoned.order.id },
+    { $set: { createdAt: new Date(Date.now() - 60 * 60 * 1000) } }
+  );
+
+  await checkout.buyCourse(second, { courseId: course._id, couponCode: 'SINGLE' });
+  const cancelled = await Order.findOne({ id: abandoned.order.id });
+  assert.equal(cancelled.status, 'failed');
+  assert.equal((await Coupon.findOne({ code: 'SINGLE' })).usedCount, 1);
+});
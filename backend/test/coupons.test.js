@@ -0,0 +1,56 @@
+// Coupon discount rules. Run with: npm test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Coupon = require('../Model/coupon');
+const { checkEligibility } = require('../services/coupons');
+
+const coupon = (fields) =>
+  new Coupon({
+    id: 1,
+    code: 'SAVE',
+    discountType: 'percentage',
+    discountValue: 20,
+    validFrom: new Date('2026-01-01'),
+    validTill: new Date('2099-01-01'),
+    ...fields,
+  });
+
+test('percentage discounts stop at the cap', () => {
+  assert.equal(coupon({}).calculateDiscount(5000), 1000);
+  assert.equal(coupon({ maxDiscountAmount: 500 }).calculateDiscount(5000), 500);
+  assert.equal(coupon({ maxDiscountAmount: 500 }).calculateDiscount(1000), 200);
+});
+
+test('orders below the minimum get no discount', () => {
+  assert.equal(coupon({ minOrderAmount: 1000 }).calculateDiscount(999), 0);
+  assert.equal(coupon({ minOrderAmount: 1000 }).calculateDiscount(1000), 200);
+});
+
+test('coupons limited to courses reject other courses', async () => {
+  const allowed = new mongoose.Types.ObjectId();
+  const limited = coupon({ courseIds: [allowed] });
+
+  assert.equal(
+    await checkEligibility(limited, { course: { _id: allowed }, subtotalAmount: 1000 }),
+    200
+  );
+  await assert.rejects(
+    checkEligibility(limited, {
+      course: { _id: new mongoose.Types.ObjectId() },
+      subtotalAmount: 1000,
+    }),
+    { status: 400, message: 'This coupon does not apply to this course' }
+  );
+});
+
+test('eligibility names the minimum order amount', async () => {
+  await assert.rejects(
+    checkEligibility(coupon({ minOrderAmount: 1000 }), {
+      course: { _id: new mongoose.Types.ObjectId() },
+      subtotalAmount: 500,
+    }),
+    { status: 400, message: 'This coupon needs an order of at least 1000' }
+  );
+});
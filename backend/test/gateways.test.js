@@ -0,0 +1,68 @@
+// Payment gateway selection. Run with: npm test
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getGateway, getDefaultGateway, checkGatewayConfig } = require('../services/gateways');
+const { hmacHex, signaturesMatch } = require('../services/gateways/signature');
+
+const ENV_KEYS = [
+  'NODE_ENV',
+  'PAYMENT_GATEWAY',
+  'RAZORPAY_KEY_ID',
+  'RAZORPAY_KEY_SECRET',
+  'RAZORPAY_WEBHOOK_SECRET',
+  'MOCK_GATEWAY_SECRET',
+];
+const saved = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+const setEnv = (values) => {
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, values);
+};
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+});
+
+test('the mock gateway is refused in production', () => {
+  setEnv({ NODE_ENV: 'production', MOCK_GATEWAY_SECRET: 'secret' });
+  assert.throws(() => getGateway('mock'), /disabled in production/);
+  setEnv({ NODE_ENV: 'production', PAYMENT_GATEWAY: 'mock', MOCK_GATEWAY_SECRET: 'secret' });
+  assert.throws(() => getDefaultGateway(), /disabled in production/);
+});
+
+test('production without Razorpay keys fails the startup check', () => {
+  setEnv({ NODE_ENV: 'production' });
+  assert.equal(getDefaultGateway().name, 'razorpay');
+  assert.throws(() => checkGatewayConfig(), /RAZORPAY_KEY_ID/);
+  setEnv({
+    NODE_ENV: 'production',
+    RAZORPAY_KEY_ID: 'rzp_live_x',
+    RAZORPAY_KEY_SECRET: 'secret',
+    RAZORPAY_WEBHOOK_SECRET: 'hook',
+  });
+  assert.equal(checkGatewayConfig(), 'razorpay');
+});
+
+test('the mock gateway needs its own secret', () => {
+  setEnv({ NODE_ENV: 'development' });
+  assert.equal(getDefaultGateway().name, 'mock');
+  assert.throws(() => checkGatewayConfig(), /MOCK_GATEWAY_SECRET/);
+  const payment = { gatewayOrderId: 'o', gatewayPaymentId: 'p', signature: 'x' };
+  assert.throws(() => getGateway('mock').verifyPaymentSignature(payment), /MOCK_GATEWAY_SECRET/);
+
+  setEnv({ NODE_ENV: 'development', MOCK_GATEWAY_SECRET: 'secret' });
+  const mock = getGateway('mock');
+  const paid = mock.simulatePayment('mock_order_1');
+  assert.ok(mock.verifyPaymentSignature(paid));
+});
+
+test('a signature of multibyte characters is a mismatch, not an error', () => {
+  const expected = hmacHex('order|payment', 'secret');
+  assert.equal(signaturesMatch(expected, expected), true);
+  assert.equal(signaturesMatch(expected, 'é'.repeat(expected.length)), false);
+  assert.equal(signaturesMatch(expected, undefined), false);
+});
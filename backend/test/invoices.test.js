@@ -0,0 +1,95 @@
+// Invoice numbering and GST split. Run with: npm test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const {
+  financialYearOf,
+  formatNumber,
+  computeTax,
+  renderInvoicePdf,
+  renderCreditNotePdf,
+} = require('../services/invoices');
+
+test('financial years run April to March in Indian time', () => {
+  assert.equal(financialYearOf(new Date('2027-01-15T10:00:00Z')), '2026-27');
+  assert.equal(financialYearOf(new Date('2026-04-01T10:00:00Z')), '2026-27');
+  // 23:59 IST on 31 March, then 00:30 IST on 1 April
+  assert.equal(financialYearOf(new Date('2026-03-31T18:29:00Z')), '2025-26');
+  assert.equal(financialYearOf(new Date('2026-03-31T19:00:00Z')), '2026-27');
+  assert.equal(financialYearOf(new Date('2099-06-01T00:00:00Z')), '2099-00');
+});
+
+test('invoice numbers fit the 16 characters GST allows', () => {
+  const number = formatNumber('2026-27', 42);
+  assert.equal(number, 'INV/26-27/000042');
+  assert.ok(number.length <= 16);
+  assert.equal(formatNumber('2026-27', 7, 'CN'), 'CN/26-27/000007');
+});
+
+test('buyers in the seller state pay CGST and SGST', () => {
+  const { taxableAmount, tax } = computeTax({
+    totalAmount: 1180,
+    buyerState: ' tamil nadu',
+    sellerState: 'Tamil Nadu',
+    rate: 18,
+  });
+  assert.equal(taxableAmount, 1000);
+  assert.deepEqual(tax, { rate: 18, intraState: true, cgst: 90, sgst: 90, igst: 0 });
+});
+
+test('buyers in another state pay IGST', () => {
+  const { taxableAmount, tax } = computeTax({
+    totalAmount: 1180,
+    buyerState: 'Kerala',
+    sellerState: 'Tamil Nadu',
+    rate: 18,
+  });
+  assert.equal(taxableAmount, 1000);
+  assert.deepEqual(tax, { rate: 18, intraState: false, cgst: 0, sgst: 0, igst: 180 });
+});
+
+test('the split always adds back up to the total', () => {
+  const { taxableAmount, tax } = computeTax({
+    totalAmount: 1349.1,
+    buyerState: '',
+    sellerState: 'Tamil Nadu',
+    rate: 18,
+  });
+  assert.equal(tax.intraState, true);
+  assert.equal(Math.round((taxableAmount + tax.cgst + tax.sgst) * 100), 134910);
+});
+
+test('renders a PDF', async () => {
+  const pdf = await renderInvoicePdf({
+    id: 1,
+    number: 'INV/26-27/000001',
+    orderId: 1,
+    issuedAt: new Date(),
+    seller: { name: 'AB Institute', state: 'Tamil Nadu' },
+    buyer: { name: 'Buyer', email: 'buyer@example.com', state: 'Kerala' },
+    lines: [{ description: 'Course', unitPrice: 1180, quantity: 1, amount: 1180 }],
+    couponCode: null,
+    subtotalAmount: 1180,
+    discountAmount: 0,
+    totalAmount: 1180,
+    ...computeTax({ totalAmount: 1180, buyerState: 'Kerala', sellerState: 'Tamil Nadu', rate: 18 }),
+  });
+  assert.equal(pdf.toString('latin1', 0, 5), '%PDF-');
+});
+
+test('renders a credit note PDF', async () => {
+  const pdf = await renderCreditNotePdf({
+    id: 1,
+    number: 'CN/26-27/000001',
+    issuedAt: new Date(),
+    invoiceId: 1,
+    invoiceNumber: 'INV/26-27/000001',
+    orderId: 1,
+    reason: 'Bought twice',
+    seller: { name: 'AB Institute', state: 'Tamil Nadu' },
+    buyer: { name: 'Buyer', email: 'buyer@example.com', state: 'Kerala' },
+    amount: 590,
+    ...computeTax({ totalAmount: 590, buyerState: 'Kerala', sellerState: 'Tamil Nadu', rate: 18 }),
+  });
+  assert.equal(pdf.toString('latin1', 0, 5), '%PDF-');
+});
@@ -0,0 +1,40 @@
+// Mail transport selection. Run with: npm test
+const { test, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { getTransport, checkMailConfig } = require('../services/mailer');
+
+const ENV_KEYS = ['NODE_ENV', 'MAIL_TRANSPORT', 'SMTP_HOST'];
+const saved = Object.fromEntries(ENV_KEYS.map((key) => [key, process.env[key]]));
+
+const setEnv = (values) => {
+  for (const key of ENV_KEYS) delete process.env[key];
+  Object.assign(process.env, values);
+};
+
+afterEach(() => {
+  for (const key of ENV_KEYS) {
+    if (saved[key] === undefined) delete process.env[key];
+    else process.env[key] = saved[key];
+  }
+});
+
+test('development without SMTP logs mail to the console', () => {
+  setEnv({ NODE_ENV: 'development' });
+  assert.equal(checkMailConfig(), 'console');
+});
+
+test('production without SMTP fails the startup check', () => {
+  setEnv({ NODE_ENV: 'production' });
+  assert.equal(getTransport().name, 'smtp');
+  assert.throws(() => checkMailConfig(), /SMTP_HOST/);
+  setEnv({ NODE_ENV: 'production', SMTP_HOST: 'smtp.example.com' });
+  assert.equal(checkMailConfig(), 'smtp');
+});
+
+test('the console and file transports are refused in production', () => {
+  for (const name of ['console', 'file']) {
+    setEnv({ NODE_ENV: 'production', MAIL_TRANSPORT: name });
+    assert.throws(() => getTransport(), /disabled in production/);
+  }
+});
@@ -0,0 +1,93 @@
+// Notes study sheet exports. Run with: npm test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { studySheet, toMarkdown, toCsv, renderPdf } = require('../services/notesExport');
+
+const course = {
+  title: 'Organic Chemistry',
+  slug: 'organic-chemistry',
+  topics: [
+    { _id: 't1', title: 'Alkanes', images: ['a.png', 'b.png'] },
+    { _id: 't2', title: 'Alkenes', images: ['c.png'] },
+  ],
+};
+
+const note = (fields) => ({
+  _id: `${fields.topicId}-${fields.imageIndex}-${fields.note}`,
+  tags: [],
+  color: 'yellow',
+  rect: null,
+  createdAt: new Date('2026-10-01T10:00:00Z'),
+  updatedAt: new Date('2026-10-02T10:00:00Z'),
+  ...fields,
+});
+
+const notes = [
+  note({ topicId: 't2', imageIndex: 0, note: 'Markovnikov' }),
+  note({ topicId: 't1', imageIndex: 1, note: 'Second page' }),
+  note({ topicId: 't1', imageIndex: 0, note: 'First page', tags: ['exam'] }),
+  note({ topicId: 'gone', imageIndex: 4, note: 'Old topic' }),
+];
+
+test('notes are grouped by topic in course order, then by page', () => {
+  const sheet = studySheet(course, notes);
+  assert.deepEqual(
+    sheet.map((g) => [g.title, g.pages.map((p) => p.page)]),
+    [
+      ['Alkanes', [1, 2]],
+      ['Alkenes', [1]],
+      ['Removed topics', [5]],
+    ]
+  );
+});
+
+test('markdown lists each note under its topic and page', () => {
+  const md = toMarkdown(
+    course,
+    studySheet(course, [
+      note({ topicId: 't1', imageIndex: 0, note: 'Line one\nLine two', tags: ['exam'] }),
+      note({ topicId: 't1', imageIndex: 0, note: '', rect: { x: 0, y: 0, width: 1, height: 1 } }),
+    ]),
+    new Date('2026-10-19T00:00:00Z')
+  );
+  assert.equal(
+    md,
+    [
+      '# Organic Chemistry: study notes',
+      '',
+      'Exported 2026-10-19',
+      '',
+      '## Alkanes',
+      '',
+      '### Page 1',
+      '',
+      '- Line one',
+      '  Line two',
+      '  _Tags: exam_',
+      '- _(highlight only)_',
+      '  _Highlight: yellow_',
+      '',
+    ].join('\n')
+  );
+});
+
+test('csv fields are quoted and formulas neutralised', () => {
+  const csv = toCsv(
+    studySheet(course, [
+      note({ topicId: 't1', imageIndex: 0, note: 'Says "hi", twice', tags: ['a', 'b'] }),
+      note({ topicId: 't1', imageIndex: 1, note: '=SUM(A1:A2)' }),
+    ])
+  );
+  const lines = csv.replace(/^\uFEFF/, '').trimEnd().split('\r\n');
+  assert.equal(lines[0], 'Topic,Page,Note,Tags,Colour,Highlighted,Created,Updated');
+  assert.equal(lines[1], 'Alkanes,1,"Says ""hi"", twice","a, b",yellow,no,2026-10-01,2026-10-02');
+  assert.equal(lines[2], "Alkanes,2,'=SUM(A1:A2),,yellow,no,2026-10-01,2026-10-02");
+});
+
+test('pdf study sheets render with and without notes', async () => {
+  const empty = await renderPdf(course, [], new Map());
+  assert.equal(empty.subarray(0, 4).toString(), '%PDF');
+  const full = await renderPdf(course, studySheet(course, notes), new Map());
+  assert.ok(full.length > empty.length);
+});
@@ -0,0 +1,84 @@
+// Note routes over HTTP, against an in-memory MongoDB. Run with: npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+
+const app = require('../index');
+const Users = require('../Model/user');
+const Courses = require('../Model/course');
+const Note = require('../Model/note');
+
+const EMAIL = 'reader@example.com';
+const PASSWORD = 'Passw0rd!';
+
+let mongo;
+let server;
+let baseUrl;
+let token;
+
+before(async () => {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  const user = await Users.create({
+    name: 'Reader',
+    email: EMAIL,
+    passwordHash: await bcrypt.hash(PASSWORD, 4),
+  });
+  const course = await Courses.create({
+    title: 'Notes',
+    slug: 'notes',
+    description: 'Notes',
+    price: 0,
+    topics: [{ title: 'One', images: ['a.png'] }],
+  });
+  await Note.create({
+    userId: user._id,
+    courseId: course._id,
+    topicId: course.topics[0]._id,
+    imageIndex: 0,
+    note: 'Revise this',
+    tags: ['exam'],
+  });
+
+  const res = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: EMAIL, password: PASSWORD }),
+  });
+  ({ token } = (await res.json()).data);
+});
+
+after(async () => {
+  server?.close();
+  await mongoose.disconnect();
+  await mongo?.stop();
+});
+
+const get = async (url) => {
+  const res = await fetch(`${baseUrl}${url}`, {
+    headers: { Authorization: `Bearer ${token}` },
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+test('tag search is case-insensitive, as tags are stored lowercase', async () => {
+  const res = await get('/notes?tag=%20Exam%20&limit=5');
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.data.notes.map((n) => n.note),
+    ['Revise this']
+  );
+});
+
+test('invalid query parameters are rejected', async () => {
+  const res = await get('/notes?limit=0');
+  assert.equal(res.status, 400);
+});
@@ -0,0 +1,178 @@
+// Forgot/reset password flow, end to end against an in-memory MongoDB.
+// Run with: npm test
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const os = require('os');
+const path = require('path');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+process.env.MAIL_TRANSPORT = 'file';
+process.env.FRONTEND_URL = 'http://frontend.test';
+
+const app = require('../index');
+const Users = require('../Model/user');
+const PasswordResetToken = require('../Model/passwordResetToken');
+
+const EMAIL = 'test@example.com';
+const OLD_PASSWORD = 'OldPassw0rd!';
+const NEW_PASSWORD = 'NewPassw0rd!';
+
+let mongo;
+let server;
+let baseUrl;
+let outbox;
+
+const post = async (url, body) => {
+  const res = await fetch(`${baseUrl}${url}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body),
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+// Read and clear every mail the file transport has written
+const takeOutbox = async () => {
+  const files = await fs.readdir(outbox).catch(() => []);
+  return Promise.all(
+    files.map(async (f) => {
+      const filePath = path.join(outbox, f);
+      const mail = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      await fs.rm(filePath);
+      return mail;
+    })
+  );
+};
+
+const requestResetToken = async () => {
+  const res = await post('/api/auth/forgot-password', { email: EMAIL });
+  assert.equal(res.status, 200);
+  const mails = await takeOutbox();
+  assert.equal(mails.length, 1);
+  assert.equal(mails[0].to, EMAIL);
+  const match = mails[0].text.match(/reset-password\?token=([0-9a-f]{64})/);
+  assert.ok(match, 'reset mail should contain a reset link');
+  return match[1];
+};
+
+before(async () => {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server?.close();
+  await mongoose.disconnect();
+  await mongo?.stop();
+});
+
+beforeEach(async () => {
+  outbox = await fs.mkdtemp(path.join(os.tmpdir(), 'outbox-'));
+  process.env.MAIL_OUTBOX_DIR = outbox;
+  await Users.deleteMany({});
+  await PasswordResetToken.deleteMany({});
+  await Users.create({
+    name: 'Test User',
+    email: EMAIL,
+    passwordHash: await bcrypt.hash(OLD_PASSWORD, 4),
+  });
+});
+
+test('unknown email gets the same response and no mail', async () => {
+  const res = await post('/api/auth/forgot-password', {
+    email: 'nobody@example.com',
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.deepEqual(await takeOutbox(), []);
+});
+
+test('reset link sets a new password and only the hash is stored', async () => {
+  const token = await requestResetToken();
+
+  const stored = await PasswordResetToken.findOne();
+  assert.notEqual(stored.tokenHash, token);
+  assert.equal(await PasswordResetToken.countDocuments({ tokenHash: token }), 0);
+
+  const res = await post('/api/auth/reset-password', {
+    token,
+    password: NEW_PASSWORD,
+  });
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+
+  const oldLogin = await post('/api/auth/login', {
+    email: EMAIL,
+    password: OLD_PASSWORD,
+  });
+  assert.equal(oldLogin.status, 401);
+
+  const newLogin = await post('/api/auth/login', {
+    email: EMAIL,
+    password: NEW_PASSWORD,
+  });
+  assert.equal(newLogin.status, 200);
+});
+
+test('a reset link works only once', async () => {
+  const token = await requestResetToken();
+  const first = await post('/api/auth/reset-password', {
+    token,
+    password: NEW_PASSWORD,
+  });
+  assert.equal(first.status, 200);
+
+  const second = await post('/api/auth/reset-password', {
+    token,
+    password: 'Another1!pass',
+  });
+  assert.equal(second.status, 400);
+});
+
+test('an expired reset link is rejected', async () => {
+  const token = await requestResetToken();
+  await PasswordResetToken.updateMany(
+    {},
+    { $set: { expiresAt: new Date(Date.now() - 1000) } }
+  );
+
+  const res = await post('/api/auth/reset-password', {
+    token,
+    password: NEW_PASSWORD,
+  });
+  assert.equal(res.status, 400);
+});
+
+test('requesting a new link invalidates the previous one', async () => {
+  const first = await requestResetToken();
+  const second = await requestResetToken();
+  assert.notEqual(first, second);
+
+  const stale = await post('/api/auth/reset-password', {
+    token: first,
+    password: NEW_PASSWORD,
+  });
+  assert.equal(stale.status, 400);
+
+  const fresh = await post('/api/auth/reset-password', {
+    token: second,
+    password: NEW_PASSWORD,
+  });
+  assert.equal(fresh.status, 200);
+});
+
+test('a weak new password is rejected', async () => {
+  const token = await requestResetToken();
+  const res = await post('/api/auth/reset-password', {
+    token,
+    password: 'short',
+  });
+  assert.equal(res.status, 400);
+});
@@ -0,0 +1,55 @@
+// Page bitmaps and weighted course progress. Run with: npm test
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { Binary } = require('mongodb');
+
+const {
+  markPages,
+  viewedPageList,
+  movePages,
+  coursePercent,
+} = require('../services/readingProgress');
+
+test('page views merge into the bitmap idempotently', () => {
+  const once = markPages(null, [0, 3, 9], 10);
+  const twice = markPages(once, [3, 9], 10);
+  assert.deepEqual(viewedPageList(twice, 10), [0, 3, 9]);
+  assert.equal(twice.length, 2);
+});
+
+test('pages outside the topic are ignored', () => {
+  const bitmap = markPages(null, [-1, 2, 10, 1.5], 10);
+  assert.deepEqual(viewedPageList(bitmap, 10), [2]);
+});
+
+test('bitmaps read back from lean queries', () => {
+  const bitmap = new Binary(markPages(null, [1, 8], 9));
+  assert.deepEqual(viewedPageList(bitmap, 9), [1, 8]);
+});
+
+test('viewed pages follow a page edit', () => {
+  const bitmap = markPages(null, [0, 2, 3], 4);
+  // Page 1 deleted: 2 and 3 move up
+  assert.deepEqual(viewedPageList(movePages(bitmap, [0, -1, 1, 2], 3), 3), [0, 1, 2]);
+  // Pages reversed
+  assert.deepEqual(viewedPageList(movePages(bitmap, [3, 2, 1, 0], 4), 4), [0, 1, 3]);
+  // Two pages inserted at the front
+  assert.deepEqual(viewedPageList(movePages(bitmap, [2, 3, 4, 5], 6), 6), [2, 4, 5]);
+});
+
+test('course percent is weighted by pages, with completed topics in full', () => {
+  const course = {
+    topics: [
+      { _id: 'a', images: new Array(30).fill('p') },
+      { _id: 'b', images: new Array(10).fill('p') },
+    ],
+  };
+  const progress = {
+    topics: [
+      { topicId: 'a', percent: 0, viewedPages: markPages(null, [0, 1, 2, 3, 4, 5], 30) },
+      { topicId: 'b', percent: 100, viewedPages: markPages(null, [0], 10) },
+    ],
+  };
+  assert.equal(coursePercent(course, progress), 40);
+  assert.equal(coursePercent(course, null), 0);
+});
@@ -0,0 +1,78 @@
+// Access tokens stop working once their session is signed out, against an
+// in-memory MongoDB. Run with: npm test
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const { MongoMemoryServer } = require('mongodb-memory-server');
+
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-secret';
+
+const app = require('../index');
+const Users = require('../Model/user');
+
+const EMAIL = 'devices@example.com';
+const PASSWORD = 'Passw0rd!';
+
+let mongo;
+let server;
+let baseUrl;
+
+before(async () => {
+  mongo = await MongoMemoryServer.create();
+  await mongoose.connect(mongo.getUri());
+  server = app.listen(0);
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+  await Users.create({
+    name: 'Devices',
+    email: EMAIL,
+    passwordHash: await bcrypt.hash(PASSWORD, 4),
+  });
+});
+
+after(async () => {
+  server?.close();
+  await mongoose.disconnect();
+  await mongo?.stop();
+});
+
+const request = async (method, url, token) => {
+  const res = await fetch(`${baseUrl}${url}`, {
+    method,
+    headers: token ? { Authorization: `Bearer ${token}` } : {},
+  });
+  return { status: res.status, body: await res.json() };
+};
+
+// Sign in as a new device and return its access token
+const login = async () => {
+  const res = await fetch(`${baseUrl}/api/auth/login`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ email: EMAIL, password: PASSWORD }),
+  });
+  assert.equal(res.status, 200);
+  return (await res.json()).data.token;
+};
+
+test("signing out one device refuses that device's access token only", async () => {
+  const laptop = await login();
+  const phone = await login();
+
+  const listed = await request('GET', '/api/auth/sessions', phone);
+  assert.equal(listed.status, 200);
+  const laptopSession = listed.body.data.sessions.find((s) => !s.current);
+
+  const revoked = await request('DELETE', `/api/auth/sessions/${laptopSession.id}`, phone);
+  assert.equal(revoked.status, 200);
+
+  assert.equal((await request('GET', '/api/auth/sessions', laptop)).status, 401);
+  assert.equal((await request('GET', '/api/auth/sessions', phone)).status, 200);
+});
+
+test('signing out everywhere refuses the access token that asked for it', async () => {
+  const token = await login();
+  assert.equal((await request('POST', '/api/auth/logout-all', token)).status, 200);
+  assert.equal((await request('GET', '/api/auth/sessions', token)).status, 401);
+});
@@ -0,0 +1,143 @@
+// Storage drivers: the local disk, and the S3 driver against a small
+// in-process S3-compatible server (enough of the API for MinIO-style
+// path-style requests). Run with: npm test
+const { test, before, after, describe } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs/promises');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+const storage = require('../services/storage');
+
+// Objects by "<bucket>/<key>"; only what the driver uses
+const startS3StandIn = () => {
+  const objects = new Map();
+  const server = http.createServer(async (req, res) => {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    const objectPath = decodeURIComponent(new URL(req.url, 'http://s3').pathname.slice(1));
+    const object = objects.get(objectPath);
+
+    if (req.method === 'PUT') {
+      objects.set(objectPath, {
+        body: Buffer.concat(chunks),
+        contentType: req.headers['content-type'],
+        lastModified: new Date(),
+      });
+      res.writeHead(200, { ETag: '"stand-in"' });
+      return res.end();
+    }
+    if (req.method === 'DELETE') {
+      objects.delete(objectPath);
+      res.writeHead(204);
+      return res.end();
+    }
+    if (!object) {
+      res.writeHead(404, { 'Content-Type': 'application/xml' });
+      return res.end(
+        req.method === 'HEAD'
+          ? undefined
+          : '<?xml version="1.0"?><Error><Code>NoSuchKey</Code><Message>Not found</Message></Error>'
+      );
+    }
+    res.writeHead(200, {
+      'Content-Type': object.contentType,
+      'Content-Length': object.body.length,
+      'Last-Modified': object.lastModified.toUTCString(),
+    });
+    res.end(req.method === 'HEAD' ? undefined : object.body);
+  });
+
+  return new Promise((resolve) =>
+    server.listen(0, '127.0.0.1', () => resolve({ server, objects }))
+  );
+};
+
+// Round trip every driver must support
+const exerciseDriver = async () => {
+  const key = 'course/test/page.webp';
+  const body = Buffer.from('not really a webp');
+
+  assert.equal(await storage.getFile(key), null);
+  assert.equal(await storage.statFile(key), null);
+
+  await storage.putFile(key, body);
+  const file = await storage.getFile(key);
+  assert.deepEqual(file.body, body);
+  assert.equal(file.contentType, 'image/webp');
+
+  const stats = await storage.statFile(key);
+  assert.equal(stats.size, body.length);
+  assert.ok(stats.lastModified instanceof Date);
+
+  await storage.deleteFile(key);
+  assert.equal(await storage.getFile(key), null);
+  // Deleting twice is fine
+  await storage.deleteFile(key);
+};
+
+test('rejects keys that could escape the storage root', async () => {
+  for (const key of ['../secret', 'course/../../etc/passwd', '/abs', '.env', 'a//b', '']) {
+    assert.equal(storage.isValidKey(key), false, key);
+    await assert.rejects(storage.putFile(key, Buffer.from('x')), /Invalid storage key/);
+  }
+  assert.equal(storage.isValidKey('course/abc/0001@480w.webp'), true);
+});
+
+describe('local driver', () => {
+  let root;
+
+  before(async () => {
+    root = await fs.mkdtemp(path.join(os.tmpdir(), 'ab-storage-'));
+    process.env.STORAGE_DRIVER = 'local';
+    process.env.MEDIA_ROOT = root;
+  });
+
+  after(async () => {
+    await fs.rm(root, { recursive: true, force: true });
+  });
+
+  test('stores, reads and deletes files', async () => {
+    await exerciseDriver();
+  });
+
+  test('writes files under MEDIA_ROOT', async () => {
+    await storage.putFile('invoices/1.pdf', Buffer.from('%PDF-1.4'));
+    const onDisk = await fs.readFile(path.join(root, 'invoices', '1.pdf'), 'utf8');
+    assert.equal(onDisk, '%PDF-1.4');
+  });
+});
+
+describe('s3 driver', () => {
+  let standIn;
+
+  before(async () => {
+    standIn = await startS3StandIn();
+    const { port } = standIn.server.address();
+    process.env.STORAGE_DRIVER = 's3';
+    process.env.S3_BUCKET = 'test-bucket';
+    process.env.S3_ENDPOINT = `http://127.0.0.1:${port}`;
+    process.env.S3_ACCESS_KEY_ID = 'test';
+    process.env.S3_SECRET_ACCESS_KEY = 'test-secret';
+    process.env.S3_PREFIX = 'media';
+  });
+
+  after(() => {
+    standIn.server.close();
+    delete process.env.S3_BUCKET;
+    delete process.env.S3_ENDPOINT;
+    delete process.env.S3_PREFIX;
+  });
+
+  test('stores, reads and deletes objects', async () => {
+    await exerciseDriver();
+  });
+
+  test('uses path-style requests under S3_PREFIX', async () => {
+    await storage.putFile('invoices/2.pdf', Buffer.from('%PDF-1.4'));
+    const object = standIn.objects.get('test-bucket/media/invoices/2.pdf');
+    assert.ok(object, 'object should be stored under the bucket path and prefix');
+    assert.equal(object.contentType, 'application/pdf');
+  });
+});
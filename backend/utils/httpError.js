@@ -0,0 +1,22 @@
+// Error carrying an HTTP status so route handlers can map service failures
+// straight onto a response
+const httpError = (status, message) => {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+};
+
+// Respond with the error's own status, or log it and fall back to a 500
+const sendError = (res, err, context) => {
+  if (err.status) {
+    return res.status(err.status).json({ success: false, message: err.message });
+  }
+  console.error(`❌ ${context}:`, err);
+  return res.status(500).json({
+    success: false,
+    message: 'Server Error',
+    error: err.message,
+  });
+};
+
+module.exports = { httpError, sendError };
@@ -16,14 +16,26 @@ import Dashboard from './pages/Dashboard';
 import MyCourses from './pages/MyCourses';
 import ExploreCourses from './pages/ExploreCourses';
 import PaymentHistory from './pages/PaymentHistory';
+import MyNotes from './pages/MyNotes';
 import Profile from './pages/Profile';
 import Auth from './pages/Auth';
+import ResetPassword from './pages/ResetPassword';
 import NotFound from './pages/NotFound';
 import ProfileSetup from './pages/ProfileSetup';
 
 import CourseReader from './pages/CourseReader';
 import CourseDetail from './pages/CourseDetail';
 import EmailVerification from './pages/EmailVerification';
+import Checkout from './pages/Checkout';
+
+import AdminCourses from './pages/admin/AdminCourses';
+import AdminCourseContent from './pages/admin/AdminCourseContent';
+import AdminOrders from './pages/admin/AdminOrders';
+import AdminPayments from './pages/admin/AdminPayments';
+import AdminCoupons from './pages/admin/AdminCoupons';
+import AdminWebinars from './pages/admin/AdminWebinars';
+import AdminTestimonials from './pages/admin/AdminTestimonials';
+import AdminUsers from './pages/admin/AdminUsers';
 
 const queryClient = new QueryClient();
 
@@ -64,6 +76,7 @@ const App = () => (
 
               {/* Auth */}
               <Route path='/auth' element={<Auth />} />
+              <Route path='/reset-password' element={<ResetPassword />} />
 
               {/* Protected Dashboard Routes */}
               <Route
@@ -82,6 +95,7 @@ const App = () => (
                 <Route path='explore' element={<ExploreCourses />} />
 
                 <Route path='payments' element={<PaymentHistory />} />
+                <Route path='notes' element={<MyNotes />} />
                 <Route path='profile' element={<Profile />} />
                 <Route
                   path='email-verification'
@@ -98,6 +112,41 @@ const App = () => (
                 <Route path='course/:courseId' element={<CourseReader />} />
               </Route>
 
+              {/* Checkout (CourseReader sends locked users here) */}
+              <Route
+                path='/payment/:courseId'
+                element={
+                  <ProtectedRoute>
+                    <DashboardLayout />
+                  </ProtectedRoute>
+                }
+              >
+                <Route index element={<Checkout />} />
+              </Route>
+
+              {/* Admin (role=admin only) */}
+              <Route
+                path='/admin'
+                element={
+                  <ProtectedRoute requireRole='admin'>
+                    <DashboardLayout />
+                  </ProtectedRoute>
+                }
+              >
+                <Route index element={<Navigate to='courses' replace />} />
+                <Route path='courses' element={<AdminCourses />} />
+                <Route
+                  path='courses/:courseId/content'
+                  element={<AdminCourseContent />}
+                />
+                <Route path='orders' element={<AdminOrders />} />
+                <Route path='payments' element={<AdminPayments />} />
+                <Route path='coupons' element={<AdminCoupons />} />
+                <Route path='webinars' element={<AdminWebinars />} />
+                <Route path='testimonials' element={<AdminTestimonials />} />
+                <Route path='users' element={<AdminUsers />} />
+              </Route>
+
               {/* Not Found */}
               <Route path='*' element={<NotFound />} />
             </Routes>
@@ -3,9 +3,11 @@ import { useAuth } from '@/contexts/AuthContext';
 
 interface ProtectedRouteProps {
   children: React.ReactNode;
+  // Only let users with this role through (others go back to /dashboard)
+  requireRole?: 'admin';
 }
 
-const ProtectedRoute = ({ children }: ProtectedRouteProps) => {
+const ProtectedRoute = ({ children, requireRole }: ProtectedRouteProps) => {
   const { user, loading } = useAuth();
 
   // 🚀 IMPORTANT FIX:
@@ -26,6 +28,10 @@ const ProtectedRoute = ({ children }: ProtectedRouteProps) => {
     return <Navigate to='/auth' replace />;
   }
 
+  if (requireRole && user.role !== requireRole) {
+    return <Navigate to='/dashboard' replace />;
+  }
+
   return <>{children}</>;
 };
 
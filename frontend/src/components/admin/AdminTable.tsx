@@ -0,0 +1,131 @@
+import { ReactNode } from 'react';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import {
+  Table,
+  TableBody,
+  TableCell,
+  TableHead,
+  TableHeader,
+  TableRow,
+} from '@/components/ui/table';
+
+export interface AdminColumn<T> {
+  header: string;
+  cell: (row: T) => ReactNode;
+  className?: string;
+}
+
+export interface AdminFilter {
+  value: string;
+  onChange: (value: string) => void;
+  options: { value: string; label: string }[];
+  placeholder?: string;
+}
+
+interface AdminTableProps<T> {
+  title: string;
+  rows: T[];
+  columns: AdminColumn<T>[];
+  rowKey: (row: T) => string | number;
+  loading?: boolean;
+  emptyMessage?: string;
+  search?: { value: string; onChange: (value: string) => void; placeholder: string };
+  filters?: AdminFilter[];
+  onRowClick?: (row: NoInfer<T>) => void;
+}
+
+// Card + filter bar + table used by every admin list page
+const AdminTable = <T,>({
+  title,
+  rows,
+  columns,
+  rowKey,
+  loading = false,
+  emptyMessage = 'Nothing to show',
+  search,
+  filters = [],
+  onRowClick,
+}: AdminTableProps<T>) => (
+  <Card>
+    <CardHeader className='space-y-4'>
+      <CardTitle>{title}</CardTitle>
+      {(search || filters.length > 0) && (
+        <div className='flex flex-col gap-3 md:flex-row'>
+          {search && (
+            <Input
+              value={search.value}
+              onChange={(e) => search.onChange(e.target.value)}
+              placeholder={search.placeholder}
+              className='md:max-w-sm'
+            />
+          )}
+          {filters.map((filter, index) => (
+            <Select key={index} value={filter.value} onValueChange={filter.onChange}>
+              <SelectTrigger className='md:w-48'>
+                <SelectValue placeholder={filter.placeholder} />
+              </SelectTrigger>
+              <SelectContent>
+                {filter.options.map((option) => (
+                  <SelectItem key={option.value} value={option.value}>
+                    {option.label}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          ))}
+        </div>
+      )}
+    </CardHeader>
+    <CardContent>
+      <div className='rounded-md border'>
+        <Table>
+          <TableHeader>
+            <TableRow>
+              {columns.map((column) => (
+                <TableHead key={column.header} className={column.className}>
+                  {column.header}
+                </TableHead>
+              ))}
+            </TableRow>
+          </TableHeader>
+          <TableBody>
+            {loading || rows.length === 0 ? (
+              <TableRow>
+                <TableCell
+                  colSpan={columns.length}
+                  className='text-center text-muted-foreground'
+                >
+                  {loading ? 'Loading…' : emptyMessage}
+                </TableCell>
+              </TableRow>
+            ) : (
+              rows.map((row) => (
+                <TableRow
+                  key={rowKey(row)}
+                  onClick={onRowClick ? () => onRowClick(row) : undefined}
+                  className={onRowClick ? 'cursor-pointer' : undefined}
+                >
+                  {columns.map((column) => (
+                    <TableCell key={column.header} className={column.className}>
+                      {column.cell(row)}
+                    </TableCell>
+                  ))}
+                </TableRow>
+              ))
+            )}
+          </TableBody>
+        </Table>
+      </div>
+    </CardContent>
+  </Card>
+);
+
+export default AdminTable;
@@ -0,0 +1,59 @@
+import { ReactNode } from 'react';
+import {
+  Sheet,
+  SheetContent,
+  SheetDescription,
+  SheetFooter,
+  SheetHeader,
+  SheetTitle,
+} from '@/components/ui/sheet';
+
+export interface DetailField {
+  label: string;
+  value: ReactNode;
+}
+
+interface DetailSheetProps {
+  open: boolean;
+  onClose: () => void;
+  title: string;
+  description?: string;
+  fields: DetailField[];
+  children?: ReactNode; // extra sections below the fields
+  actions?: ReactNode;
+}
+
+// Side drawer showing one admin record
+const DetailSheet = ({
+  open,
+  onClose,
+  title,
+  description,
+  fields,
+  children,
+  actions,
+}: DetailSheetProps) => (
+  <Sheet open={open} onOpenChange={(isOpen) => !isOpen && onClose()}>
+    <SheetContent className='w-full overflow-y-auto sm:max-w-lg'>
+      <SheetHeader>
+        <SheetTitle>{title}</SheetTitle>
+        {description && <SheetDescription>{description}</SheetDescription>}
+      </SheetHeader>
+
+      <dl className='mt-6 space-y-3'>
+        {fields.map((field) => (
+          <div key={field.label} className='grid grid-cols-3 gap-2 text-sm'>
+            <dt className='text-muted-foreground'>{field.label}</dt>
+            <dd className='col-span-2 break-words'>{field.value ?? '—'}</dd>
+          </div>
+        ))}
+      </dl>
+
+      {children && <div className='mt-6 space-y-4'>{children}</div>}
+
+      {actions && <SheetFooter className='mt-8 gap-2'>{actions}</SheetFooter>}
+    </SheetContent>
+  </Sheet>
+);
+
+export default DetailSheet;
@@ -0,0 +1,184 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { toast } from 'sonner';
+import { FileUp } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Checkbox } from '@/components/ui/checkbox';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Progress } from '@/components/ui/progress';
+import { Textarea } from '@/components/ui/textarea';
+import StatusBadge from '@/components/admin/StatusBadge';
+import { adminAPI, type IngestJob } from '@/services/api';
+
+const POLL_INTERVAL_MS = 2000;
+
+const SPLIT_LABELS = {
+  outline: 'from the PDF bookmarks',
+  manual: 'from the manual split',
+  single: 'as a single topic',
+};
+
+const isActive = (job: IngestJob | null) =>
+  job?.status === 'queued' || job?.status === 'running';
+
+// "12 Chapter two" per line -> { startPage: 12, title: 'Chapter two' }
+const parseSections = (text: string) => {
+  const sections: { title: string; startPage: number }[] = [];
+  for (const line of text.split('\n').map((l) => l.trim()).filter(Boolean)) {
+    const match = /^(\d+)\s+(.+)$/.exec(line);
+    if (!match) return null;
+    sections.push({ startPage: Number(match[1]), title: match[2] });
+  }
+  return sections;
+};
+
+const progressLabel = (job: IngestJob) => {
+  if (job.status === 'queued') return 'Waiting to start…';
+  if (job.progress.phase === 'saving') return 'Adding topics to the course…';
+  return `Rendering page ${job.progress.pagesDone} of ${job.pageCount}`;
+};
+
+interface PdfImportCardProps {
+  courseId: string;
+  onImported: () => void;
+}
+
+// Upload a PDF and follow its background import until it finishes
+const PdfImportCard = ({ courseId, onImported }: PdfImportCardProps) => {
+  const [file, setFile] = useState<File | null>(null);
+  const [sections, setSections] = useState('');
+  const [pagesPerTopic, setPagesPerTopic] = useState('');
+  const [replaceExisting, setReplaceExisting] = useState(false);
+  const [uploading, setUploading] = useState(false);
+  const [job, setJob] = useState<IngestJob | null>(null);
+  const fileInput = useRef<HTMLInputElement>(null);
+
+  // Pick up an import that is still running from an earlier visit
+  useEffect(() => {
+    adminAPI.getImportJobs(courseId).then((res) => {
+      if (res.success && res.data?.length) setJob(res.data[0]);
+    });
+  }, [courseId]);
+
+  const poll = useCallback(
+    async (jobId: string) => {
+      const res = await adminAPI.getImportJob(courseId, jobId);
+      if (!res.success || !res.data) return;
+      setJob(res.data);
+      if (res.data.status === 'completed') {
+        toast.success('PDF imported');
+        onImported();
+      } else if (res.data.status === 'failed') {
+        toast.error(res.data.error || 'PDF import failed');
+      }
+    },
+    [courseId, onImported]
+  );
+
+  const jobId = job?._id;
+  const active = isActive(job);
+  useEffect(() => {
+    if (!jobId || !active) return;
+    const intervalId = setInterval(() => poll(jobId), POLL_INTERVAL_MS);
+    return () => clearInterval(intervalId);
+  }, [jobId, active, poll]);
+
+  const upload = async () => {
+    if (!file) return;
+    const parsed = parseSections(sections);
+    if (!parsed) {
+      toast.error('Write each section as "<start page> <title>", one per line');
+      return;
+    }
+    setUploading(true);
+    const res = await adminAPI.importPdf(courseId, file, {
+      sections: parsed,
+      pagesPerTopic: Number(pagesPerTopic) || undefined,
+      replaceExisting,
+    });
+    setUploading(false);
+    if (!res.success || !res.data) {
+      toast.error(res.message);
+      return;
+    }
+    setJob(res.data);
+    setFile(null);
+    if (fileInput.current) fileInput.current.value = '';
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className='text-base'>Import from PDF</CardTitle>
+      </CardHeader>
+      <CardContent className='space-y-4'>
+        {job && (
+          <div className='space-y-2 rounded-md border p-3 text-sm'>
+            <div className='flex items-center justify-between gap-2'>
+              <span className='truncate font-medium'>{job.fileName || 'PDF'}</span>
+              <StatusBadge status={job.status} />
+            </div>
+            {isActive(job) && (
+              <>
+                <Progress value={(job.progress.pagesDone / job.pageCount) * 100} />
+                <p className='text-muted-foreground'>{progressLabel(job)}</p>
+              </>
+            )}
+            {job.status === 'completed' && job.result && (
+              <p className='text-muted-foreground'>
+                {job.pageCount} page(s) in {job.result.topics.length} topic(s),{' '}
+                {job.result.split && SPLIT_LABELS[job.result.split]}
+              </p>
+            )}
+            {job.status === 'failed' && <p className='text-destructive'>{job.error}</p>}
+          </div>
+        )}
+
+        <Input
+          ref={fileInput}
+          type='file'
+          accept='application/pdf,.pdf'
+          onChange={(e) => setFile(e.target.files?.[0] ?? null)}
+        />
+        <div className='space-y-1'>
+          <Label htmlFor='pdf-sections'>Sections (only if the PDF has no bookmarks)</Label>
+          <Textarea
+            id='pdf-sections'
+            value={sections}
+            onChange={(e) => setSections(e.target.value)}
+            placeholder={'1 Introduction\n12 Chapter two'}
+            rows={3}
+          />
+        </div>
+        <div className='flex flex-col gap-4 sm:flex-row sm:items-end'>
+          <div className='space-y-1'>
+            <Label htmlFor='pdf-pages-per-topic'>Or split every N pages</Label>
+            <Input
+              id='pdf-pages-per-topic'
+              type='number'
+              min={1}
+              value={pagesPerTopic}
+              onChange={(e) => setPagesPerTopic(e.target.value)}
+              className='sm:w-40'
+            />
+          </div>
+          <div className='flex items-center gap-2 pb-2'>
+            <Checkbox
+              id='pdf-replace'
+              checked={replaceExisting}
+              onCheckedChange={(checked) => setReplaceExisting(checked === true)}
+            />
+            <Label htmlFor='pdf-replace'>Replace existing topics</Label>
+          </div>
+        </div>
+        <Button disabled={!file || uploading || isActive(job)} onClick={upload}>
+          <FileUp className='mr-2 h-4 w-4' />
+          {uploading ? 'Uploading…' : 'Import PDF'}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+};
+
+export default PdfImportCard;
@@ -0,0 +1,124 @@
+import { useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import StatusBadge from '@/components/admin/StatusBadge';
+import { formatAmount, formatDate } from '@/components/admin/format';
+import { adminAPI, type RefundRecord } from '@/services/api';
+
+interface RefundFormProps {
+  paymentId: number;
+  amount: number;
+  refundedAmount: number;
+  canRefund: boolean;
+  onRefunded: () => void;
+}
+
+// Earlier refunds of a payment, and a form for a full or partial refund
+const RefundForm = ({
+  paymentId,
+  amount,
+  refundedAmount,
+  canRefund,
+  onRefunded,
+}: RefundFormProps) => {
+  const remaining = Math.round((amount - refundedAmount) * 100) / 100;
+  const [refunds, setRefunds] = useState<RefundRecord[]>([]);
+  const [refundAmount, setRefundAmount] = useState(String(remaining));
+  const [reason, setReason] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    adminAPI.getRefunds(paymentId).then((res) => {
+      if (res.success && res.data) setRefunds(res.data);
+    });
+  }, [paymentId]);
+
+  useEffect(() => setRefundAmount(String(remaining)), [remaining]);
+
+  const submit = async () => {
+    const value = Number(refundAmount);
+    if (!(value > 0 && value <= remaining)) {
+      toast.error(`Enter an amount up to ${formatAmount(remaining)}`);
+      return;
+    }
+    if (!window.confirm(`Refund ${formatAmount(value)} to the customer?`)) return;
+    setSaving(true);
+    const res = await adminAPI.refundPayment(paymentId, {
+      amount: value,
+      reason: reason.trim(),
+    });
+    setSaving(false);
+    if (!res.success) {
+      toast.error(res.message);
+      return;
+    }
+    toast.success(`Refunded ${formatAmount(value)}`);
+    setReason('');
+    onRefunded();
+  };
+
+  return (
+    <>
+      <h4 className='font-medium'>Refunds</h4>
+      {refunds.length === 0 ? (
+        <p className='text-sm text-muted-foreground'>No refunds yet</p>
+      ) : (
+        refunds.map((refund) => (
+          <div key={refund._id} className='space-y-1 rounded-md border p-3 text-sm'>
+            <div className='flex items-center justify-between gap-2'>
+              <span className='font-medium'>{formatAmount(refund.amount)}</span>
+              <StatusBadge status={refund.status} />
+            </div>
+            <p>{refund.reason}</p>
+            <p className='text-muted-foreground'>
+              {formatDate(refund.createdAt, true)}
+              {refund.requestedBy && ` · ${refund.requestedBy.name || refund.requestedBy.email}`}
+              {refund.creditNote && ` · ${refund.creditNote.number}`}
+            </p>
+            {refund.error && <p className='text-destructive'>{refund.error}</p>}
+          </div>
+        ))
+      )}
+
+      {canRefund && remaining > 0 && (
+        <div className='space-y-3 rounded-md border p-3'>
+          <div className='space-y-1'>
+            <Label htmlFor='refund-amount'>
+              Amount (up to {formatAmount(remaining)})
+            </Label>
+            <Input
+              id='refund-amount'
+              type='number'
+              min={0.01}
+              max={remaining}
+              step={0.01}
+              value={refundAmount}
+              onChange={(e) => setRefundAmount(e.target.value)}
+            />
+          </div>
+          <div className='space-y-1'>
+            <Label htmlFor='refund-reason'>Reason</Label>
+            <Textarea
+              id='refund-reason'
+              value={reason}
+              onChange={(e) => setReason(e.target.value)}
+              rows={2}
+            />
+          </div>
+          <Button
+            variant='destructive'
+            disabled={saving || reason.trim().length < 3}
+            onClick={submit}
+          >
+            {saving ? 'Refunding…' : 'Refund'}
+          </Button>
+        </div>
+      )}
+    </>
+  );
+};
+
+export default RefundForm;
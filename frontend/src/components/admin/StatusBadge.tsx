@@ -0,0 +1,21 @@
+import { Badge } from '@/components/ui/badge';
+
+const SUCCESS = ['paid', 'captured', 'active', 'upcoming', 'completed', 'processed'];
+const FAILURE = ['failed', 'refunded', 'inactive', 'revoked', 'expired'];
+
+// Colour a status consistently across the admin tables
+const StatusBadge = ({ status }: { status: string }) => {
+  const variant = SUCCESS.includes(status)
+    ? 'default'
+    : FAILURE.includes(status)
+      ? 'destructive'
+      : 'secondary';
+
+  return (
+    <Badge variant={variant} className='capitalize'>
+      {status.replace(/_/g, ' ')}
+    </Badge>
+  );
+};
+
+export default StatusBadge;
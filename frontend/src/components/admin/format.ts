@@ -0,0 +1,14 @@
+// Display helpers shared by the admin pages
+
+export const formatDate = (iso?: string | null, withTime = false) =>
+  iso
+    ? new Date(iso).toLocaleDateString('en-IN', {
+        year: 'numeric',
+        month: 'short',
+        day: 'numeric',
+        ...(withTime ? { hour: '2-digit', minute: '2-digit' } : {}),
+      })
+    : '—';
+
+export const formatAmount = (amount?: number | null) =>
+  `₹${(amount ?? 0).toLocaleString()}`;
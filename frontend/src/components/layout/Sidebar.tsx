@@ -6,6 +6,14 @@ import {
   User,
   LogOut,
   X,
+  Library,
+  Receipt,
+  Wallet,
+  TicketPercent,
+  Video,
+  MessageSquareQuote,
+  Users,
+  StickyNote,
 } from 'lucide-react';
 import { NavLink } from '@/components/NavLink';
 import { Button } from '@/components/ui/button';
@@ -21,6 +29,7 @@ interface SidebarProps {
 const menuItems = [
   { icon: Home, label: 'Dashboard', path: '/dashboard' },
   { icon: BookOpen, label: 'My Courses', path: '/dashboard/my-courses' },
+  { icon: StickyNote, label: 'My Notes', path: '/dashboard/notes' },
   { icon: ShoppingCart, label: 'Explore Courses', path: '/dashboard/explore' },
   {
     icon: CreditCard,
@@ -30,8 +39,20 @@ const menuItems = [
   { icon: User, label: 'Profile', path: '/dashboard/profile' },
 ];
 
+// Shown to admins only; the /admin routes are guarded as well
+const adminMenuItems = [
+  { icon: Library, label: 'Courses', path: '/admin/courses' },
+  { icon: Receipt, label: 'Orders', path: '/admin/orders' },
+  { icon: Wallet, label: 'Payments', path: '/admin/payments' },
+  { icon: TicketPercent, label: 'Coupons', path: '/admin/coupons' },
+  { icon: Video, label: 'Webinars', path: '/admin/webinars' },
+  { icon: MessageSquareQuote, label: 'Testimonials', path: '/admin/testimonials' },
+  { icon: Users, label: 'Users', path: '/admin/users' },
+];
+
 const Sidebar = ({ isOpen, onClose }: SidebarProps) => {
-  const { signOut } = useAuth();
+  const { user, signOut } = useAuth();
+  const isAdmin = user?.role === 'admin';
   const navigate = useNavigate();
 
   const handleLogout = async () => {
@@ -40,6 +61,27 @@ const Sidebar = ({ isOpen, onClose }: SidebarProps) => {
     onClose(); // Close sidebar after logout
   };
 
+  const renderItem = (item: (typeof menuItems)[number]) => (
+    <NavLink
+      key={item.path}
+      to={item.path}
+      end={item.path === '/dashboard'}
+      // Text color is white/80 for contrast
+      // Hover/Active BG is a slightly lighter shade of the orange, or a muted neutral
+      className='flex items-center gap-3 rounded-lg px-4 py-3 text-white/90 transition-all hover:bg-[#E0942C] hover:text-white'
+      // Active class uses the tertiary accent for clear identification
+      activeClassName='bg-[#F67315] text-white font-medium hover:bg-[#F67315]'
+      onClick={() => {
+        if (window.innerWidth < 768) {
+          onClose();
+        }
+      }}
+    >
+      <item.icon className='h-5 w-5' />
+      <span>{item.label}</span>
+    </NavLink>
+  );
+
   return (
     <>
       {/* Mobile overlay */}
@@ -77,27 +119,17 @@ const Sidebar = ({ isOpen, onClose }: SidebarProps) => {
           </Button>
         </div>
 
-        <nav className='space-y-1 p-4'>
-          {menuItems.map((item) => (
-            <NavLink
-              key={item.path}
-              to={item.path}
-              end={item.path === '/dashboard'}
-              // Text color is white/80 for contrast
-              // Hover/Active BG is a slightly lighter shade of the orange, or a muted neutral
-              className='flex items-center gap-3 rounded-lg px-4 py-3 text-white/90 transition-all hover:bg-[#E0942C] hover:text-white'
-              // Active class uses the tertiary accent for clear identification
-              activeClassName='bg-[#F67315] text-white font-medium hover:bg-[#F67315]'
-              onClick={() => {
-                if (window.innerWidth < 768) {
-                  onClose();
-                }
-              }}
-            >
-              <item.icon className='h-5 w-5' />
-              <span>{item.label}</span>
-            </NavLink>
-          ))}
+        <nav className='space-y-1 overflow-y-auto p-4 max-h-[calc(100%-8rem)]'>
+          {menuItems.map(renderItem)}
+
+          {isAdmin && (
+            <>
+              <p className='px-4 pb-1 pt-4 text-xs font-semibold uppercase tracking-wide text-white/70'>
+                Admin
+              </p>
+              {adminMenuItems.map(renderItem)}
+            </>
+          )}
 
           <div className='pt-4'>
             <Button
@@ -0,0 +1,109 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import type { Bookmark } from '@/services/api';
+
+interface BookmarkListProps {
+  bookmarks: Bookmark[];
+  topics: { _id: string; title: string }[];
+  // The page on screen, which "Bookmark this page" saves
+  current: { topicId: string; imageIndex: number } | null;
+  onSave: (label: string) => Promise<boolean>;
+  onOpen: (bookmark: Bookmark) => void;
+  onDelete: (bookmarkId: string) => void;
+}
+
+// The course's bookmarks, and a form to bookmark (or relabel) the current page
+const BookmarkList = ({
+  bookmarks,
+  topics,
+  current,
+  onSave,
+  onOpen,
+  onDelete,
+}: BookmarkListProps) => {
+  const [label, setLabel] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  const onCurrentPage =
+    current &&
+    bookmarks.find(
+      (b) => b.topicId === current.topicId && b.imageIndex === current.imageIndex
+    );
+
+  const save = async () => {
+    setSaving(true);
+    const ok = await onSave(label.trim());
+    setSaving(false);
+    if (ok) setLabel('');
+  };
+
+  const titleOf = (topicId: string) =>
+    topics.find((t) => t._id === topicId)?.title ?? 'Removed topic';
+
+  return (
+    <div className='pt-3 border-t border-white/10 space-y-2'>
+      <div className='flex justify-between items-center'>
+        <div className='font-semibold'>Bookmarks</div>
+        <div className='text-xs text-white/80'>{bookmarks.length}</div>
+      </div>
+
+      {current && (
+        <div className='flex gap-2'>
+          <Input
+            value={label}
+            onChange={(e) => setLabel(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && save()}
+            placeholder={onCurrentPage?.label || 'Label (optional)'}
+            maxLength={100}
+            className='h-8 bg-white/5 text-white text-xs'
+          />
+          <Button
+            size='sm'
+            className='bg-[#F6A32F] hover:bg-[#d88c25] text-white'
+            disabled={saving}
+            onClick={save}
+          >
+            {onCurrentPage ? 'Relabel' : 'Bookmark'}
+          </Button>
+        </div>
+      )}
+
+      {bookmarks.length === 0 && (
+        <div className='text-xs text-white/70'>No bookmarks yet.</div>
+      )}
+
+      {bookmarks.map((b) => (
+        <div
+          key={b._id}
+          className={`p-2 rounded-md cursor-pointer flex justify-between gap-2 ${
+            b === onCurrentPage ? 'bg-white/10' : 'bg-white/5'
+          }`}
+          onClick={() => onOpen(b)}
+        >
+          <div className='min-w-0'>
+            <div className='text-sm font-medium truncate'>
+              {b.label || `Page ${b.imageIndex + 1}`}
+            </div>
+            <div className='text-xs text-white/70 truncate'>
+              {titleOf(b.topicId)} · Page {b.imageIndex + 1}
+            </div>
+          </div>
+          <button
+            type='button'
+            aria-label='Delete bookmark'
+            className='text-white/60 hover:text-white text-sm'
+            onClick={(e) => {
+              e.stopPropagation();
+              onDelete(b._id);
+            }}
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+    </div>
+  );
+};
+
+export default BookmarkList;
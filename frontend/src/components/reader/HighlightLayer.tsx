@@ -0,0 +1,112 @@
+import { useRef, useState, type PointerEvent } from 'react';
+import type { CourseNote, NoteRect } from '@/services/api';
+import { NOTE_COLORS } from './noteColors';
+
+interface HighlightLayerProps {
+  notes: CourseNote[];
+  activeNoteId: string | null;
+  drawing: boolean;
+  draftRect: NoteRect | null;
+  onDraw: (rect: NoteRect) => void;
+}
+
+// Smaller drags are treated as clicks
+const MIN_SIZE = 0.01;
+
+const clamp = (value: number) => Math.min(1, Math.max(0, value));
+
+const toStyle = (rect: NoteRect) => ({
+  left: `${rect.x * 100}%`,
+  top: `${rect.y * 100}%`,
+  width: `${rect.width * 100}%`,
+  height: `${rect.height * 100}%`,
+});
+
+/**
+ * Highlights over a page image, positioned in fractions of the image so they
+ * scale with the zoomable viewer. While `drawing`, dragging over the page
+ * draws a new area.
+ */
+const HighlightLayer = ({ notes, activeNoteId, drawing, draftRect, onDraw }: HighlightLayerProps) => {
+  const layerRef = useRef<HTMLDivElement | null>(null);
+  const [start, setStart] = useState<{ x: number; y: number } | null>(null);
+  const [dragRect, setDragRect] = useState<NoteRect | null>(null);
+
+  // Pointer position as fractions of the layer; getBoundingClientRect
+  // already accounts for the viewer's zoom
+  const pointAt = (e: PointerEvent) => {
+    const box = layerRef.current!.getBoundingClientRect();
+    return {
+      x: clamp((e.clientX - box.left) / box.width),
+      y: clamp((e.clientY - box.top) / box.height),
+    };
+  };
+
+  const rectBetween = (a: { x: number; y: number }, b: { x: number; y: number }): NoteRect => ({
+    x: Math.min(a.x, b.x),
+    y: Math.min(a.y, b.y),
+    width: Math.abs(a.x - b.x),
+    height: Math.abs(a.y - b.y),
+  });
+
+  const onPointerDown = (e: PointerEvent) => {
+    if (!drawing) return;
+    e.stopPropagation();
+    e.currentTarget.setPointerCapture(e.pointerId);
+    setStart(pointAt(e));
+    setDragRect(null);
+  };
+
+  const onPointerMove = (e: PointerEvent) => {
+    if (!drawing || !start) return;
+    e.stopPropagation();
+    setDragRect(rectBetween(start, pointAt(e)));
+  };
+
+  const onPointerUp = (e: PointerEvent) => {
+    if (!drawing || !start) return;
+    e.stopPropagation();
+    const rect = rectBetween(start, pointAt(e));
+    setStart(null);
+    setDragRect(null);
+    if (rect.width >= MIN_SIZE && rect.height >= MIN_SIZE) onDraw(rect);
+  };
+
+  const shownDraft = dragRect ?? draftRect;
+
+  return (
+    <div
+      ref={layerRef}
+      className={`absolute inset-0 ${drawing ? 'cursor-crosshair' : 'pointer-events-none'}`}
+      onPointerDown={onPointerDown}
+      onPointerMove={onPointerMove}
+      onPointerUp={onPointerUp}
+    >
+      {notes
+        .filter((note) => note.rect)
+        .map((note) => {
+          const color = NOTE_COLORS[note.color] ?? NOTE_COLORS.yellow;
+          const active = note._id === activeNoteId;
+          return (
+            <div
+              key={note._id}
+              className='absolute rounded-sm'
+              style={{
+                ...toStyle(note.rect!),
+                background: color.fill,
+                outline: `${active ? 3 : 1}px solid ${color.stroke}`,
+              }}
+            />
+          );
+        })}
+      {shownDraft && (
+        <div
+          className='absolute rounded-sm border-2 border-dashed border-white bg-white/20'
+          style={toStyle(shownDraft)}
+        />
+      )}
+    </div>
+  );
+};
+
+export default HighlightLayer;
@@ -0,0 +1,164 @@
+import { useState } from 'react';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Textarea } from '@/components/ui/textarea';
+import type { CourseNote, NoteColor, NoteInput, NoteRect } from '@/services/api';
+import { NOTE_COLORS, parseTags } from './noteColors';
+
+interface PageNotesProps {
+  notes: CourseNote[];
+  activeNoteId: string | null;
+  onSelect: (noteId: string | null) => void;
+  drawing: boolean;
+  onToggleDrawing: () => void;
+  draftRect: NoteRect | null;
+  onClearDraft: () => void;
+  onSave: (input: NoteInput, noteId: string | null) => Promise<boolean>;
+  onDelete: (noteId: string) => void;
+}
+
+// The notes on the current page, and a form to add or edit one
+const PageNotes = ({
+  notes,
+  activeNoteId,
+  onSelect,
+  drawing,
+  onToggleDrawing,
+  draftRect,
+  onClearDraft,
+  onSave,
+  onDelete,
+}: PageNotesProps) => {
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [text, setText] = useState('');
+  const [tags, setTags] = useState('');
+  const [color, setColor] = useState<NoteColor>('yellow');
+  const [saving, setSaving] = useState(false);
+
+  const editing = notes.find((n) => n._id === editingId) ?? null;
+  const rect = draftRect ?? editing?.rect ?? null;
+
+  const reset = () => {
+    setEditingId(null);
+    setText('');
+    setTags('');
+    onClearDraft();
+  };
+
+  const startEdit = (note: CourseNote) => {
+    setEditingId(note._id);
+    setText(note.note);
+    setTags(note.tags.join(', '));
+    setColor(note.color);
+    onClearDraft();
+    onSelect(note._id);
+  };
+
+  const save = async () => {
+    setSaving(true);
+    const ok = await onSave({ note: text.trim(), rect, tags: parseTags(tags), color }, editingId);
+    setSaving(false);
+    if (ok) reset();
+  };
+
+  return (
+    <div className='w-full mt-4 space-y-3'>
+      <Label className='text-white/90'>Notes for this page</Label>
+
+      {notes.map((note) => (
+        <div
+          key={note._id}
+          className={`rounded-md border p-2 text-sm ${
+            note._id === activeNoteId ? 'border-white/60 bg-white/10' : 'border-white/10 bg-white/5'
+          }`}
+          onMouseEnter={() => onSelect(note._id)}
+          onMouseLeave={() => onSelect(null)}
+        >
+          <div className='flex items-start gap-2'>
+            <span className={`mt-1 h-3 w-3 shrink-0 rounded-full ${NOTE_COLORS[note.color]?.swatch}`} />
+            <div className='flex-1 min-w-0'>
+              {note.note ? (
+                <p className='whitespace-pre-wrap break-words'>{note.note}</p>
+              ) : (
+                <p className='italic text-white/60'>Highlight</p>
+              )}
+              {note.tags.length > 0 && (
+                <div className='mt-1 flex flex-wrap gap-1'>
+                  {note.tags.map((tag) => (
+                    <span key={tag} className='rounded bg-white/10 px-1.5 text-xs text-white/80'>
+                      #{tag}
+                    </span>
+                  ))}
+                </div>
+              )}
+            </div>
+            <Button size='sm' variant='ghost' onClick={() => startEdit(note)}>
+              Edit
+            </Button>
+            <Button size='sm' variant='ghost' onClick={() => onDelete(note._id)}>
+              Delete
+            </Button>
+          </div>
+        </div>
+      ))}
+
+      <div className='space-y-2 rounded-md border border-white/10 p-3'>
+        <Textarea
+          value={text}
+          onChange={(e) => setText(e.target.value)}
+          placeholder='Write a note for this page...'
+          rows={2}
+          className='bg-white/5 text-white'
+        />
+        <Input
+          value={tags}
+          onChange={(e) => setTags(e.target.value)}
+          placeholder='Tags, separated by commas'
+          className='bg-white/5 text-white'
+        />
+        <div className='flex flex-wrap items-center gap-2'>
+          {(Object.keys(NOTE_COLORS) as NoteColor[]).map((key) => (
+            <button
+              key={key}
+              type='button'
+              title={NOTE_COLORS[key].label}
+              aria-label={NOTE_COLORS[key].label}
+              onClick={() => setColor(key)}
+              className={`h-6 w-6 rounded-full ${NOTE_COLORS[key].swatch} ${
+                color === key ? 'ring-2 ring-white ring-offset-2 ring-offset-[#0b1f3a]' : ''
+              }`}
+            />
+          ))}
+          <Button
+            size='sm'
+            variant='outline'
+            className='ml-auto bg-transparent text-white'
+            onClick={onToggleDrawing}
+          >
+            {drawing ? 'Cancel highlight' : rect ? 'Redraw highlight' : 'Highlight area'}
+          </Button>
+        </div>
+        {drawing && (
+          <div className='text-xs text-white/70'>Drag over the page to mark an area.</div>
+        )}
+        <div className='flex gap-2'>
+          <Button
+            onClick={save}
+            disabled={saving || (!text.trim() && !rect)}
+            className='bg-[#F6A32F] text-white'
+          >
+            {editing ? 'Update note' : 'Add note'}
+          </Button>
+          {(editing || rect) && (
+            <Button variant='ghost' onClick={reset}>
+              Cancel
+            </Button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PageNotes;
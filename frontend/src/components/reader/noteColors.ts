@@ -0,0 +1,21 @@
+// Highlight colours for notes, shared by the reader and the My Notes page
+import type { NoteColor } from '@/services/api';
+
+export const NOTE_COLORS: Record<NoteColor, { label: string; swatch: string; fill: string; stroke: string }> = {
+  yellow: { label: 'Yellow', swatch: 'bg-yellow-300', fill: 'rgba(253, 224, 71, 0.35)', stroke: '#eab308' },
+  green: { label: 'Green', swatch: 'bg-green-400', fill: 'rgba(74, 222, 128, 0.3)', stroke: '#16a34a' },
+  blue: { label: 'Blue', swatch: 'bg-sky-400', fill: 'rgba(56, 189, 248, 0.3)', stroke: '#0284c7' },
+  pink: { label: 'Pink', swatch: 'bg-pink-400', fill: 'rgba(244, 114, 182, 0.3)', stroke: '#db2777' },
+  purple: { label: 'Purple', swatch: 'bg-violet-400', fill: 'rgba(167, 139, 250, 0.3)', stroke: '#7c3aed' },
+};
+
+// "Options, Risk ,risk" -> ['options', 'risk']
+export const parseTags = (text: string) =>
+  Array.from(
+    new Set(
+      text
+        .split(',')
+        .map((tag) => tag.trim().toLowerCase())
+        .filter(Boolean)
+    )
+  ).slice(0, 10);
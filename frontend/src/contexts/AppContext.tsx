@@ -8,6 +8,13 @@ import React, {
 } from 'react';
 import { useAuth } from './AuthContext';
 import { toast } from '@/hooks/use-toast';
+import {
+  mediaUrl,
+  ordersAPI,
+  type CreditNoteSummary,
+  type User as AuthUser,
+  type UserOrder,
+} from '@/services/api';
 
 export interface Course {
   id: string;
@@ -30,8 +37,11 @@ export interface Payment {
   courseId: string;
   courseName: string;
   amount: number;
-  status: 'paid' | 'failed' | 'pending';
+  status: 'paid' | 'failed' | 'pending' | 'partially_refunded' | 'refunded';
   date: string;
+  invoiceId?: number;
+  invoiceNumber?: string;
+  creditNotes: CreditNoteSummary[];
 }
 
 export interface User {
@@ -90,12 +100,41 @@ const REAL_COURSE: Course = {
   students: 0,
 };
 
+// Uploaded picture first, then the Google one; empty shows the initials
+const avatarFor = (authUser: AuthUser) =>
+  authUser.profileImage ? mediaUrl(authUser.profileImage) : authUser.picture || '';
+
+const PAYMENT_STATUS: Record<UserOrder['status'], Payment['status']> = {
+  created: 'pending',
+  pending_payment: 'pending',
+  paid: 'paid',
+  partially_refunded: 'partially_refunded',
+  failed: 'failed',
+  refunded: 'refunded',
+};
+
+const toPayment = (order: UserOrder): Payment => ({
+  id: String(order.id),
+  courseId: order.orderItems[0]?.courseId?._id ?? '',
+  courseName:
+    order.orderItems
+      .map((item) => item.courseId?.title)
+      .filter(Boolean)
+      .join(', ') || `Order #${order.id}`,
+  amount: order.totalAmount,
+  status: PAYMENT_STATUS[order.status],
+  date: order.createdAt,
+  invoiceId: order.invoice?.id,
+  invoiceNumber: order.invoice?.number,
+  creditNotes: order.creditNotes ?? [],
+});
+
 export const AppProvider = ({ children }: { children: ReactNode }) => {
   const { user: authUser } = useAuth();
 
   const [user, setUser] = useState<User>(initialUser);
   const [courses, setCourses] = useState<Course[]>([REAL_COURSE]);
-  const [payments] = useState<Payment[]>([]);
+  const [payments, setPayments] = useState<Payment[]>([]);
   const [loading, setLoading] = useState(false);
 
   const refreshCourses = async () => {
@@ -110,8 +149,10 @@ export const AppProvider = ({ children }: { children: ReactNode }) => {
         id: authUser._id,
         name: authUser.name,
         email: authUser.email,
-        avatar: `https://api.dicebear.com/7.x/avataaars/svg?seed=${authUser.name}`,
+        avatar: avatarFor(authUser),
       }));
+      const res = await ordersAPI.getUserOrders(authUser._id);
+      if (res.success && res.data) setPayments(res.data.map(toPayment));
     }
     await refreshCourses();
   };
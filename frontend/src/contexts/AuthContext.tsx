@@ -19,6 +19,8 @@ interface AuthContextType {
   signInWithGoogle: () => Promise<{ error: any }>;
   signOut: () => Promise<void>;
   resetPassword: (email: string) => Promise<{ error: any }>;
+  // Apply a server-confirmed change (e.g. a new profile picture) locally
+  updateUser: (changes: Partial<User>) => void;
 }
 
 const AuthContext = createContext<AuthContextType | undefined>(undefined);
@@ -30,37 +32,14 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({
   const [loading, setLoading] = useState(true);
 
   useEffect(() => {
-    // Check for stored user data and verify token on app load
+    // The session lives in httpOnly cookies, so ask the API who we are
     const initializeAuth = async () => {
       try {
         setLoading(true);
 
-        const storedUser = authAPI.getStoredUser();
-        const token = authAPI.getToken();
-
-        // If no stored data, skip verification and set loading to false immediately
-        if (!storedUser || !token) {
-          setUser(null);
-          setLoading(false);
-          return;
-        }
-
-        // Only verify token if we have stored data
-        try {
-          const response = await authAPI.verifyToken();
-          if (response.success && response.data) {
-            setUser(response.data.user);
-          } else {
-            // Token invalid, clear storage
-            authAPI.logout();
-            setUser(null);
-          }
-        } catch (error) {
-          console.log('Token verification failed:', error);
-          // If verification fails, clear storage but don't show error
-          authAPI.logout();
-          setUser(null);
-        }
+        // A 401 here is retried once after refreshing the session
+        const response = await authAPI.verifyToken();
+        setUser(response.success && response.data ? response.data.user : null);
       } catch (error) {
         console.log('Auth initialization error:', error);
         setUser(null);
@@ -116,7 +95,7 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({
   };
 
   const signOut = async () => {
-    authAPI.logout();
+    await authAPI.logout();
     setUser(null);
   };
 
@@ -124,50 +103,43 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({
     setLoading(true);
 
     return new Promise((resolve) => {
+      const finish = (error: any) => {
+        setLoading(false);
+        resolve({ error });
+      };
+
       try {
-        const client = (window as any).google.accounts.oauth2.initTokenClient({
+        // ID token flow: the backend verifies the credential itself and sets
+        // the same session cookie as password login
+        window.google.accounts.id.initialize({
           client_id: import.meta.env.VITE_GOOGLE_CLIENT_ID,
-          scope: 'email profile',
-          callback: async (tokenResponse: any) => {
-            try {
-              const res = await fetch(
-                `${import.meta.env.VITE_BACKEND_URL}/auth/google`,
-                {
-                  method: 'POST',
-                  headers: { 'Content-Type': 'application/json' },
-                  body: JSON.stringify({ token: tokenResponse.access_token }),
-                }
-              );
-
-              const data = await res.json();
-
-              if (data.token && data.user) {
-                // SAVE TO LOCAL STORAGE INSTEAD OF authAPI.storeUser/storeToken
-                localStorage.setItem('token', data.token);
-                localStorage.setItem('user', JSON.stringify(data.user));
-
-                setUser(data.user);
-                setLoading(false);
-
-                resolve({ error: null });
-                return;
-              }
-
-              setLoading(false);
-              resolve({ error: 'Invalid backend response' });
-            } catch (error) {
-              console.error('Google backend login error:', error);
-              setLoading(false);
-              resolve({ error });
+          callback: async ({ credential }: { credential?: string }) => {
+            if (!credential) {
+              finish('Google did not return a credential');
+              return;
+            }
+
+            const response = await authAPI.googleLogin(credential);
+            if (response.success && response.data) {
+              setUser(response.data.user);
+              finish(null);
+              return;
             }
+            finish(response.message || 'Google login failed');
           },
         });
 
-        client.requestAccessToken();
+        window.google.accounts.id.prompt((notification: any) => {
+          if (
+            notification.isNotDisplayed() ||
+            notification.isSkippedMoment()
+          ) {
+            finish('Google sign-in was cancelled or is unavailable');
+          }
+        });
       } catch (error) {
         console.error('Google login error:', error);
-        setLoading(false);
-        resolve({ error });
+        finish(error);
       }
     });
   };
@@ -182,6 +154,10 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({
     return { error: response.message || 'Failed to send reset email' };
   };
 
+  const updateUser = (changes: Partial<User>) => {
+    setUser((prev) => (prev ? { ...prev, ...changes } : prev));
+  };
+
   return (
     <AuthContext.Provider
       value={{
@@ -192,6 +168,7 @@ export const AuthProvider: React.FC<{ children: ReactNode }> = ({
         signInWithGoogle,
         signOut,
         resetPassword,
+        updateUser,
       }}
     >
       {children}
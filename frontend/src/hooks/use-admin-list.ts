@@ -0,0 +1,26 @@
+import { useCallback, useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import type { ApiResponse } from '@/services/api';
+
+// Load an admin list once, with a reload() for after mutations
+export function useAdminList<T>(fetcher: () => Promise<ApiResponse<T[]>>) {
+  const [rows, setRows] = useState<T[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  const reload = useCallback(async () => {
+    setLoading(true);
+    const res = await fetcher();
+    if (res.success && res.data) {
+      setRows(res.data);
+    } else {
+      toast.error(res.message);
+    }
+    setLoading(false);
+  }, [fetcher]);
+
+  useEffect(() => {
+    reload();
+  }, [reload]);
+
+  return { rows, loading, reload };
+}
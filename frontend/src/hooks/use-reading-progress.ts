@@ -0,0 +1,237 @@
+import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
+import {
+  progressAPI,
+  type ProgressBatch,
+  type ReadingProgress,
+} from '@/services/api';
+
+const SYNC_INTERVAL_MS = 15 * 1000;
+// Longer on one page than this counts as having walked away
+const MAX_SECONDS_PER_VIEW = 5 * 60;
+
+type TopicPages = { _id: string; images: string[] };
+
+type QueuedTopic = { pages: number[]; timeSpentSeconds: number; completed: boolean };
+
+// `sending` is the batch in flight; it is resent with the same batchId until
+// the server acknowledges it, so its reading time is only counted once
+type Queue = { sending: ProgressBatch | null; queued: Record<string, QueuedTopic> };
+
+const EMPTY_QUEUE: Queue = { sending: null, queued: {} };
+
+const queueKey = (courseId: string) => `progressQueue_${courseId}`;
+
+const loadQueue = (courseId: string): Queue => {
+  try {
+    return { ...EMPTY_QUEUE, ...JSON.parse(localStorage.getItem(queueKey(courseId)) || '{}') };
+  } catch {
+    return EMPTY_QUEUE;
+  }
+};
+
+// Worth sending again: no response at all (offline), a server error, or a
+// status that means "not now". Any other rejection would only repeat
+const isRetryable = (status?: number) =>
+  status === undefined || status >= 500 || [401, 408, 429].includes(status);
+
+const newBatchId = () =>
+  typeof crypto !== 'undefined' && 'randomUUID' in crypto
+    ? crypto.randomUUID()
+    : `${Date.now()}-${Math.random().toString(36).slice(2)}`;
+
+// Progress saved by earlier versions of the reader, only in this browser.
+// Those could key it by placeholder topic ids, which the server rejects, so
+// only topics the course has are carried over
+const takeLegacyProgress = (courseId: string, topicIds: string[]): Record<string, QueuedTopic> => {
+  const queued: Record<string, QueuedTopic> = {};
+  if (topicIds.length === 0) return queued;
+  try {
+    const viewed: Record<string, number[]> = JSON.parse(
+      localStorage.getItem(`viewedPages_${courseId}`) || '{}'
+    );
+    const completed: Record<string, boolean> = JSON.parse(
+      localStorage.getItem(`completedTopics_${courseId}`) || '{}'
+    );
+    Object.entries(viewed).forEach(([topicId, pages]) => {
+      queued[topicId] = { pages, timeSpentSeconds: 0, completed: !!completed[topicId] };
+    });
+    Object.keys(completed).forEach((topicId) => {
+      if (completed[topicId] && !queued[topicId]) {
+        queued[topicId] = { pages: [], timeSpentSeconds: 0, completed: true };
+      }
+    });
+    Object.keys(queued).forEach((topicId) => {
+      if (!topicIds.includes(topicId)) delete queued[topicId];
+    });
+  } catch {
+    // unreadable; nothing to carry over
+  }
+  localStorage.removeItem(`viewedPages_${courseId}`);
+  localStorage.removeItem(`completedTopics_${courseId}`);
+  return queued;
+};
+
+/**
+ * Page-level reading progress for one course. Page views and reading time
+ * are queued in localStorage and sent to the server in batches, every few
+ * seconds, when the tab is hidden and when the browser comes back online.
+ * Until the server answers, queued views are merged in locally.
+ */
+export function useReadingProgress(courseId: string | undefined, topics: TopicPages[], enabled: boolean) {
+  const [server, setServer] = useState<ReadingProgress | null>(null);
+  const [queue, setQueue] = useState<Queue>(EMPTY_QUEUE);
+  const queueRef = useRef<Queue>(EMPTY_QUEUE);
+  const syncing = useRef(false);
+  const currentView = useRef<{ topicId: string; since: number } | null>(null);
+  // A string, so reloading the same topics doesn't re-run the initial load
+  const topicIds = useMemo(() => topics.map((t) => t._id).join(','), [topics]);
+
+  const saveQueue = useCallback(
+    (next: Queue) => {
+      queueRef.current = next;
+      setQueue(next);
+      if (courseId) localStorage.setItem(queueKey(courseId), JSON.stringify(next));
+    },
+    [courseId]
+  );
+
+  const updateQueued = useCallback(
+    (topicId: string, update: (entry: QueuedTopic) => QueuedTopic) => {
+      const { queued } = queueRef.current;
+      const entry = queued[topicId] ?? { pages: [], timeSpentSeconds: 0, completed: false };
+      saveQueue({ ...queueRef.current, queued: { ...queued, [topicId]: update(entry) } });
+    },
+    [saveQueue]
+  );
+
+  // Close the running page view, crediting its time to its topic
+  const stopClock = useCallback(() => {
+    const view = currentView.current;
+    if (!view) return;
+    const seconds = Math.min(Math.round((Date.now() - view.since) / 1000), MAX_SECONDS_PER_VIEW);
+    view.since = Date.now();
+    if (seconds > 0) {
+      updateQueued(view.topicId, (entry) => ({
+        ...entry,
+        timeSpentSeconds: entry.timeSpentSeconds + seconds,
+      }));
+    }
+  }, [updateQueued]);
+
+  const sync = useCallback(async () => {
+    if (!courseId || !enabled || syncing.current || !navigator.onLine) return;
+    stopClock();
+
+    let { sending } = queueRef.current;
+    const { queued } = queueRef.current;
+    if (!sending) {
+      if (Object.keys(queued).length === 0) return;
+      sending = {
+        batchId: newBatchId(),
+        topics: Object.entries(queued).map(([topicId, entry]) => ({ topicId, ...entry })),
+      };
+      saveQueue({ sending, queued: {} });
+    }
+
+    syncing.current = true;
+    const res = await progressAPI.sync(courseId, sending);
+    syncing.current = false;
+    if (!res.success || !res.data) {
+      if (isRetryable(res.status)) return; // kept for the next attempt
+      console.error('Progress batch rejected:', res.message);
+    } else {
+      setServer(res.data);
+    }
+    saveQueue({ ...queueRef.current, sending: null });
+    if (Object.keys(queueRef.current.queued).length > 0) sync();
+  }, [courseId, enabled, saveQueue, stopClock]);
+
+  // Load the server's progress, plus anything still queued from last time
+  useEffect(() => {
+    if (!courseId || !enabled) return;
+    const stored = loadQueue(courseId);
+    const legacy = takeLegacyProgress(courseId, topicIds ? topicIds.split(',') : []);
+    saveQueue({ ...stored, queued: { ...legacy, ...stored.queued } });
+    progressAPI.get(courseId).then((res) => {
+      if (res.success && res.data) setServer(res.data);
+      sync();
+    });
+  }, [courseId, enabled, topicIds, saveQueue, sync]);
+
+  useEffect(() => {
+    if (!enabled) return;
+    const timer = window.setInterval(sync, SYNC_INTERVAL_MS);
+    const onVisibility = () => {
+      if (document.visibilityState === 'hidden') {
+        sync();
+      } else if (currentView.current) {
+        currentView.current.since = Date.now();
+      }
+    };
+    window.addEventListener('online', sync);
+    document.addEventListener('visibilitychange', onVisibility);
+    return () => {
+      window.clearInterval(timer);
+      window.removeEventListener('online', sync);
+      document.removeEventListener('visibilitychange', onVisibility);
+      sync();
+    };
+  }, [enabled, sync]);
+
+  const recordView = useCallback(
+    (topicId: string, page: number) => {
+      if (!enabled) return;
+      stopClock();
+      currentView.current = { topicId, since: Date.now() };
+      updateQueued(topicId, (entry) =>
+        entry.pages.includes(page) ? entry : { ...entry, pages: [...entry.pages, page] }
+      );
+    },
+    [enabled, stopClock, updateQueued]
+  );
+
+  const completeTopic = useCallback(
+    (topicId: string) => {
+      updateQueued(topicId, (entry) => ({ ...entry, completed: true }));
+      sync();
+    },
+    [updateQueued, sync]
+  );
+
+  // Server progress with queued views merged in
+  const merged = useMemo(() => {
+    const pending = [
+      ...(queue.sending?.topics ?? []),
+      ...Object.entries(queue.queued).map(([topicId, entry]) => ({ topicId, ...entry })),
+    ];
+    const progress: Record<string, number> = {};
+    const viewedPages: Record<string, Set<number>> = {};
+    let totalPages = 0;
+    let viewedCount = 0;
+
+    topics.forEach((topic) => {
+      const pageCount = topic.images.length;
+      const viewed = new Set(server?.viewedPages[topic._id] ?? []);
+      let completed = (server?.progress[topic._id] ?? 0) >= 100;
+      pending
+        .filter((entry) => entry.topicId === topic._id)
+        .forEach((entry) => {
+          entry.pages.forEach((p) => viewed.add(p));
+          completed = completed || entry.completed;
+        });
+      const viewedInTopic = completed ? pageCount : viewed.size;
+      progress[topic._id] = Math.max(
+        server?.progress[topic._id] ?? 0,
+        completed ? 100 : pageCount ? Math.round((viewed.size / pageCount) * 100) : 0
+      );
+      viewedPages[topic._id] = viewed;
+      totalPages += pageCount;
+      viewedCount += Math.min(viewedInTopic, pageCount);
+    });
+
+    const percent = totalPages ? Math.round((viewedCount / totalPages) * 100) : 0;
+    return { progress, viewedPages, percent };
+  }, [server, queue, topics]);
+
+  return { ...merged, recordView, completeTopic, sync };
+}
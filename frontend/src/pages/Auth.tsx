@@ -106,12 +106,9 @@ const Auth = () => {
       );
 
       if (!error) {
-        // Redirect to profile setup page
-        navigate('/profile-setup', {
-          state: {
-            email: validated.email,
-            name: validated.name,
-          },
+        // Verify the email first, then continue to profile setup
+        navigate('/dashboard/email-verification', {
+          state: { next: '/dashboard/profile-setup' },
         });
       }
     } catch (err) {
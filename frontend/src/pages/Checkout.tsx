@@ -0,0 +1,282 @@
+// src/pages/Checkout.tsx
+import { useCallback, useEffect, useState } from 'react';
+import { useNavigate, useParams } from 'react-router-dom';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import { Badge } from '@/components/ui/badge';
+import { toast } from 'sonner';
+import { ShoppingCart, CheckCircle, Clock } from 'lucide-react';
+import {
+  checkoutAPI,
+  CheckoutQuote,
+  GatewayCheckout,
+  Order,
+  PaymentVerification,
+} from '@/services/api';
+
+const POLL_INTERVAL_MS = 5000;
+const RAZORPAY_SCRIPT = 'https://checkout.razorpay.com/v1/checkout.js';
+
+const loadRazorpay = () =>
+  new Promise<boolean>((resolve) => {
+    if (window.Razorpay) return resolve(true);
+    const script = document.createElement('script');
+    script.src = RAZORPAY_SCRIPT;
+    script.onload = () => resolve(true);
+    script.onerror = () => resolve(false);
+    document.body.appendChild(script);
+  });
+
+const Checkout = () => {
+  const { courseId } = useParams<{ courseId: string }>();
+  const navigate = useNavigate();
+
+  const [quote, setQuote] = useState<CheckoutQuote | null>(null);
+  const [couponCode, setCouponCode] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState('');
+  const [order, setOrder] = useState<Order | null>(null);
+  const [checkout, setCheckout] = useState<GatewayCheckout | null>(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+
+  const loadQuote = useCallback(
+    async (code: string) => {
+      if (!courseId) return false;
+      const res = await checkoutAPI.quote({
+        courseId,
+        couponCode: code || undefined,
+      });
+      if (res.success && res.data) {
+        setQuote(res.data);
+        setAppliedCoupon(res.data.couponCode || '');
+        return true;
+      }
+      toast.error(res.message || 'Could not price this course');
+      return false;
+    },
+    [courseId]
+  );
+
+  useEffect(() => {
+    (async () => {
+      setLoading(true);
+      await loadQuote('');
+      setLoading(false);
+    })();
+  }, [loadQuote]);
+
+  // Poll the order until the payment is confirmed
+  useEffect(() => {
+    if (!order || order.status !== 'pending_payment') return;
+    const timer = setInterval(async () => {
+      const res = await checkoutAPI.getOrder(order.id);
+      if (res.success && res.data) setOrder(res.data);
+    }, POLL_INTERVAL_MS);
+    return () => clearInterval(timer);
+  }, [order]);
+
+  useEffect(() => {
+    if (order?.status === 'paid') {
+      toast.success('Payment confirmed — enjoy your course!');
+      navigate(`/dashboard/course/${courseId}`, { replace: true });
+    } else if (order?.status === 'failed') {
+      toast.error('Payment failed. Please try again.');
+    }
+  }, [order?.status, courseId, navigate]);
+
+  const applyCoupon = async () => {
+    if (!couponCode.trim()) return;
+    if (await loadQuote(couponCode.trim())) {
+      toast.success('Coupon applied');
+    }
+  };
+
+  const removeCoupon = async () => {
+    setCouponCode('');
+    await loadQuote('');
+  };
+
+  const verifyPayment = async (data: PaymentVerification) => {
+    const res = await checkoutAPI.verifyPayment(data);
+    if (res.success && res.data) {
+      setOrder(res.data.order);
+    } else {
+      toast.error(res.message || 'Payment verification failed');
+    }
+  };
+
+  // Collect the payment in the gateway's UI, then hand the signed result back
+  const openGateway = async (checkout: GatewayCheckout) => {
+    if (checkout.gateway === 'mock') {
+      const res = await checkoutAPI.mockPay(checkout.gatewayOrderId);
+      if (res.success && res.data) await verifyPayment(res.data);
+      else toast.error(res.message || 'Payment failed');
+      return;
+    }
+
+    if (!(await loadRazorpay()) || !window.Razorpay) {
+      toast.error('Could not load the payment gateway');
+      return;
+    }
+    const razorpay = new window.Razorpay({
+      key: checkout.keyId,
+      order_id: checkout.gatewayOrderId,
+      amount: checkout.amount,
+      currency: checkout.currency,
+      name: checkout.name,
+      prefill: checkout.prefill,
+      handler: (response) =>
+        verifyPayment({
+          gatewayOrderId: response.razorpay_order_id,
+          gatewayPaymentId: response.razorpay_payment_id,
+          signature: response.razorpay_signature,
+        }),
+    });
+    razorpay.open();
+  };
+
+  const handleBuy = async () => {
+    if (!courseId) return;
+    setSubmitting(true);
+    const res = await checkoutAPI.buyCourse({
+      courseId,
+      couponCode: appliedCoupon || undefined,
+    });
+    setSubmitting(false);
+
+    if (!res.success || !res.data) {
+      toast.error(res.message || 'Checkout failed');
+      return;
+    }
+    setOrder(res.data.order);
+    setCheckout(res.data.checkout);
+    if (res.data.checkout) await openGateway(res.data.checkout);
+  };
+
+  if (loading) {
+    return (
+      <div className='flex min-h-[60vh] items-center justify-center'>
+        <div className='animate-spin rounded-full h-12 w-12 border-b-2 border-primary' />
+      </div>
+    );
+  }
+
+  if (!quote) {
+    return (
+      <div className='flex min-h-[60vh] items-center justify-center'>
+        <div className='text-center'>
+          <h2 className='mb-2 text-2xl font-bold'>Course not available</h2>
+          <Button onClick={() => navigate('/dashboard/explore')}>
+            Explore Courses
+          </Button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className='mx-auto max-w-2xl space-y-6'>
+      <div>
+        <h1 className='text-3xl font-bold'>Checkout</h1>
+        <p className='text-muted-foreground'>
+          Complete your purchase to unlock the course
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader className='flex flex-row items-center justify-between'>
+          <CardTitle className='flex items-center gap-2'>
+            <ShoppingCart className='h-5 w-5' /> Order Summary
+          </CardTitle>
+          {order && (
+            <Badge
+              variant={order.status === 'paid' ? 'default' : 'secondary'}
+              className='flex items-center gap-1'
+            >
+              {order.status === 'paid' ? (
+                <CheckCircle className='h-3 w-3' />
+              ) : (
+                <Clock className='h-3 w-3' />
+              )}
+              Order #{order.id}
+            </Badge>
+          )}
+        </CardHeader>
+        <CardContent className='space-y-4'>
+          <div className='flex justify-between'>
+            <span className='font-medium'>{quote.course.title}</span>
+            <span>₹{quote.subtotalAmount.toLocaleString()}</span>
+          </div>
+
+          {quote.discountAmount > 0 && (
+            <div className='flex justify-between text-sm text-green-600'>
+              <span>Coupon {appliedCoupon}</span>
+              <span>−₹{quote.discountAmount.toLocaleString()}</span>
+            </div>
+          )}
+
+          <div className='flex justify-between border-t pt-4 text-lg font-bold'>
+            <span>Total</span>
+            <span>₹{quote.totalAmount.toLocaleString()}</span>
+          </div>
+
+          {!order && (
+            <div className='space-y-2'>
+              <Label htmlFor='coupon'>Coupon code</Label>
+              <div className='flex gap-2'>
+                <Input
+                  id='coupon'
+                  value={couponCode}
+                  onChange={(e) => setCouponCode(e.target.value.toUpperCase())}
+                  placeholder='Enter coupon'
+                  disabled={!!appliedCoupon}
+                />
+                {appliedCoupon ? (
+                  <Button variant='outline' onClick={removeCoupon}>
+                    Remove
+                  </Button>
+                ) : (
+                  <Button variant='outline' onClick={applyCoupon}>
+                    Apply
+                  </Button>
+                )}
+              </div>
+            </div>
+          )}
+
+          {order?.status === 'pending_payment' ? (
+            <div className='space-y-2'>
+              <p className='text-sm text-muted-foreground'>
+                Your order has been placed. We&apos;ll unlock the course as
+                soon as the payment is confirmed.
+              </p>
+              {checkout && (
+                <Button
+                  variant='outline'
+                  className='w-full'
+                  onClick={() => openGateway(checkout)}
+                >
+                  Retry payment
+                </Button>
+              )}
+            </div>
+          ) : (
+            <Button
+              className='w-full bg-[#F6A32F] hover:bg-[#d88c25] text-white font-semibold'
+              onClick={handleBuy}
+              disabled={submitting || order?.status === 'paid'}
+            >
+              {submitting
+                ? 'Placing order...'
+                : `Pay ₹${quote.totalAmount.toLocaleString()}`}
+            </Button>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default Checkout;
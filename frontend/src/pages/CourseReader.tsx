@@ -1,22 +1,35 @@
 // src/pages/CourseReader.tsx
 'use client';
 
-import React, { useEffect, useMemo, useRef, useState } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { useParams, useNavigate, useSearchParams } from 'react-router-dom';
 import { TransformWrapper, TransformComponent } from 'react-zoom-pan-pinch';
 import { useAuth } from '@/contexts/AuthContext';
-import { apiClient } from '@/services/api';
+import {
+  apiClient,
+  bookmarksAPI,
+  mediaUrl,
+  notesAPI,
+  type Bookmark,
+  type CourseNote,
+  type NoteExportFormat,
+  type NoteInput,
+  type NoteRect,
+} from '@/services/api';
 import { Button } from '@/components/ui/button';
 import { Card, CardContent } from '@/components/ui/card';
-import { Input } from '@/components/ui/input';
-import { Label } from '@/components/ui/label';
 import { toast } from '@/hooks/use-toast';
 import { useApp } from '@/contexts/AppContext';
+import { useReadingProgress } from '@/hooks/use-reading-progress';
+import HighlightLayer from '@/components/reader/HighlightLayer';
+import PageNotes from '@/components/reader/PageNotes';
+import BookmarkList from '@/components/reader/BookmarkList';
 
 type Topic = {
   _id: string;
   title: string;
-  images: string[]; // urls or public paths
+  images: string[]; // signed URLs; empty when the course is locked
+  pageCount?: number; // sent instead of images when the course is locked
 };
 
 type Course = {
@@ -27,9 +40,19 @@ type Course = {
   userHasAccess?: boolean;
 };
 
+const IMAGE_REFRESH_THROTTLE_MS = 30 * 1000;
+
+const EXPORT_FORMATS: { format: NoteExportFormat; label: string }[] = [
+  { format: 'pdf', label: 'PDF' },
+  { format: 'md', label: 'Markdown' },
+  { format: 'csv', label: 'CSV' },
+];
+
 export default function CourseReader() {
   const { courseId } = useParams<{ courseId: string }>();
   const navigate = useNavigate();
+  // My Notes links straight to a page with ?topic=<id>&page=<index>
+  const [searchParams] = useSearchParams();
   const { user, loading } = useAuth();
   const { updateCourseProgress } = useApp();
 
@@ -37,205 +60,90 @@ export default function CourseReader() {
   const [topics, setTopics] = useState<Topic[]>([]);
   const [activeTopicIndex, setActiveTopicIndex] = useState<number>(0);
   const [currentPage, setCurrentPage] = useState<number>(0); // index in images
-  const [progress, setProgress] = useState<Record<string, number>>({});
-  const [notes, setNotes] = useState<Record<string, Record<number, string>>>(
-    {}
-  );
-  const [loadingSave, setLoadingSave] = useState(false);
+  const [notes, setNotes] = useState<CourseNote[]>([]);
+  const [bookmarks, setBookmarks] = useState<Bookmark[]>([]);
+  const [activeNoteId, setActiveNoteId] = useState<string | null>(null);
+  const [drawing, setDrawing] = useState(false);
+  const [draftRect, setDraftRect] = useState<NoteRect | null>(null);
+  const [exporting, setExporting] = useState<NoteExportFormat | null>(null);
   const [isFullscreen, setIsFullscreen] = useState(false);
+  const [loadError, setLoadError] = useState(false);
   const viewerRef = useRef<HTMLDivElement | null>(null);
   const preloaded = useRef<Record<string, HTMLImageElement>>({}); // simple cache
 
-  // NEW: per-topic set of viewed pages (stored in local state as Sets)
-  const [viewedPages, setViewedPages] = useState<Record<string, Set<number>>>(
-    {}
-  );
-  // NEW: completed topics persisted separately
-  const [completedTopics, setCompletedTopics] = useState<
-    Record<string, boolean>
-  >({});
+  // Viewed pages and completed topics live on the server, so progress
+  // follows the user across devices
+  const {
+    progress,
+    percent: weightedProgress,
+    recordView,
+    completeTopic,
+  } = useReadingProgress(courseId, topics, !!course?.userHasAccess);
 
   // Guard: auth & profile
   useEffect(() => {
     if (!loading && !user) navigate('/auth');
   }, [loading, user, navigate]);
 
-  // Build fallback topics with your custom ranges (from user)
-  const buildFallbackTopics = (): Topic[] => {
-    return [
-      {
-        _id: 't1',
-        title: 'Introduction',
-        images: Array.from({ length: 17 }, (_, i) => `/course/${2 + i}.jpeg`), // 2–18
-      },
-      {
-        _id: 't2',
-        title: 'Understanding Doji Candles',
-        images: Array.from({ length: 4 }, (_, i) => `/course/${19 + i}.jpeg`), // 19–22
-      },
-      {
-        _id: 't3',
-        title: 'The "Dicy Reversal" Setup',
-        images: Array.from({ length: 7 }, (_, i) => `/course/${23 + i}.jpeg`), // 23–29
-      },
-      {
-        _id: 't4',
-        title: 'Entry & Exit Rules',
-        images: Array.from({ length: 5 }, (_, i) => `/course/${30 + i}.jpeg`), // 30–34
-      },
-      {
-        _id: 't5',
-        title: 'Risk Management',
-        images: Array.from({ length: 13 }, (_, i) => `/course/${35 + i}.jpeg`), // 35–47
-      },
-      {
-        _id: 't6',
-        title: 'Practical Examples',
-        images: Array.from({ length: 5 }, (_, i) => `/course/${48 + i}.jpeg`), // 48–52
-      },
-      {
-        _id: 't7',
-        title: 'Final Thoughts',
-        images: Array.from({ length: 4 }, (_, i) => `/course/${53 + i}.jpeg`), // 53–56
-      },
-      {
-        _id: 't8',
-        title: "Author's Message",
-        images: Array.from({ length: 2 }, (_, i) => `/course/${57 + i}.jpeg`), // 57–58
-      },
-    ];
+  // Topic images come back as short-lived signed URLs, so the course is
+  // re-fetched (throttled) when one stops loading
+  const fetchCourse = useCallback(async () => {
+    const res = await apiClient.get<{ data: { course: Course } }>(
+      `/courses/${courseId}`
+    );
+    const courseData = res.data?.data?.course;
+    if (!courseData) throw new Error('Course not found');
+    courseData.topics = (courseData.topics || []).map((t) => ({
+      ...t,
+      images: t.images.map(mediaUrl),
+    }));
+    return courseData;
+  }, [courseId]);
+
+  const lastRefresh = useRef(0);
+  const refreshImageUrls = async () => {
+    if (Date.now() - lastRefresh.current < IMAGE_REFRESH_THROTTLE_MS) return;
+    lastRefresh.current = Date.now();
+    try {
+      const courseData = await fetchCourse();
+      setCourse(courseData);
+      setTopics(courseData.topics);
+    } catch {
+      // keep the current URLs; the next failed image will retry
+    }
   };
 
-  // Load course + topics; if backend not available or no topics, fallback to our topics
+  // Load course + topics, then notes and bookmarks for enrolled users
   useEffect(() => {
     if (!courseId) return;
     (async () => {
+      let courseData: Course;
       try {
-        const res = await apiClient.get<{ data: { course: Course } }>(
-          `/courses/${courseId}`
-        );
-        const courseData = res.data?.data?.course;
-
-        if (!courseData) {
-          // fallback local topics
-          const fallback = {
-            _id: courseId,
-            title: 'Option Analysis Strategy by A. Bhattacharjee',
-            topics: buildFallbackTopics(),
-            price: 1499,
-            userHasAccess: true,
-          } as Course;
-          setCourse(fallback);
-          setTopics(fallback.topics);
-          const p: Record<string, number> = {};
-          fallback.topics.forEach(
-            (t) => (p[t._id] = completedTopics[t._id] ? 100 : 0)
-          );
-          setProgress(p);
-          return;
-        }
-
-        if (!courseData.topics || courseData.topics.length === 0) {
-          courseData.topics = buildFallbackTopics();
-        }
-
-        setCourse(courseData);
-        setTopics(courseData.topics || []);
-
-        // try to fetch progress & notes if backend supports
-        try {
-          const progRes = await apiClient.get<{
-            data: { progress: Record<string, number> };
-          }>(`/courses/${courseId}/progress`);
-          setProgress(progRes.data.data.progress || {});
-        } catch {
-          // fallback: 0% for each topic
-          const p: Record<string, number> = {};
-          (courseData.topics || []).forEach(
-            (t) => (p[t._id] = completedTopics[t._id] ? 100 : 0)
-          );
-          setProgress(p);
-        }
-
-        try {
-          const notesRes = await apiClient.get<{
-            data: { notes: Record<string, Record<number, string>> };
-          }>(`/courses/${courseId}/notes`);
-          setNotes(notesRes.data.data.notes || {});
-        } catch {
-          const ls = localStorage.getItem(`notes_${courseId}`);
-          if (ls) setNotes(JSON.parse(ls));
-        }
+        courseData = await fetchCourse();
       } catch {
-        // fallback if network error
-        const fallback = {
-          _id: courseId,
-          title: 'Option Analysis Strategy by A. Bhattacharjee',
-          topics: buildFallbackTopics(),
-          price: 1499,
-          userHasAccess: true,
-        } as Course;
-        setCourse(fallback);
-        setTopics(fallback.topics);
-        const p: Record<string, number> = {};
-        fallback.topics.forEach(
-          (t) => (p[t._id] = completedTopics[t._id] ? 100 : 0)
-        );
-        setProgress(p);
-
-        const ls = localStorage.getItem(`notes_${courseId}`);
-        if (ls) setNotes(JSON.parse(ls));
+        setLoadError(true);
+        return;
+      }
+      lastRefresh.current = Date.now();
+      setLoadError(false);
+      setCourse(courseData);
+      setTopics(courseData.topics);
+      if (!courseData.userHasAccess) return;
+
+      const [notesRes, bookmarksRes] = await Promise.all([
+        notesAPI.list(courseId),
+        bookmarksAPI.list(courseId),
+      ]);
+      if (notesRes.success && notesRes.data) setNotes(notesRes.data.notes);
+      if (bookmarksRes.success && bookmarksRes.data) {
+        setBookmarks(bookmarksRes.data.bookmarks);
       }
     })();
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [courseId]);
+  }, [courseId, fetchCourse]);
 
   const activeTopic = topics[activeTopicIndex];
   const totalPages = activeTopic?.images?.length ?? 0;
 
-  // load persisted viewedPages & completedTopics from localStorage when topics are ready
-  useEffect(() => {
-    if (!courseId || topics.length === 0) return;
-
-    // viewedPages
-    const vp = localStorage.getItem(`viewedPages_${courseId}`);
-    if (vp) {
-      try {
-        const parsed: Record<string, number[]> = JSON.parse(vp);
-        const converted: Record<string, Set<number>> = {};
-        Object.entries(parsed).forEach(([k, arr]) => {
-          converted[k] = new Set(arr);
-        });
-        setViewedPages(converted);
-      } catch {
-        setViewedPages({});
-      }
-    }
-
-    // completedTopics
-    const ct = localStorage.getItem(`completedTopics_${courseId}`);
-    if (ct) {
-      try {
-        const parsed: Record<string, boolean> = JSON.parse(ct);
-        setCompletedTopics(parsed);
-        // reflect in progress
-        setProgress((prev) => {
-          const copy = { ...prev };
-          Object.keys(parsed).forEach((tid) => {
-            if (parsed[tid]) copy[tid] = 100;
-          });
-          return copy;
-        });
-      } catch {
-        // noop
-      }
-    }
-
-    // bookmarked page fallback already exists in your code
-
-    // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [topics, courseId]);
-
   // Preload current/adjacent images
   useEffect(() => {
     if (!activeTopic) return;
@@ -256,159 +164,100 @@ export default function CourseReader() {
 
   const shouldRenderImage = (idx: number) => Math.abs(idx - currentPage) <= 2;
 
-  // bookmark save (same as before)
-  const saveBookmark = async (topicId: string, imageIndex: number) => {
-    try {
-      await apiClient.post(`/courses/${courseId}/bookmark`, {
-        topicId,
-        imageIndex,
-      });
-    } catch {
-      const key = `bookmark_${courseId}`;
-      localStorage.setItem(key, JSON.stringify({ topicId, imageIndex }));
-    }
-  };
+  // Remember the page on screen, so the course resumes here
+  const savePosition = useCallback(
+    async (topicId: string, imageIndex: number) => {
+      try {
+        await apiClient.post(`/courses/${courseId}/bookmark`, {
+          topicId,
+          imageIndex,
+        });
+      } catch {
+        const key = `bookmark_${courseId}`;
+        localStorage.setItem(key, JSON.stringify({ topicId, imageIndex }));
+      }
+    },
+    [courseId]
+  );
+
+  // Start at the linked page, else the last page seen; once per course, since
+  // topics are reloaded whenever the page URLs are refreshed. Until then the
+  // first page is on screen only as a placeholder, so it is neither saved as
+  // the position nor counted as viewed
+  const startApplied = useRef(false);
+  const [startReady, setStartReady] = useState(false);
+  useEffect(() => {
+    startApplied.current = false;
+    setStartReady(false);
+  }, [courseId]);
 
-  // load bookmark on mount -> if exists local or backend
+  // load the resume point on mount -> from the backend, else local
   useEffect(() => {
+    if (topics.length === 0 || startApplied.current) return;
+    startApplied.current = true;
+
+    const linkedTopic = topics.findIndex(
+      (t) => t._id === searchParams.get('topic')
+    );
+    if (linkedTopic >= 0) {
+      const page = Number(searchParams.get('page')) || 0;
+      setActiveTopicIndex(linkedTopic);
+      setCurrentPage(
+        Math.min(Math.max(0, page), topics[linkedTopic].images.length - 1)
+      );
+      setStartReady(true);
+      return;
+    }
+
     (async () => {
-      // try backend
-      try {
-        const bookmarkRes = await apiClient.get<{
-          data: { bookmark: { topicId: string; imageIndex: number } | null };
-        }>(`/courses/${courseId}/bookmark`);
-        const bm = bookmarkRes.data.data.bookmark;
-
-        if (bm) {
-          const topicIndex = topics.findIndex((t) => t._id === bm.topicId);
-          if (topicIndex >= 0) {
-            setActiveTopicIndex(topicIndex);
-            setCurrentPage(bm.imageIndex);
-            return;
-          }
-        }
-      } catch {
+      const openAt = (topicId: string, imageIndex: number) => {
+        const topicIndex = topics.findIndex((t) => t._id === topicId);
+        if (topicIndex < 0) return;
+        setActiveTopicIndex(topicIndex);
+        setCurrentPage(
+          Math.min(Math.max(0, imageIndex), topics[topicIndex].images.length - 1)
+        );
+      };
+
+      const res = courseId ? await bookmarksAPI.resume(courseId) : null;
+      if (res?.success) {
+        if (res.data?.resume) openAt(res.data.resume.topicId, res.data.resume.imageIndex);
+      } else {
         const ls = localStorage.getItem(`bookmark_${courseId}`);
         if (ls) {
           const bm = JSON.parse(ls);
-          const topicIndex = topics.findIndex((t) => t._id === bm.topicId);
-          if (topicIndex >= 0) {
-            setActiveTopicIndex(topicIndex);
-            setCurrentPage(bm.imageIndex);
-          }
+          openAt(bm.topicId, bm.imageIndex);
         }
       }
+      setStartReady(true);
     })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [topics]);
 
-  // Auto-save bookmark whenever page changes
+  // Auto-save the position whenever page changes
   useEffect(() => {
-    if (!activeTopic) return;
-    saveBookmark(activeTopic._id, currentPage);
-  }, [currentPage, activeTopic]);
+    if (!activeTopic || !startReady) return;
+    savePosition(activeTopic._id, currentPage);
+  }, [currentPage, activeTopic, startReady, savePosition]);
 
-  // Save viewed page when page changes (page-level tracking)
+  // Queue a page view whenever the page changes (page-level tracking)
   useEffect(() => {
-    if (!activeTopic) return;
+    if (!activeTopic || !startReady) return;
+    recordView(activeTopic._id, currentPage);
+  }, [currentPage, activeTopic, startReady, recordView]);
 
-    setViewedPages((prev) => {
-      const updated: Record<string, Set<number>> = {};
-      // shallow copy existing sets
-      Object.entries(prev).forEach(([k, set]) => {
-        updated[k] = new Set(set);
-      });
-
-      if (!updated[activeTopic._id]) updated[activeTopic._id] = new Set();
-      updated[activeTopic._id].add(currentPage);
-
-      // persist to localStorage as arrays
-      const toStore: Record<string, number[]> = {};
-      Object.entries(updated).forEach(([k, s]) => {
-        toStore[k] = Array.from(s);
-      });
-      localStorage.setItem(`viewedPages_${courseId}`, JSON.stringify(toStore));
-
-      return updated;
-    });
-  }, [currentPage, activeTopic, courseId]);
-
-  // Weighted overall progress based on viewed pages (pages viewed / total pages)
-  const weightedProgress = useMemo(() => {
-    let totalPages = 0;
-    let viewedCount = 0;
-
-    topics.forEach((topic) => {
-      const pageCount = topic.images.length;
-      totalPages += pageCount;
-      const viewed = viewedPages[topic._id]?.size || 0;
-      viewedCount += viewed;
-    });
-
-    if (totalPages === 0) return 0;
-    return Math.round((viewedCount / totalPages) * 100);
-  }, [topics, viewedPages]);
-
-  // Sync weighted progress to context so dashboard shows it
+  // Sync the server-weighted progress to context so dashboard shows it
   useEffect(() => {
     if (!courseId) return;
     updateCourseProgress(courseId, weightedProgress);
-    // optionally persist locally
-    localStorage.setItem(
-      `overallProgress_${courseId}`,
-      String(weightedProgress)
-    );
-
-    // optionally sync to backend (placeholder)
-    (async () => {
-      try {
-        await apiClient.post(`/courses/${courseId}/progress`, {
-          overall: weightedProgress,
-          perTopic: progress, // best-effort
-        });
-      } catch {
-        // backend may not be available now — that's ok
-      }
-    })();
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [weightedProgress, courseId]);
 
   // Mark topic complete — manual (marks, saves, then ADVANCES to next topic)
-  const markTopicComplete = async (topicId: string) => {
-    // optimistic local update
-    setProgress((prev) => ({ ...prev, [topicId]: 100 }));
-
-    // mark completedTopics and persist
-    setCompletedTopics((prev) => {
-      const copy = { ...prev, [topicId]: true };
-      localStorage.setItem(`completedTopics_${courseId}`, JSON.stringify(copy));
-      return copy;
-    });
-
-    // ensure all pages flagged as viewed for weighted progress
+  const markTopicComplete = (topicId: string) => {
+    // queued with the page views; counts every page of the topic as viewed
+    completeTopic(topicId);
     const topic = topics.find((t) => t._id === topicId);
-    if (topic) {
-      setViewedPages((prev) => {
-        const updated = { ...prev };
-        updated[topicId] = new Set(topic.images.map((_, i) => i));
-        const toStore: Record<string, number[]> = {};
-        Object.entries(updated).forEach(
-          ([k, s]) => (toStore[k] = Array.from(s))
-        );
-        localStorage.setItem(
-          `viewedPages_${courseId}`,
-          JSON.stringify(toStore)
-        );
-        return updated;
-      });
-    }
-
-    // backend placeholder: mark topic complete
-    try {
-      await apiClient.post(`/courses/${courseId}/topics/${topicId}/complete`);
-    } catch {
-      // ignore backend error
-    }
 
     toast({
       title: '✔ Topic Completed',
@@ -433,44 +282,8 @@ export default function CourseReader() {
     if (!activeTopic) return;
     const lastPage = activeTopic.images.length - 1;
     if (currentPage === lastPage && (progress[activeTopic._id] || 0) < 100) {
-      // mark progress locally (but don't auto-advance)
-      setProgress((prev) => ({ ...prev, [activeTopic._id]: 100 }));
-
-      // mark all pages as viewed for this topic
-      setViewedPages((prev) => {
-        const updated = { ...prev };
-        updated[activeTopic._id] = new Set(activeTopic.images.map((_, i) => i));
-        const toStore: Record<string, number[]> = {};
-        Object.entries(updated).forEach(
-          ([k, s]) => (toStore[k] = Array.from(s))
-        );
-        localStorage.setItem(
-          `viewedPages_${courseId}`,
-          JSON.stringify(toStore)
-        );
-        return updated;
-      });
-
-      // persist completed flag
-      setCompletedTopics((prev) => {
-        const copy = { ...prev, [activeTopic._id]: true };
-        localStorage.setItem(
-          `completedTopics_${courseId}`,
-          JSON.stringify(copy)
-        );
-        return copy;
-      });
-
-      // try to tell backend (non-blocking)
-      (async () => {
-        try {
-          await apiClient.post(
-            `/courses/${courseId}/topics/${activeTopic._id}/complete`
-          );
-        } catch {
-          // ignore backend failure
-        }
-      })();
+      // mark complete (but don't auto-advance)
+      completeTopic(activeTopic._id);
 
       toast({
         title: '🎉 Topic Completed',
@@ -480,34 +293,89 @@ export default function CourseReader() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [currentPage, activeTopic]);
 
-  // Save note (backend when available else localStorage)
-  const handleNoteChange = (
-    topicId: string,
-    imageIndex: number,
-    text: string
-  ) => {
-    setNotes((prev) => {
-      const copy = { ...prev };
-      copy[topicId] = copy[topicId] || {};
-      copy[topicId][imageIndex] = text;
-      localStorage.setItem(`notes_${courseId}`, JSON.stringify(copy));
-      return copy;
+  const pageNotes = activeTopic
+    ? notes.filter(
+        (n) => n.topicId === activeTopic._id && n.imageIndex === currentPage
+      )
+    : [];
+
+  // Leaving a page drops a half-drawn highlight
+  useEffect(() => {
+    setDrawing(false);
+    setDraftRect(null);
+    setActiveNoteId(null);
+  }, [currentPage, activeTopic]);
+
+  const saveNote = async (input: NoteInput, noteId: string | null) => {
+    if (!courseId || !activeTopic) return false;
+    const res = noteId
+      ? await notesAPI.update(courseId, noteId, input)
+      : await notesAPI.create(courseId, activeTopic._id, currentPage, input);
+    if (!res.success || !res.data) {
+      toast({ title: 'Note not saved', description: res.message, variant: 'destructive' });
+      return false;
+    }
+    const saved = res.data.note;
+    setNotes((prev) =>
+      noteId
+        ? prev.map((n) => (n._id === noteId ? saved : n))
+        : [...prev, saved]
+    );
+    setDrawing(false);
+    return true;
+  };
+
+  const deleteNote = async (noteId: string) => {
+    if (!courseId) return;
+    const res = await notesAPI.remove(courseId, noteId);
+    if (!res.success) {
+      toast({ title: 'Note not deleted', description: res.message, variant: 'destructive' });
+      return;
+    }
+    setNotes((prev) => prev.filter((n) => n._id !== noteId));
+  };
+
+  const saveBookmark = async (label: string) => {
+    if (!courseId || !activeTopic) return false;
+    const res = await bookmarksAPI.save(courseId, {
+      topicId: activeTopic._id,
+      imageIndex: currentPage,
+      label,
     });
+    if (!res.success || !res.data) {
+      toast({ title: 'Bookmark not saved', description: res.message, variant: 'destructive' });
+      return false;
+    }
+    const saved = res.data.bookmark;
+    setBookmarks((prev) => [saved, ...prev.filter((b) => b._id !== saved._id)]);
+    return true;
   };
 
-  const saveNote = async (topicId: string, imageIndex: number) => {
-    const text = notes[topicId]?.[imageIndex] || '';
-    setLoadingSave(true);
-    try {
-      await apiClient.post(
-        `/courses/${courseId}/topics/${topicId}/images/${imageIndex}/note`,
-        { note: text }
-      );
-      toast({ title: 'Saved', description: 'Note saved to server.' });
-    } catch {
-      toast({ title: 'Saved locally', description: 'Note saved locally.' });
-    } finally {
-      setLoadingSave(false);
+  const deleteBookmark = async (bookmarkId: string) => {
+    if (!courseId) return;
+    const res = await bookmarksAPI.remove(courseId, bookmarkId);
+    if (!res.success) {
+      toast({ title: 'Bookmark not deleted', description: res.message, variant: 'destructive' });
+      return;
+    }
+    setBookmarks((prev) => prev.filter((b) => b._id !== bookmarkId));
+  };
+
+  const openBookmark = (bookmark: Bookmark) => {
+    const topicIndex = topics.findIndex((t) => t._id === bookmark.topicId);
+    if (topicIndex < 0) return;
+    setActiveTopicIndex(topicIndex);
+    setCurrentPage(Math.min(bookmark.imageIndex, topics[topicIndex].images.length - 1));
+  };
+
+  const exportNotes = async (format: NoteExportFormat) => {
+    if (!courseId || !course) return;
+    setExporting(format);
+    const slug = course.title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    const res = await notesAPI.exportNotes(courseId, format, `${slug || 'course'}-notes.${format}`);
+    setExporting(null);
+    if (!res.success) {
+      toast({ title: 'Notes not downloaded', description: res.message, variant: 'destructive' });
     }
   };
 
@@ -527,6 +395,23 @@ export default function CourseReader() {
   // Simple UI lock check
   const isLocked = !!course && course.userHasAccess === false;
 
+  if (loadError) {
+    return (
+      <main className='min-h-screen bg-gradient-to-br from-[#0b1f3a] to-[#090e1d] text-white p-4 flex items-center justify-center'>
+        <div className='text-center space-y-4'>
+          <div className='text-2xl font-bold'>Course unavailable</div>
+          <div className='text-sm text-white/80'>
+            We couldn&apos;t load this course. Check your connection and try
+            again.
+          </div>
+          <Button onClick={() => navigate('/dashboard')}>
+            Back to Dashboard
+          </Button>
+        </div>
+      </main>
+    );
+  }
+
   return (
     <main className='min-h-screen bg-gradient-to-br from-[#0b1f3a] to-[#090e1d] text-white p-4'>
       <div className='max-w-[1300px] mx-auto grid grid-cols-12 gap-4'>
@@ -584,6 +469,7 @@ export default function CourseReader() {
                         wheel={{ step: 0.1 }}
                         doubleClick={{ disabled: true }}
                         pinch={{ step: 5 }}
+                        panning={{ disabled: drawing }}
                       >
                         <TransformComponent>
                           <div className='flex items-center justify-center'>
@@ -599,22 +485,41 @@ export default function CourseReader() {
                                   />
                                 );
                               return (
-                                <img
+                                <div
                                   key={idx}
-                                  src={imgUrl}
-                                  alt={`Page ${idx + 1}`}
-                                  loading='lazy'
+                                  className='relative'
                                   style={{
                                     display:
                                       idx === currentPage ? 'block' : 'none',
-                                    maxHeight: '75vh',
-                                    width: 'auto',
-                                    objectFit: 'contain',
                                   }}
-                                  className='rounded shadow-lg'
-                                  onContextMenu={(e) => e.preventDefault()}
-                                  draggable={false}
-                                />
+                                >
+                                  <img
+                                    src={imgUrl}
+                                    alt={`Page ${idx + 1}`}
+                                    loading='lazy'
+                                    style={{
+                                      maxHeight: '75vh',
+                                      width: 'auto',
+                                      objectFit: 'contain',
+                                    }}
+                                    className='block rounded shadow-lg'
+                                    onError={refreshImageUrls}
+                                    onContextMenu={(e) => e.preventDefault()}
+                                    draggable={false}
+                                  />
+                                  {idx === currentPage && (
+                                    <HighlightLayer
+                                      notes={pageNotes}
+                                      activeNoteId={activeNoteId}
+                                      drawing={drawing}
+                                      draftRect={draftRect}
+                                      onDraw={(rect) => {
+                                        setDraftRect(rect);
+                                        setDrawing(false);
+                                      }}
+                                    />
+                                  )}
+                                </div>
                               );
                             })}
                           </div>
@@ -686,41 +591,20 @@ export default function CourseReader() {
                       </div>
 
                       {/* notes */}
-                      <div className='w-full mt-4'>
-                        <Label className='text-white/90'>
-                          Notes for this page
-                        </Label>
-                        <div className='flex gap-2 mt-2'>
-                          <Input
-                            value={
-                              (notes[activeTopic._id] &&
-                                notes[activeTopic._id][currentPage]) ||
-                              ''
-                            }
-                            onChange={(e) =>
-                              handleNoteChange(
-                                activeTopic._id,
-                                currentPage,
-                                e.target.value
-                              )
-                            }
-                            placeholder='Write and save notes for this page...'
-                            className='bg-white/5 text-white'
-                          />
-                          <Button
-                            onClick={() =>
-                              saveNote(activeTopic._id, currentPage)
-                            }
-                            disabled={loadingSave}
-                            className='bg-[#F6A32F] text-white'
-                          >
-                            Save
-                          </Button>
-                        </div>
-                        <div className='text-xs mt-2 text-white/70'>
-                          Notes saved locally if backend unavailable.
-                        </div>
-                      </div>
+                      {!isLocked && (
+                        <PageNotes
+                          key={`${activeTopic._id}-${currentPage}`}
+                          notes={pageNotes}
+                          activeNoteId={activeNoteId}
+                          onSelect={setActiveNoteId}
+                          drawing={drawing}
+                          onToggleDrawing={() => setDrawing((d) => !d)}
+                          draftRect={draftRect}
+                          onClearDraft={() => setDraftRect(null)}
+                          onSave={saveNote}
+                          onDelete={deleteNote}
+                        />
+                      )}
                     </div>
                   ) : (
                     <div>Loading topic...</div>
@@ -765,11 +649,51 @@ export default function CourseReader() {
                       />
                     </div>
                     <div className='text-xs mt-1 text-white/70'>
-                      {t.images.length} pages
+                      {t.pageCount ?? t.images.length} pages
                     </div>
                   </div>
                 );
               })}
+
+              {!isLocked && (
+                <BookmarkList
+                  bookmarks={bookmarks}
+                  topics={topics}
+                  current={
+                    activeTopic
+                      ? { topicId: activeTopic._id, imageIndex: currentPage }
+                      : null
+                  }
+                  onSave={saveBookmark}
+                  onOpen={openBookmark}
+                  onDelete={deleteBookmark}
+                />
+              )}
+
+              {!isLocked && (
+                <div className='pt-3 border-t border-white/10'>
+                  <div className='flex justify-between items-center'>
+                    <div className='font-semibold'>My notes</div>
+                    <div className='text-xs text-white/80'>{notes.length}</div>
+                  </div>
+                  <div className='text-xs mt-1 text-white/70'>
+                    Download a study sheet of your notes, by topic and page
+                  </div>
+                  <div className='flex flex-wrap gap-2 mt-2'>
+                    {EXPORT_FORMATS.map(({ format, label }) => (
+                      <Button
+                        key={format}
+                        size='sm'
+                        className='bg-transparent border border-white/20 text-white px-3 rounded-md'
+                        disabled={notes.length === 0 || exporting !== null}
+                        onClick={() => exportNotes(format)}
+                      >
+                        {exporting === format ? 'Preparing…' : label}
+                      </Button>
+                    ))}
+                  </div>
+                </div>
+              )}
             </CardContent>
           </Card>
         </aside>
@@ -1,7 +1,8 @@
 // src/pages/Dashboard.tsx
 
-import { useEffect, useMemo } from 'react';
+import { useEffect, useMemo, useState } from 'react';
 import { useApp } from '@/contexts/AppContext';
+import { bookmarksAPI, type ResumePoint } from '@/services/api';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Button } from '@/components/ui/button';
 import { BookOpen, Award, TrendingUp, Clock } from 'lucide-react';
@@ -121,7 +122,37 @@ const Dashboard = () => {
   const activeCourses = courses.filter(
     (c) => c.isEnrolled && c.progress > 0 && c.progress < 100
   );
-  const continueLearning = activeCourses; // alias
+
+  // Where each course was left off, most recently read first
+  const [resumePoints, setResumePoints] = useState<ResumePoint[]>([]);
+  useEffect(() => {
+    bookmarksAPI.continueLearning().then((res) => {
+      if (res.success && res.data) setResumePoints(res.data.resume);
+    });
+  }, []);
+
+  // Courses may be keyed by id or slug
+  const resumeIndex = (courseId: string) =>
+    resumePoints.findIndex(
+      (r) => r.courseId === courseId || r.course?.slug === courseId
+    );
+  const resumeFor = (courseId: string) =>
+    resumePoints[resumeIndex(courseId)] as ResumePoint | undefined;
+
+  // Straight to the topic and page the course was left at
+  const courseLink = (courseId: string) => {
+    const resume = resumeFor(courseId);
+    return resume
+      ? `/dashboard/course/${resume.courseId}?topic=${resume.topicId}&page=${resume.imageIndex}`
+      : `/dashboard/course/${courseId}`;
+  };
+
+  // Most recently read first; courses never opened keep their order, last
+  const continueLearning = [...activeCourses].sort((a, b) => {
+    const ia = resumeIndex(a.id);
+    const ib = resumeIndex(b.id);
+    return (ia < 0 ? Infinity : ia) - (ib < 0 ? Infinity : ib);
+  });
 
   // ======================
   // 2️⃣ Hours learned (pages viewed → hours)
@@ -254,59 +285,67 @@ const Dashboard = () => {
           </Card>
         )}
 
-        {continueLearning.map((course) => (
-          <Card
-            key={course.id}
-            className='relative overflow-hidden rounded-xl shadow-lg transform hover:-translate-y-1 transition-all cursor-pointer'
-            onClick={() => navigate(`/dashboard/course/${course.id}`)}
-          >
-            {/* Background Thumbnail */}
-            <div
-              className='absolute inset-0 bg-cover bg-center opacity-25 blur-sm'
-              style={{ backgroundImage: `url(${course.thumbnail})` }}
-            />
-
-            {/* Overlay */}
-            <div className='absolute inset-0 bg-gradient-to-br from-black/60 to-black/80' />
-
-            <div className='relative flex items-stretch z-10'>
-              <div className='p-4 flex items-center'>
-                <ProgressRing value={course.progress} />
-              </div>
+        {continueLearning.map((course) => {
+          const resume = resumeFor(course.id);
+          return (
+            <Card
+              key={course.id}
+              className='relative overflow-hidden rounded-xl shadow-lg transform hover:-translate-y-1 transition-all cursor-pointer'
+              onClick={() => navigate(courseLink(course.id))}
+            >
+              {/* Background Thumbnail */}
+              <div
+                className='absolute inset-0 bg-cover bg-center opacity-25 blur-sm'
+                style={{ backgroundImage: `url(${course.thumbnail})` }}
+              />
+
+              {/* Overlay */}
+              <div className='absolute inset-0 bg-gradient-to-br from-black/60 to-black/80' />
+
+              <div className='relative flex items-stretch z-10'>
+                <div className='p-4 flex items-center'>
+                  <ProgressRing value={course.progress} />
+                </div>
 
-              <div className='flex-1 p-4'>
-                <h3 className='text-lg text-white font-semibold line-clamp-2'>
-                  {course.title}
-                </h3>
-                <p className='text-sm text-white/70 mt-1'>
-                  {course.instructor}
-                </p>
-
-                <div className='mt-4 flex items-center justify-between'>
-                  <div className='w-2/3'>
-                    <div className='text-xs text-white/60'>Progress</div>
-                    <div className='w-full bg-white/10 rounded h-2 mt-2 overflow-hidden'>
-                      <div
-                        style={{ width: `${course.progress}%` }}
-                        className='h-2 bg-[#F6A32F]'
-                      />
+                <div className='flex-1 p-4'>
+                  <h3 className='text-lg text-white font-semibold line-clamp-2'>
+                    {course.title}
+                  </h3>
+                  <p className='text-sm text-white/70 mt-1'>
+                    {course.instructor}
+                  </p>
+                  {resume?.topicTitle && (
+                    <p className='text-xs text-white/60 mt-1 line-clamp-1'>
+                      {resume.topicTitle} · Page {resume.imageIndex + 1}
+                    </p>
+                  )}
+
+                  <div className='mt-4 flex items-center justify-between'>
+                    <div className='w-2/3'>
+                      <div className='text-xs text-white/60'>Progress</div>
+                      <div className='w-full bg-white/10 rounded h-2 mt-2 overflow-hidden'>
+                        <div
+                          style={{ width: `${course.progress}%` }}
+                          className='h-2 bg-[#F6A32F]'
+                        />
+                      </div>
                     </div>
-                  </div>
 
-                  <Button
-                    className='bg-[#F6A32F] text-white'
-                    onClick={(e) => {
-                      e.stopPropagation();
-                      navigate(`/dashboard/course/${course.id}`);
-                    }}
-                  >
-                    Continue
-                  </Button>
+                    <Button
+                      className='bg-[#F6A32F] text-white'
+                      onClick={(e) => {
+                        e.stopPropagation();
+                        navigate(courseLink(course.id));
+                      }}
+                    >
+                      Continue
+                    </Button>
+                  </div>
                 </div>
               </div>
-            </div>
-          </Card>
-        ))}
+            </Card>
+          );
+        })}
       </div>
 
       {/* CERTIFICATES */}
@@ -1,27 +1,55 @@
 'use client';
 
-import { useState } from 'react';
+import { useCallback, useEffect, useRef, useState } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import { Card, CardHeader, CardTitle, CardContent } from '@/components/ui/card';
 import { Input } from '@/components/ui/input';
 import { Button } from '@/components/ui/button';
 import { toast } from 'sonner';
 import { useApp } from '@/contexts/AppContext';
-import { apiClient } from '@/services/api';
+import { apiClient, authAPI } from '@/services/api';
+
+const RESEND_COOLDOWN_SECONDS = 60;
 
 export default function EmailVerification() {
   const navigate = useNavigate();
   const location = useLocation();
-  const { updateUser } = useApp();
+  const { user, updateUser } = useApp();
 
-  // Form data received from ProfileSetup page
+  // Form data received from ProfileSetup page; without it we verify the
+  // account's current email (e.g. right after signup)
   const details = location.state?.formData;
 
-  const newEmail = details?.email;
+  const newEmail = details?.email || user?.email;
   const [otp, setOtp] = useState('');
   const [loading, setLoading] = useState(false);
-
-  if (!details) {
+  const [cooldown, setCooldown] = useState(0);
+  const sentOnce = useRef(false);
+
+  const sendCode = useCallback(async () => {
+    const res = await authAPI.sendOtp(details?.email);
+    if (res.success) {
+      toast.success(res.message);
+      setCooldown(RESEND_COOLDOWN_SECONDS);
+    } else {
+      toast.error(res.message || 'Failed to send verification code');
+    }
+  }, [details?.email]);
+
+  // Send the first code as soon as the page opens
+  useEffect(() => {
+    if (sentOnce.current || !newEmail) return;
+    sentOnce.current = true;
+    sendCode();
+  }, [newEmail, sendCode]);
+
+  useEffect(() => {
+    if (cooldown <= 0) return;
+    const timer = setTimeout(() => setCooldown((c) => c - 1), 1000);
+    return () => clearTimeout(timer);
+  }, [cooldown]);
+
+  if (!newEmail) {
     return (
       <div className='flex min-h-screen items-center justify-center'>
         <p className='text-white'>Invalid request</p>
@@ -30,42 +58,53 @@ export default function EmailVerification() {
   }
 
   const handleVerify = async () => {
-    if (otp.length < 4) {
-      toast.error('Please enter a valid OTP');
+    if (!/^[0-9]{6}$/.test(otp)) {
+      toast.error('Please enter the 6-digit code');
       return;
     }
 
     setLoading(true);
 
     try {
-      // Backend verification (placeholder)
-      // Your backend dev will implement this.
-      // -------------------------------------------------------
-      // await apiClient.post("/auth/verify-otp", {
-      //   email: newEmail,
-      //   otp,
-      // });
-      // -------------------------------------------------------
-
-      // Simulate success for now:
-      await new Promise((resolve) => setTimeout(resolve, 800));
-
-      // Update user with new details
+      // verifyOtp resolves with the server's message rather than throwing
+      const res = await authAPI.verifyOtp({ otp, email: details?.email });
+      if (!res.success) {
+        toast.error(res.message || 'Incorrect OTP, please try again.');
+        return;
+      }
+
+      if (!details) {
+        toast.success('Email verified!');
+        navigate(location.state?.next || '/dashboard');
+        return;
+      }
+
+      // The email itself was changed by verify-otp; save the rest
+      try {
+        await apiClient.post('/user/profile', {
+          fullName: details.fullName,
+          phone: details.phone,
+          gender: details.gender,
+          city: details.city,
+          state: details.state,
+        });
+      } catch (err) {
+        console.error(err);
+        updateUser({ email: details.email });
+        toast.error('Email verified, but saving your profile failed.');
+        return;
+      }
+
       updateUser({
         name: details.fullName,
         email: details.email,
         phone: details.phone,
       });
-
       toast.success('Email verified & profile updated!');
-
       navigate('/dashboard/profile');
-    } catch (err) {
-      console.error(err);
-      toast.error('Incorrect OTP, please try again.');
+    } finally {
+      setLoading(false);
     }
-
-    setLoading(false);
   };
 
   return (
@@ -80,7 +119,7 @@ export default function EmailVerification() {
         <CardContent>
           <p className='text-center text-white/80 mb-6'>
             An OTP has been sent to <b>{newEmail}</b>. Please enter it below to
-            confirm the change.
+            {details ? ' confirm the change.' : ' verify your email.'}
           </p>
 
           <Input
@@ -89,7 +128,7 @@ export default function EmailVerification() {
             placeholder='Enter OTP'
             className='bg-white/20 text-white border-white/40 placeholder:text-gray-300 text-center text-lg tracking-widest py-5'
             value={otp}
-            onChange={(e) => setOtp(e.target.value)}
+            onChange={(e) => setOtp(e.target.value.replace(/\D/g, ''))}
           />
 
           <Button
@@ -103,7 +142,18 @@ export default function EmailVerification() {
           <Button
             variant='ghost'
             className='w-full mt-3 text-white/80'
-            onClick={() => navigate('/dashboard/profile-setup')}
+            onClick={sendCode}
+            disabled={cooldown > 0}
+          >
+            {cooldown > 0 ? `Resend code in ${cooldown}s` : 'Resend code'}
+          </Button>
+
+          <Button
+            variant='ghost'
+            className='w-full mt-3 text-white/80'
+            onClick={() =>
+              navigate(details ? '/dashboard/profile-setup' : '/dashboard')
+            }
           >
             Go Back
           </Button>
@@ -0,0 +1,133 @@
+import { useEffect, useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { toast } from 'sonner';
+import { Search, StickyNote } from 'lucide-react';
+import { notesAPI, type NoteSearchResult } from '@/services/api';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Badge } from '@/components/ui/badge';
+import { Input } from '@/components/ui/input';
+import { NOTE_COLORS } from '@/components/reader/noteColors';
+
+// Wait for the user to stop typing before searching
+const SEARCH_DELAY_MS = 300;
+
+const MyNotes = () => {
+  const navigate = useNavigate();
+  const [query, setQuery] = useState('');
+  const [tag, setTag] = useState<string | null>(null);
+  const [tags, setTags] = useState<{ tag: string; count: number }[]>([]);
+  const [notes, setNotes] = useState<NoteSearchResult[]>([]);
+  const [loading, setLoading] = useState(true);
+
+  useEffect(() => {
+    notesAPI.tags().then((res) => {
+      if (res.success && res.data) setTags(res.data.tags);
+    });
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    const timer = window.setTimeout(async () => {
+      setLoading(true);
+      const res = await notesAPI.search({ q: query.trim() || undefined, tag: tag ?? undefined });
+      if (cancelled) return;
+      setLoading(false);
+      if (!res.success || !res.data) {
+        toast.error(res.message);
+        return;
+      }
+      setNotes(res.data.notes);
+    }, SEARCH_DELAY_MS);
+    return () => {
+      cancelled = true;
+      window.clearTimeout(timer);
+    };
+  }, [query, tag]);
+
+  const openPage = (note: NoteSearchResult) =>
+    navigate(
+      `/dashboard/course/${note.courseId}?topic=${note.topicId}&page=${note.imageIndex}`
+    );
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">My Notes</h1>
+        <p className="text-muted-foreground">
+          Search your notes and highlights across all courses
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader className="space-y-4">
+          <div className="relative">
+            <Search className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+            <Input
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Search notes and tags"
+              className="pl-9"
+            />
+          </div>
+          {tags.length > 0 && (
+            <div className="flex flex-wrap gap-2">
+              {tags.map(({ tag: name, count }) => (
+                <Badge
+                  key={name}
+                  variant={tag === name ? 'default' : 'outline'}
+                  className="cursor-pointer"
+                  onClick={() => setTag(tag === name ? null : name)}
+                >
+                  #{name} ({count})
+                </Badge>
+              ))}
+            </div>
+          )}
+        </CardHeader>
+        <CardContent>
+          {loading ? (
+            <p className="text-sm text-muted-foreground">Loading...</p>
+          ) : notes.length === 0 ? (
+            <div className="flex flex-col items-center gap-2 py-8 text-muted-foreground">
+              <StickyNote className="h-8 w-8" />
+              <p>{query || tag ? 'No notes match your search' : 'You have no notes yet'}</p>
+            </div>
+          ) : (
+            <div className="space-y-2">
+              {notes.map((note) => (
+                <button
+                  key={note._id}
+                  type="button"
+                  onClick={() => openPage(note)}
+                  className="w-full rounded-md border p-3 text-left transition-colors hover:bg-muted"
+                >
+                  <div className="flex items-center gap-2 text-xs text-muted-foreground">
+                    <span className={`h-2.5 w-2.5 rounded-full ${NOTE_COLORS[note.color]?.swatch}`} />
+                    <span>
+                      {note.course?.title ?? 'Course'} · {note.topicTitle ?? 'Topic'} · Page{' '}
+                      {note.imageIndex + 1}
+                    </span>
+                  </div>
+                  <p className="mt-1 whitespace-pre-wrap break-words text-sm">
+                    {note.note || <span className="italic text-muted-foreground">Highlight</span>}
+                  </p>
+                  {note.tags.length > 0 && (
+                    <div className="mt-2 flex flex-wrap gap-1">
+                      {note.tags.map((name) => (
+                        <Badge key={name} variant="secondary">
+                          #{name}
+                        </Badge>
+                      ))}
+                    </div>
+                  )}
+                </button>
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default MyNotes;
@@ -1,4 +1,7 @@
-import { useApp } from '@/contexts/AppContext';
+import { useState } from 'react';
+import { toast } from 'sonner';
+import { useApp, type Payment } from '@/contexts/AppContext';
+import { ordersAPI, type ApiResponse, type CreditNoteSummary } from '@/services/api';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Badge } from '@/components/ui/badge';
 import { Button } from '@/components/ui/button';
@@ -14,6 +17,30 @@ import { CreditCard, Download, CheckCircle, XCircle, Clock } from 'lucide-react'
 
 const PaymentHistory = () => {
   const { payments } = useApp();
+  const [downloading, setDownloading] = useState<string | null>(null);
+
+  // Same file names the server suggests: "/" is not allowed in them
+  const fileNameFor = (kind: string, number: string) =>
+    `${kind}-${number.replace(/\//g, '-')}.pdf`;
+
+  const download = async (key: string, request: () => Promise<ApiResponse<null>>) => {
+    setDownloading(key);
+    const res = await request();
+    setDownloading(null);
+    if (!res.success) toast.error(res.message);
+  };
+
+  const downloadInvoice = (payment: Payment) => {
+    const invoiceId = payment.invoiceId;
+    if (!invoiceId) return;
+    const fileName = fileNameFor('invoice', payment.invoiceNumber || String(invoiceId));
+    download(`invoice-${invoiceId}`, () => ordersAPI.downloadInvoice(invoiceId, fileName));
+  };
+
+  const downloadCreditNote = (note: CreditNoteSummary) =>
+    download(`credit-note-${note.id}`, () =>
+      ordersAPI.downloadCreditNote(note.id, fileNameFor('credit-note', note.number))
+    );
 
   const getStatusIcon = (status: string) => {
     switch (status) {
@@ -142,16 +169,34 @@ const PaymentHistory = () => {
                           className="flex w-fit items-center gap-1"
                         >
                           {getStatusIcon(payment.status)}
-                          <span className="capitalize">{payment.status}</span>
+                          <span className="capitalize">{payment.status.replace(/_/g, ' ')}</span>
                         </Badge>
                       </TableCell>
                       <TableCell className="text-right">
-                        {payment.status === 'paid' && (
-                          <Button variant="ghost" size="sm">
+                        {payment.invoiceId && (
+                          <Button
+                            variant="ghost"
+                            size="sm"
+                            disabled={downloading === `invoice-${payment.invoiceId}`}
+                            onClick={() => downloadInvoice(payment)}
+                          >
                             <Download className="mr-2 h-4 w-4" />
                             Invoice
                           </Button>
                         )}
+                        {payment.creditNotes.map((note) => (
+                          <Button
+                            key={note.id}
+                            variant="ghost"
+                            size="sm"
+                            title={`Credit note ${note.number}`}
+                            disabled={downloading === `credit-note-${note.id}`}
+                            onClick={() => downloadCreditNote(note)}
+                          >
+                            <Download className="mr-2 h-4 w-4" />
+                            Credit note
+                          </Button>
+                        ))}
                       </TableCell>
                     </TableRow>
                   ))
@@ -1,70 +1,102 @@
-import { useState, useEffect } from 'react';
+import { useState, useEffect, useCallback } from 'react';
 import { useApp } from '@/contexts/AppContext';
+import { useAuth } from '@/contexts/AuthContext';
 import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
 import { Avatar, AvatarFallback, AvatarImage } from '@/components/ui/avatar';
 import { Button } from '@/components/ui/button';
 import { useNavigate } from 'react-router-dom';
 import { toast } from 'sonner';
 import { Input } from '@/components/ui/input';
-import { apiClient } from '@/services/api';
+import { Monitor } from 'lucide-react';
+import { authAPI, profileAPI, type AuthSession } from '@/services/api';
+
+const formatSessionTime = (iso: string) =>
+  new Date(iso).toLocaleString('en-IN', {
+    day: 'numeric',
+    month: 'short',
+    hour: '2-digit',
+    minute: '2-digit',
+  });
 
 const Profile = () => {
-  const { user, updateUser } = useApp();
+  const { user } = useApp();
+  const { user: authUser, signOut, updateUser: updateAuthUser } = useAuth();
   const [previewImage, setPreviewImage] = useState<string | null>(null);
+  const [uploading, setUploading] = useState(false);
+  const [sessions, setSessions] = useState<AuthSession[]>([]);
+  const [sessionsLoading, setSessionsLoading] = useState(true);
   const navigate = useNavigate();
 
-  // Load saved picture from localStorage
-  useEffect(() => {
-    const savedPic = localStorage.getItem('user_profile_pic');
-    if (savedPic) {
-      setPreviewImage(savedPic);
-      updateUser({ avatar: savedPic });
+  const loadSessions = useCallback(async () => {
+    setSessionsLoading(true);
+    const res = await authAPI.getSessions();
+    if (res.success && res.data) {
+      setSessions(res.data.sessions);
     }
+    setSessionsLoading(false);
   }, []);
 
-  // Handle image upload
-  const handleImageUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
-    const file = e.target.files?.[0];
-    if (!file) return;
-
-    const reader = new FileReader();
-    reader.onloadend = () => {
-      const base64 = reader.result as string;
-
-      // Update preview
-      setPreviewImage(base64);
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
 
-      // Save to localStorage
-      localStorage.setItem('user_profile_pic', base64);
+  const handleRevokeSession = async (session: AuthSession) => {
+    if (session.current) {
+      await signOut();
+      navigate('/auth');
+      return;
+    }
+    const res = await authAPI.revokeSession(session.id);
+    if (!res.success) {
+      toast.error(res.message);
+      return;
+    }
+    toast.success(`Signed out of ${session.device}`);
+    loadSessions();
+  };
 
-      // Update user in context
-      updateUser({ avatar: base64 });
+  const handleLogoutAll = async () => {
+    const res = await authAPI.logoutAll();
+    if (!res.success) {
+      toast.error(res.message);
+      return;
+    }
+    await signOut();
+    navigate('/auth');
+  };
 
-      toast.success('Profile picture updated successfully!');
+  // Show the picked file straight away; the server's cropped copy replaces it
+  const handleImageUpload = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
 
-      // Optional backend upload
-      uploadToBackend(file);
-    };
+    const localPreview = URL.createObjectURL(file);
+    setPreviewImage(localPreview);
+    setUploading(true);
+    const res = await profileAPI.uploadAvatar(file);
+    setUploading(false);
+    setPreviewImage(null);
+    URL.revokeObjectURL(localPreview);
 
-    reader.readAsDataURL(file);
+    if (!res.success || !res.data) {
+      toast.error(res.message);
+      return;
+    }
+    updateAuthUser({ profileImage: res.data.profileImage });
+    toast.success('Profile picture updated successfully!');
   };
 
-  // Optional backend upload
-  const uploadToBackend = async (file: File) => {
-    try {
-      const formData = new FormData();
-      formData.append('avatar', file);
-
-      // Backend dev will update this endpoint
-      await apiClient.post('/user/upload-avatar', formData, {
-        headers: { 'Content-Type': 'multipart/form-data' },
-      });
-    } catch (error) {
-      console.warn(
-        'Backend avatar upload failed (safe to ignore for now)',
-        error
-      );
+  const handleRemoveImage = async () => {
+    setUploading(true);
+    const res = await profileAPI.removeAvatar();
+    setUploading(false);
+    if (!res.success) {
+      toast.error(res.message);
+      return;
     }
+    updateAuthUser({ profileImage: '' });
+    toast.success('Profile picture removed');
   };
 
   return (
@@ -92,20 +124,33 @@ const Profile = () => {
             <input
               type='file'
               id='profilePicUpload'
-              accept='image/*'
+              accept='image/jpeg,image/png,image/webp'
               className='hidden'
               onChange={handleImageUpload}
             />
 
-            <Button
-              variant='outline'
-              size='sm'
-              onClick={() =>
-                document.getElementById('profilePicUpload')?.click()
-              }
-            >
-              Change Picture
-            </Button>
+            <div className='flex gap-2'>
+              <Button
+                variant='outline'
+                size='sm'
+                disabled={uploading}
+                onClick={() =>
+                  document.getElementById('profilePicUpload')?.click()
+                }
+              >
+                {uploading ? 'Uploading…' : 'Change Picture'}
+              </Button>
+              {authUser?.profileImage && (
+                <Button
+                  variant='ghost'
+                  size='sm'
+                  disabled={uploading}
+                  onClick={handleRemoveImage}
+                >
+                  Remove
+                </Button>
+              )}
+            </div>
           </CardContent>
         </Card>
 
@@ -170,6 +215,62 @@ const Profile = () => {
           </CardContent>
         </Card>
 
+        {/* Signed-in Devices */}
+        <Card className='lg:col-span-3'>
+          <CardHeader className='flex flex-row items-center justify-between'>
+            <CardTitle>Signed-in Devices</CardTitle>
+            <Button
+              variant='outline'
+              onClick={handleLogoutAll}
+              disabled={sessions.length === 0}
+            >
+              Sign out of all devices
+            </Button>
+          </CardHeader>
+          <CardContent className='space-y-4'>
+            {sessionsLoading ? (
+              <p className='text-sm text-muted-foreground'>Loading sessions…</p>
+            ) : sessions.length === 0 ? (
+              <p className='text-sm text-muted-foreground'>
+                No active sessions found
+              </p>
+            ) : (
+              sessions.map((session) => (
+                <div
+                  key={session.id}
+                  className='flex items-center justify-between border-b border-border pb-4 last:border-b-0 last:pb-0'
+                >
+                  <div className='flex items-center gap-3'>
+                    <Monitor className='h-5 w-5 text-muted-foreground' />
+                    <div>
+                      <h4 className='font-medium'>
+                        {session.device}
+                        {session.current && (
+                          <span className='ml-2 text-xs font-normal text-primary'>
+                            This device
+                          </span>
+                        )}
+                      </h4>
+                      <p className='text-sm text-muted-foreground'>
+                        {session.ip ? `${session.ip} · ` : ''}Last active{' '}
+                        {formatSessionTime(session.lastUsedAt)} · Signed in{' '}
+                        {formatSessionTime(session.createdAt)}
+                      </p>
+                    </div>
+                  </div>
+                  <Button
+                    variant='ghost'
+                    size='sm'
+                    onClick={() => handleRevokeSession(session)}
+                  >
+                    Sign out
+                  </Button>
+                </div>
+              ))
+            )}
+          </CardContent>
+        </Card>
+
         {/* Account Actions */}
         <Card className='lg:col-span-3'>
           <CardHeader>
@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import { Label } from '@/components/ui/label';
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from '@/components/ui/card';
+import { z } from 'zod';
+import { BookOpen } from 'lucide-react';
+import { authAPI } from '@/services/api';
+
+// Mirrors the backend's password rules so errors show before submitting
+const resetPasswordSchema = z
+  .object({
+    password: z
+      .string()
+      .min(8, { message: 'Password must be at least 8 characters' })
+      .regex(/(?=.*[a-z])(?=.*[A-Z])(?=.*[0-9])(?=.*[!@#$%^&*])/, {
+        message:
+          'Password needs an uppercase letter, a lowercase letter, a number and a special character',
+      }),
+    confirmPassword: z.string(),
+  })
+  .refine((data) => data.password === data.confirmPassword, {
+    message: "Passwords don't match",
+    path: ['confirmPassword'],
+  });
+
+const ResetPassword = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get('token') || '';
+
+  const [form, setForm] = useState({ password: '', confirmPassword: '' });
+  const [errors, setErrors] = useState<Record<string, string>>({});
+  const [isLoading, setIsLoading] = useState(false);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setErrors({});
+
+    const parsed = resetPasswordSchema.safeParse(form);
+    if (!parsed.success) {
+      const newErrors: Record<string, string> = {};
+      parsed.error.errors.forEach((error) => {
+        newErrors[error.path[0]] = error.message;
+      });
+      setErrors(newErrors);
+      return;
+    }
+
+    setIsLoading(true);
+    const res = await authAPI.resetPassword({
+      token,
+      password: parsed.data.password,
+    });
+    setIsLoading(false);
+
+    if (res.success) navigate('/auth', { replace: true });
+  };
+
+  return (
+    <div className='min-h-screen flex items-center justify-center bg-gradient-to-br from-background via-background to-primary/5 p-4'>
+      <div className='w-full max-w-md'>
+        <div className='text-center mb-8'>
+          <div className='flex items-center justify-center gap-2 mb-4'>
+            <BookOpen className='h-10 w-10 text-primary' />
+            <h1 className='text-3xl font-bold text-foreground'>AB Institute</h1>
+          </div>
+        </div>
+
+        <Card className='border-border/50 shadow-lg'>
+          <CardHeader>
+            <CardTitle>Choose a new password</CardTitle>
+            <CardDescription>
+              Reset links expire after a short time and work only once.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {!token ? (
+              <div className='space-y-4'>
+                <p className='text-sm text-destructive'>
+                  This reset link is incomplete. Please request a new one.
+                </p>
+                <Button asChild className='w-full'>
+                  <Link to='/auth'>Back to login</Link>
+                </Button>
+              </div>
+            ) : (
+              <form onSubmit={handleSubmit} className='space-y-4'>
+                <div className='space-y-2'>
+                  <Label htmlFor='reset-password'>New password</Label>
+                  <Input
+                    id='reset-password'
+                    type='password'
+                    value={form.password}
+                    onChange={(e) =>
+                      setForm({ ...form, password: e.target.value })
+                    }
+                    disabled={isLoading}
+                  />
+                  {errors.password && (
+                    <p className='text-sm text-destructive'>
+                      {errors.password}
+                    </p>
+                  )}
+                </div>
+
+                <div className='space-y-2'>
+                  <Label htmlFor='reset-confirm'>Confirm password</Label>
+                  <Input
+                    id='reset-confirm'
+                    type='password'
+                    value={form.confirmPassword}
+                    onChange={(e) =>
+                      setForm({ ...form, confirmPassword: e.target.value })
+                    }
+                    disabled={isLoading}
+                  />
+                  {errors.confirmPassword && (
+                    <p className='text-sm text-destructive'>
+                      {errors.confirmPassword}
+                    </p>
+                  )}
+                </div>
+
+                <Button type='submit' className='w-full' disabled={isLoading}>
+                  {isLoading ? 'Saving...' : 'Reset Password'}
+                </Button>
+              </form>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+    </div>
+  );
+};
+
+export default ResetPassword;
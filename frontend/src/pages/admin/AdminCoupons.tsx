@@ -0,0 +1,138 @@
+import { useMemo, useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import AdminTable, { type AdminColumn } from '@/components/admin/AdminTable';
+import DetailSheet from '@/components/admin/DetailSheet';
+import StatusBadge from '@/components/admin/StatusBadge';
+import { formatAmount, formatDate } from '@/components/admin/format';
+import { useAdminList } from '@/hooks/use-admin-list';
+import { adminAPI, type Coupon } from '@/services/api';
+
+const STATUS_OPTIONS = [
+  { value: 'all', label: 'All coupons' },
+  { value: 'active', label: 'Active' },
+  { value: 'expired', label: 'Expired' },
+  { value: 'inactive', label: 'Inactive' },
+];
+
+// Active flag plus the validity window, as checkout sees it
+const couponStatus = (coupon: Coupon) => {
+  if (!coupon.isActive) return 'inactive';
+  if (new Date(coupon.validTill) < new Date()) return 'expired';
+  return 'active';
+};
+
+const discountLabel = (coupon: Coupon) =>
+  coupon.discountType === 'percentage'
+    ? `${coupon.discountValue}%`
+    : formatAmount(coupon.discountValue);
+
+const usageLabel = (coupon: Coupon) =>
+  `${coupon.usedCount} / ${coupon.usageLimit ?? '∞'}`;
+
+const coursesLabel = (coupon: Coupon) =>
+  coupon.courseIds?.length
+    ? `${coupon.courseIds.length} course${coupon.courseIds.length === 1 ? '' : 's'}`
+    : 'All courses';
+
+const columns: AdminColumn<Coupon>[] = [
+  { header: 'Code', cell: (c) => <span className='font-mono font-medium'>{c.code}</span> },
+  { header: 'Discount', cell: discountLabel },
+  { header: 'Used', cell: usageLabel },
+  { header: 'Valid till', cell: (c) => formatDate(c.validTill) },
+  { header: 'Status', cell: (c) => <StatusBadge status={couponStatus(c)} /> },
+];
+
+const AdminCoupons = () => {
+  const { rows, loading, reload } = useAdminList(adminAPI.getCoupons);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('all');
+  const [selected, setSelected] = useState<Coupon | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return rows.filter(
+      (c) =>
+        (status === 'all' || couponStatus(c) === status) &&
+        (!q || c.code.toLowerCase().includes(q))
+    );
+  }, [rows, search, status]);
+
+  const toggleActive = async (coupon: Coupon) => {
+    setSaving(true);
+    const res = await adminAPI.setCouponActive(coupon.id, !coupon.isActive);
+    setSaving(false);
+    if (!res.success) {
+      toast.error(res.message);
+      return;
+    }
+    toast.success(coupon.isActive ? 'Coupon deactivated' : 'Coupon activated');
+    setSelected(null);
+    reload();
+  };
+
+  return (
+    <>
+      <AdminTable
+        title='Coupons'
+        rows={filtered}
+        columns={columns}
+        rowKey={(c) => c._id}
+        loading={loading}
+        emptyMessage='No coupons found'
+        search={{ value: search, onChange: setSearch, placeholder: 'Search code' }}
+        filters={[{ value: status, onChange: setStatus, options: STATUS_OPTIONS }]}
+        onRowClick={setSelected}
+      />
+
+      <DetailSheet
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected?.code ?? ''}
+        fields={
+          selected
+            ? [
+                { label: 'Status', value: <StatusBadge status={couponStatus(selected)} /> },
+                { label: 'Discount', value: discountLabel(selected) },
+                { label: 'Usage', value: usageLabel(selected) },
+                { label: 'Uses per buyer', value: selected.perUserLimit ?? '∞' },
+                { label: 'Applies to', value: coursesLabel(selected) },
+                {
+                  label: 'Minimum order',
+                  value: selected.minOrderAmount ? formatAmount(selected.minOrderAmount) : '—',
+                },
+                ...(selected.discountType === 'percentage'
+                  ? [
+                      {
+                        label: 'Maximum discount',
+                        value: selected.maxDiscountAmount
+                          ? formatAmount(selected.maxDiscountAmount)
+                          : '—',
+                      },
+                    ]
+                  : []),
+                { label: 'First purchase only', value: selected.firstPurchaseOnly ? 'Yes' : 'No' },
+                { label: 'Valid from', value: formatDate(selected.validFrom, true) },
+                { label: 'Valid till', value: formatDate(selected.validTill, true) },
+                { label: 'Created', value: formatDate(selected.createdAt, true) },
+              ]
+            : []
+        }
+        actions={
+          selected && (
+            <Button
+              variant={selected.isActive ? 'destructive' : 'default'}
+              disabled={saving}
+              onClick={() => toggleActive(selected)}
+            >
+              {selected.isActive ? 'Deactivate coupon' : 'Activate coupon'}
+            </Button>
+          )
+        }
+      />
+    </>
+  );
+};
+
+export default AdminCoupons;
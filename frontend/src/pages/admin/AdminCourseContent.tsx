@@ -0,0 +1,324 @@
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { toast } from 'sonner';
+import { ArrowLeft, GripVertical, ImagePlus, RefreshCw, Trash2 } from 'lucide-react';
+import { Button } from '@/components/ui/button';
+import { Card, CardContent, CardHeader, CardTitle } from '@/components/ui/card';
+import { Input } from '@/components/ui/input';
+import PdfImportCard from '@/components/admin/PdfImportCard';
+import {
+  adminAPI,
+  mediaUrl,
+  type ApiResponse,
+  type AuthoringCourse,
+  type AuthoringTopic,
+} from '@/services/api';
+
+// Smallest stored rendition of imported pages; other pages come back full size
+const THUMBNAIL_WIDTH = 480;
+
+// Move one item of a list to a new index
+const move = <T,>(items: T[], from: number, to: number) => {
+  const next = [...items];
+  const [item] = next.splice(from, 1);
+  next.splice(to, 0, item);
+  return next;
+};
+
+interface TopicEditorProps {
+  topic: AuthoringTopic;
+  busy: boolean;
+  run: (request: () => Promise<ApiResponse<AuthoringCourse>>, success: string) => void;
+  courseId: string;
+}
+
+const TopicEditor = ({ topic, busy, run, courseId }: TopicEditorProps) => {
+  const [title, setTitle] = useState(topic.title);
+  const [dragPage, setDragPage] = useState<number | null>(null);
+  const uploadInput = useRef<HTMLInputElement>(null);
+  const replaceInput = useRef<HTMLInputElement>(null);
+  const replaceIndex = useRef(0);
+
+  useEffect(() => setTitle(topic.title), [topic.title]);
+
+  const rename = () => {
+    const next = title.trim();
+    if (!next || next === topic.title) {
+      setTitle(topic.title);
+      return;
+    }
+    run(() => adminAPI.renameTopic(courseId, topic._id, next), 'Topic renamed');
+  };
+
+  const remove = () => {
+    const pages = topic.images.length;
+    if (!window.confirm(`Delete "${topic.title}" and its ${pages} page(s)?`)) return;
+    run(() => adminAPI.deleteTopic(courseId, topic._id), 'Topic deleted');
+  };
+
+  const upload = (files: FileList | null) => {
+    if (!files || files.length === 0) return;
+    const selected = Array.from(files);
+    run(
+      () => adminAPI.uploadPages(courseId, topic._id, selected),
+      `${selected.length} page(s) uploaded`
+    );
+  };
+
+  const replace = (files: FileList | null) => {
+    const file = files?.[0];
+    if (!file) return;
+    run(
+      () => adminAPI.replacePage(courseId, topic._id, replaceIndex.current, file),
+      'Page replaced'
+    );
+  };
+
+  const dropPage = (to: number) => {
+    if (dragPage === null || dragPage === to) return;
+    const keys = move(
+      topic.images.map((image) => image.key),
+      dragPage,
+      to
+    );
+    setDragPage(null);
+    run(() => adminAPI.reorderPages(courseId, topic._id, keys), 'Pages reordered');
+  };
+
+  return (
+    <>
+      <div className='flex items-center gap-2'>
+        <Input
+          value={title}
+          disabled={busy}
+          onChange={(e) => setTitle(e.target.value)}
+          onBlur={rename}
+          onKeyDown={(e) => e.key === 'Enter' && e.currentTarget.blur()}
+          className='font-medium'
+        />
+        <Button variant='ghost' size='icon' disabled={busy} onClick={remove}>
+          <Trash2 className='h-4 w-4' />
+        </Button>
+      </div>
+
+      <div className='mt-3 grid grid-cols-3 gap-3 sm:grid-cols-4 lg:grid-cols-6'>
+        {topic.images.map((image, index) => (
+          <div
+            key={image.key}
+            draggable={!busy}
+            onDragStart={(e) => {
+              e.stopPropagation();
+              setDragPage(index);
+            }}
+            onDragOver={(e) => dragPage !== null && e.preventDefault()}
+            onDrop={(e) => {
+              e.stopPropagation();
+              dropPage(index);
+            }}
+            onDragEnd={() => setDragPage(null)}
+            className={`group relative overflow-hidden rounded-md border bg-muted ${
+              dragPage === index ? 'opacity-50' : ''
+            }`}
+          >
+            <img
+              src={`${mediaUrl(image.url)}&w=${THUMBNAIL_WIDTH}`}
+              alt={`Page ${index + 1}`}
+              className='aspect-[3/4] w-full cursor-move object-cover'
+              draggable={false}
+            />
+            <span className='absolute left-1 top-1 rounded bg-background/80 px-1 text-xs'>
+              {index + 1}
+            </span>
+            <div className='absolute bottom-1 right-1 flex gap-1 opacity-0 transition-opacity group-hover:opacity-100'>
+              <Button
+                variant='secondary'
+                size='icon'
+                className='h-7 w-7'
+                disabled={busy}
+                title='Replace page'
+                onClick={() => {
+                  replaceIndex.current = index;
+                  replaceInput.current?.click();
+                }}
+              >
+                <RefreshCw className='h-3 w-3' />
+              </Button>
+              <Button
+                variant='destructive'
+                size='icon'
+                className='h-7 w-7'
+                disabled={busy}
+                title='Delete page'
+                onClick={() =>
+                  window.confirm(`Delete page ${index + 1}?`) &&
+                  run(
+                    () => adminAPI.deletePage(courseId, topic._id, index),
+                    'Page deleted'
+                  )
+                }
+              >
+                <Trash2 className='h-3 w-3' />
+              </Button>
+            </div>
+          </div>
+        ))}
+
+        <button
+          type='button'
+          disabled={busy}
+          onClick={() => uploadInput.current?.click()}
+          className='flex aspect-[3/4] flex-col items-center justify-center gap-1 rounded-md border border-dashed text-sm text-muted-foreground hover:bg-muted disabled:opacity-50'
+        >
+          <ImagePlus className='h-5 w-5' />
+          Add pages
+        </button>
+      </div>
+
+      <input
+        ref={uploadInput}
+        type='file'
+        accept='image/jpeg,image/png,image/webp'
+        multiple
+        hidden
+        onChange={(e) => {
+          upload(e.target.files);
+          e.target.value = '';
+        }}
+      />
+      <input
+        ref={replaceInput}
+        type='file'
+        accept='image/jpeg,image/png,image/webp'
+        hidden
+        onChange={(e) => {
+          replace(e.target.files);
+          e.target.value = '';
+        }}
+      />
+    </>
+  );
+};
+
+// Topics and page images of one course; drag to reorder either
+const AdminCourseContent = () => {
+  const { courseId = '' } = useParams<{ courseId: string }>();
+  const [course, setCourse] = useState<AuthoringCourse | null>(null);
+  const [busy, setBusy] = useState(false);
+  const [newTopic, setNewTopic] = useState('');
+  const [dragTopic, setDragTopic] = useState<number | null>(null);
+
+  const load = useCallback(async () => {
+    const res = await adminAPI.getCourseContent(courseId);
+    if (res.success && res.data) {
+      setCourse(res.data);
+    } else {
+      toast.error(res.message);
+    }
+  }, [courseId]);
+
+  useEffect(() => {
+    load();
+  }, [load]);
+
+  const run = useCallback(
+    async (request: () => Promise<ApiResponse<AuthoringCourse>>, success: string) => {
+      setBusy(true);
+      const res = await request();
+      setBusy(false);
+      if (res.success && res.data) {
+        setCourse(res.data);
+        toast.success(success);
+        return;
+      }
+      toast.error(res.message);
+      // A 409 means someone else saved first; show their version
+      load();
+    },
+    [load]
+  );
+
+  const addTopic = () => {
+    const title = newTopic.trim();
+    if (!title) return;
+    setNewTopic('');
+    run(() => adminAPI.addTopic(courseId, title), 'Topic added');
+  };
+
+  const dropTopic = (to: number) => {
+    if (!course || dragTopic === null || dragTopic === to) return;
+    const topicIds = move(
+      course.topics.map((topic) => topic._id),
+      dragTopic,
+      to
+    );
+    setDragTopic(null);
+    run(() => adminAPI.reorderTopics(courseId, topicIds), 'Topics reordered');
+  };
+
+  if (!course) {
+    return <p className='text-muted-foreground'>Loading…</p>;
+  }
+
+  return (
+    <div className='space-y-4'>
+      <div className='flex items-center gap-2'>
+        <Button variant='ghost' size='icon' asChild>
+          <Link to='/admin/courses'>
+            <ArrowLeft className='h-4 w-4' />
+          </Link>
+        </Button>
+        <div>
+          <h1 className='text-xl font-semibold'>{course.title}</h1>
+          <p className='text-sm text-muted-foreground'>
+            {course.topics.length} topic(s) · drag topics or pages to reorder them
+          </p>
+        </div>
+      </div>
+
+      {course.topics.map((topic, index) => (
+        <Card
+          key={topic._id}
+          onDragOver={(e) => dragTopic !== null && e.preventDefault()}
+          onDrop={() => dropTopic(index)}
+          className={dragTopic === index ? 'opacity-50' : undefined}
+        >
+          <CardHeader className='flex flex-row items-center gap-2 space-y-0 pb-2'>
+            <span
+              draggable={!busy}
+              onDragStart={() => setDragTopic(index)}
+              onDragEnd={() => setDragTopic(null)}
+              className='cursor-move text-muted-foreground'
+              title='Drag to reorder'
+            >
+              <GripVertical className='h-5 w-5' />
+            </span>
+            <CardTitle className='text-sm text-muted-foreground'>
+              Topic {index + 1} · {topic.images.length} page(s)
+            </CardTitle>
+          </CardHeader>
+          <CardContent>
+            <TopicEditor topic={topic} busy={busy} run={run} courseId={courseId} />
+          </CardContent>
+        </Card>
+      ))}
+
+      <PdfImportCard courseId={courseId} onImported={load} />
+
+      <Card>
+        <CardContent className='flex gap-2 pt-6'>
+          <Input
+            value={newTopic}
+            placeholder='New topic title'
+            onChange={(e) => setNewTopic(e.target.value)}
+            onKeyDown={(e) => e.key === 'Enter' && addTopic()}
+          />
+          <Button disabled={busy || !newTopic.trim()} onClick={addTopic}>
+            Add topic
+          </Button>
+        </CardContent>
+      </Card>
+    </div>
+  );
+};
+
+export default AdminCourseContent;
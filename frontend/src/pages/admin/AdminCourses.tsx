@@ -0,0 +1,120 @@
+import { useMemo, useState } from 'react';
+import { Link } from 'react-router-dom';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import AdminTable, { type AdminColumn } from '@/components/admin/AdminTable';
+import DetailSheet from '@/components/admin/DetailSheet';
+import StatusBadge from '@/components/admin/StatusBadge';
+import { formatAmount, formatDate } from '@/components/admin/format';
+import { useAdminList } from '@/hooks/use-admin-list';
+import { adminAPI, type Course } from '@/services/api';
+
+const STATUS_OPTIONS = [
+  { value: 'all', label: 'All courses' },
+  { value: 'active', label: 'Active' },
+  { value: 'inactive', label: 'Inactive' },
+];
+
+const columns: AdminColumn<Course>[] = [
+  { header: 'Title', cell: (c) => <span className='font-medium'>{c.title}</span> },
+  { header: 'Slug', cell: (c) => c.slug },
+  { header: 'Price', cell: (c) => formatAmount(c.price) },
+  {
+    header: 'Status',
+    cell: (c) => <StatusBadge status={c.isActive ? 'active' : 'inactive'} />,
+  },
+  { header: 'Created', cell: (c) => formatDate(c.createdAt) },
+];
+
+const AdminCourses = () => {
+  const { rows, loading, reload } = useAdminList(adminAPI.getCourses);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('all');
+  const [selected, setSelected] = useState<Course | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return rows.filter(
+      (c) =>
+        (status === 'all' || (status === 'active') === c.isActive) &&
+        (!q || `${c.title} ${c.slug}`.toLowerCase().includes(q))
+    );
+  }, [rows, search, status]);
+
+  const toggleActive = async (course: Course) => {
+    setSaving(true);
+    const res = await adminAPI.setCourseActive(course.slug, !course.isActive);
+    setSaving(false);
+    if (!res.success) {
+      toast.error(res.message);
+      return;
+    }
+    toast.success(course.isActive ? 'Course deactivated' : 'Course activated');
+    setSelected(null);
+    reload();
+  };
+
+  return (
+    <>
+      <AdminTable
+        title='Courses'
+        rows={filtered}
+        columns={columns}
+        rowKey={(c) => c._id}
+        loading={loading}
+        emptyMessage='No courses found'
+        search={{ value: search, onChange: setSearch, placeholder: 'Search title or slug' }}
+        filters={[{ value: status, onChange: setStatus, options: STATUS_OPTIONS }]}
+        onRowClick={setSelected}
+      />
+
+      <DetailSheet
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected?.title ?? ''}
+        description={selected?.slug}
+        fields={
+          selected
+            ? [
+                { label: 'Price', value: formatAmount(selected.price) },
+                {
+                  label: 'Original price',
+                  value: selected.originalPrice
+                    ? formatAmount(selected.originalPrice)
+                    : null,
+                },
+                {
+                  label: 'Status',
+                  value: (
+                    <StatusBadge status={selected.isActive ? 'active' : 'inactive'} />
+                  ),
+                },
+                { label: 'Description', value: selected.description },
+                { label: 'Created', value: formatDate(selected.createdAt, true) },
+                { label: 'Updated', value: formatDate(selected.updatedAt, true) },
+              ]
+            : []
+        }
+        actions={
+          selected && (
+            <>
+              <Button variant='outline' asChild>
+                <Link to={`/admin/courses/${selected._id}/content`}>Edit content</Link>
+              </Button>
+              <Button
+                variant={selected.isActive ? 'destructive' : 'default'}
+                disabled={saving}
+                onClick={() => toggleActive(selected)}
+              >
+                {selected.isActive ? 'Deactivate course' : 'Activate course'}
+              </Button>
+            </>
+          )
+        }
+      />
+    </>
+  );
+};
+
+export default AdminCourses;
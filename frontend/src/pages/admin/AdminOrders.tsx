@@ -0,0 +1,122 @@
+import { useEffect, useMemo, useState } from 'react';
+import AdminTable, { type AdminColumn } from '@/components/admin/AdminTable';
+import DetailSheet from '@/components/admin/DetailSheet';
+import RefundForm from '@/components/admin/RefundForm';
+import StatusBadge from '@/components/admin/StatusBadge';
+import { formatAmount, formatDate } from '@/components/admin/format';
+import { useAdminList } from '@/hooks/use-admin-list';
+import { adminAPI, type AdminOrder, type OrderSummary } from '@/services/api';
+
+const STATUS_OPTIONS = [
+  { value: 'all', label: 'All statuses' },
+  { value: 'pending_payment', label: 'Pending payment' },
+  { value: 'paid', label: 'Paid' },
+  { value: 'partially_refunded', label: 'Partially refunded' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'refunded', label: 'Refunded' },
+];
+
+const customer = (order: AdminOrder) => order.userId?.name || order.email;
+
+const columns: AdminColumn<AdminOrder>[] = [
+  { header: 'Order', cell: (o) => <span className='font-medium'>#{o.id}</span> },
+  { header: 'Customer', cell: customer },
+  { header: 'Email', cell: (o) => o.email },
+  { header: 'Total', cell: (o) => formatAmount(o.totalAmount) },
+  { header: 'Status', cell: (o) => <StatusBadge status={o.status} /> },
+  { header: 'Created', cell: (o) => formatDate(o.createdAt) },
+];
+
+const AdminOrders = () => {
+  const { rows, loading, reload } = useAdminList(adminAPI.getOrders);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('all');
+  const [selected, setSelected] = useState<AdminOrder | null>(null);
+  const [summary, setSummary] = useState<OrderSummary | null>(null);
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return rows.filter(
+      (o) =>
+        (status === 'all' || o.status === status) &&
+        (!q || `${o.id} ${o.email} ${o.userId?.name ?? ''}`.toLowerCase().includes(q))
+    );
+  }, [rows, search, status]);
+
+  useEffect(() => {
+    setSummary(null);
+    if (!selected) return;
+    adminAPI.getOrderSummary(selected.id).then((res) => {
+      if (res.success && res.data) setSummary(res.data);
+    });
+  }, [selected]);
+
+  const refunded = () => {
+    setSelected(null);
+    reload();
+  };
+
+  return (
+    <>
+      <AdminTable
+        title='Orders'
+        rows={filtered}
+        columns={columns}
+        rowKey={(o) => o._id}
+        loading={loading}
+        emptyMessage='No orders found'
+        search={{ value: search, onChange: setSearch, placeholder: 'Search order #, name or email' }}
+        filters={[{ value: status, onChange: setStatus, options: STATUS_OPTIONS }]}
+        onRowClick={setSelected}
+      />
+
+      <DetailSheet
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected ? `Order #${selected.id}` : ''}
+        description={selected ? customer(selected) : undefined}
+        fields={
+          selected
+            ? [
+                { label: 'Status', value: <StatusBadge status={selected.status} /> },
+                { label: 'Email', value: selected.email },
+                { label: 'Phone', value: selected.phone },
+                { label: 'Subtotal', value: formatAmount(selected.subtotalAmount) },
+                { label: 'Discount', value: formatAmount(selected.discountAmount) },
+                { label: 'Total', value: formatAmount(selected.totalAmount) },
+                { label: 'Refunded', value: formatAmount(selected.refundedAmount) },
+                { label: 'Coupon', value: selected.couponId ? `#${selected.couponId}` : null },
+                { label: 'Payment', value: selected.paymentId ? `#${selected.paymentId}` : null },
+                { label: 'Created', value: formatDate(selected.createdAt, true) },
+              ]
+            : []
+        }
+      >
+        <h4 className='font-medium'>Items</h4>
+        {summary ? (
+          summary.orderItems.map((item) => (
+            <div key={item.id} className='flex justify-between text-sm'>
+              <span>
+                {item.courseTitle} × {item.quantity}
+              </span>
+              <span>{formatAmount(item.totalPrice)}</span>
+            </div>
+          ))
+        ) : (
+          <p className='text-sm text-muted-foreground'>Loading items…</p>
+        )}
+        {selected?.paymentId && (
+          <RefundForm
+            paymentId={selected.paymentId}
+            amount={selected.totalAmount}
+            refundedAmount={selected.refundedAmount ?? 0}
+            canRefund={['paid', 'partially_refunded'].includes(selected.status)}
+            onRefunded={refunded}
+          />
+        )}
+      </DetailSheet>
+    </>
+  );
+};
+
+export default AdminOrders;
@@ -0,0 +1,116 @@
+import { useMemo, useState } from 'react';
+import AdminTable, { type AdminColumn } from '@/components/admin/AdminTable';
+import DetailSheet from '@/components/admin/DetailSheet';
+import RefundForm from '@/components/admin/RefundForm';
+import StatusBadge from '@/components/admin/StatusBadge';
+import { formatAmount, formatDate } from '@/components/admin/format';
+import { useAdminList } from '@/hooks/use-admin-list';
+import { adminAPI, type AdminPayment } from '@/services/api';
+
+const STATUS_OPTIONS = [
+  { value: 'all', label: 'All statuses' },
+  { value: 'initiated', label: 'Initiated' },
+  { value: 'captured', label: 'Captured' },
+  { value: 'failed', label: 'Failed' },
+  { value: 'refunded', label: 'Refunded' },
+];
+
+const GATEWAY_OPTIONS = [
+  { value: 'all', label: 'All gateways' },
+  { value: 'razorpay', label: 'Razorpay' },
+  { value: 'mock', label: 'Mock' },
+  { value: 'free', label: 'Free' },
+];
+
+const columns: AdminColumn<AdminPayment>[] = [
+  { header: 'Payment', cell: (p) => <span className='font-medium'>#{p.id}</span> },
+  { header: 'Order', cell: (p) => `#${p.orderId}` },
+  { header: 'Customer', cell: (p) => p.order?.email ?? '—' },
+  { header: 'Gateway', cell: (p) => <span className='capitalize'>{p.gateway}</span> },
+  { header: 'Amount', cell: (p) => formatAmount(p.amount) },
+  { header: 'Status', cell: (p) => <StatusBadge status={p.status} /> },
+  { header: 'Created', cell: (p) => formatDate(p.createdAt) },
+];
+
+const AdminPayments = () => {
+  const { rows, loading, reload } = useAdminList(adminAPI.getPayments);
+  const [search, setSearch] = useState('');
+  const [status, setStatus] = useState('all');
+  const [gateway, setGateway] = useState('all');
+  const [selected, setSelected] = useState<AdminPayment | null>(null);
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return rows.filter(
+      (p) =>
+        (status === 'all' || p.status === status) &&
+        (gateway === 'all' || p.gateway === gateway) &&
+        (!q ||
+          `${p.id} ${p.orderId} ${p.gatewayPaymentId ?? ''} ${p.order?.email ?? ''}`
+            .toLowerCase()
+            .includes(q))
+    );
+  }, [rows, search, status, gateway]);
+
+  const refunded = () => {
+    setSelected(null);
+    reload();
+  };
+
+  return (
+    <>
+      <AdminTable
+        title='Payments'
+        rows={filtered}
+        columns={columns}
+        rowKey={(p) => p._id}
+        loading={loading}
+        emptyMessage='No payments found'
+        search={{
+          value: search,
+          onChange: setSearch,
+          placeholder: 'Search payment #, order #, gateway ID or email',
+        }}
+        filters={[
+          { value: status, onChange: setStatus, options: STATUS_OPTIONS },
+          { value: gateway, onChange: setGateway, options: GATEWAY_OPTIONS },
+        ]}
+        onRowClick={setSelected}
+      />
+
+      <DetailSheet
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected ? `Payment #${selected.id}` : ''}
+        description={selected ? `Order #${selected.orderId}` : undefined}
+        fields={
+          selected
+            ? [
+                { label: 'Status', value: <StatusBadge status={selected.status} /> },
+                { label: 'Amount', value: formatAmount(selected.amount) },
+                { label: 'Refunded', value: formatAmount(selected.refundedAmount) },
+                { label: 'Gateway', value: selected.gateway },
+                { label: 'Method', value: selected.method },
+                { label: 'Gateway order', value: selected.gatewayOrderId },
+                { label: 'Gateway payment', value: selected.gatewayPaymentId },
+                { label: 'Customer', value: selected.order?.email },
+                { label: 'Created', value: formatDate(selected.createdAt, true) },
+              ]
+            : []
+        }
+      >
+        {selected && (
+          <RefundForm
+            paymentId={selected.id}
+            amount={selected.amount}
+            refundedAmount={selected.refundedAmount ?? 0}
+            canRefund={selected.status === 'captured' && selected.gateway !== 'free'}
+            onRefunded={refunded}
+          />
+        )}
+      </DetailSheet>
+    </>
+  );
+};
+
+export default AdminPayments;
@@ -0,0 +1,104 @@
+import { useMemo, useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import AdminTable, { type AdminColumn } from '@/components/admin/AdminTable';
+import DetailSheet from '@/components/admin/DetailSheet';
+import { formatDate } from '@/components/admin/format';
+import { useAdminList } from '@/hooks/use-admin-list';
+import { adminAPI, type Testimonial } from '@/services/api';
+
+const RATING_OPTIONS = [
+  { value: 'all', label: 'All ratings' },
+  ...[5, 4, 3, 2, 1].map((r) => ({ value: String(r), label: `${r} stars` })),
+];
+
+const stars = (rating?: number | null) =>
+  rating ? '★'.repeat(rating) + '☆'.repeat(5 - rating) : '—';
+
+const columns: AdminColumn<Testimonial>[] = [
+  { header: 'Name', cell: (t) => <span className='font-medium'>{t.name}</span> },
+  { header: 'City', cell: (t) => t.city || '—' },
+  { header: 'Rating', cell: (t) => stars(t.rating) },
+  {
+    header: 'Content',
+    cell: (t) => <span className='line-clamp-1 max-w-md'>{t.content}</span>,
+  },
+  { header: 'Created', cell: (t) => formatDate(t.createdAt) },
+];
+
+const AdminTestimonials = () => {
+  const { rows, loading, reload } = useAdminList(adminAPI.getTestimonials);
+  const [search, setSearch] = useState('');
+  const [rating, setRating] = useState('all');
+  const [selected, setSelected] = useState<Testimonial | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return rows.filter(
+      (t) =>
+        (rating === 'all' || String(t.rating) === rating) &&
+        (!q || `${t.name} ${t.city ?? ''} ${t.content}`.toLowerCase().includes(q))
+    );
+  }, [rows, search, rating]);
+
+  const remove = async (testimonial: Testimonial) => {
+    if (!window.confirm(`Delete the testimonial from ${testimonial.name}?`)) return;
+    setSaving(true);
+    const res = await adminAPI.deleteTestimonial(testimonial.id);
+    setSaving(false);
+    if (!res.success) {
+      toast.error(res.message);
+      return;
+    }
+    toast.success('Testimonial deleted');
+    setSelected(null);
+    reload();
+  };
+
+  return (
+    <>
+      <AdminTable
+        title='Testimonials'
+        rows={filtered}
+        columns={columns}
+        rowKey={(t) => t._id}
+        loading={loading}
+        emptyMessage='No testimonials found'
+        search={{ value: search, onChange: setSearch, placeholder: 'Search name, city or text' }}
+        filters={[{ value: rating, onChange: setRating, options: RATING_OPTIONS }]}
+        onRowClick={setSelected}
+      />
+
+      <DetailSheet
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected?.name ?? ''}
+        description={selected?.city}
+        fields={
+          selected
+            ? [
+                { label: 'Rating', value: stars(selected.rating) },
+                { label: 'User', value: selected.userId?.email },
+                { label: 'Content', value: selected.content },
+                { label: 'Created', value: formatDate(selected.createdAt, true) },
+              ]
+            : []
+        }
+        actions={
+          selected && (
+            <Button
+              variant='destructive'
+              disabled={saving}
+              onClick={() => remove(selected)}
+            >
+              Delete testimonial
+            </Button>
+          )
+        }
+      />
+    </>
+  );
+};
+
+export default AdminTestimonials;
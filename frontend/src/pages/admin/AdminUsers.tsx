@@ -0,0 +1,249 @@
+import { useCallback, useEffect, useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import { Input } from '@/components/ui/input';
+import {
+  Select,
+  SelectContent,
+  SelectItem,
+  SelectTrigger,
+  SelectValue,
+} from '@/components/ui/select';
+import AdminTable, { type AdminColumn } from '@/components/admin/AdminTable';
+import DetailSheet from '@/components/admin/DetailSheet';
+import StatusBadge from '@/components/admin/StatusBadge';
+import { formatAmount, formatDate } from '@/components/admin/format';
+import { useAdminList } from '@/hooks/use-admin-list';
+import {
+  adminAPI,
+  type AdminUserDetail,
+  type Course,
+  type Enrollment,
+  type User,
+} from '@/services/api';
+
+const ROLE_OPTIONS = [
+  { value: 'all', label: 'All roles' },
+  { value: 'user', label: 'Students' },
+  { value: 'admin', label: 'Admins' },
+];
+
+const SEARCH_DEBOUNCE_MS = 300;
+
+const enrollmentStatus = (enrollment: Enrollment) => {
+  if (enrollment.revokedAt) return 'revoked';
+  if (enrollment.expiresAt && new Date(enrollment.expiresAt) < new Date()) {
+    return 'expired';
+  }
+  return 'active';
+};
+
+const columns: AdminColumn<User>[] = [
+  { header: 'Name', cell: (u) => <span className='font-medium'>{u.name || '—'}</span> },
+  { header: 'Email', cell: (u) => u.email },
+  { header: 'Phone', cell: (u) => u.phone || '—' },
+  { header: 'Role', cell: (u) => <span className='capitalize'>{u.role}</span> },
+  { header: 'Joined', cell: (u) => formatDate(u.createdAt) },
+];
+
+const AdminUsers = () => {
+  const [search, setSearch] = useState('');
+  const [query, setQuery] = useState('');
+  const [role, setRole] = useState('all');
+  const [selected, setSelected] = useState<User | null>(null);
+  const [detail, setDetail] = useState<AdminUserDetail | null>(null);
+  const [courses, setCourses] = useState<Course[]>([]);
+  const [grantCourseId, setGrantCourseId] = useState('');
+  const [grantExpiresAt, setGrantExpiresAt] = useState('');
+  const [saving, setSaving] = useState(false);
+
+  // Search runs on the server; wait for the admin to stop typing
+  useEffect(() => {
+    const timeoutId = setTimeout(() => setQuery(search.trim()), SEARCH_DEBOUNCE_MS);
+    return () => clearTimeout(timeoutId);
+  }, [search]);
+
+  const fetchUsers = useCallback(
+    () =>
+      adminAPI.getUsers({
+        q: query || undefined,
+        role: role === 'all' ? undefined : role,
+      }),
+    [query, role]
+  );
+  const { rows, loading } = useAdminList(fetchUsers);
+
+  useEffect(() => {
+    adminAPI.getCourses().then((res) => {
+      if (res.success && res.data) setCourses(res.data);
+    });
+  }, []);
+
+  const loadDetail = useCallback(async (userId: string) => {
+    const res = await adminAPI.getUser(userId);
+    if (res.success && res.data) {
+      setDetail(res.data);
+    } else {
+      toast.error(res.message);
+    }
+  }, []);
+
+  useEffect(() => {
+    setDetail(null);
+    setGrantCourseId('');
+    setGrantExpiresAt('');
+    if (selected) loadDetail(selected._id);
+  }, [selected, loadDetail]);
+
+  const grant = async () => {
+    if (!selected || !grantCourseId) return;
+    setSaving(true);
+    const res = await adminAPI.grantEnrollment({
+      userId: selected._id,
+      courseId: grantCourseId,
+      expiresAt: grantExpiresAt ? new Date(grantExpiresAt).toISOString() : null,
+    });
+    setSaving(false);
+    if (!res.success) {
+      toast.error(res.message);
+      return;
+    }
+    toast.success('Access granted');
+    setGrantCourseId('');
+    setGrantExpiresAt('');
+    loadDetail(selected._id);
+  };
+
+  const revoke = async (enrollment: Enrollment) => {
+    if (!selected) return;
+    setSaving(true);
+    const res = await adminAPI.revokeEnrollment(enrollment._id);
+    setSaving(false);
+    if (!res.success) {
+      toast.error(res.message);
+      return;
+    }
+    toast.success('Access revoked');
+    loadDetail(selected._id);
+  };
+
+  return (
+    <>
+      <AdminTable
+        title='Users'
+        rows={rows}
+        columns={columns}
+        rowKey={(u) => u._id}
+        loading={loading}
+        emptyMessage='No users found'
+        search={{ value: search, onChange: setSearch, placeholder: 'Search name, email or phone' }}
+        filters={[{ value: role, onChange: setRole, options: ROLE_OPTIONS }]}
+        onRowClick={setSelected}
+      />
+
+      <DetailSheet
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected?.name || selected?.email || ''}
+        description={selected?.email}
+        fields={
+          selected
+            ? [
+                { label: 'Role', value: <span className='capitalize'>{selected.role}</span> },
+                { label: 'Phone', value: selected.phone },
+                { label: 'Sign-in', value: selected.provider === 'google' ? 'Google' : 'Password' },
+                {
+                  label: 'Email',
+                  value: selected.emailVerified ? 'Verified' : 'Not verified',
+                },
+                { label: 'Joined', value: formatDate(selected.createdAt, true) },
+              ]
+            : []
+        }
+      >
+        <h4 className='font-medium'>Course access</h4>
+        {!detail ? (
+          <p className='text-sm text-muted-foreground'>Loading…</p>
+        ) : detail.enrollments.length === 0 ? (
+          <p className='text-sm text-muted-foreground'>No enrollments</p>
+        ) : (
+          detail.enrollments.map((enrollment) => (
+            <div
+              key={enrollment._id}
+              className='flex items-center justify-between gap-2 text-sm'
+            >
+              <div>
+                <p>{enrollment.courseId?.title ?? 'Deleted course'}</p>
+                <p className='text-muted-foreground'>
+                  {enrollment.source === 'order'
+                    ? `Order #${enrollment.orderId}`
+                    : 'Granted by admin'}{' '}
+                  · {formatDate(enrollment.grantedAt)}
+                  {enrollment.expiresAt && ` · until ${formatDate(enrollment.expiresAt)}`}
+                </p>
+              </div>
+              <div className='flex items-center gap-2'>
+                <StatusBadge status={enrollmentStatus(enrollment)} />
+                {enrollmentStatus(enrollment) === 'active' && (
+                  <Button
+                    variant='ghost'
+                    size='sm'
+                    disabled={saving}
+                    onClick={() => revoke(enrollment)}
+                  >
+                    Revoke
+                  </Button>
+                )}
+              </div>
+            </div>
+          ))
+        )}
+
+        <h4 className='pt-2 font-medium'>Grant access</h4>
+        <Select value={grantCourseId} onValueChange={setGrantCourseId}>
+          <SelectTrigger>
+            <SelectValue placeholder='Choose a course' />
+          </SelectTrigger>
+          <SelectContent>
+            {courses.map((course) => (
+              <SelectItem key={course._id} value={course._id}>
+                {course.title}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <div className='space-y-1'>
+          <p className='text-sm text-muted-foreground'>
+            Expires on (leave empty for lifetime access)
+          </p>
+          <Input
+            type='date'
+            value={grantExpiresAt}
+            onChange={(e) => setGrantExpiresAt(e.target.value)}
+          />
+        </div>
+        <Button disabled={saving || !grantCourseId} onClick={grant}>
+          Grant access
+        </Button>
+
+        <h4 className='pt-2 font-medium'>Orders</h4>
+        {detail && detail.orders.length === 0 && (
+          <p className='text-sm text-muted-foreground'>No orders</p>
+        )}
+        {detail?.orders.map((order) => (
+          <div key={order._id} className='flex items-center justify-between text-sm'>
+            <span>
+              #{order.id} · {formatDate(order.createdAt)}
+            </span>
+            <span className='flex items-center gap-2'>
+              {formatAmount(order.totalAmount)}
+              <StatusBadge status={order.status} />
+            </span>
+          </div>
+        ))}
+      </DetailSheet>
+    </>
+  );
+};
+
+export default AdminUsers;
@@ -0,0 +1,110 @@
+import { useMemo, useState } from 'react';
+import { toast } from 'sonner';
+import { Button } from '@/components/ui/button';
+import AdminTable, { type AdminColumn } from '@/components/admin/AdminTable';
+import DetailSheet from '@/components/admin/DetailSheet';
+import StatusBadge from '@/components/admin/StatusBadge';
+import { formatDate } from '@/components/admin/format';
+import { useAdminList } from '@/hooks/use-admin-list';
+import { adminAPI, type Webinar } from '@/services/api';
+
+const WHEN_OPTIONS = [
+  { value: 'all', label: 'All webinars' },
+  { value: 'upcoming', label: 'Upcoming' },
+  { value: 'past', label: 'Past' },
+];
+
+const webinarStatus = (webinar: Webinar) =>
+  new Date(webinar.scheduledAt) > new Date() ? 'upcoming' : 'past';
+
+const columns: AdminColumn<Webinar>[] = [
+  { header: 'Title', cell: (w) => <span className='font-medium'>{w.title}</span> },
+  { header: 'Course', cell: (w) => w.courseId?.title ?? '—' },
+  { header: 'Scheduled', cell: (w) => formatDate(w.scheduledAt, true) },
+  { header: 'Duration', cell: (w) => `${w.durationMins} min` },
+  { header: 'Status', cell: (w) => <StatusBadge status={webinarStatus(w)} /> },
+];
+
+const link = (url?: string | null) =>
+  url ? (
+    <a href={url} target='_blank' rel='noopener noreferrer' className='underline'>
+      {url}
+    </a>
+  ) : null;
+
+const AdminWebinars = () => {
+  const { rows, loading, reload } = useAdminList(adminAPI.getWebinars);
+  const [search, setSearch] = useState('');
+  const [when, setWhen] = useState('all');
+  const [selected, setSelected] = useState<Webinar | null>(null);
+  const [saving, setSaving] = useState(false);
+
+  const filtered = useMemo(() => {
+    const q = search.trim().toLowerCase();
+    return rows.filter(
+      (w) =>
+        (when === 'all' || webinarStatus(w) === when) &&
+        (!q || `${w.title} ${w.courseId?.title ?? ''}`.toLowerCase().includes(q))
+    );
+  }, [rows, search, when]);
+
+  const remove = async (webinar: Webinar) => {
+    if (!window.confirm(`Delete "${webinar.title}"?`)) return;
+    setSaving(true);
+    const res = await adminAPI.deleteWebinar(webinar._id);
+    setSaving(false);
+    if (!res.success) {
+      toast.error(res.message);
+      return;
+    }
+    toast.success('Webinar deleted');
+    setSelected(null);
+    reload();
+  };
+
+  return (
+    <>
+      <AdminTable
+        title='Webinars'
+        rows={filtered}
+        columns={columns}
+        rowKey={(w) => w._id}
+        loading={loading}
+        emptyMessage='No webinars found'
+        search={{ value: search, onChange: setSearch, placeholder: 'Search title or course' }}
+        filters={[{ value: when, onChange: setWhen, options: WHEN_OPTIONS }]}
+        onRowClick={setSelected}
+      />
+
+      <DetailSheet
+        open={!!selected}
+        onClose={() => setSelected(null)}
+        title={selected?.title ?? ''}
+        description={selected?.courseId?.title}
+        fields={
+          selected
+            ? [
+                { label: 'Scheduled', value: formatDate(selected.scheduledAt, true) },
+                { label: 'Duration', value: `${selected.durationMins} min` },
+                { label: 'Join URL', value: link(selected.joinUrl) },
+                { label: 'Recording', value: link(selected.recordingUrl) },
+              ]
+            : []
+        }
+        actions={
+          selected && (
+            <Button
+              variant='destructive'
+              disabled={saving}
+              onClick={() => remove(selected)}
+            >
+              Delete webinar
+            </Button>
+          )
+        }
+      />
+    </>
+  );
+};
+
+export default AdminWebinars;
@@ -7,9 +7,82 @@ export const apiClient = axios.create({
   withCredentials: true,
 });
 
+// Cookie-authenticated writes must echo the session's CSRF token. The API is
+// on another site, so the token arrives in auth response bodies (login,
+// refresh, verify) rather than as a readable cookie.
+const CSRF_SAFE_METHODS = ["get", "head", "options"];
+let csrfToken: string | null = null;
+
+apiClient.interceptors.request.use((config) => {
+  const method = String(config.method || "get").toLowerCase();
+  if (csrfToken && !CSRF_SAFE_METHODS.includes(method)) {
+    config.headers = { ...config.headers, "X-CSRF-Token": csrfToken };
+  }
+  return config;
+});
+
+apiClient.interceptors.response.use((response) => {
+  const body = response.data as { data?: { csrfToken?: string | null } };
+  if (body?.data?.csrfToken) csrfToken = body.data.csrfToken;
+  return response;
+});
+
+// Access tokens are short-lived. On a 401, rotate the refresh cookie once
+// (shared by every request that failed meanwhile) and retry the request.
+const NO_REFRESH_PATHS = [
+  "/auth/refresh",
+  "/auth/login",
+  "/auth/register",
+  "/auth/logout",
+  "/auth/google",
+];
+let refreshing: Promise<boolean> | null = null;
+
+const refreshSession = (): Promise<boolean> => {
+  if (!refreshing) {
+    refreshing = (async () => {
+      try {
+        await apiClient.post("/auth/refresh");
+        return true;
+      } catch {
+        return false;
+      } finally {
+        refreshing = null;
+      }
+    })();
+  }
+  return refreshing;
+};
+
+interface RetryableRequestError {
+  config?: { url: string; _retried?: boolean };
+  response?: { status?: number };
+}
+
+apiClient.interceptors.response.use(
+  undefined,
+  async (error: RetryableRequestError) => {
+    const config = error?.config;
+    const skip =
+      error?.response?.status !== 401 ||
+      !config ||
+      config._retried ||
+      NO_REFRESH_PATHS.some((path) => String(config.url).endsWith(path));
+    if (skip) throw error;
+
+    config._retried = true;
+    if (!(await refreshSession())) throw error;
+    return apiClient(config);
+  }
+);
+
 // API Base URL - Update this to match your backend URL
 const API_BASE_URL = import.meta.env.VITE_API_BASE_URL;
 
+// Signed media paths from the API (e.g. /media/...) -> absolute URLs
+export const mediaUrl = (path: string) =>
+  /^https?:\/\//.test(path) ? path : `${API_BASE_URL}${path}`;
+
 interface LoginRequest {
   email: string;
   password: string;
@@ -25,11 +98,22 @@ interface ForgotPasswordRequest {
   email: string;
 }
 
+interface ResetPasswordRequest {
+  token: string;
+  password: string;
+}
+
+interface VerifyOtpRequest {
+  otp: string;
+  email?: string;
+}
+
 interface ApiResponse<T> {
   success: boolean;
   message: string;
   data?: T;
   error?: string;
+  status?: number; // HTTP status of a failed call; unset when there was no response
 }
 
 interface User {
@@ -40,11 +124,27 @@ interface User {
   createdAt: string;
   updatedAt: string;
   profileCompleted: boolean;
+  emailVerified?: boolean;
+  phone?: string;
+  provider?: "local" | "google";
+  profileImage?: string; // path on the API, see mediaUrl
+  picture?: string | null; // Google profile picture
+}
+
+interface AuthSession {
+  id: string;
+  device: string;
+  ip: string | null;
+  createdAt: string;
+  lastUsedAt: string;
+  expiresAt: string;
+  current: boolean;
 }
 
 interface AuthData {
   user: User;
   token: string;
+  csrfToken?: string;
 }
 
 // Generic API request function with timeout
@@ -157,20 +257,17 @@ export const authAPI = {
     }
   },
 
-  // GOOGLE LOGIN
-  async googleLogin(token: string, userInfo: any): Promise<ApiResponse<any>> {
+  // GOOGLE LOGIN (credential = ID token from Google Identity Services)
+  async googleLogin(credential: string): Promise<ApiResponse<AuthData>> {
     try {
-      const res = await apiClient.post<ApiResponse<any>>(
+      const res = await apiClient.post<ApiResponse<AuthData>>(
         `${import.meta.env.VITE_BACKEND_URL}/auth/google`,
-        { token, userInfo }
+        { credential }
       );
 
       return res.data;
     } catch (error) {
-      return {
-        success: false,
-        message: "Google login failed",
-      };
+      return errorResponse<AuthData>(error, "Google login failed");
     }
   },
 
@@ -206,7 +303,62 @@ export const authAPI = {
     }
   },
 
-  // VERIFY TOKEN  (cookie-based)
+  // RESET PASSWORD (from the emailed link)
+  async resetPassword(
+    data: ResetPasswordRequest
+  ): Promise<ApiResponse<null>> {
+    try {
+      const res = await apiClient.post<ApiResponse<null>>(
+        "/auth/reset-password",
+        data
+      );
+
+      toast({
+        title: res.data.success ? "Success" : "Error",
+        description: res.data.message,
+        variant: res.data.success ? "default" : "destructive",
+      });
+
+      return res.data;
+    } catch (error) {
+      const res = errorResponse<null>(error, "Failed to reset password");
+      toast({
+        title: "Error",
+        description: res.message,
+        variant: "destructive",
+      });
+      return res;
+    }
+  },
+  // SEND EMAIL OTP (omit email to verify the current address)
+  async sendOtp(
+    email?: string
+  ): Promise<ApiResponse<{ email: string; expiresAt: string }>> {
+    try {
+      const res = await apiClient.post<
+        ApiResponse<{ email: string; expiresAt: string }>
+      >("/auth/send-otp", email ? { email } : {});
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, "Failed to send verification code");
+    }
+  },
+
+  // VERIFY EMAIL OTP (applies a pending email change)
+  async verifyOtp(data: VerifyOtpRequest): Promise<ApiResponse<{ user: User }>> {
+    try {
+      const res = await apiClient.post<ApiResponse<{ user: User }>>(
+        "/auth/verify-otp",
+        data
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, "Failed to verify code");
+    }
+  },
+
+
+  // VERIFY SESSION (cookie-based; also restores the CSRF token after a reload)
   async verifyToken(): Promise<ApiResponse<{ user: User }>> {
     try {
       const res = await apiClient.get<ApiResponse<{ user: User }>>(
@@ -221,30 +373,95 @@ export const authAPI = {
     }
   },
 
-  // LOGOUT
-  logout(): void {
+  // LOGOUT (revokes this device's session)
+  async logout(): Promise<void> {
+    try {
+      await apiClient.post("/auth/logout");
+    } catch (error) {
+      console.warn("Logout request failed", error);
+    }
+    csrfToken = null;
     toast({
       title: "Logged out",
       description: "You have been logged out successfully",
     });
   },
 
-  // GET STORED USER (fallback only)
-  getStoredUser(): User | null {
-    const userData = localStorage.getItem("user_data");
-    return userData ? JSON.parse(userData) : null;
+  // SIGN OUT OF ALL DEVICES
+  async logoutAll(): Promise<ApiResponse<null>> {
+    try {
+      const res = await apiClient.post<ApiResponse<null>>("/auth/logout-all");
+      return res.data;
+    } catch (error) {
+      return errorResponse<null>(error, "Failed to sign out of all devices");
+    }
+  },
+
+  // ACTIVE SESSIONS (signed-in devices)
+  async getSessions(): Promise<ApiResponse<{ sessions: AuthSession[] }>> {
+    try {
+      const res = await apiClient.get<ApiResponse<{ sessions: AuthSession[] }>>(
+        "/auth/sessions"
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, "Failed to load sessions");
+    }
   },
 
-  // GET TOKEN (fallback only)
-  getToken(): string | null {
-    return localStorage.getItem("auth_token");
+  // SIGN OUT ONE DEVICE
+  async revokeSession(sessionId: string): Promise<ApiResponse<null>> {
+    try {
+      const res = await apiClient.delete<ApiResponse<null>>(
+        `/auth/sessions/${sessionId}`
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse<null>(error, "Failed to revoke session");
+    }
   },
 };
 
 
 
 // Export types for use in components
-export type { User, AuthData, LoginRequest, RegisterRequest, ForgotPasswordRequest, ApiResponse };
+export type { User, AuthSession, AuthData, LoginRequest, RegisterRequest, ForgotPasswordRequest, ResetPasswordRequest, VerifyOtpRequest, ApiResponse };
+export type {
+  Order,
+  OrderStatus,
+  PaymentRecord,
+  CheckoutRequest,
+  CheckoutQuote,
+  CheckoutResult,
+  GatewayCheckout,
+  PaymentVerification,
+  Course,
+  AdminOrder,
+  OrderSummary,
+  AdminPayment,
+  Coupon,
+  Webinar,
+  Testimonial,
+  Enrollment,
+  AdminUserDetail,
+  AuthoringCourse,
+  AuthoringTopic,
+  IngestJob,
+  UserOrder,
+  CreditNoteSummary,
+  RefundRecord,
+  RefundRequest,
+  ReadingProgress,
+  ProgressBatch,
+  NoteColor,
+  NoteRect,
+  CourseNote,
+  NoteInput,
+  NoteSearchResult,
+  NoteExportFormat,
+  Bookmark,
+  ResumePoint,
+};
 
 // Courses API functions
 export const coursesAPI = {
@@ -295,6 +512,667 @@ export const dashboardAPI = {
   },
 };
 
+// Pull the backend's error message out of a failed axios call
+const errorResponse = <T,>(error: unknown, fallback: string): ApiResponse<T> => {
+  const response = (error as {
+    response?: { status?: number; data?: { message?: string } };
+  })?.response;
+  return {
+    success: false,
+    message: response?.data?.message || fallback,
+    status: response?.status,
+  };
+};
+
+// Profile API functions
+export const profileAPI = {
+  // Upload a profile picture; the server crops and resizes it
+  async uploadAvatar(file: File): Promise<ApiResponse<{ profileImage: string }>> {
+    try {
+      const form = new FormData();
+      form.append('avatar', file);
+      const res = await apiClient.post<ApiResponse<{ profileImage: string }>>(
+        '/user/avatar',
+        form
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not upload picture');
+    }
+  },
+
+  async removeAvatar(): Promise<ApiResponse<{ profileImage: string }>> {
+    try {
+      const res = await apiClient.delete<ApiResponse<{ profileImage: string }>>(
+        '/user/avatar'
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not remove picture');
+    }
+  },
+};
+
+// Checkout API functions
+export const checkoutAPI = {
+  // Price a course with an optional coupon
+  async quote(data: CheckoutRequest): Promise<ApiResponse<CheckoutQuote>> {
+    try {
+      const res = await apiClient.post<ApiResponse<CheckoutQuote>>(
+        '/api/v1/checkout/quote',
+        data
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not price this course');
+    }
+  },
+
+  // Create the order + payment for a course
+  async buyCourse(data: CheckoutRequest): Promise<ApiResponse<CheckoutResult>> {
+    try {
+      const res = await apiClient.post<ApiResponse<CheckoutResult>>(
+        '/api/v1/checkout',
+        data
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Checkout failed');
+    }
+  },
+
+  // Send the gateway's signed callback to the backend for verification
+  async verifyPayment(
+    data: PaymentVerification
+  ): Promise<ApiResponse<{ order: Order; payment: PaymentRecord }>> {
+    try {
+      const res = await apiClient.post<
+        ApiResponse<{ order: Order; payment: PaymentRecord }>
+      >('/api/v1/checkout/verify', data);
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Payment verification failed');
+    }
+  },
+
+  // Offline mock gateway: stands in for the payment popup
+  async mockPay(gatewayOrderId: string): Promise<ApiResponse<PaymentVerification>> {
+    try {
+      const res = await apiClient.post<ApiResponse<PaymentVerification>>(
+        `/api/v1/checkout/mock/${gatewayOrderId}/pay`
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Mock payment failed');
+    }
+  },
+
+  // Poll an order's status
+  async getOrder(orderId: number): Promise<ApiResponse<Order>> {
+    try {
+      const res = await apiClient.get<ApiResponse<Order>>(
+        `/api/v1/orders/${orderId}`
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not load order');
+    }
+  },
+};
+
+// Fetch a PDF with the session's credentials and save it
+const downloadFile = async (path: string, fileName: string): Promise<ApiResponse<null>> => {
+  try {
+    const res = await apiClient.get<Blob>(path, { responseType: 'blob' });
+    const url = URL.createObjectURL(res.data);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.click();
+    URL.revokeObjectURL(url);
+    return { success: true, message: 'Downloaded', data: null };
+  } catch {
+    return { success: false, message: 'Could not download the file' };
+  }
+};
+
+// Orders and invoices of the signed-in buyer
+export const ordersAPI = {
+  async getUserOrders(userId: string): Promise<ApiResponse<UserOrder[]>> {
+    try {
+      const res = await apiClient.get<ApiResponse<UserOrder[]>>(
+        `/api/v1/orders/user/${userId}`
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not load your orders');
+    }
+  },
+
+  downloadInvoice(invoiceId: number, fileName: string): Promise<ApiResponse<null>> {
+    return downloadFile(`/api/v1/invoices/${invoiceId}/file`, fileName);
+  },
+
+  downloadCreditNote(creditNoteId: number, fileName: string): Promise<ApiResponse<null>> {
+    return downloadFile(`/api/v1/invoices/credit-notes/${creditNoteId}/file`, fileName);
+  },
+};
+
+// Reading progress API functions (the reader queues page views and sends them in batches)
+export const progressAPI = {
+  async get(courseId: string): Promise<ApiResponse<ReadingProgress>> {
+    try {
+      const res = await apiClient.get<ApiResponse<ReadingProgress>>(
+        `/courses/${courseId}/progress`
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not load your progress');
+    }
+  },
+
+  async sync(courseId: string, batch: ProgressBatch): Promise<ApiResponse<ReadingProgress>> {
+    try {
+      const res = await apiClient.post<ApiResponse<ReadingProgress>>(
+        `/courses/${courseId}/progress`,
+        batch
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not save your progress');
+    }
+  },
+};
+
+// Notes and highlights on course pages
+export const notesAPI = {
+  async list(courseId: string): Promise<ApiResponse<{ notes: CourseNote[] }>> {
+    try {
+      const res = await apiClient.get<ApiResponse<{ notes: CourseNote[] }>>(
+        `/courses/${courseId}/notes`
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not load your notes');
+    }
+  },
+
+  async create(
+    courseId: string,
+    topicId: string,
+    imageIndex: number,
+    input: NoteInput
+  ): Promise<ApiResponse<{ note: CourseNote }>> {
+    try {
+      const res = await apiClient.post<ApiResponse<{ note: CourseNote }>>(
+        `/courses/${courseId}/topics/${topicId}/images/${imageIndex}/notes`,
+        input
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not save the note');
+    }
+  },
+
+  async update(
+    courseId: string,
+    noteId: string,
+    input: NoteInput
+  ): Promise<ApiResponse<{ note: CourseNote }>> {
+    try {
+      const res = await apiClient.put<ApiResponse<{ note: CourseNote }>>(
+        `/courses/${courseId}/notes/${noteId}`,
+        input
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not update the note');
+    }
+  },
+
+  async remove(courseId: string, noteId: string): Promise<ApiResponse<null>> {
+    try {
+      const res = await apiClient.delete<ApiResponse<null>>(
+        `/courses/${courseId}/notes/${noteId}`
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not delete the note');
+    }
+  },
+
+  // Study sheet of the course's notes, grouped by topic and page
+  exportNotes(
+    courseId: string,
+    format: NoteExportFormat,
+    fileName: string
+  ): Promise<ApiResponse<null>> {
+    return downloadFile(`/courses/${courseId}/notes/export?format=${format}`, fileName);
+  },
+
+  // Across all courses: q matches note text and tags
+  async search(params: {
+    q?: string;
+    tag?: string;
+  }): Promise<ApiResponse<{ notes: NoteSearchResult[] }>> {
+    try {
+      const res = await apiClient.get<ApiResponse<{ notes: NoteSearchResult[] }>>('/notes', {
+        params,
+      });
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not search your notes');
+    }
+  },
+
+  async tags(): Promise<ApiResponse<{ tags: { tag: string; count: number }[] }>> {
+    try {
+      const res = await apiClient.get<ApiResponse<{ tags: { tag: string; count: number }[] }>>(
+        '/notes/tags'
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not load your tags');
+    }
+  },
+};
+
+// Bookmarks API functions (labelled pages) and resume points
+export const bookmarksAPI = {
+  async list(courseId: string): Promise<ApiResponse<{ bookmarks: Bookmark[] }>> {
+    try {
+      const res = await apiClient.get<ApiResponse<{ bookmarks: Bookmark[] }>>(
+        `/courses/${courseId}/bookmarks`
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not load your bookmarks');
+    }
+  },
+
+  // Bookmarking a page again only changes its label
+  async save(
+    courseId: string,
+    input: { topicId: string; imageIndex: number; label?: string }
+  ): Promise<ApiResponse<{ bookmark: Bookmark }>> {
+    try {
+      const res = await apiClient.post<ApiResponse<{ bookmark: Bookmark }>>(
+        `/courses/${courseId}/bookmarks`,
+        input
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not save the bookmark');
+    }
+  },
+
+  async remove(courseId: string, bookmarkId: string): Promise<ApiResponse<null>> {
+    try {
+      const res = await apiClient.delete<ApiResponse<null>>(
+        `/courses/${courseId}/bookmarks/${bookmarkId}`
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not delete the bookmark');
+    }
+  },
+
+  async resume(courseId: string): Promise<ApiResponse<{ resume: ResumePoint | null }>> {
+    try {
+      const res = await apiClient.get<ApiResponse<{ resume: ResumePoint | null }>>(
+        `/courses/${courseId}/resume`
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not load where you left off');
+    }
+  },
+
+  // Last page seen in every course, most recently read first
+  async continueLearning(): Promise<ApiResponse<{ resume: ResumePoint[] }>> {
+    try {
+      const res = await apiClient.get<ApiResponse<{ resume: ResumePoint[] }>>(
+        '/bookmarks/resume'
+      );
+      return res.data;
+    } catch (error) {
+      return errorResponse(error, 'Could not load your recent courses');
+    }
+  },
+};
+
+// Admin calls share one shape: unwrap the body, or map the axios failure
+const adminRequest = async <T,>(
+  request: () => PromiseLike<{ data: ApiResponse<T> }>,
+  fallback: string
+): Promise<ApiResponse<T>> => {
+  try {
+    const res = await request();
+    return res.data;
+  } catch (error) {
+    return errorResponse<T>(error, fallback);
+  }
+};
+
+// Admin API functions (all endpoints require role=admin)
+export const adminAPI = {
+  // Courses, including deactivated ones
+  getCourses(): Promise<ApiResponse<Course[]>> {
+    return adminRequest(
+      () =>
+        apiClient.get<ApiResponse<Course[]>>('/api/v1/courses', {
+          params: { includeInactive: true },
+        }),
+      'Could not load courses'
+    );
+  },
+
+  // DELETE soft-deletes (deactivates); reactivating goes through PUT
+  setCourseActive(slug: string, isActive: boolean): Promise<ApiResponse<Course>> {
+    return adminRequest(
+      () =>
+        isActive
+          ? apiClient.put<ApiResponse<Course>>(`/api/v1/courses/${slug}`, {
+              isActive: true,
+            })
+          : apiClient.delete<ApiResponse<Course>>(`/api/v1/courses/${slug}`),
+      'Could not update course'
+    );
+  },
+
+  getOrders(): Promise<ApiResponse<AdminOrder[]>> {
+    return adminRequest(
+      () => apiClient.get<ApiResponse<AdminOrder[]>>('/api/v1/orders'),
+      'Could not load orders'
+    );
+  },
+
+  getOrderSummary(orderId: number): Promise<ApiResponse<OrderSummary>> {
+    return adminRequest(
+      () =>
+        apiClient.get<ApiResponse<OrderSummary>>(
+          `/api/v1/orders/${orderId}/summary`
+        ),
+      'Could not load order items'
+    );
+  },
+
+  getPayments(): Promise<ApiResponse<AdminPayment[]>> {
+    return adminRequest(
+      () => apiClient.get<ApiResponse<AdminPayment[]>>('/api/v1/payments'),
+      'Could not load payments'
+    );
+  },
+
+  refundPayment(
+    paymentId: number,
+    data: RefundRequest
+  ): Promise<ApiResponse<{ refund: RefundRecord; payment: AdminPayment }>> {
+    return adminRequest(
+      () =>
+        apiClient.post<ApiResponse<{ refund: RefundRecord; payment: AdminPayment }>>(
+          `/api/v1/payments/${paymentId}/refund`,
+          data
+        ),
+      'Refund failed'
+    );
+  },
+
+  getRefunds(paymentId: number): Promise<ApiResponse<RefundRecord[]>> {
+    return adminRequest(
+      () =>
+        apiClient.get<ApiResponse<RefundRecord[]>>(
+          `/api/v1/payments/${paymentId}/refunds`
+        ),
+      'Could not load refunds'
+    );
+  },
+
+  getCoupons(): Promise<ApiResponse<Coupon[]>> {
+    return adminRequest(
+      () => apiClient.get<ApiResponse<Coupon[]>>('/api/v1/coupons'),
+      'Could not load coupons'
+    );
+  },
+
+  setCouponActive(couponId: number, isActive: boolean): Promise<ApiResponse<Coupon>> {
+    return adminRequest(
+      () =>
+        apiClient.put<ApiResponse<Coupon>>(`/api/v1/coupons/${couponId}`, {
+          isActive,
+        }),
+      'Could not update coupon'
+    );
+  },
+
+  getWebinars(): Promise<ApiResponse<Webinar[]>> {
+    return adminRequest(
+      () => apiClient.get<ApiResponse<Webinar[]>>('/api/v1/webinars'),
+      'Could not load webinars'
+    );
+  },
+
+  deleteWebinar(webinarId: string): Promise<ApiResponse<null>> {
+    return adminRequest(
+      () => apiClient.delete<ApiResponse<null>>(`/api/v1/webinars/${webinarId}`),
+      'Could not delete webinar'
+    );
+  },
+
+  getTestimonials(): Promise<ApiResponse<Testimonial[]>> {
+    return adminRequest(
+      () => apiClient.get<ApiResponse<Testimonial[]>>('/api/v1/testimonials'),
+      'Could not load testimonials'
+    );
+  },
+
+  deleteTestimonial(testimonialId: number): Promise<ApiResponse<null>> {
+    return adminRequest(
+      () =>
+        apiClient.delete<ApiResponse<null>>(
+          `/api/v1/testimonials/${testimonialId}`
+        ),
+      'Could not delete testimonial'
+    );
+  },
+
+  getUsers(params: { q?: string; role?: string } = {}): Promise<ApiResponse<User[]>> {
+    return adminRequest(
+      () => apiClient.get<ApiResponse<User[]>>('/api/v1/users', { params }),
+      'Could not load users'
+    );
+  },
+
+  getUser(userId: string): Promise<ApiResponse<AdminUserDetail>> {
+    return adminRequest(
+      () => apiClient.get<ApiResponse<AdminUserDetail>>(`/api/v1/users/${userId}`),
+      'Could not load user'
+    );
+  },
+
+  grantEnrollment(data: {
+    userId: string;
+    courseId: string;
+    expiresAt?: string | null;
+  }): Promise<ApiResponse<Enrollment>> {
+    return adminRequest(
+      () => apiClient.post<ApiResponse<Enrollment>>('/api/v1/enrollments', data),
+      'Could not grant access'
+    );
+  },
+
+  revokeEnrollment(enrollmentId: string): Promise<ApiResponse<Enrollment>> {
+    return adminRequest(
+      () =>
+        apiClient.post<ApiResponse<Enrollment>>(
+          `/api/v1/enrollments/${enrollmentId}/revoke`
+        ),
+      'Could not revoke access'
+    );
+  },
+
+  // Course authoring: every call answers with the updated course
+  getCourseContent(courseId: string): Promise<ApiResponse<AuthoringCourse>> {
+    return adminRequest(
+      () =>
+        apiClient.get<ApiResponse<AuthoringCourse>>(
+          `/api/v1/courses/${courseId}/authoring`
+        ),
+      'Could not load course content'
+    );
+  },
+
+  addTopic(courseId: string, title: string): Promise<ApiResponse<AuthoringCourse>> {
+    return adminRequest(
+      () =>
+        apiClient.post<ApiResponse<AuthoringCourse>>(
+          `/api/v1/courses/${courseId}/topics`,
+          { title }
+        ),
+      'Could not add topic'
+    );
+  },
+
+  renameTopic(
+    courseId: string,
+    topicId: string,
+    title: string
+  ): Promise<ApiResponse<AuthoringCourse>> {
+    return adminRequest(
+      () =>
+        apiClient.patch<ApiResponse<AuthoringCourse>>(
+          `/api/v1/courses/${courseId}/topics/${topicId}`,
+          { title }
+        ),
+      'Could not rename topic'
+    );
+  },
+
+  deleteTopic(courseId: string, topicId: string): Promise<ApiResponse<AuthoringCourse>> {
+    return adminRequest(
+      () =>
+        apiClient.delete<ApiResponse<AuthoringCourse>>(
+          `/api/v1/courses/${courseId}/topics/${topicId}`
+        ),
+      'Could not delete topic'
+    );
+  },
+
+  reorderTopics(courseId: string, topicIds: string[]): Promise<ApiResponse<AuthoringCourse>> {
+    return adminRequest(
+      () =>
+        apiClient.put<ApiResponse<AuthoringCourse>>(
+          `/api/v1/courses/${courseId}/topics/order`,
+          { topicIds }
+        ),
+      'Could not reorder topics'
+    );
+  },
+
+  uploadPages(
+    courseId: string,
+    topicId: string,
+    files: File[]
+  ): Promise<ApiResponse<AuthoringCourse>> {
+    const form = new FormData();
+    files.forEach((file) => form.append('images', file));
+    return adminRequest(
+      () =>
+        apiClient.post<ApiResponse<AuthoringCourse>>(
+          `/api/v1/courses/${courseId}/topics/${topicId}/images`,
+          form
+        ),
+      'Upload failed'
+    );
+  },
+
+  replacePage(
+    courseId: string,
+    topicId: string,
+    index: number,
+    file: File
+  ): Promise<ApiResponse<AuthoringCourse>> {
+    const form = new FormData();
+    form.append('image', file);
+    return adminRequest(
+      () =>
+        apiClient.put<ApiResponse<AuthoringCourse>>(
+          `/api/v1/courses/${courseId}/topics/${topicId}/images/${index}`,
+          form
+        ),
+      'Could not replace page'
+    );
+  },
+
+  reorderPages(
+    courseId: string,
+    topicId: string,
+    keys: string[]
+  ): Promise<ApiResponse<AuthoringCourse>> {
+    return adminRequest(
+      () =>
+        apiClient.put<ApiResponse<AuthoringCourse>>(
+          `/api/v1/courses/${courseId}/topics/${topicId}/images/order`,
+          { keys }
+        ),
+      'Could not reorder pages'
+    );
+  },
+
+  deletePage(
+    courseId: string,
+    topicId: string,
+    index: number
+  ): Promise<ApiResponse<AuthoringCourse>> {
+    return adminRequest(
+      () =>
+        apiClient.delete<ApiResponse<AuthoringCourse>>(
+          `/api/v1/courses/${courseId}/topics/${topicId}/images/${index}`
+        ),
+      'Could not delete page'
+    );
+  },
+
+  // Queue a PDF to be rendered into topics; poll getImportJob for progress
+  importPdf(
+    courseId: string,
+    file: File,
+    options: {
+      sections?: { title: string; startPage: number }[];
+      pagesPerTopic?: number;
+      replaceExisting?: boolean;
+    } = {}
+  ): Promise<ApiResponse<IngestJob>> {
+    const form = new FormData();
+    form.append('pdf', file);
+    if (options.sections?.length) form.append('sections', JSON.stringify(options.sections));
+    if (options.pagesPerTopic) form.append('pagesPerTopic', String(options.pagesPerTopic));
+    form.append('replaceExisting', String(!!options.replaceExisting));
+    return adminRequest(
+      () =>
+        apiClient.post<ApiResponse<IngestJob>>(`/api/v1/courses/${courseId}/ingest`, form),
+      'Could not upload PDF'
+    );
+  },
+
+  getImportJobs(courseId: string): Promise<ApiResponse<IngestJob[]>> {
+    return adminRequest(
+      () => apiClient.get<ApiResponse<IngestJob[]>>(`/api/v1/courses/${courseId}/ingest`),
+      'Could not load imports'
+    );
+  },
+
+  getImportJob(courseId: string, jobId: string): Promise<ApiResponse<IngestJob>> {
+    return adminRequest(
+      () =>
+        apiClient.get<ApiResponse<IngestJob>>(
+          `/api/v1/courses/${courseId}/ingest/${jobId}`
+        ),
+      'Could not load import'
+    );
+  },
+};
+
 // Course interface for backend
 interface Course {
   _id: string;
@@ -317,6 +1195,79 @@ interface Course {
   updatedAt: string;
 }
 
+type OrderStatus =
+  | 'created'
+  | 'pending_payment'
+  | 'paid'
+  | 'partially_refunded'
+  | 'failed'
+  | 'refunded';
+
+interface Order {
+  _id: string;
+  id: number;
+  userId: string;
+  email: string;
+  subtotalAmount: number;
+  discountAmount: number;
+  totalAmount: number;
+  refundedAmount?: number;
+  currency: string;
+  status: OrderStatus;
+  couponId?: number | null;
+  paymentId?: number | null;
+  createdAt: string;
+}
+
+interface PaymentRecord {
+  _id: string;
+  id: number;
+  gateway: string;
+  gatewayPaymentId: string;
+  orderId: number;
+  amount: number;
+  refundedAmount?: number; // processed and pending refunds
+  status: 'initiated' | 'captured' | 'failed' | 'refunded';
+  method?: string | null;
+  createdAt: string;
+}
+
+interface CheckoutRequest {
+  courseId: string;
+  couponCode?: string;
+}
+
+interface CheckoutQuote {
+  course: { _id: string; title: string; slug: string };
+  couponCode: string | null;
+  subtotalAmount: number;
+  discountAmount: number;
+  totalAmount: number;
+}
+
+interface GatewayCheckout {
+  gateway: 'razorpay' | 'mock';
+  gatewayOrderId: string;
+  amount: number; // minor units (paise)
+  currency: string;
+  keyId?: string;
+  name: string;
+  prefill: { email: string; contact: string };
+}
+
+interface CheckoutResult {
+  order: Order;
+  payment: PaymentRecord;
+  course: { _id: string; title: string; slug: string };
+  checkout: GatewayCheckout | null;
+}
+
+interface PaymentVerification {
+  gatewayOrderId: string;
+  gatewayPaymentId: string;
+  signature: string;
+}
+
 interface CreateCourseRequest {
   title: string;
   description: string;
@@ -336,4 +1287,245 @@ interface UserStats {
   activeCourses: number;
   certificatesEarned: number;
   hoursLearned: number;
-}
\ No newline at end of file
+}
+
+interface AdminOrder extends Omit<Order, 'userId'> {
+  userId: { _id: string; name?: string; email: string } | null;
+  phone?: string | null;
+  updatedAt?: string;
+}
+
+// A buyer's own order, with its courses and the invoice issued once paid
+interface UserOrder extends Omit<Order, 'userId'> {
+  orderItems: {
+    _id: string;
+    courseId: { _id: string; title: string; slug: string } | null;
+    unitPrice: number;
+    quantity: number;
+    totalPrice: number;
+  }[];
+  invoice: { _id: string; id: number; number?: string; issuedAt?: string } | null;
+  creditNotes: CreditNoteSummary[];
+}
+
+interface CreditNoteSummary {
+  _id: string;
+  id: number;
+  number: string;
+  amount: number;
+  issuedAt: string;
+}
+
+interface OrderSummary {
+  orderId: number;
+  totalItems: number;
+  totalPrice: number;
+  itemCount: number;
+  orderItems: {
+    id: string;
+    courseId: string;
+    courseTitle: string;
+    courseSlug: string;
+    unitPrice: number;
+    quantity: number;
+    totalPrice: number;
+  }[];
+}
+
+interface AdminPayment extends PaymentRecord {
+  gatewayOrderId?: string;
+  order?: Order | null;
+  updatedAt?: string;
+}
+
+interface RefundRecord {
+  _id: string;
+  id: number;
+  paymentId: number;
+  orderId: number;
+  amount: number;
+  reason: string;
+  status: 'pending' | 'processed' | 'failed';
+  requestedBy?: { _id: string; name?: string; email: string } | null;
+  gatewayRefundId?: string;
+  error?: string | null;
+  creditNote?: { _id: string; id: number; number: string } | null;
+  createdAt: string;
+}
+
+interface RefundRequest {
+  amount?: number; // leave out to refund everything not yet refunded
+  reason: string;
+}
+
+interface Coupon {
+  _id: string;
+  id: number;
+  code: string;
+  discountType: 'percentage' | 'fixed';
+  discountValue: number;
+  validFrom: string;
+  validTill: string;
+  usageLimit: number | null;
+  usedCount: number;
+  perUserLimit: number | null;
+  // Empty means every course
+  courseIds: string[];
+  minOrderAmount: number;
+  maxDiscountAmount: number | null;
+  firstPurchaseOnly: boolean;
+  isActive: boolean;
+  createdAt: string;
+}
+
+interface Webinar {
+  _id: string;
+  courseId: { _id: string; title: string; slug: string } | null;
+  title: string;
+  scheduledAt: string;
+  durationMins: number;
+  joinUrl?: string | null;
+  recordingUrl?: string | null;
+  createdAt: string;
+}
+
+interface Testimonial {
+  _id: string;
+  id: number;
+  userId: { _id: string; name?: string; email: string } | null;
+  name: string;
+  city?: string;
+  content: string;
+  rating?: number | null;
+  createdAt: string;
+}
+
+interface Enrollment {
+  _id: string;
+  userId: string;
+  courseId: { _id: string; title: string; slug: string; price: number; isActive: boolean } | null;
+  source: 'order' | 'admin';
+  orderId?: number | null;
+  grantedAt: string;
+  expiresAt?: string | null;
+  revokedAt?: string | null;
+}
+
+interface AdminUserDetail {
+  user: User;
+  enrollments: Enrollment[];
+  orders: Order[];
+}
+
+// Page images carry their storage key (used for reordering) and a signed URL
+interface AuthoringTopic {
+  _id: string;
+  title: string;
+  images: { key: string; url: string }[];
+}
+
+interface AuthoringCourse {
+  _id: string;
+  title: string;
+  slug: string;
+  description: string;
+  price: number;
+  originalPrice?: number | null;
+  isActive: boolean;
+  updatedAt: string;
+  topics: AuthoringTopic[];
+}
+
+interface IngestJob {
+  _id: string;
+  courseId: string;
+  status: 'queued' | 'running' | 'completed' | 'failed';
+  fileName?: string | null;
+  pageCount: number;
+  replaceExisting: boolean;
+  progress: { phase: 'queued' | 'rendering' | 'saving' | 'done'; pagesDone: number };
+  result?: {
+    split?: 'outline' | 'manual' | 'single';
+    topics: { title: string; pages: number }[];
+  };
+  error?: string | null;
+  createdAt: string;
+  finishedAt?: string | null;
+}
+
+// Reading progress for one course, as merged on the server
+interface ReadingProgress {
+  progress: Record<string, number>; // percent per topic id
+  viewedPages: Record<string, number[]>;
+  timeSpentSeconds: Record<string, number>;
+  percent: number; // weighted by page count
+}
+
+interface ProgressBatch {
+  batchId: string;
+  topics: {
+    topicId: string;
+    pages: number[];
+    timeSpentSeconds: number;
+    completed: boolean;
+  }[];
+}
+
+type NoteColor = 'yellow' | 'green' | 'blue' | 'pink' | 'purple';
+
+// Highlighted area as fractions (0–1) of the page image
+interface NoteRect {
+  x: number;
+  y: number;
+  width: number;
+  height: number;
+}
+
+interface CourseNote {
+  _id: string;
+  courseId: string;
+  topicId: string;
+  imageIndex: number;
+  note: string;
+  rect: NoteRect | null;
+  tags: string[];
+  color: NoteColor;
+  createdAt: string;
+  updatedAt: string;
+}
+
+interface NoteInput {
+  note?: string;
+  rect?: NoteRect | null;
+  tags?: string[];
+  color?: NoteColor;
+}
+
+interface NoteSearchResult extends CourseNote {
+  course: { _id: string; title: string; slug: string } | null;
+  topicTitle: string | null;
+}
+
+type NoteExportFormat = 'md' | 'pdf' | 'csv';
+
+interface Bookmark {
+  _id: string;
+  courseId: string;
+  topicId: string;
+  imageIndex: number;
+  label: string;
+  createdAt: string;
+  updatedAt: string;
+}
+
+// The page a user saw last in a course; course and topic titles are only
+// sent by the cross-course list
+interface ResumePoint {
+  courseId: string;
+  topicId: string;
+  imageIndex: number;
+  lastSeenAt: string;
+  course?: { _id: string; title: string; slug: string } | null;
+  topicTitle?: string | null;
+}
+
@@ -0,0 +1,20 @@
+interface RazorpayResponse {
+  razorpay_order_id: string;
+  razorpay_payment_id: string;
+  razorpay_signature: string;
+}
+
+interface RazorpayOptions {
+  key?: string;
+  order_id: string;
+  amount: number;
+  currency: string;
+  name: string;
+  prefill?: { email?: string; contact?: string };
+  handler: (response: RazorpayResponse) => void;
+  modal?: { ondismiss?: () => void };
+}
+
+interface Window {
+  Razorpay?: new (options: RazorpayOptions) => { open: () => void };
+}